@@ -2,7 +2,7 @@
  * @file Template - Gestion de Cours par Catégorie
  * @description Script Google Apps pour lire et assembler des données de cours structurées
  *              à partir de plusieurs feuilles dans un Google Sheet.
- * @version 1.0.2 (Correction TypeError setHeader et getCategoryName)
+ * @version 1.6.0 (Édition des modules, chapitres et quiz depuis le tableau de bord)
  * @author Gemini Code Assist
  */
 
@@ -58,10 +58,84 @@ function doOptions(e) {
 const CENTRAL_SHEET_ID = "1xcW_lPim1AvD-RWDD0FtpAMYSrWq-FSv9XGa1ys2Xv4"; // IMPORTANT: ID de la feuille centrale
 const DEFAULT_IMAGE_URL = "https://i.postimg.cc/D0b7ZxQc/Logo-for-Training-Platform-Dynamic-Emblem.png";
 
+// NOUVEAU: Statuts d'un cours (colonne Statut). Un Statut vide (cours antérieurs à la colonne) vaut "Publié".
+const STATUTS_COURS = {
+  BROUILLON: "Brouillon",
+  EN_REVUE: "En revue",
+  PUBLIE: "Publié",
+  ARCHIVE: "Archivé"
+};
+
+// NOUVEAU: Colonnes de la feuille "Historique_<Catégorie>" (voir journaliserModificationCours).
+const EN_TETES_HISTORIQUE = ["Timestamp", "ID_Cours", "Action", "Auteur_ID", "Auteur_Nom", "Détails"];
+
+// NOUVEAU: Modifications d'un cours publié en attente de modération (feuille "Revisions_<Catégorie>", voir proposerRevision).
+// Données = les données de l'action, rejouées telles quelles à l'approbation ; Modifications = le résumé montré au modérateur.
+const EN_TETES_REVISIONS = ["ID_Revision", "ID_Cours", "Action", "Données", "Modifications", "Auteur_ID", "Auteur_Nom", "Date_Demande", "Statut", "Date_Decision", "Commentaire"];
+const STATUTS_REVISION = {
+  EN_ATTENTE: "En attente",
+  APPROUVEE: "Approuvée",
+  REJETEE: "Rejetée",
+  ECHOUEE: "Échouée" // Approuvée, mais devenue inapplicable (ex: le contenu visé a changé entre-temps)
+};
+
+// NOUVEAU: Champs qu'un formateur peut modifier sur son cours (clé envoyée par le tableau de bord -> colonne).
+// L'ID, le formateur, les notes et le statut ne sont jamais modifiables par cette voie.
+const CHAMPS_COURS_MODIFIABLES = {
+  nom: "Nom_Cours",
+  resume: "Résumé",
+  duree: "Durée_Totale",
+  niveau: "Niveau",
+  prix: "Prix",
+  videoIntro: "URL_Vidéo_Intro",
+  imageCouverture: "Image_Couverture",
+  objectifs: "Objectifs",
+  prerequis: "Prérequis",
+  avantageSenior: "Avantage_Senior",
+  publicCible: "Public_Cible",
+  formateurTitre: "Formateur_Titre",
+  formateurBio: "Formateur_Bio"
+};
+
+// NOUVEAU: Actions dont les modifications d'un cours publié attendent la modération (voir proposerRevision).
+const ACTIONS_REVISABLES = {
+  updateCourse: updateCourse,
+  ajouterElementCours: ajouterElementCours,
+  modifierElementCours: modifierElementCours,
+  reordonnerElementsCours: reordonnerElementsCours
+};
+
+// NOUVEAU: Éléments du contenu d'un cours modifiables depuis le tableau de bord (voir ajouterElementCours).
+// feuille = préfixe de la feuille, id/parent = colonnes d'identifiant et de rattachement, typeParent = type du parent
+// (null : le parent est le cours), ordre = colonne d'ordre d'affichage, enfants = types supprimés avec l'élément,
+// champs = clé envoyée par le tableau de bord -> colonne.
+const CHAMPS_QUIZ = {
+  question: "Question",
+  reponse1: "Réponse_1",
+  reponse2: "Réponse_2",
+  reponse3: "Réponse_3",
+  reponse4: "Réponse_4",
+  bonneReponse: "Bonne_Réponse"
+};
+const ELEMENTS_COURS = {
+  module: {
+    feuille: "Modules_", id: "ID_Module", parent: "ID_Cours", typeParent: null, ordre: "Ordre_Module", enfants: ['chapitre', 'quizModule'],
+    champs: { nom: "Nom_Module", description: "Description_Module", duree: "Durée_Module", scoreQuizRequis: "Score_Quiz_Requis", chapitresRequis: "Chapitres_Requis" }
+  },
+  chapitre: {
+    feuille: "Chapitres_", id: "ID_Chapitre", parent: "ID_Module", typeParent: 'module', ordre: "Ordre_Chapitre", enfants: ['quizChapitre'],
+    champs: { nom: "Nom_Chapitre", video: "URL_Vidéo_Chapitre", duree: "Durée", ressource: "Ressource" }
+  },
+  quizChapitre: { feuille: "Quiz_Chapitres_", id: "ID_Question", parent: "ID_Chapitre", typeParent: 'chapitre', ordre: null, enfants: [], champs: CHAMPS_QUIZ },
+  quizModule: { feuille: "Quiz_Modules_", id: "ID_Question", parent: "ID_Module", typeParent: 'module', ordre: null, enfants: [], champs: CHAMPS_QUIZ }
+};
+
 
 /**
  * Point d'entrée pour les requêtes GET.
  * L'action principale est `getProducts` (conservé pour la compatibilité) qui renvoie les fiches de cours complètes.
+ * MODIFIÉ: Les fiches publiques ne contiennent plus le contenu des chapitres ni les quiz (voir retirerContenu).
+ * MODIFIÉ: Seuls les cours publiés sont renvoyés, sauf au formateur connecté (jeton facultatif) qui voit aussi ses brouillons.
  */
 function doGet(e) {
   const origin = (e && e.headers && (e.headers.Origin || e.headers.origin)) || null;
@@ -70,15 +144,37 @@ function doGet(e) {
 
     if (action === 'getProducts') {
       const categoryName = getCategoryName();
-      const fichesCours = getAllCoursData(categoryName);
+      const lecteur = e.parameter.token ? verifierToken(e.parameter.token) : null;
+      const fichesCours = getAllCoursData(categoryName, lecteur).map(retirerContenu);
       const responseData = { success: true, data: fichesCours };
       return createJsonResponse(responseData, origin);
     }
 
+    // NOUVEAU: Fiche complète d'un cours (contenu, quiz et bonnes réponses) pour l'éditeur de son formateur
+    // MODIFIÉ: + les modifications en attente de modération (revisionsEnAttente)
+    if (action === 'getContenuEdition') {
+      const session = exigerRole(verifierToken(e.parameter.token), ['Senior', 'Admin']);
+      const cours = exigerProprietaireCours(e.parameter.courseId, session);
+      const fiche = generateFicheCours(cours.cours.ID_Cours, lireDonneesCategorie(getCategoryName()));
+      fiche.revisionsEnAttente = lireRevisionsEnAttente()[cours.cours.ID_Cours] || [];
+      return createJsonResponse({ success: true, data: fiche }, origin);
+    }
+
+    // NOUVEAU: Fiches complètes (contenu et corrigés), réservées au module "Gestion Cours"
+    // qui corrige les quiz et ne sert le contenu que des modules déverrouillés
+    // MODIFIÉ: + les modifications en attente de modération, pour la file de modération
+    if (action === 'getFichesCompletes') {
+      const service = exigerRole(verifierToken(e.parameter.token), ['Service']);
+      const revisions = lireRevisionsEnAttente();
+      const fiches = getAllCoursData(getCategoryName(), service)
+        .map(fiche => ({ ...fiche, revisionsEnAttente: revisions[fiche.ID_Cours] || [] }));
+      return createJsonResponse({ success: true, data: fiches }, origin);
+    }
+
     return createJsonResponse({ success: false, error: "Action GET non reconnue." }, origin);
   } catch (error) {
     Logger.log("ERREUR dans doGet : " + error.toString());
-    return createJsonResponse({ success: false, error: error.message }, origin);
+    return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
   }
 }
 
@@ -89,49 +185,741 @@ function doPost(e) {
   const origin = (e && e.headers && (e.headers.Origin || e.headers.origin)) || null;
   try {
     const request = JSON.parse(e.postData.contents);
-    const { action, data } = request;
+    const { action, data, token } = request;
 
     switch (action) {
       case 'addCourseFromDashboard':
-        return addCourseFromDashboard(data, origin);
+        return addCourseFromDashboard(data, exigerRole(verifierToken(token), ['Senior', 'Admin']), origin);
+      case 'mettreAJourNoteCours': // NOUVEAU: Appelé par "Gestion Cours" après chaque avis
+        return mettreAJourNoteCours(data, exigerRole(verifierToken(token), ['Service']), origin);
+      case 'soumettreCoursEnRevue': // NOUVEAU: Le formateur propose son brouillon à la publication
+        return soumettreCoursEnRevue(data, exigerRole(verifierToken(token), ['Senior', 'Admin']), origin);
+      case 'changerStatutCours': // NOUVEAU: Décision de modération, appelée par "Gestion Cours"
+        return changerStatutCours(data, exigerRole(verifierToken(token), ['Service']), origin);
+      case 'appliquerRevisionsCours': // NOUVEAU: Décision de modération sur les modifications d'un cours publié
+        return appliquerRevisionsCours(data, exigerRole(verifierToken(token), ['Service']), origin);
+      case 'updateCourse': // NOUVEAU: Modale de modification du tableau de bord
+        return updateCourse(data, exigerRole(verifierToken(token), ['Senior', 'Admin']), origin);
+      case 'archiveCourse': // NOUVEAU: Retrait du catalogue par le formateur
+        return archiveCourse(data, exigerRole(verifierToken(token), ['Senior', 'Admin']), origin);
+      // NOUVEAU: Éditeur de contenu du tableau de bord (modules, chapitres, questions de quiz)
+      case 'ajouterElementCours':
+        return ajouterElementCours(data, exigerRole(verifierToken(token), ['Senior', 'Admin']), origin);
+      case 'modifierElementCours':
+        return modifierElementCours(data, exigerRole(verifierToken(token), ['Senior', 'Admin']), origin);
+      case 'supprimerElementCours':
+        return supprimerElementCours(data, exigerRole(verifierToken(token), ['Senior', 'Admin']), origin);
+      case 'reordonnerElementsCours':
+        return reordonnerElementsCours(data, exigerRole(verifierToken(token), ['Senior', 'Admin']), origin);
       default:
         return createJsonResponse({ success: false, error: `Action POST non reconnue: ${action}` }, origin);
     }
 
   } catch (error) {
     Logger.log("ERREUR dans doPost : " + error.toString());
-    return createJsonResponse({ success: false, error: error.message }, origin);
+    return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+  }
+}
+
+/**
+ * NOUVEAU: Reporte la note moyenne et le nombre d'avis calculés par "Gestion Cours" dans la feuille des cours.
+ * @param {object} data - Contient `courseId`, `noteMoyenne` et `nombreAvis`.
+ */
+function mettreAJourNoteCours(data, session, origin) {
+  const { courseId, noteMoyenne, nombreAvis } = data || {};
+  const coursSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(`Cours_${getCategoryName()}`);
+  const rows = coursSheet.getDataRange().getValues();
+  const headers = rows[0];
+  const rowIndex = rows.findIndex((row, index) => index > 0 && row[headers.indexOf("ID_Cours")] == courseId);
+  if (rowIndex === -1) {
+    return createJsonResponse({ success: false, error: `Cours ${courseId} introuvable dans cette catégorie.` }, origin);
+  }
+
+  coursSheet.getRange(rowIndex + 1, headers.indexOf("Note_Moyenne") + 1).setValue(String(noteMoyenne));
+  coursSheet.getRange(rowIndex + 1, headers.indexOf("Avis") + 1).setValue(`${nombreAvis} Avis`);
+  invalidateGlobalCache(); // onEdit ne se déclenche pas pour les modifications faites par script
+  return createJsonResponse({ success: true, data: { courseId: courseId } }, origin);
+}
+
+/**
+ * NOUVEAU: Propose un brouillon à la publication (Brouillon -> En revue). Réservé au formateur du cours.
+ * Le commentaire d'un éventuel refus précédent est effacé.
+ * @param {object} data - Contient `courseId`.
+ */
+function soumettreCoursEnRevue(data, session, origin) {
+  const cours = exigerProprietaireCours(data && data.courseId, session);
+  if (cours.statut !== STATUTS_COURS.BROUILLON) {
+    return createJsonResponse({ success: false, error: `Seul un brouillon peut être soumis (statut actuel : ${cours.statut}).` }, origin);
+  }
+  cours.sheet.getRange(cours.numeroLigne, cours.headers.indexOf("Statut") + 1).setValue(STATUTS_COURS.EN_REVUE);
+  cours.sheet.getRange(cours.numeroLigne, cours.headers.indexOf("Commentaire_Revue") + 1).setValue('');
+  return createJsonResponse({ success: true, message: "Votre cours a été soumis à l'équipe de modération." }, origin);
+}
+
+/**
+ * NOUVEAU: Applique une décision de modération transmise par "Gestion Cours".
+ * @param {object} data - Contient `courseId`, `statut`, `statutAttendu` (refus si le cours a changé d'état entre-temps)
+ *                        et `commentaire` (retour au formateur).
+ */
+function changerStatutCours(data, session, origin) {
+  const { courseId, statut, statutAttendu } = data || {};
+  if (!Object.values(STATUTS_COURS).includes(statut)) {
+    return createJsonResponse({ success: false, error: "Statut invalide." }, origin);
+  }
+  const cours = lireLigneCours(courseId);
+  if (!cours) return createJsonResponse({ success: false, error: `Cours ${courseId} introuvable dans cette catégorie.` }, origin);
+  if (statutAttendu && cours.statut !== statutAttendu) {
+    return createJsonResponse({ success: false, error: `Ce cours n'est plus "${statutAttendu}" (statut actuel : ${cours.statut}).` }, origin);
+  }
+
+  cours.sheet.getRange(cours.numeroLigne, cours.headers.indexOf("Statut") + 1).setValue(statut);
+  cours.sheet.getRange(cours.numeroLigne, cours.headers.indexOf("Commentaire_Revue") + 1).setValue(data.commentaire || '');
+  invalidateGlobalCache(); // Le catalogue public change si le cours est publié ou retiré
+  return createJsonResponse({ success: true, data: { courseId: courseId, statut: statut } }, origin);
+}
+
+/**
+ * NOUVEAU: Modifie un cours depuis le tableau de bord. Réservé au formateur du cours (ou à un Admin).
+ * Seuls les champs de CHAMPS_COURS_MODIFIABLES sont pris en compte ; chaque valeur changée est inscrite à l'historique.
+ * MODIFIÉ: Les modifications d'un formateur sur un cours publié attendent l'accord de la modération (voir proposerRevision).
+ * MODIFIÉ: Un changement de prix qui retirerait de la vente des parcours contenant le cours doit être confirmé
+ * (`confirmerRetraitParcours`), sinon il est refusé avec le code PARCOURS_IMPACTES et la liste des parcours.
+ * @param {object} data - Contient `courseId` et les champs à modifier (mêmes clés qu'à la création : nom, resume, prix...).
+ */
+function updateCourse(data, session, origin) {
+  const cours = exigerProprietaireCours(data && data.courseId, session);
+  if (cours.statut === STATUTS_COURS.ARCHIVE) {
+    return createJsonResponse({ success: false, error: "Un cours archivé ne peut plus être modifié." }, origin);
+  }
+  if (data.nom !== undefined && !String(data.nom).trim()) {
+    return createJsonResponse({ success: false, error: "Le nom du cours est obligatoire." }, origin);
+  }
+  if (data.prix !== undefined && (String(data.prix).trim() === '' || isNaN(Number(data.prix)) || Number(data.prix) < 0)) {
+    return createJsonResponse({ success: false, error: "Le prix doit être un nombre positif." }, origin);
+  }
+
+  const modifications = {};
+  Object.keys(CHAMPS_COURS_MODIFIABLES).forEach(cle => {
+    if (data[cle] === undefined || data[cle] === null) return;
+    const colonne = CHAMPS_COURS_MODIFIABLES[cle];
+    const valeur = cle === 'prix' ? Number(data[cle]) : String(data[cle]).trim();
+    if (String(valeur) !== String(cours.cours[colonne])) {
+      modifications[colonne] = { avant: cours.cours[colonne], apres: valeur };
+    }
+  });
+  if (Object.keys(modifications).length === 0) {
+    return createJsonResponse({ success: true, data: { courseId: data.courseId, champs: [] }, message: "Aucune modification à enregistrer." }, origin);
+  }
+  if (modifications.Prix && cours.statut === STATUTS_COURS.PUBLIE && data.confirmerRetraitParcours !== true) {
+    const parcours = parcoursRetiresParPrix(data.courseId, modifications.Prix.apres);
+    if (parcours.length > 0) {
+      return createJsonResponse({
+        success: false,
+        code: 'PARCOURS_IMPACTES',
+        data: { parcours: parcours },
+        error: `À ce prix, ces parcours ne coûteraient plus moins cher que leurs cours achetés séparément et seraient retirés de la vente : ${parcours.join(', ')}. Confirmez-vous ce prix ?`
+      }, origin);
+    }
+  }
+  if (doitPasserEnRevision(cours, session)) {
+    return proposerRevision(data.courseId, 'updateCourse', data, modifications, session, origin);
+  }
+
+  Object.keys(modifications).forEach(colonne => {
+    cours.sheet.getRange(cours.numeroLigne, cours.headers.indexOf(colonne) + 1).setValue(modifications[colonne].apres);
+  });
+  journaliserModificationCours(data.courseId, 'Modification', session, modifications);
+  invalidateGlobalCache(); // onEdit ne se déclenche pas pour les modifications faites par script
+  return createJsonResponse({ success: true, data: { courseId: data.courseId, champs: Object.keys(modifications) }, message: "Cours mis à jour." }, origin);
+}
+
+/**
+ * NOUVEAU: Parcours du catalogue central (voir construireParcours) que le cours ferait retirer de la vente à ce prix :
+ * un parcours n'est proposé que s'il coûte moins cher que ses cours achetés séparément.
+ * Un catalogue injoignable ne bloque pas la modification (l'erreur est journalisée).
+ * @param {string} courseId - L'ID du cours.
+ * @param {number} nouveauPrix - Le prix demandé.
+ * @returns {string[]} Les noms des parcours concernés.
+ */
+function parcoursRetiresParPrix(courseId, nouveauPrix) {
+  try {
+    const response = UrlFetchApp.fetch(CENTRAL_ADMIN_API_URL + "?action=getPublicCatalog", { method: 'get', muteHttpExceptions: true });
+    const result = JSON.parse(response.getContentText());
+    return ((result.data && result.data.parcours) || [])
+      .filter(parcours => {
+        const cours = parcours.cours.find(c => c.ID_Cours == courseId);
+        return cours && parcours.Prix >= parcours.Prix_Cours - cours.Prix + nouveauPrix;
+      })
+      .map(parcours => parcours.Nom_Parcours);
+  } catch (e) {
+    Logger.log("Impossible de vérifier les parcours du cours " + courseId + " : " + e.message);
+    return [];
+  }
+}
+
+/**
+ * NOUVEAU: Archive un cours : il disparaît du catalogue et ne peut plus être acheté, mais rien n'est supprimé,
+ * ses apprenants gardent donc leur accès (le module "Gestion Cours" lit les fiches de tous les statuts).
+ * Réservé au formateur du cours (ou à un Admin).
+ * @param {object} data - Contient `courseId` et, facultativement, `motif`.
+ */
+function archiveCourse(data, session, origin) {
+  const cours = exigerProprietaireCours(data && data.courseId, session);
+  if (cours.statut === STATUTS_COURS.ARCHIVE) {
+    return createJsonResponse({ success: false, error: "Ce cours est déjà archivé." }, origin);
+  }
+
+  cours.sheet.getRange(cours.numeroLigne, cours.headers.indexOf("Statut") + 1).setValue(STATUTS_COURS.ARCHIVE);
+  journaliserModificationCours(data.courseId, 'Archivage', session, {
+    Statut: { avant: cours.statut, apres: STATUTS_COURS.ARCHIVE },
+    motif: data.motif || ''
+  });
+  invalidateGlobalCache(); // Retire le cours du catalogue public
+  return createJsonResponse({ success: true, data: { courseId: data.courseId, statut: STATUTS_COURS.ARCHIVE }, message: "Cours archivé. Ses apprenants y gardent accès." }, origin);
+}
+
+/**
+ * NOUVEAU: Inscrit une modification de cours dans la feuille "Historique_<Catégorie>" (créée au besoin,
+ * pour les catégories initialisées avant son ajout).
+ * @param {string} courseId - L'ID du cours modifié.
+ * @param {string} action - Ex: "Modification", "Archivage".
+ * @param {object} session - L'identité vérifiée de l'auteur.
+ * @param {object} details - Les valeurs avant/après, enregistrées en JSON.
+ */
+function journaliserModificationCours(courseId, action, session, details) {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const nomFeuille = `Historique_${getCategoryName()}`;
+    let sheet = ss.getSheetByName(nomFeuille);
+    if (!sheet) {
+      sheet = ss.insertSheet(nomFeuille);
+      sheet.appendRow(EN_TETES_HISTORIQUE);
+      sheet.setFrozenRows(1);
+    }
+    sheet.appendRow([new Date(), courseId, action, session.id, session.nom, JSON.stringify(details)]);
+  } catch (e) {
+    Logger.log("Échec de la journalisation de la modification : " + e.message);
+  }
+}
+
+// --- NOUVEAU: MODIFICATIONS D'UN COURS PUBLIÉ (RÉVISIONS) ---
+
+/**
+ * NOUVEAU: Indique si une modification doit attendre la modération : celles d'un formateur sur un cours publié.
+ * Un Admin modère lui-même, et une révision approuvée est rejouée avec un jeton de service (voir appliquerRevisionsCours).
+ * @param {{statut: string}} cours - Voir lireLigneCours.
+ * @param {object} session - L'identité vérifiée de l'auteur.
+ * @returns {boolean}
+ */
+function doitPasserEnRevision(cours, session) {
+  return cours.statut === STATUTS_COURS.PUBLIE && session.role === 'Senior';
+}
+
+/**
+ * NOUVEAU: Met en attente de modération une modification déjà validée d'un cours publié. Le cours reste en vente
+ * tel quel jusqu'à la décision de l'admin (action appliquerRevisionsCours, appelée par "Gestion Cours").
+ * @param {string} courseId - L'ID du cours.
+ * @param {string} action - L'action POST à rejouer à l'approbation (voir ACTIONS_REVISABLES).
+ * @param {object} data - Les données de l'action, telles qu'envoyées.
+ * @param {object} modifications - Le résumé de la modification pour le modérateur (ex: valeurs avant/après).
+ * @param {object} session - L'identité vérifiée de l'auteur.
+ */
+function proposerRevision(courseId, action, data, modifications, session, origin) {
+  const { sheet } = lireFeuilleRevisions();
+  const revisionId = `REV-${new Date().getTime()}-${Math.floor(Math.random() * 1000)}`;
+  sheet.appendRow([revisionId, courseId, action, JSON.stringify(data), JSON.stringify(modifications), session.id, session.nom, new Date(), STATUTS_REVISION.EN_ATTENTE, '', '']);
+  return createJsonResponse({
+    success: true,
+    data: { courseId: courseId, revisionId: revisionId, enAttente: true },
+    message: "Ce cours est publié : votre modification sera appliquée après validation par l'équipe de modération."
+  }, origin);
+}
+
+/**
+ * NOUVEAU: Lit la feuille des révisions, créée au besoin.
+ * @returns {{sheet: Sheet, headers: string[], rows: Array<Array>}} Les lignes sans l'en-tête.
+ */
+function lireFeuilleRevisions() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const nomFeuille = `Revisions_${getCategoryName()}`;
+  let sheet = ss.getSheetByName(nomFeuille);
+  if (!sheet) {
+    sheet = ss.insertSheet(nomFeuille);
+    sheet.appendRow(EN_TETES_REVISIONS);
+    sheet.setFrozenRows(1);
+  }
+  const rows = sheet.getDataRange().getValues();
+  return { sheet: sheet, headers: rows.shift(), rows: rows };
+}
+
+/**
+ * NOUVEAU: Modifications en attente de modération, dans l'ordre où elles ont été proposées.
+ * @returns {Object<string, Array<{ID_Revision: string, Action: string, Modifications: Object, Auteur_Nom: string, Date_Demande: Date}>>}
+ *          Indexées par ID_Cours.
+ */
+function lireRevisionsEnAttente() {
+  const { headers, rows } = lireFeuilleRevisions();
+  const col = nom => headers.indexOf(nom);
+  return rows
+    .filter(row => row[col("Statut")] === STATUTS_REVISION.EN_ATTENTE)
+    .reduce((parCours, row) => {
+      (parCours[row[col("ID_Cours")]] = parCours[row[col("ID_Cours")]] || []).push({
+        ID_Revision: row[col("ID_Revision")],
+        Action: row[col("Action")],
+        Modifications: JSON.parse(row[col("Modifications")] || '{}'),
+        Auteur_Nom: row[col("Auteur_Nom")],
+        Date_Demande: row[col("Date_Demande")]
+      });
+      return parCours;
+    }, {});
+}
+
+/**
+ * NOUVEAU: Applique (dans l'ordre où elles ont été proposées) ou rejette toutes les modifications en attente d'un cours.
+ * Chaque révision approuvée est rejouée au nom de son auteur, avec les mêmes contrôles qu'à la proposition :
+ * une révision devenue inapplicable est marquée "Échouée" avec l'erreur, sans bloquer les suivantes.
+ * @param {object} data - Contient `courseId`, `approuver` (booléen) et `commentaire` (retour au formateur).
+ */
+function appliquerRevisionsCours(data, session, origin) {
+  const { courseId } = data || {};
+  const approuver = data && data.approuver === true;
+  if (!lireLigneCours(courseId)) return createJsonResponse({ success: false, error: `Cours ${courseId} introuvable dans cette catégorie.` }, origin);
+
+  const { sheet, headers, rows } = lireFeuilleRevisions();
+  const col = nom => headers.indexOf(nom);
+  const revisions = rows
+    .map((row, index) => ({ row: row, numeroLigne: index + 2 }))
+    .filter(({ row }) => row[col("ID_Cours")] == courseId && row[col("Statut")] === STATUTS_REVISION.EN_ATTENTE);
+  if (revisions.length === 0) {
+    return createJsonResponse({ success: false, error: "Ce cours n'a aucune modification en attente." }, origin);
+  }
+
+  const echecs = [];
+  revisions.forEach(({ row, numeroLigne }) => {
+    let statut = STATUTS_REVISION.REJETEE;
+    let commentaire = data.commentaire || '';
+    if (approuver) {
+      const auteur = { id: row[col("Auteur_ID")], nom: row[col("Auteur_Nom")], role: 'Service' };
+      const resultat = rejouerRevision(row[col("Action")], JSON.parse(row[col("Données")]), auteur);
+      statut = resultat.success ? STATUTS_REVISION.APPROUVEE : STATUTS_REVISION.ECHOUEE;
+      if (!resultat.success) {
+        commentaire = resultat.error;
+        echecs.push({ revisionId: row[col("ID_Revision")], action: row[col("Action")], erreur: resultat.error });
+      }
+    }
+    sheet.getRange(numeroLigne, col("Statut") + 1).setValue(statut);
+    sheet.getRange(numeroLigne, col("Date_Decision") + 1).setValue(new Date());
+    sheet.getRange(numeroLigne, col("Commentaire") + 1).setValue(commentaire);
+  });
+
+  return createJsonResponse({
+    success: true,
+    data: { courseId: courseId, appliquees: approuver ? revisions.length - echecs.length : 0, echecs: echecs }
+  }, origin);
+}
+
+/**
+ * NOUVEAU: Rejoue une action mise en attente par proposerRevision.
+ * @param {string} action - L'action (clé de ACTIONS_REVISABLES).
+ * @param {object} donnees - Les données de l'action.
+ * @param {object} auteur - L'auteur de la révision, avec le rôle 'Service' (la modification n'est plus remise en attente).
+ * @returns {{success: boolean, error: string}}
+ */
+function rejouerRevision(action, donnees, auteur) {
+  if (!ACTIONS_REVISABLES.hasOwnProperty(action)) return { success: false, error: `Action inconnue : ${action}` };
+  try {
+    return JSON.parse(ACTIONS_REVISABLES[action](donnees, auteur, null).getContent());
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * NOUVEAU: Lit la ligne d'un cours de la feuille "Cours_<Catégorie>".
+ * @param {string} courseId - L'ID du cours.
+ * @returns {{sheet: Sheet, headers: string[], numeroLigne: number, cours: Object, statut: string}|null}
+ */
+function lireLigneCours(courseId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(`Cours_${getCategoryName()}`);
+  const rows = sheet.getDataRange().getValues();
+  const headers = rows.shift();
+  const rowIndex = rows.findIndex(row => row[headers.indexOf("ID_Cours")] == courseId);
+  if (!courseId || rowIndex === -1) return null;
+  const cours = headers.reduce((obj, header, index) => ({ ...obj, [header]: rows[rowIndex][index] }), {});
+  return { sheet: sheet, headers: headers, numeroLigne: rowIndex + 2, cours: cours, statut: statutDuCours(cours) };
+}
+
+/**
+ * NOUVEAU: Comme lireLigneCours, mais refuse l'accès à qui n'est ni le formateur du cours ni un Admin.
+ * @throws {Error} COURS_INTROUVABLE ou ACCES_REFUSE.
+ */
+function exigerProprietaireCours(courseId, session) {
+  const cours = lireLigneCours(courseId);
+  if (!cours) throw creerErreur("Cours introuvable.", 'COURS_INTROUVABLE');
+  if (session.role !== 'Admin' && !estFormateurDuCours(cours.cours, session)) {
+    throw creerErreur("Vous ne pouvez modifier que vos propres cours.", 'ACCES_REFUSE');
+  }
+  return cours;
+}
+
+/**
+ * NOUVEAU: Indique si l'appelant est le formateur d'un cours. Même règle que filtrerCoursDuFormateur ("Gestion Cours") :
+ * les cours créés avant la colonne Formateur_ID appartiennent au formateur qui porte leur Formateur_Nom.
+ * @param {Object} cours - Une ligne de la feuille des cours.
+ * @param {{id: string, nom: string}} session - L'identité vérifiée de l'appelant.
+ * @returns {boolean}
+ */
+function estFormateurDuCours(cours, session) {
+  return cours.Formateur_ID ? cours.Formateur_ID === session.id : cours.Formateur_Nom === session.nom;
+}
+
+/**
+ * NOUVEAU: Statut d'un cours ; les cours créés avant la colonne Statut sont publiés.
+ * @param {Object} cours - Une ligne de la feuille des cours.
+ * @returns {string}
+ */
+function statutDuCours(cours) {
+  return cours.Statut || STATUTS_COURS.PUBLIE;
+}
+
+// --- NOUVEAU: ÉDITION DU CONTENU (MODULES, CHAPITRES, QUIZ) ---
+
+/**
+ * NOUVEAU: Ajoute un module, un chapitre ou une question de quiz à un cours du formateur.
+ * Les modules et chapitres sont placés en dernier (Ordre_Module / Ordre_Chapitre).
+ * MODIFIÉ: Sur un cours publié, l'ajout d'un formateur attend la modération (voir proposerRevision) ; l'élément,
+ * qui n'existe pas encore, ne peut pas recevoir de contenu avant l'approbation.
+ * @param {object} data - Contient `type` (voir ELEMENTS_COURS), `parentId` (cours, module ou chapitre) et `champs`.
+ */
+function ajouterElementCours(data, session, origin) {
+  const { type, parentId } = data || {};
+  const desc = descripteurElement(type);
+  const cours = exigerProprietaireContenu(type, parentId, session);
+  if (desc.id === "ID_Question") figerIdsQuestions(type, parentId);
+
+  const valeurs = lireChampsElement(type, data.champs);
+  const erreur = validerElement(type, valeurs);
+  if (erreur) return createJsonResponse({ success: false, error: erreur }, origin);
+  if (doitPasserEnRevision(cours, session)) {
+    return proposerRevision(cours.cours.ID_Cours, 'ajouterElementCours', data, { type: type, [desc.parent]: parentId, ...valeurs }, session, origin);
+  }
+
+  const { sheet, headers, rows } = lireFeuilleElements(type);
+  const freres = rows.filter(row => row[headers.indexOf(desc.parent)] == parentId);
+  const element = { ...valeurs, [desc.parent]: parentId };
+  if (desc.id === "ID_Question") {
+    const rangs = freres.map(row => parseInt(String(row[headers.indexOf(desc.id)]).split('-Q').pop(), 10) || 0);
+    element[desc.id] = `${parentId}-Q${Math.max(0, ...rangs) + 1}`;
+  } else {
+    element[desc.id] = `${type === 'module' ? 'M' : 'CH'}-${new Date().getTime().toString().slice(-6)}`;
+    element[desc.ordre] = Math.max(0, ...freres.map(row => Number(row[headers.indexOf(desc.ordre)]) || 0)) + 1;
+  }
+
+  sheet.appendRow(headers.map(header => element[header] !== undefined ? element[header] : ''));
+  journaliserModificationCours(cours.cours.ID_Cours, `Ajout (${type})`, session, element);
+  if (cours.statut === STATUTS_COURS.PUBLIE) invalidateGlobalCache(); // Le plan du cours est affiché au catalogue
+  return createJsonResponse({ success: true, data: { id: element[desc.id] } }, origin);
+}
+
+/**
+ * NOUVEAU: Modifie les champs d'un module, d'un chapitre ou d'une question de quiz.
+ * MODIFIÉ: Sur un cours publié, la modification d'un formateur attend la modération (voir proposerRevision).
+ * @param {object} data - Contient `type`, `id` et `champs`.
+ */
+function modifierElementCours(data, session, origin) {
+  const { type, id } = data || {};
+  const cible = lireElementAutorise(type, id, session);
+  const valeurs = lireChampsElement(type, data.champs);
+  const erreur = validerElement(type, { ...cible.element, ...valeurs });
+  if (erreur) return createJsonResponse({ success: false, error: erreur }, origin);
+
+  const modifications = {};
+  Object.keys(valeurs).forEach(colonne => {
+    if (String(valeurs[colonne]) !== String(cible.element[colonne])) {
+      modifications[colonne] = { avant: cible.element[colonne], apres: valeurs[colonne] };
+    }
+  });
+  if (Object.keys(modifications).length === 0) {
+    return createJsonResponse({ success: true, data: { id: id, champs: [] } }, origin);
+  }
+  if (doitPasserEnRevision(cible.cours, session)) {
+    return proposerRevision(cible.cours.cours.ID_Cours, 'modifierElementCours', data, { type: type, id: id, ...modifications }, session, origin);
+  }
+
+  Object.keys(modifications).forEach(colonne => {
+    cible.sheet.getRange(cible.numeroLigne, cible.headers.indexOf(colonne) + 1).setValue(modifications[colonne].apres);
+  });
+  journaliserModificationCours(cible.cours.cours.ID_Cours, `Modification (${type} ${id})`, session, modifications);
+  if (cible.cours.statut === STATUTS_COURS.PUBLIE) invalidateGlobalCache();
+  return createJsonResponse({ success: true, data: { id: id, champs: Object.keys(modifications) } }, origin);
+}
+
+/**
+ * NOUVEAU: Supprime un élément et tout ce qu'il contient (un module emporte ses chapitres et leurs quiz).
+ * Impossible une fois le cours publié : la progression et les réponses des apprenants y font référence.
+ * @param {object} data - Contient `type` et `id`.
+ */
+function supprimerElementCours(data, session, origin) {
+  const { type, id } = data || {};
+  const desc = descripteurElement(type);
+  const cible = lireElementAutorise(type, id, session);
+  if (![STATUTS_COURS.BROUILLON, STATUTS_COURS.EN_REVUE].includes(cible.cours.statut)) {
+    return createJsonResponse({ success: false, error: "Le contenu d'un cours publié ne peut plus être supprimé, car des apprenants le suivent. Modifiez-le plutôt." }, origin);
+  }
+
+  supprimerElementsEnfants(type, id);
+  cible.sheet.deleteRow(cible.numeroLigne);
+  if (desc.ordre) {
+    // Les éléments suivants remontent d'un rang
+    const { headers, rows } = lireFeuilleElements(type);
+    const restants = rows
+      .filter(row => row[headers.indexOf(desc.parent)] == cible.element[desc.parent])
+      .sort((a, b) => a[headers.indexOf(desc.ordre)] - b[headers.indexOf(desc.ordre)])
+      .map(row => row[headers.indexOf(desc.id)]);
+    ecrireOrdreElements(type, restants);
+  }
+  journaliserModificationCours(cible.cours.cours.ID_Cours, `Suppression (${type} ${id})`, session, cible.element);
+  return createJsonResponse({ success: true, data: { id: id } }, origin);
+}
+
+/**
+ * NOUVEAU: Change l'ordre des modules d'un cours ou des chapitres d'un module.
+ * MODIFIÉ: Sur un cours publié, le nouvel ordre proposé par un formateur attend la modération (voir proposerRevision).
+ * @param {object} data - Contient `type` ('module' ou 'chapitre'), `parentId` et `ordre` (tous les IDs, dans le nouvel ordre).
+ */
+function reordonnerElementsCours(data, session, origin) {
+  const { type, parentId, ordre } = data || {};
+  const desc = descripteurElement(type);
+  if (!desc.ordre) return createJsonResponse({ success: false, error: "Ces éléments ne peuvent pas être réordonnés." }, origin);
+  const cours = exigerProprietaireContenu(type, parentId, session);
+
+  const { headers, rows } = lireFeuilleElements(type);
+  const actuels = rows.filter(row => row[headers.indexOf(desc.parent)] == parentId).map(row => String(row[headers.indexOf(desc.id)]));
+  const demandes = (Array.isArray(ordre) ? ordre : []).map(String);
+  if (demandes.length !== actuels.length || actuels.some(idElement => !demandes.includes(idElement))) {
+    return createJsonResponse({ success: false, error: "L'ordre envoyé ne correspond plus au contenu du cours. Rechargez la page." }, origin);
+  }
+  if (doitPasserEnRevision(cours, session)) {
+    return proposerRevision(cours.cours.ID_Cours, 'reordonnerElementsCours', data, { type: type, [desc.parent]: parentId, ordre: demandes }, session, origin);
+  }
+
+  ecrireOrdreElements(type, demandes);
+  journaliserModificationCours(cours.cours.ID_Cours, `Réorganisation (${type})`, session, { [desc.parent]: parentId, ordre: demandes });
+  if (cours.statut === STATUTS_COURS.PUBLIE) invalidateGlobalCache();
+  return createJsonResponse({ success: true, data: { ordre: demandes } }, origin);
+}
+
+/**
+ * NOUVEAU: Descripteur d'un type d'élément de cours.
+ * @throws {Error} TYPE_INVALIDE si le type est inconnu.
+ */
+function descripteurElement(type) {
+  if (!ELEMENTS_COURS.hasOwnProperty(type)) throw creerErreur("Type d'élément inconnu.", 'TYPE_INVALIDE');
+  return ELEMENTS_COURS[type];
+}
+
+/**
+ * NOUVEAU: Lit la feuille d'un type d'élément. Les feuilles de quiz créées avant la colonne ID_Question la reçoivent.
+ * @returns {{sheet: Sheet, headers: string[], rows: Array<Array>}} Les lignes sans l'en-tête.
+ */
+function lireFeuilleElements(type) {
+  const desc = descripteurElement(type);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(desc.feuille + getCategoryName());
+  const rows = sheet.getDataRange().getValues();
+  const headers = rows.shift();
+  if (!headers.includes(desc.id)) {
+    sheet.getRange(1, headers.length + 1).setValue(desc.id).setFontWeight("bold");
+    headers.push(desc.id);
+    rows.forEach(row => row.push(''));
+  }
+  return { sheet: sheet, headers: headers, rows: rows };
+}
+
+/**
+ * NOUVEAU: Retrouve le cours auquel appartient le parent d'un élément, en remontant module et chapitre.
+ * @param {string} type - Le type de l'élément (son parent est du type ELEMENTS_COURS[type].typeParent).
+ * @param {string} parentId - L'ID du parent.
+ * @returns {string} L'ID du cours.
+ */
+function idCoursDuParent(type, parentId) {
+  const typeParent = descripteurElement(type).typeParent;
+  if (!typeParent) return parentId;
+  const descParent = ELEMENTS_COURS[typeParent];
+  const { headers, rows } = lireFeuilleElements(typeParent);
+  const ligne = rows.find(row => parentId && row[headers.indexOf(descParent.id)] == parentId);
+  if (!ligne) throw creerErreur("Élément parent introuvable.", 'ELEMENT_INTROUVABLE');
+  return idCoursDuParent(typeParent, ligne[headers.indexOf(descParent.parent)]);
+}
+
+/**
+ * NOUVEAU: Vérifie que l'appelant peut modifier le contenu rattaché à `parentId` (voir exigerProprietaireCours).
+ * @throws {Error} COURS_INTROUVABLE, ACCES_REFUSE ou COURS_ARCHIVE.
+ */
+function exigerProprietaireContenu(type, parentId, session) {
+  const cours = exigerProprietaireCours(idCoursDuParent(type, parentId), session);
+  if (cours.statut === STATUTS_COURS.ARCHIVE) throw creerErreur("Un cours archivé ne peut plus être modifié.", 'COURS_ARCHIVE');
+  return cours;
+}
+
+/**
+ * NOUVEAU: Lit un élément après avoir vérifié que l'appelant peut le modifier.
+ * Le parent d'une question se déduit de son ID ("<parent>-Q<rang>"), ce qui permet de figer les IDs avant la recherche.
+ * @returns {{sheet: Sheet, headers: string[], numeroLigne: number, element: Object, cours: Object}}
+ * @throws {Error} ELEMENT_INTROUVABLE, en plus des erreurs de exigerProprietaireContenu.
+ */
+function lireElementAutorise(type, id, session) {
+  const desc = descripteurElement(type);
+  let cours = null;
+  if (desc.id === "ID_Question") {
+    const parentId = String(id || '').replace(/-Q\d+$/, '');
+    cours = exigerProprietaireContenu(type, parentId, session);
+    figerIdsQuestions(type, parentId);
   }
+
+  const { sheet, headers, rows } = lireFeuilleElements(type);
+  const index = rows.findIndex(row => id && row[headers.indexOf(desc.id)] == id);
+  if (index === -1) throw creerErreur("Élément introuvable.", 'ELEMENT_INTROUVABLE');
+  const element = headers.reduce((obj, header, col) => ({ ...obj, [header]: rows[index][col] }), {});
+  return {
+    sheet: sheet,
+    headers: headers,
+    numeroLigne: index + 2,
+    element: element,
+    cours: cours || exigerProprietaireContenu(type, element[desc.parent], session)
+  };
+}
+
+/**
+ * NOUVEAU: Inscrit dans la feuille l'ID de chaque question d'un chapitre ou d'un module qui n'en a pas encore.
+ * Sans ID écrit, une question est identifiée par son rang (voir getQuizByChapitre), qui changerait à la suppression
+ * d'une question précédente et mélangerait les réponses déjà enregistrées par les apprenants.
+ */
+function figerIdsQuestions(type, parentId) {
+  const desc = descripteurElement(type);
+  const { sheet, headers, rows } = lireFeuilleElements(type);
+  let rang = 0;
+  rows.forEach((row, index) => {
+    if (row[headers.indexOf(desc.parent)] != parentId) return;
+    rang++;
+    if (!row[headers.indexOf(desc.id)]) {
+      sheet.getRange(index + 2, headers.indexOf(desc.id) + 1).setValue(`${parentId}-Q${rang}`);
+    }
+  });
+}
+
+/**
+ * NOUVEAU: Supprime les éléments rattachés à un élément (chapitres et quiz d'un module, quiz d'un chapitre).
+ */
+function supprimerElementsEnfants(type, id) {
+  ELEMENTS_COURS[type].enfants.forEach(typeEnfant => {
+    const descEnfant = ELEMENTS_COURS[typeEnfant];
+    const { sheet, headers, rows } = lireFeuilleElements(typeEnfant);
+    // De bas en haut, pour que la suppression d'une ligne ne décale pas les suivantes
+    for (let i = rows.length - 1; i >= 0; i--) {
+      if (rows[i][headers.indexOf(descEnfant.parent)] == id) {
+        supprimerElementsEnfants(typeEnfant, rows[i][headers.indexOf(descEnfant.id)]);
+        sheet.deleteRow(i + 2);
+      }
+    }
+  });
+}
+
+/**
+ * NOUVEAU: Numérote les éléments dans l'ordre donné (1, 2, 3...).
+ * @param {string} type - 'module' ou 'chapitre'.
+ * @param {string[]} ids - Les IDs des éléments, dans l'ordre voulu.
+ */
+function ecrireOrdreElements(type, ids) {
+  const desc = descripteurElement(type);
+  const { sheet, headers, rows } = lireFeuilleElements(type);
+  rows.forEach((row, index) => {
+    const rang = ids.indexOf(String(row[headers.indexOf(desc.id)]));
+    if (rang !== -1 && row[headers.indexOf(desc.ordre)] !== rang + 1) {
+      sheet.getRange(index + 2, headers.indexOf(desc.ordre) + 1).setValue(rang + 1);
+    }
+  });
+}
+
+/**
+ * NOUVEAU: Ne garde des champs envoyés que ceux du type d'élément, indexés par nom de colonne.
+ * @returns {Object<string, string>}
+ */
+function lireChampsElement(type, champs) {
+  const desc = descripteurElement(type);
+  const valeurs = {};
+  Object.keys(desc.champs).forEach(cle => {
+    if (champs && champs[cle] !== undefined && champs[cle] !== null) valeurs[desc.champs[cle]] = String(champs[cle]).trim();
+  });
+  return valeurs;
+}
+
+/**
+ * NOUVEAU: Vérifie un élément complet (valeurs actuelles et modifications).
+ * @param {string} type - Le type d'élément.
+ * @param {Object} element - L'élément, indexé par nom de colonne.
+ * @returns {string|null} Le message d'erreur, ou null si l'élément est valide.
+ */
+function validerElement(type, element) {
+  const desc = descripteurElement(type);
+  if (desc.champs === CHAMPS_QUIZ) {
+    const reponses = ["Réponse_1", "Réponse_2", "Réponse_3", "Réponse_4"].map(colonne => String(element[colonne] || '').trim()).filter(Boolean);
+    if (!String(element.Question || '').trim()) return "L'intitulé de la question est obligatoire.";
+    if (reponses.length < 2) return "Une question doit proposer au moins deux réponses.";
+    if (!reponses.includes(String(element.Bonne_Réponse || '').trim())) return "La bonne réponse doit être l'une des réponses proposées.";
+    return null;
+  }
+  if (!String(element[desc.champs.nom] || '').trim()) return "Le nom est obligatoire.";
+  const score = element.Score_Quiz_Requis;
+  if (type === 'module' && score !== undefined && String(score).trim() !== '' && !(Number(score) >= 0 && Number(score) <= 100)) {
+    return "Le score requis doit être un pourcentage entre 0 et 100.";
+  }
+  return null;
 }
 
 // --- LOGIQUE MÉTIER : ASSEMBLAGE DES DONNÉES DE COURS ---
 
 /**
  * Fonction principale qui orchestre la récupération et l'assemblage de toutes les données de cours.
+ * MODIFIÉ: Seuls les cours publiés sont assemblés pour le public. Un formateur voit aussi ses autres cours (aperçu),
+ * un Admin ou un service (ex: "Gestion Cours", pour les apprenants d'un cours archivé) les voit tous.
  * @param {string} categoryName - Le nom de la catégorie (ex: "Backend").
+ * @param {object|null} [lecteur] - L'identité vérifiée de l'appelant, s'il en a fourni une.
  * @returns {Array<Object>} Un tableau de fiches de cours complètes.
  */
-function getAllCoursData(categoryName) {
+function getAllCoursData(categoryName, lecteur) {
   Logger.log(`Début de l'assemblage pour la catégorie : ${categoryName}`);
 
   // 1. Lire toutes les données de toutes les feuilles en une seule fois pour l'efficacité.
-  const allData = {
-    cours: sheetToJSON(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(`Cours_${categoryName}`)),
-    modules: sheetToJSON(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(`Modules_${categoryName}`)),
-    chapitres: sheetToJSON(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(`Chapitres_${categoryName}`)),
-    quizChapitres: sheetToJSON(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(`Quiz_Chapitres_${categoryName}`)),
-    quizModules: sheetToJSON(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(`Quiz_Modules_${categoryName}`))
-  };
+  const allData = lireDonneesCategorie(categoryName);
 
   Logger.log(`Données brutes lues : ${allData.cours.length} cours, ${allData.modules.length} modules, ${allData.chapitres.length} chapitres.`);
 
-  // 2. Pour chaque cours, générer sa fiche complète.
-  const fichesCompletes = allData.cours.map(cours => generateFicheCours(cours.ID_Cours, allData));
+  // 2. Pour chaque cours visible par le lecteur, générer sa fiche complète.
+  const voitTout = lecteur && ['Admin', 'Service'].includes(lecteur.role);
+  const fichesCompletes = allData.cours
+    .filter(cours => voitTout || statutDuCours(cours) === STATUTS_COURS.PUBLIE || (lecteur && estFormateurDuCours(cours, lecteur)))
+    .map(cours => generateFicheCours(cours.ID_Cours, allData));
 
   Logger.log("Toutes les fiches de cours ont été générées.");
   return fichesCompletes.filter(f => f !== null);
 }
 
+/**
+ * NOUVEAU: Lit en une fois toutes les feuilles de la catégorie (extrait de getAllCoursData, réutilisé par l'éditeur).
+ * @param {string} categoryName - Le nom de la catégorie.
+ * @returns {Object} Les lignes de chaque feuille (voir generateFicheCours).
+ */
+function lireDonneesCategorie(categoryName) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  return {
+    cours: sheetToJSON(ss.getSheetByName(`Cours_${categoryName}`)),
+    modules: sheetToJSON(ss.getSheetByName(`Modules_${categoryName}`)),
+    chapitres: sheetToJSON(ss.getSheetByName(`Chapitres_${categoryName}`)),
+    quizChapitres: sheetToJSON(ss.getSheetByName(`Quiz_Chapitres_${categoryName}`)),
+    quizModules: sheetToJSON(ss.getSheetByName(`Quiz_Modules_${categoryName}`))
+  };
+}
+
 /**
  * Génère une fiche de cours complète et structurée pour un ID de cours donné.
  * @param {string} idCours - L'ID du cours à assembler.
@@ -168,6 +956,7 @@ function generateFicheCours(idCours, allData) {
   // 4. Assembler la fiche finale.
   const ficheFinale = {
     ...coursBase,
+    Statut: statutDuCours(coursBase), // NOUVEAU
     modules: modulesDuCours
   };
 
@@ -185,12 +974,30 @@ function getChapitresByModule(idModule, allChapitres) {
   return allChapitres.filter(c => c.ID_Module == idModule).sort((a, b) => a.Ordre_Chapitre - b.Ordre_Chapitre);
 }
 
+// MODIFIÉ: Chaque question reçoit un identifiant stable (ID de l'élément + rang de la question)
+// MODIFIÉ: ...sauf si la colonne ID_Question en fixe un (questions gérées depuis le tableau de bord, voir figerIdsQuestions)
 function getQuizByChapitre(idChapitre, allQuiz) {
-  return allQuiz.filter(q => q.ID_Chapitre == idChapitre);
+  return allQuiz.filter(q => q.ID_Chapitre == idChapitre).map((q, index) => ({ ...q, ID_Question: q.ID_Question || `${idChapitre}-Q${index + 1}` }));
 }
 
 function getQuizByModule(idModule, allQuiz) {
-  return allQuiz.filter(q => q.ID_Module == idModule);
+  return allQuiz.filter(q => q.ID_Module == idModule).map((q, index) => ({ ...q, ID_Question: q.ID_Question || `${idModule}-Q${index + 1}` }));
+}
+
+// --- NOUVEAU: CONTENU RÉSERVÉ ---
+
+/**
+ * Retire d'une fiche de cours ce qui ne doit pas être public : vidéos et ressources des chapitres,
+ * quiz et bonnes réponses. Le plan du cours (modules, chapitres, durées) reste visible.
+ * @param {Object} fiche - La fiche de cours complète (voir generateFicheCours).
+ * @returns {Object} La fiche allégée.
+ */
+function retirerContenu(fiche) {
+  fiche.modules.forEach(module => {
+    delete module.quiz;
+    module.chapitres = module.chapitres.map(({ URL_Vidéo_Chapitre, Ressource, quiz, ...chapitre }) => chapitre);
+  });
+  return fiche;
 }
 
 // --- FONCTIONS UTILITAIRES ---
@@ -232,6 +1039,64 @@ function createJsonResponse(data, origin) {
   return output;
 }
 
+/**
+ * NOUVEAU: Crée une erreur portant un code exploitable par le front-end (ex: 'TOKEN_EXPIRE').
+ */
+function creerErreur(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * NOUVEAU: Vérifie un jeton de session émis par "Gestion Compte" et retourne l'identité qu'il contient.
+ * Copie de la fonction du script "Gestion Compte" : le secret partagé doit être défini
+ * dans les propriétés de ce script (clé SESSION_SECRET), avec la même valeur.
+ * @param {string} token - Le jeton reçu du front-end.
+ * @returns {{id: string, role: string, nom: string, statut: string, exp: number}} L'identité de l'appelant.
+ */
+function verifierToken(token) {
+  if (!token) throw creerErreur("Authentification requise. Veuillez vous connecter.", 'TOKEN_MANQUANT');
+
+  const secret = PropertiesService.getScriptProperties().getProperty('SESSION_SECRET');
+  if (!secret) throw new Error("Le secret de session (SESSION_SECRET) n'est pas configuré dans les propriétés du script.");
+
+  const parts = String(token).split('.');
+  if (parts.length !== 2) throw creerErreur("Jeton de session invalide.", 'TOKEN_INVALIDE');
+
+  const expectedSignature = Utilities.base64EncodeWebSafe(Utilities.computeHmacSha256Signature(parts[0], secret));
+  let diff = expectedSignature.length ^ parts[1].length;
+  for (let i = 0; i < Math.min(expectedSignature.length, parts[1].length); i++) {
+    diff |= expectedSignature.charCodeAt(i) ^ parts[1].charCodeAt(i);
+  }
+  if (diff !== 0) throw creerErreur("Jeton de session invalide.", 'TOKEN_INVALIDE');
+
+  let payload;
+  try {
+    payload = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[0])).getDataAsString());
+  } catch (e) {
+    throw creerErreur("Jeton de session illisible.", 'TOKEN_INVALIDE');
+  }
+  if (!payload.exp || payload.exp * 1000 < Date.now()) {
+    throw creerErreur("Votre session a expiré. Veuillez vous reconnecter.", 'TOKEN_EXPIRE');
+  }
+  return payload;
+}
+
+/**
+ * NOUVEAU: Vérifie que l'appelant possède l'un des rôles autorisés (rôle inscrit dans le jeton par "Gestion Compte").
+ * @param {{role: string}} session - L'identité retournée par verifierToken.
+ * @param {string[]} roles - Les rôles autorisés (ex: ['Senior', 'Admin']).
+ * @returns {object} La session, pour pouvoir chaîner l'appel.
+ * @throws {Error} Avec le code ACCES_REFUSE.
+ */
+function exigerRole(session, roles) {
+  if (!roles.includes(session.role)) {
+    throw creerErreur("Vous n'avez pas les droits nécessaires pour cette action.", 'ACCES_REFUSE');
+  }
+  return session;
+}
+
 /**
  * Utilitaire pour convertir une feuille en JSON.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - La feuille à convertir.
@@ -281,11 +1146,16 @@ function setupCourseSheets() {
   ss.rename(categoryName); // Renomme la feuille de calcul elle-même
 
   const sheetStructures = {
-    [`Cours_${categoryName}`]: ["ID_Cours", "Nom_Cours", "Résumé", "Durée_Totale", "Niveau", "Prix", "URL_Vidéo_Intro", "Image_Couverture", "Freemium_Start", "Freemium_End", "Objectifs", "Prérequis", "Avantage_Senior", "Public_Cible", "Formateur_Nom", "Formateur_Titre", "Formateur_Bio", "Note_Moyenne", "Avis"],
-    [`Modules_${categoryName}`]: ["ID_Cours", "ID_Module", "Nom_Module", "Description_Module", "Durée_Module", "Ordre_Module"],
+    [`Cours_${categoryName}`]: ["ID_Cours", "Nom_Cours", "Résumé", "Durée_Totale", "Niveau", "Prix", "URL_Vidéo_Intro", "Image_Couverture", "Freemium_Start", "Freemium_End", "Objectifs", "Prérequis", "Avantage_Senior", "Public_Cible", "Formateur_Nom", "Formateur_Titre", "Formateur_Bio", "Note_Moyenne", "Avis", "Formateur_ID", "Statut", "Commentaire_Revue"], // NOUVEAU: Formateur_ID = IDClient du formateur (profil public), Statut = voir STATUTS_COURS, Commentaire_Revue = retour de la modération
+    // NOUVEAU: Critères de validation d'un module (déverrouillent le module suivant) :
+    // Score_Quiz_Requis = % minimum de bonnes réponses aux quiz du module (vide = 0),
+    // Chapitres_Requis = "Tous" (par défaut si vide), "Aucun" ou IDs de chapitres séparés par des ";".
+    [`Modules_${categoryName}`]: ["ID_Cours", "ID_Module", "Nom_Module", "Description_Module", "Durée_Module", "Ordre_Module", "Score_Quiz_Requis", "Chapitres_Requis"],
     [`Chapitres_${categoryName}`]: ["ID_Module", "ID_Chapitre", "Nom_Chapitre", "URL_Vidéo_Chapitre", "Durée", "Ressource", "Ordre_Chapitre"],
-    [`Quiz_Chapitres_${categoryName}`]: ["ID_Chapitre", "Question", "Réponse_1", "Réponse_2", "Réponse_3", "Réponse_4", "Bonne_Réponse"],
-    [`Quiz_Modules_${categoryName}`]: ["ID_Module", "Question", "Réponse_1", "Réponse_2", "Réponse_3", "Réponse_4", "Bonne_Réponse"]
+    // NOUVEAU: ID_Question (facultatif) fixe l'identifiant d'une question, sinon déduit de son rang
+    [`Quiz_Chapitres_${categoryName}`]: ["ID_Chapitre", "Question", "Réponse_1", "Réponse_2", "Réponse_3", "Réponse_4", "Bonne_Réponse", "ID_Question"],
+    [`Quiz_Modules_${categoryName}`]: ["ID_Module", "Question", "Réponse_1", "Réponse_2", "Réponse_3", "Réponse_4", "Bonne_Réponse", "ID_Question"],
+    [`Historique_${categoryName}`]: EN_TETES_HISTORIQUE // NOUVEAU: Modifications faites depuis le tableau de bord
   };
 
   // Supprimer les feuilles existantes sauf la première
@@ -348,14 +1218,14 @@ function seedDefaultCourseData(categoryName) {
       ["C-010", "Tests E2E avec Cypress : De Zéro à Héros", "Arrêtez les tests manuels répétitifs. Automatisez vos tests de bout en bout et livrez avec confiance.", "10h 10min", "Débutant", 58000, "https://www.youtube.com/embed/u8vMu9MSr9E", "https://i.postimg.cc/L6N6pB3x/course-testing.jpg", "0", "1200", "Écrire des tests Cypress fiables; Interagir avec une application web; Intégrer les tests dans une CI/CD.", "Bases de JavaScript.", "La compétence qui vous fera passer de 'ça marche sur ma machine' à 'ça marche en production'.", "Développeurs Frontend, Ingénieurs QA.", "Kenji Tanaka", "QA Automation Lead", "Mes tests ont évité des millions de dollars de bugs. Je vous montre comment écrire les vôtres.", "4.9", "190 Avis"]
     ];
 
-    // Modules
+    // Modules (MODIFIÉ: avec leurs critères de validation)
     const modulesData = [
-      ["C-001", "M-001-1", "Fondations et Anti-Patterns", "Comprendre les erreurs communes qui mènent à l'échec.", "1h 05min", 1],
-      ["C-001", "M-001-2", "Communication Inter-Services", "Choisir la bonne stratégie de communication (synchrone vs asynchrone).", "55min", 2],
-      ["C-002", "M-002-1", "Les Hooks en Profondeur", "Au-delà de useState et useEffect.", "2h 00min", 1],
-      ["C-002", "M-002-2", "Stratégies de State Management", "Zustand, Jotai et les alternatives à Redux.", "3h 15min", 2],
-      ["C-003", "M-003-1", "Les Bases de GitLab CI", "Créer son premier pipeline.", "1h 30min", 1],
-      ["C-003", "M-003-2", "Déploiement sur Kubernetes", "De l'image Docker au pod.", "2h 30min", 2]
+      ["C-001", "M-001-1", "Fondations et Anti-Patterns", "Comprendre les erreurs communes qui mènent à l'échec.", "1h 05min", 1, 80, "Tous"],
+      ["C-001", "M-001-2", "Communication Inter-Services", "Choisir la bonne stratégie de communication (synchrone vs asynchrone).", "55min", 2, "", "Tous"],
+      ["C-002", "M-002-1", "Les Hooks en Profondeur", "Au-delà de useState et useEffect.", "2h 00min", 1, 80, "Tous"],
+      ["C-002", "M-002-2", "Stratégies de State Management", "Zustand, Jotai et les alternatives à Redux.", "3h 15min", 2, "", "Tous"],
+      ["C-003", "M-003-1", "Les Bases de GitLab CI", "Créer son premier pipeline.", "1h 30min", 1, 80, "Tous"],
+      ["C-003", "M-003-2", "Déploiement sur Kubernetes", "De l'image Docker au pod.", "2h 30min", 2, "", "Tous"]
     ];
 
     // Chapitres
@@ -548,8 +1418,12 @@ function addChapter() {
 
 /**
  * NOUVEAU: Ajoute un cours à partir d'une requête POST (ex: tableau de bord).
+ * Le nom et l'ID du formateur sont ceux du jeton de session, pas ceux envoyés par le navigateur.
+ * MODIFIÉ: Le cours est créé en brouillon : il n'apparaît au catalogue qu'après validation par la modération.
+ * @param {object} data - Les champs du cours.
+ * @param {object} session - L'identité vérifiée du formateur (voir verifierToken).
  */
-function addCourseFromDashboard(data, origin) {
+function addCourseFromDashboard(data, session, origin) {
   try {
     const categoryName = getCategoryName();
     const coursSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(`Cours_${categoryName}`);
@@ -560,7 +1434,7 @@ function addCourseFromDashboard(data, origin) {
     const newId = `C-${new Date().getTime().toString().slice(-6)}`;
     
     // Préparer la ligne avec les données fournies, en respectant l'ordre des colonnes
-    // ["ID_Cours", "Nom_Cours", "Résumé", "Durée_Totale", "Niveau", "Prix", "URL_Vidéo_Intro", "Image_Couverture", "Freemium_Start", "Freemium_End", "Objectifs", "Prérequis", "Avantage_Senior", "Public_Cible", "Formateur_Nom", "Formateur_Titre", "Formateur_Bio", "Note_Moyenne", "Avis"]
+    // ["ID_Cours", "Nom_Cours", "Résumé", "Durée_Totale", "Niveau", "Prix", "URL_Vidéo_Intro", "Image_Couverture", "Freemium_Start", "Freemium_End", "Objectifs", "Prérequis", "Avantage_Senior", "Public_Cible", "Formateur_Nom", "Formateur_Titre", "Formateur_Bio", "Note_Moyenne", "Avis", "Formateur_ID", "Statut", "Commentaire_Revue"]
     const newRow = [
       newId,                // ID_Cours
       data.nom,               // Nom_Cours
@@ -576,16 +1450,18 @@ function addCourseFromDashboard(data, origin) {
       data.prerequis,         // Prérequis
       data.avantageSenior || `Le savoir-faire d'un expert.`, // Avantage_Senior (avec une valeur par défaut)
       data.publicCible,       // Public_Cible
-      data.formateurNom,      // Formateur_Nom
+      session.nom,            // Formateur_Nom
       data.formateurTitre,    // Formateur_Titre
       data.formateurBio,      // Formateur_Bio
       "0",                    // Note_Moyenne (initiale)
-      "0 Avis"                // Avis (initial)
+      "0 Avis",               // Avis (initial)
+      session.id,             // Formateur_ID (NOUVEAU: référence le profil du formateur)
+      STATUTS_COURS.BROUILLON, // Statut (NOUVEAU: invisible au public jusqu'à sa publication)
+      ""                      // Commentaire_Revue
     ];
 
     coursSheet.appendRow(newRow);
-    invalidateGlobalCache(); // Important pour que le nouveau cours apparaisse
-    return createJsonResponse({ success: true, id: newId, message: "Cours ajouté avec succès." }, origin);
+    return createJsonResponse({ success: true, id: newId, message: "Cours enregistré en brouillon. Soumettez-le à la revue quand il est prêt." }, origin);
   } catch (e) {
     return createJsonResponse({ success: false, error: e.message }, origin);
   }
@@ -32,10 +32,14 @@ function doPost(e) {
         }
 
         const request = JSON.parse(e.postData.contents);
-        const { action, data } = request;
+        const { action, data, token } = request;
 
         if (action === 'enregistrerCommande') {
-            return enregistrerCommande(data, origin);
+            return enregistrerCommande(data, token, origin);
+        } else if (action === 'exporterDonneesUtilisateur') { // NOUVEAU: Appel serveur à serveur depuis "Gestion Compte"
+            return exporterDonneesUtilisateur(data, token, origin);
+        } else if (action === 'supprimerDonneesUtilisateur') { // NOUVEAU: Appel serveur à serveur depuis "Gestion Compte"
+            return supprimerDonneesUtilisateur(data, token, origin);
         } else {
             logAction('doPost', { error: 'Action non reconnue', action: action });
             return createJsonResponse({ success: false, error: `Action non reconnue: ${action}` }, origin);
@@ -76,7 +80,19 @@ function doOptions(e) {
 
 // --- LOGIQUE MÉTIER ---
 
-function enregistrerCommande(data, origin) {
+/**
+ * Enregistre une commande pour l'utilisateur connecté.
+ * L'identifiant client est lu dans le jeton de session, et non dans `data.idClient`.
+ */
+function enregistrerCommande(data, token, origin) {
+    let session;
+    try {
+        session = verifierToken(token);
+        exigerCompteVerifie(session);
+    } catch (error) {
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+
     const lock = LockService.getScriptLock();
     lock.waitLock(30000);
 
@@ -88,18 +104,88 @@ function enregistrerCommande(data, origin) {
         const quantitesStr = Array.isArray(data.quantites) ? data.quantites.join(', ') : data.quantites;
 
         sheet.appendRow([
-            idCommande, data.idClient, produitsStr, quantitesStr,
+            idCommande, session.id, produitsStr, quantitesStr,
             data.total, "En attente", new Date(),
             data.adresseLivraison, data.moyenPaiement,
             data.notes || '']);
 
-        logAction('enregistrerCommande', { id: idCommande, client: data.idClient });
+        logAction('enregistrerCommande', { id: idCommande, client: session.id });
         return createJsonResponse({ success: true, id: idCommande }, origin);
     } finally {
         lock.releaseLock();
     }
 }
 
+/**
+ * NOUVEAU: Exporte les commandes d'un utilisateur (droit d'accès).
+ * Appelé uniquement par "Gestion Compte" avec un jeton de service.
+ */
+function exporterDonneesUtilisateur(data, token, origin) {
+    try {
+        exigerRole(verifierToken(token), ['Service']);
+        if (!data || !data.userId) throw new Error("ID utilisateur manquant.");
+
+        const rows = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.ORDERS).getDataRange().getValues();
+        const headers = rows.shift();
+        const clientIndex = headers.indexOf("ID Client");
+        const commandes = rows
+            .filter(row => row[clientIndex] === data.userId)
+            .map(row => headers.reduce((obj, header, index) => {
+                obj[header] = row[index];
+                return obj;
+            }, {}));
+        return createJsonResponse({ success: true, data: { [SHEET_NAMES.ORDERS]: commandes } }, origin);
+    } catch (error) {
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Pseudonymise les commandes d'un utilisateur (droit à l'effacement).
+ * Les commandes sont des pièces comptables à conserver : l'identifiant client est remplacé
+ * par un pseudonyme et les champs personnels (adresse, notes) sont effacés. Les journaux sont anonymisés.
+ */
+function supprimerDonneesUtilisateur(data, token, origin) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        exigerRole(verifierToken(token), ['Service']);
+        if (!data || !data.userId || !data.pseudonyme) throw new Error("ID utilisateur ou pseudonyme manquant.");
+
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.ORDERS);
+        const rows = sheet.getDataRange().getValues();
+        const headers = rows[0];
+        const clientIndex = headers.indexOf("ID Client");
+        const adresseIndex = headers.indexOf("Adresse Livraison");
+        const notesIndex = headers.indexOf("Notes");
+        let commandesPseudonymisees = 0;
+        for (let i = 1; i < rows.length; i++) {
+            if (rows[i][clientIndex] === data.userId) {
+                sheet.getRange(i + 1, clientIndex + 1).setValue(data.pseudonyme);
+                if (adresseIndex !== -1) sheet.getRange(i + 1, adresseIndex + 1).setValue('');
+                if (notesIndex !== -1) sheet.getRange(i + 1, notesIndex + 1).setValue('');
+                commandesPseudonymisees++;
+            }
+        }
+
+        // Anonymiser les journaux qui mentionnent l'utilisateur
+        const logSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.LOGS);
+        const logs = logSheet.getDataRange().getValues();
+        for (let i = 1; i < logs.length; i++) {
+            const details = String(logs[i][3]);
+            if (details.includes(data.userId)) {
+                logSheet.getRange(i + 1, 4).setValue(details.split(data.userId).join(data.pseudonyme));
+            }
+        }
+
+        return createJsonResponse({ success: true, data: { commandesPseudonymisees: commandesPseudonymisees } }, origin);
+    } catch (error) {
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    } finally {
+        lock.releaseLock();
+    }
+}
+
 // --- FONCTIONS UTILITAIRES ---
 
 function createJsonResponse(data, origin) {
@@ -108,6 +194,75 @@ function createJsonResponse(data, origin) {
       .setMimeType(ContentService.MimeType.JSON);
 }
 
+/**
+ * NOUVEAU: Crée une erreur portant un code exploitable par le front-end (ex: 'TOKEN_EXPIRE').
+ */
+function creerErreur(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * NOUVEAU: Vérifie un jeton de session émis par "Gestion Compte" et retourne l'identité qu'il contient.
+ * Copie de la fonction du script "Gestion Compte" : le secret partagé doit être défini
+ * dans les propriétés de ce script (clé SESSION_SECRET), avec la même valeur.
+ * @param {string} token - Le jeton reçu du front-end.
+ * @returns {{id: string, role: string, nom: string, statut: string, exp: number}} L'identité de l'appelant.
+ */
+function verifierToken(token) {
+    if (!token) throw creerErreur("Authentification requise. Veuillez vous connecter.", 'TOKEN_MANQUANT');
+
+    const secret = PropertiesService.getScriptProperties().getProperty('SESSION_SECRET');
+    if (!secret) throw new Error("Le secret de session (SESSION_SECRET) n'est pas configuré dans les propriétés du script.");
+
+    const parts = String(token).split('.');
+    if (parts.length !== 2) throw creerErreur("Jeton de session invalide.", 'TOKEN_INVALIDE');
+
+    const expectedSignature = Utilities.base64EncodeWebSafe(Utilities.computeHmacSha256Signature(parts[0], secret));
+    let diff = expectedSignature.length ^ parts[1].length;
+    for (let i = 0; i < Math.min(expectedSignature.length, parts[1].length); i++) {
+        diff |= expectedSignature.charCodeAt(i) ^ parts[1].charCodeAt(i);
+    }
+    if (diff !== 0) throw creerErreur("Jeton de session invalide.", 'TOKEN_INVALIDE');
+
+    let payload;
+    try {
+        payload = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[0])).getDataAsString());
+    } catch (e) {
+        throw creerErreur("Jeton de session illisible.", 'TOKEN_INVALIDE');
+    }
+    if (!payload.exp || payload.exp * 1000 < Date.now()) {
+        throw creerErreur("Votre session a expiré. Veuillez vous reconnecter.", 'TOKEN_EXPIRE');
+    }
+    return payload;
+}
+
+/**
+ * NOUVEAU: Vérifie que l'appelant possède l'un des rôles autorisés (rôle inscrit dans le jeton par "Gestion Compte").
+ * @param {{role: string}} session - L'identité retournée par verifierToken.
+ * @param {string[]} roles - Les rôles autorisés (ex: ['Service']).
+ * @returns {object} La session, pour pouvoir chaîner l'appel.
+ * @throws {Error} Avec le code ACCES_REFUSE.
+ */
+function exigerRole(session, roles) {
+    if (!roles.includes(session.role)) {
+        throw creerErreur("Vous n'avez pas les droits nécessaires pour cette action.", 'ACCES_REFUSE');
+    }
+    return session;
+}
+
+/**
+ * NOUVEAU: Refuse l'action si le compte de l'appelant n'a pas encore vérifié son e-mail.
+ * @param {{statut: string}} session - L'identité retournée par verifierToken.
+ * @throws {Error} Avec le code EMAIL_NON_VERIFIE.
+ */
+function exigerCompteVerifie(session) {
+    if (session.statut === "En attente de vérification") {
+        throw creerErreur("Veuillez vérifier votre adresse e-mail avant d'effectuer un achat.", 'EMAIL_NON_VERIFIE');
+    }
+}
+
 function logAction(action, details) {
     try {
         const logSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.LOGS);
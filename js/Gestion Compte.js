@@ -3,7 +3,7 @@
  * @description Gère l'authentification des clients,
  * la journalisation des événements et la récupération des données spécifiques au client.
  *
- * @version 3.1.1 (Correction TypeError addHeader/setHeader)
+ * @version 3.12.1 (Notification de déverrouillage du compte)
  * @author Gemini Code Assist
  */
 
@@ -13,9 +13,97 @@
 const SHEET_NAMES = {
     USERS: "Utilisateurs",
     LOGS: "Logs",
-    CONFIG: "Config"
+    CONFIG: "Config",
+    JETONS: "Jetons", // NOUVEAU: Jetons à usage unique (réinitialisation de mot de passe, etc.)
+    TENTATIVES: "Tentatives_Connexion", // NOUVEAU: Compteurs d'échecs de connexion (persistance)
+    CANDIDATURES: "Candidatures_Senior" // NOUVEAU: Demandes pour devenir formateur
 };
 
+// NOUVEAU: Rôles attribués par le serveur (colonne "Role"). Le rôle n'est jamais lu depuis la requête.
+const ROLES = {
+    CLIENT: "Client",
+    SENIOR_EN_ATTENTE: "Senior en attente",
+    SENIOR: "Senior",
+    ADMIN: "Admin"
+};
+
+// NOUVEAU: Statuts d'une candidature Senior
+const STATUTS_CANDIDATURE = {
+    EN_ATTENTE: "En attente",
+    APPROUVEE: "Approuvée",
+    REJETEE: "Rejetée"
+};
+
+// NOUVEAU: Durée de validité d'un jeton de session (en secondes)
+const SESSION_TTL_SECONDS = 60 * 60 * 24; // 24 heures
+
+// NOUVEAU: Types de jetons à usage unique stockés dans la feuille "Jetons"
+const TYPES_JETON = {
+    REINITIALISATION: "Réinitialisation",
+    VERIFICATION: "Vérification", // NOUVEAU: Vérification de l'e-mail à l'inscription
+    CHANGEMENT_EMAIL: "Changement d'e-mail" // NOUVEAU: Confirmation de la nouvelle adresse
+};
+
+// NOUVEAU: Valeurs possibles de la colonne "Statut" des utilisateurs
+const STATUTS_COMPTE = {
+    ACTIF: "Actif",
+    EN_ATTENTE_VERIFICATION: "En attente de vérification"
+};
+
+// NOUVEAU: Préfixe des hachages PBKDF2 stockés dans la colonne PasswordHash.
+// Format : pbkdf2_sha256$<itérations>$<hachage base64>. Une valeur sans préfixe est un ancien hachage SHA-256.
+const PASSWORD_HASH_ALGORITHM = "pbkdf2_sha256";
+
+// NOUVEAU: Longueur minimale d'un nouveau mot de passe
+const MOT_DE_PASSE_LONGUEUR_MIN = 8;
+
+// NOUVEAU: Actions du journal visibles par l'utilisateur dans son historique (voir getLogsByUserId).
+// Chaque action est rangée dans une catégorie (filtre du front-end) et décrite en langage courant.
+const ACTIVITES_UTILISATEUR = {
+    creerCompteClient: { categorie: 'compte', decrire: () => "Création de votre compte." },
+    verifierEmail: { categorie: 'compte', decrire: () => "Vérification de votre adresse e-mail." },
+    renvoyerVerification: { categorie: 'compte', decrire: () => "Nouvel envoi du lien de vérification." },
+    postulerSenior: { categorie: 'compte', decrire: () => "Envoi de votre candidature Senior." },
+    approuverCandidature: { categorie: 'compte', decrire: () => "Votre candidature Senior a été approuvée." },
+    rejeterCandidature: { categorie: 'compte', decrire: () => "Votre candidature Senior n'a pas été retenue." },
+    exporterMesDonnees: { categorie: 'compte', decrire: () => "Téléchargement de vos données personnelles." },
+    connecterClient: {
+        categorie: 'connexion',
+        decrire: d => {
+            if (d.success) return "Connexion à votre compte.";
+            if (d.reason === 'COMPTE_VERROUILLE') return "Connexion refusée : compte temporairement verrouillé.";
+            if (d.reason === 'EMAIL_NON_VERIFIE') return "Connexion refusée : adresse e-mail non vérifiée.";
+            return "Échec de connexion (mot de passe incorrect).";
+        }
+    },
+    VERROUILLAGE_COMPTE: { categorie: 'connexion', decrire: () => "Compte verrouillé temporairement après plusieurs échecs de connexion." },
+    DEVERROUILLAGE_COMPTE: { categorie: 'connexion', decrire: () => "Fin du verrouillage temporaire de votre compte." }, // NOUVEAU
+    demanderReinitialisation: {
+        categorie: 'securite',
+        decrire: d => d.success ? "Demande de réinitialisation du mot de passe." : "Demande de réinitialisation du mot de passe refusée."
+    },
+    reinitialiserMotDePasse: { categorie: 'securite', decrire: () => "Réinitialisation de votre mot de passe." },
+    changerMotDePasse: {
+        categorie: 'securite',
+        decrire: d => d.success ? "Modification de votre mot de passe." : "Échec de la modification du mot de passe (mot de passe actuel incorrect)."
+    },
+    changerEmail: {
+        categorie: 'securite',
+        decrire: d => d.success ? "Demande de changement d'adresse e-mail." : "Échec de la demande de changement d'adresse e-mail."
+    },
+    confirmerChangementEmail: { categorie: 'securite', decrire: () => "Confirmation de votre nouvelle adresse e-mail." },
+    MISE_A_NIVEAU_HACHAGE: { categorie: 'securite', decrire: () => "Renforcement automatique de la protection de votre mot de passe." }
+};
+
+// NOUVEAU: Clés du journal jamais renvoyées au front-end (voir redigerDetails)
+const CLES_JOURNAL_SENSIBLES = ["cle", "admin", "token", "jeton", "hash", "salt", "motDePasse", "password", "stack", "origin", "allowedList", "diagnostic"];
+
+// NOUVEAU: Compteur d'échecs de connexion tous comptes et appareils confondus (voir appliquerDelaiProgressif)
+const CLE_TENTATIVES_GLOBALE = 'global';
+
+// NOUVEAU: Remplace le service d'envoi d'e-mails (voir getMailer). Utilisé par les fonctions de test.
+let mailerOverride = null;
+
 // --- POINTS D'ENTRÉE DE L'API WEB (doGet, doPost, doOptions) ---
 
 /**
@@ -33,6 +121,11 @@ function doGet(e) {
         return getAppLogs(e.parameter, origin);
     }
 
+    // NOUVEAU: Profil public d'un formateur (page formateur.html), accessible sans connexion
+    if (action === 'getSeniorProfile') {
+        return getSeniorProfile(e.parameter, origin);
+    }
+
     // Réponse par défaut pour un simple test de l'API
     return createJsonResponse({
       success: true,
@@ -54,7 +147,7 @@ function doPost(e) {
         }
 
         const request = JSON.parse(e.postData.contents);
-        const { action, data } = request;
+        const { action, data, token } = request;
 
         if (!action) {
             return createJsonResponse({ success: false, error: 'Action non spécifiée.' }, origin);
@@ -67,7 +160,35 @@ function doPost(e) {
             case 'connecterClient':
                 return connecterClient(data, origin);
             case 'updateProfile': // NOUVEAU
-                return updateProfile(data, origin);
+                return updateProfile(data, token, origin);
+            case 'changerMotDePasse': // NOUVEAU
+                return changerMotDePasse(data, token, origin);
+            case 'changerEmail': // NOUVEAU
+                return changerEmail(data, token, origin);
+            case 'confirmerChangementEmail': // NOUVEAU
+                return confirmerChangementEmail(data, origin);
+            case 'exporterMesDonnees': // NOUVEAU
+                return exporterMesDonnees(data, token, origin);
+            case 'supprimerMonCompte': // NOUVEAU
+                return supprimerMonCompte(data, token, origin);
+            case 'demanderReinitialisation': // NOUVEAU
+                return demanderReinitialisation(data, origin);
+            case 'reinitialiserMotDePasse': // NOUVEAU
+                return reinitialiserMotDePasse(data, origin);
+            case 'verifierEmail': // NOUVEAU
+                return verifierEmail(data, origin);
+            case 'renvoyerVerification': // NOUVEAU
+                return renvoyerVerification(data, origin);
+            case 'postulerSenior': // NOUVEAU
+                return postulerSenior(data, token, origin);
+            case 'getCandidaturesSenior': // NOUVEAU (Admin)
+                return getCandidaturesSenior(data, token, origin);
+            case 'approuverCandidature': // NOUVEAU (Admin)
+                return deciderCandidature(data, token, STATUTS_CANDIDATURE.APPROUVEE, origin);
+            case 'rejeterCandidature': // NOUVEAU (Admin)
+                return deciderCandidature(data, token, STATUTS_CANDIDATURE.REJETEE, origin);
+            case 'getLogsByUserId': // NOUVEAU
+                return getLogsByUserId(data, token, origin);
             case 'logClientEvent':
                 return logClientEvent(data, origin);
             default:
@@ -154,6 +275,8 @@ function doOptions(e) {
 
 /**
  * Crée un nouveau compte client.
+ * MODIFIÉ: Le champ `role` de la requête est ignoré ; un nouveau compte est toujours "Client".
+ * Pour devenir formateur, il faut passer par `postulerSenior`.
  * @param {object} data - Données du client (nom, email, motDePasse).
  * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON.
  */
@@ -163,35 +286,59 @@ function creerCompteClient(data, origin) {
         logError('creerCompteClient', new Error('Données de création de compte incomplètes ou manquantes.'));
         return createJsonResponse({ success: false, error: 'Les données fournies (nom, email, motDePasse) sont incomplètes.' }, origin);
     }
-    const { nom, email, motDePasse, role = 'Client' } = data; // Déstructuration et valeur par défaut
     try {
-        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.USERS);
-        // AMÉLIORATION: Recherche d'email plus robuste
-        const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-        const emailIndex = headers.indexOf("Email");
-        if (emailIndex === -1) throw new Error("La colonne 'Email' est introuvable.");
-        const emailColumnValues = sheet.getRange(2, emailIndex + 1, sheet.getLastRow()).getValues().flat();
-        const emailExists = emailColumnValues.some(existingEmail => existingEmail.toLowerCase() === email.toLowerCase());
+        const idClient = creerUtilisateur(data, ROLES.CLIENT);
+        return createJsonResponse({
+            success: true,
+            id: idClient,
+            message: "Compte créé ! Un e-mail de vérification vous a été envoyé. Cliquez sur le lien qu'il contient pour activer votre compte."
+        }, origin);
 
-        if (emailExists) {
-            return createJsonResponse({ success: false, error: 'Un compte avec cet email existe déjà.' }, origin);
-        }
+    } catch (error) {
+        logError(JSON.stringify({ action: 'creerCompteClient', email: data.email }), error);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Ajoute un utilisateur dans la feuille "Utilisateurs" et envoie l'e-mail de vérification.
+ * @param {object} data - Données du compte (nom, email, motDePasse, telephone, adresse).
+ * @param {string} role - Le rôle attribué par le serveur (voir ROLES).
+ * @returns {string} L'ID du nouvel utilisateur.
+ * @throws {Error} Avec le code EMAIL_EXISTANT si l'e-mail est déjà utilisé.
+ */
+function creerUtilisateur(data, role) {
+    const { nom, email, motDePasse } = data;
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.USERS);
+    // AMÉLIORATION: Recherche d'email plus robuste
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const emailIndex = headers.indexOf("Email");
+    if (emailIndex === -1) throw new Error("La colonne 'Email' est introuvable.");
+    const emailColumnValues = sheet.getRange(2, emailIndex + 1, sheet.getLastRow()).getValues().flat();
+    const emailExists = emailColumnValues.some(existingEmail => String(existingEmail).toLowerCase() === email.toLowerCase());
+
+    if (emailExists) {
+        throw creerErreur('Un compte avec cet email existe déjà.', 'EMAIL_EXISTANT');
+    }
 
-        const idClient = "CLT-" + new Date().getTime();
-        const { passwordHash, salt } = hashPassword(motDePasse);
+    const idClient = "CLT-" + new Date().getTime();
+    const { passwordHash, salt } = hashPassword(motDePasse);
 
-        sheet.appendRow([
-            idClient, nom, email, passwordHash, salt, data.telephone || '', data.adresse || '',
-            new Date(), "Actif", role, "" // Laisser ImageURL vide au début
-        ]);
+    // NOUVEAU: Le compte reste inactif tant que l'e-mail n'a pas été vérifié
+    sheet.appendRow([
+        idClient, nom, email, passwordHash, salt, data.telephone || '', data.adresse || '',
+        new Date(), STATUTS_COMPTE.EN_ATTENTE_VERIFICATION, role, "" // Laisser ImageURL vide au début
+    ]);
 
-        logAction('creerCompteClient', { email: email, id: idClient, role: role });
-        return createJsonResponse({ success: true, id: idClient }, origin);
+    logAction('creerCompteClient', { email: email, id: idClient, role: role });
 
-    } catch (error) {
-        logError(JSON.stringify({ action: 'creerCompteClient', data }), error);
-        return createJsonResponse({ success: false, error: error.message }, origin);
+    try {
+        envoyerEmailVerification({ IDClient: idClient, Nom: nom, Email: email });
+    } catch (mailError) {
+        // Le compte est créé : l'utilisateur pourra redemander l'e-mail via renvoyerVerification.
+        logError('envoyerEmailVerification', mailError);
     }
+    return idClient;
 }
 
 /**
@@ -206,6 +353,20 @@ function connecterClient(data, origin) {
         return createJsonResponse({ success: false, error: 'Les données fournies (email, motDePasse) sont incomplètes.' }, origin);
     }
     try {
+        // NOUVEAU: Compteurs d'échecs par e-mail et par appareil (clientId généré par le front-end)
+        const clesTentatives = getClesTentatives(data.email, data.clientId);
+        const verrou = getVerrouActif(clesTentatives);
+        if (verrou) {
+            logAction('connecterClient', { email: data.email, success: false, reason: 'COMPTE_VERROUILLE' });
+            return createJsonResponse({
+                success: false,
+                error: `Trop de tentatives échouées. Réessayez après ${formaterHeure(verrou)}.`,
+                code: 'COMPTE_VERROUILLE',
+                deverrouillageA: verrou.toISOString()
+            }, origin);
+        }
+        appliquerDelaiProgressif(clesTentatives);
+
         const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.USERS);
         const usersData = sheet.getDataRange().getValues();
         const headers = usersData.shift();
@@ -216,18 +377,42 @@ function connecterClient(data, origin) {
         const userRow = usersData.find(row => row[emailIndex] === data.email);
 
         if (!userRow) {
+            enregistrerEchecConnexion(clesTentatives, data.email, null);
             return createJsonResponse({ success: false, error: "Email ou mot de passe incorrect." }, origin);
         }
 
         const storedHash = userRow[hashIndex];
         const salt = userRow[saltIndex];
-        const { passwordHash: providedPasswordHash } = hashPassword(data.motDePasse, salt);
+        const verification = verifierMotDePasse(data.motDePasse, storedHash, salt);
 
-        if (providedPasswordHash !== storedHash) {
+        if (!verification.valide) {
             logAction('connecterClient', { email: data.email, success: false });
+            enregistrerEchecConnexion(clesTentatives, data.email, { Nom: userRow[headers.indexOf("Nom")], Email: userRow[emailIndex] });
             return createJsonResponse({ success: false, error: "Email ou mot de passe incorrect." }, origin);
         }
 
+        // NOUVEAU: Mot de passe correct : remise à zéro des compteurs d'échecs
+        reinitialiserTentatives(clesTentatives);
+
+        // NOUVEAU: Refuser la connexion tant que l'e-mail n'est pas vérifié
+        if (userRow[headers.indexOf("Statut")] === STATUTS_COMPTE.EN_ATTENTE_VERIFICATION) {
+            logAction('connecterClient', { email: data.email, success: false, reason: 'EMAIL_NON_VERIFIE' });
+            return createJsonResponse({
+                success: false,
+                error: "Votre adresse e-mail n'a pas encore été vérifiée. Consultez votre boîte de réception.",
+                code: 'EMAIL_NON_VERIFIE'
+            }, origin);
+        }
+
+        // NOUVEAU: Mettre à niveau un ancien hachage (SHA-256 ou nombre d'itérations dépassé)
+        if (verification.aRehacher) {
+            const rowToUpdate = usersData.indexOf(userRow) + 2;
+            const { passwordHash, salt: newSalt } = hashPassword(data.motDePasse);
+            sheet.getRange(rowToUpdate, hashIndex + 1).setValue(passwordHash);
+            sheet.getRange(rowToUpdate, saltIndex + 1).setValue(newSalt);
+            logAction('MISE_A_NIVEAU_HACHAGE', { id: userRow[headers.indexOf("IDClient")] });
+        }
+
         // Connexion réussie, on retourne les informations de l'utilisateur
         const userObject = headers.reduce((obj, header, index) => {
             // Exclure les informations sensibles
@@ -237,8 +422,11 @@ function connecterClient(data, origin) {
             return obj;
         }, {});
 
+        // NOUVEAU: Émettre un jeton de session signé qui servira d'identité auprès des autres API
+        const token = signerToken({ id: userObject.IDClient, role: userObject.Role, nom: userObject.Nom, statut: userObject.Statut });
+
         logAction('connecterClient', { email: data.email, success: true, id: userObject.IDClient });
-        return createJsonResponse({ success: true, user: userObject }, origin);
+        return createJsonResponse({ success: true, user: userObject, token: token }, origin);
 
     } catch (error) {
         logError(JSON.stringify({ action: 'connecterClient', data }), error);
@@ -247,19 +435,22 @@ function connecterClient(data, origin) {
 }
 
 /**
- * NOUVEAU: Met à jour le profil d'un utilisateur.
+ * NOUVEAU: Met à jour le profil de l'utilisateur connecté.
+ * @param {object} data - Champs à mettre à jour (bio, titre, imageUrl).
+ * @param {string} token - Jeton de session identifiant l'utilisateur.
  */
-function updateProfile(data, origin) {
+function updateProfile(data, token, origin) {
     try {
-        if (!data || !data.userId) {
-            throw new Error("ID utilisateur manquant pour la mise à jour.");
+        const session = verifierToken(token);
+        if (!data) {
+            throw new Error("Données manquantes pour la mise à jour.");
         }
         const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.USERS);
         const allUsers = sheet.getDataRange().getValues();
         const headers = allUsers.shift();
 
         const idIndex = headers.indexOf("IDClient");
-        const rowIndex = allUsers.findIndex(row => row[idIndex] === data.userId);
+        const rowIndex = allUsers.findIndex(row => row[idIndex] === session.id);
 
         if (rowIndex === -1) {
             throw new Error("Utilisateur non trouvé.");
@@ -279,14 +470,696 @@ function updateProfile(data, origin) {
             const imageUrlIndex = headers.indexOf("ImageURL");
             if (imageUrlIndex !== -1) sheet.getRange(rowToUpdate, imageUrlIndex + 1).setValue(data.imageUrl);
         }
+        CacheService.getScriptCache().remove('profil_senior_' + session.id); // NOUVEAU: Rafraîchir le profil public
 
         return createJsonResponse({ success: true, message: "Profil mis à jour." }, origin);
     } catch (error) {
         logError(JSON.stringify({ action: 'updateProfile', data }), error);
-        return createJsonResponse({ success: false, error: error.message }, origin);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Démarre la réinitialisation du mot de passe.
+ * Génère un jeton à usage unique et envoie le lien par e-mail.
+ * La réponse est identique que le compte existe ou non, pour ne pas révéler les e-mails inscrits.
+ * @param {object} data - Contient `email`.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON.
+ */
+function demanderReinitialisation(data, origin) {
+    if (!data || !data.email) {
+        return createJsonResponse({ success: false, error: "L'adresse e-mail est requise." }, origin);
+    }
+    const email = String(data.email).trim().toLowerCase();
+    const genericResponse = {
+        success: true,
+        message: "Si un compte est associé à cet e-mail, un lien de réinitialisation vient de lui être envoyé."
+    };
+
+    try {
+        const config = getConfig();
+
+        // Limitation du nombre de demandes par e-mail (même pour un e-mail inconnu)
+        const cache = CacheService.getScriptCache();
+        const rateKey = 'reset_' + hacherJeton(email);
+        const count = parseInt(cache.get(rateKey) || '0', 10);
+        if (count >= config.reset_max_requests_per_hour) {
+            logAction('demanderReinitialisation', { email: email, success: false, reason: 'Limite atteinte' });
+            return createJsonResponse({ success: false, error: "Trop de demandes pour cet e-mail. Réessayez dans une heure.", code: 'TROP_DE_DEMANDES' }, origin);
+        }
+        cache.put(rateKey, String(count + 1), 3600);
+
+        const user = trouverUtilisateurParEmail(email);
+        if (!user || user.Statut !== 'Actif') {
+            logAction('demanderReinitialisation', { email: email, success: false, reason: 'Compte introuvable ou inactif' });
+            return createJsonResponse(genericResponse, origin);
+        }
+
+        const jeton = creerJeton(user.IDClient, TYPES_JETON.REINITIALISATION, config.reset_token_ttl_minutes);
+        const lien = `${config.frontend_url}/authentification.html?reset=${encodeURIComponent(jeton)}`;
+
+        getMailer().envoyer(
+            user.Email,
+            "Réinitialisation de votre mot de passe",
+            `<p>Bonjour ${user.Nom},</p>` +
+            `<p>Vous avez demandé la réinitialisation de votre mot de passe. Cliquez sur le lien ci-dessous pour en choisir un nouveau :</p>` +
+            `<p><a href="${lien}">${lien}</a></p>` +
+            `<p>Ce lien est valable ${config.reset_token_ttl_minutes} minutes et ne peut être utilisé qu'une seule fois.</p>` +
+            `<p>Si vous n'êtes pas à l'origine de cette demande, ignorez simplement cet e-mail.</p>`
+        );
+
+        logAction('demanderReinitialisation', { email: email, success: true, id: user.IDClient });
+        return createJsonResponse(genericResponse, origin);
+    } catch (error) {
+        logError(JSON.stringify({ action: 'demanderReinitialisation', email: email }), error);
+        return createJsonResponse({ success: false, error: "Impossible de traiter la demande pour le moment." }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Définit un nouveau mot de passe à partir d'un jeton de réinitialisation.
+ * Le jeton est consommé (il ne peut plus être réutilisé).
+ * @param {object} data - Contient `jeton` et `nouveauMotDePasse`.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON.
+ */
+function reinitialiserMotDePasse(data, origin) {
+    if (!data || !data.jeton || !data.nouveauMotDePasse) {
+        return createJsonResponse({ success: false, error: "Le jeton et le nouveau mot de passe sont requis." }, origin);
+    }
+    if (String(data.nouveauMotDePasse).length < MOT_DE_PASSE_LONGUEUR_MIN) {
+        return createJsonResponse({ success: false, error: `Le mot de passe doit contenir au moins ${MOT_DE_PASSE_LONGUEUR_MIN} caractères.` }, origin);
+    }
+
+    try {
+        const { idClient } = consommerJeton(data.jeton, TYPES_JETON.REINITIALISATION);
+
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.USERS);
+        const allUsers = sheet.getDataRange().getValues();
+        const headers = allUsers.shift();
+        const rowIndex = allUsers.findIndex(row => row[headers.indexOf("IDClient")] === idClient);
+        if (rowIndex === -1) {
+            throw creerErreur("Utilisateur non trouvé.", 'JETON_INVALIDE');
+        }
+
+        const { passwordHash, salt } = hashPassword(data.nouveauMotDePasse);
+        const rowToUpdate = rowIndex + 2;
+        sheet.getRange(rowToUpdate, headers.indexOf("PasswordHash") + 1).setValue(passwordHash);
+        sheet.getRange(rowToUpdate, headers.indexOf("Salt") + 1).setValue(salt);
+
+        logAction('reinitialiserMotDePasse', { id: idClient, success: true });
+        return createJsonResponse({ success: true, message: "Votre mot de passe a été réinitialisé. Vous pouvez maintenant vous connecter." }, origin);
+    } catch (error) {
+        logError('reinitialiserMotDePasse', error);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Dépose une candidature pour devenir formateur (Senior).
+ * - Utilisateur connecté (jeton fourni) : son compte Client passe en "Senior en attente".
+ * - Nouveau visiteur : un compte est créé directement avec le rôle "Senior en attente"
+ *   (les champs nom, email, motDePasse et telephone sont alors requis).
+ * @param {object} data - Profil du candidat : titre, anneesExperience, experience, diplomes, liens (+ données du compte si nouveau).
+ *                        MODIFIÉ: Les liens qui ne sont pas des URL http(s) sont ignorés.
+ * @param {string} [token] - Jeton de session, si le candidat est déjà inscrit.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON.
+ */
+function postulerSenior(data, token, origin) {
+    try {
+        if (!data || !data.titre || !data.experience) {
+            throw new Error("Le titre et la description de votre expérience sont requis.");
+        }
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.USERS);
+        let candidat;
+
+        if (token) {
+            const session = verifierToken(token);
+            const allUsers = sheet.getDataRange().getValues();
+            const headers = allUsers.shift();
+            const rowIndex = allUsers.findIndex(row => row[headers.indexOf("IDClient")] === session.id);
+            if (rowIndex === -1) throw new Error("Utilisateur non trouvé.");
+
+            const role = allUsers[rowIndex][headers.indexOf("Role")];
+            if (role !== ROLES.CLIENT) {
+                const message = role === ROLES.SENIOR_EN_ATTENTE ? "Votre candidature est déjà en cours d'examen." : "Votre compte ne peut pas postuler.";
+                throw creerErreur(message, 'CANDIDATURE_IMPOSSIBLE');
+            }
+            sheet.getRange(rowIndex + 2, headers.indexOf("Role") + 1).setValue(ROLES.SENIOR_EN_ATTENTE);
+            candidat = { id: session.id, nom: allUsers[rowIndex][headers.indexOf("Nom")], email: allUsers[rowIndex][headers.indexOf("Email")] };
+        } else {
+            if (!data.nom || !data.email || !data.motDePasse) {
+                throw new Error("Les données fournies (nom, email, motDePasse) sont incomplètes.");
+            }
+            const idClient = creerUtilisateur(data, ROLES.SENIOR_EN_ATTENTE);
+            candidat = { id: idClient, nom: data.nom, email: data.email };
+        }
+
+        const idCandidature = "CAND-" + new Date().getTime();
+        // Seuls les liens http(s) sont gardés : ils sont affichés comme liens cliquables dans le tableau de bord admin
+        const liens = (Array.isArray(data.liens) ? data.liens : String(data.liens || '').split(','))
+            .map(lien => String(lien).trim())
+            .filter(lien => /^https?:\/\/[^\s]+$/i.test(lien))
+            .join(', ');
+        SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.CANDIDATURES).appendRow([
+            idCandidature, candidat.id, candidat.nom, candidat.email, data.titre, data.anneesExperience || '',
+            data.experience, data.diplomes || '', liens, STATUTS_CANDIDATURE.EN_ATTENTE, new Date(), '', '', ''
+        ]);
+
+        logAction('postulerSenior', { id: candidat.id, candidature: idCandidature });
+        envoyerNotificationInterne('ADMIN', 'Candidature Senior', `${candidat.nom} a postulé pour devenir formateur (${data.titre}).`);
+
+        return createJsonResponse({
+            success: true,
+            id: idCandidature,
+            message: token
+                ? "Candidature envoyée ! Vous serez notifié dès qu'un administrateur l'aura examinée."
+                : "Candidature envoyée ! Vérifiez d'abord votre adresse e-mail ; vous serez notifié dès qu'un administrateur l'aura examinée."
+        }, origin);
+    } catch (error) {
+        logError(JSON.stringify({ action: 'postulerSenior', email: data && data.email }), error);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Liste les candidatures Senior (réservé aux administrateurs).
+ * @param {object} data - Filtre optionnel `statut` (ex: "En attente").
+ * @param {string} token - Jeton de session d'un administrateur.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON.
+ */
+function getCandidaturesSenior(data, token, origin) {
+    try {
+        exigerRole(verifierToken(token), [ROLES.ADMIN]);
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.CANDIDATURES);
+        const rows = sheet.getDataRange().getValues();
+        const headers = rows.shift();
+        const statutFiltre = data && data.statut;
+
+        const candidatures = rows
+            .map(row => headers.reduce((obj, header, index) => {
+                obj[header] = row[index];
+                return obj;
+            }, {}))
+            .filter(c => !statutFiltre || c.Statut === statutFiltre)
+            .reverse(); // Les plus récentes d'abord
+
+        return createJsonResponse({ success: true, data: candidatures }, origin);
+    } catch (error) {
+        logError('getCandidaturesSenior', error);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Approuve ou rejette une candidature Senior (réservé aux administrateurs).
+ * Le rôle du candidat devient "Senior" (approbation) ou redevient "Client" (rejet), puis il est notifié.
+ * @param {object} data - Contient `idCandidature` et, pour un rejet, un `motif` optionnel.
+ * @param {string} token - Jeton de session d'un administrateur.
+ * @param {string} decision - STATUTS_CANDIDATURE.APPROUVEE ou STATUTS_CANDIDATURE.REJETEE.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON.
+ */
+function deciderCandidature(data, token, decision, origin) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const admin = exigerRole(verifierToken(token), [ROLES.ADMIN]);
+        if (!data || !data.idCandidature) throw new Error("L'identifiant de la candidature est requis.");
+
+        const candSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.CANDIDATURES);
+        const candRows = candSheet.getDataRange().getValues();
+        const candHeaders = candRows.shift();
+        const candIndex = candRows.findIndex(row => row[candHeaders.indexOf("ID_Candidature")] === data.idCandidature);
+        if (candIndex === -1) throw new Error("Candidature introuvable.");
+
+        const candidature = candRows[candIndex];
+        if (candidature[candHeaders.indexOf("Statut")] !== STATUTS_CANDIDATURE.EN_ATTENTE) {
+            throw new Error("Cette candidature a déjà été traitée.");
+        }
+
+        const candRow = candIndex + 2;
+        candSheet.getRange(candRow, candHeaders.indexOf("Statut") + 1).setValue(decision);
+        candSheet.getRange(candRow, candHeaders.indexOf("Date_Decision") + 1).setValue(new Date());
+        candSheet.getRange(candRow, candHeaders.indexOf("Decideur") + 1).setValue(admin.id);
+        candSheet.getRange(candRow, candHeaders.indexOf("Motif") + 1).setValue(data.motif || '');
+
+        // Mise à jour du rôle du candidat
+        const idClient = candidature[candHeaders.indexOf("ID_Client")];
+        const usersSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.USERS);
+        const users = usersSheet.getDataRange().getValues();
+        const userHeaders = users.shift();
+        const userIndex = users.findIndex(row => row[userHeaders.indexOf("IDClient")] === idClient);
+        if (userIndex !== -1) {
+            const nouveauRole = decision === STATUTS_CANDIDATURE.APPROUVEE ? ROLES.SENIOR : ROLES.CLIENT;
+            usersSheet.getRange(userIndex + 2, userHeaders.indexOf("Role") + 1).setValue(nouveauRole);
+        }
+
+        // Notification du candidat (e-mail + notification dans l'application)
+        const nom = candidature[candHeaders.indexOf("Nom")];
+        const email = candidature[candHeaders.indexOf("Email")];
+        const approuvee = decision === STATUTS_CANDIDATURE.APPROUVEE;
+        const message = approuvee
+            ? "Votre candidature de formateur a été approuvée ! Reconnectez-vous pour accéder à votre tableau de bord Senior."
+            : `Votre candidature de formateur n'a pas été retenue.${data.motif ? ' Motif : ' + data.motif : ''}`;
+        try {
+            getMailer().envoyer(email, approuvee ? "Bienvenue parmi nos formateurs !" : "Votre candidature de formateur", `<p>Bonjour ${nom},</p><p>${message}</p>`);
+        } catch (mailError) {
+            logError('notificationCandidature', mailError);
+        }
+        envoyerNotificationInterne(idClient, 'Candidature Senior', message);
+
+        logAction(approuvee ? 'approuverCandidature' : 'rejeterCandidature', { candidature: data.idCandidature, id: idClient, admin: admin.id });
+        return createJsonResponse({ success: true, message: approuvee ? "Candidature approuvée." : "Candidature rejetée." }, origin);
+    } catch (error) {
+        logError(JSON.stringify({ action: 'deciderCandidature', data }), error);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * NOUVEAU: Active un compte à partir du jeton reçu par e-mail à l'inscription.
+ * @param {object} data - Contient `jeton`.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON.
+ */
+function verifierEmail(data, origin) {
+    if (!data || !data.jeton) {
+        return createJsonResponse({ success: false, error: "Le jeton de vérification est requis." }, origin);
+    }
+    try {
+        const { idClient } = consommerJeton(data.jeton, TYPES_JETON.VERIFICATION);
+
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.USERS);
+        const allUsers = sheet.getDataRange().getValues();
+        const headers = allUsers.shift();
+        const statutIndex = headers.indexOf("Statut");
+        const rowIndex = allUsers.findIndex(row => row[headers.indexOf("IDClient")] === idClient);
+        if (rowIndex === -1) {
+            throw creerErreur("Utilisateur non trouvé.", 'JETON_INVALIDE');
+        }
+
+        if (allUsers[rowIndex][statutIndex] === STATUTS_COMPTE.EN_ATTENTE_VERIFICATION) {
+            sheet.getRange(rowIndex + 2, statutIndex + 1).setValue(STATUTS_COMPTE.ACTIF);
+        }
+
+        logAction('verifierEmail', { id: idClient, success: true });
+        return createJsonResponse({ success: true, message: "Votre adresse e-mail est vérifiée. Vous pouvez maintenant vous connecter." }, origin);
+    } catch (error) {
+        logError('verifierEmail', error);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Renvoie l'e-mail de vérification d'un compte en attente.
+ * Comme pour la réinitialisation, la réponse ne révèle pas si l'e-mail est inscrit.
+ * @param {object} data - Contient `email`.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON.
+ */
+function renvoyerVerification(data, origin) {
+    if (!data || !data.email) {
+        return createJsonResponse({ success: false, error: "L'adresse e-mail est requise." }, origin);
+    }
+    const email = String(data.email).trim().toLowerCase();
+    const genericResponse = {
+        success: true,
+        message: "Si un compte en attente de vérification est associé à cet e-mail, un nouveau lien vient de lui être envoyé."
+    };
+
+    try {
+        const cache = CacheService.getScriptCache();
+        const rateKey = 'verif_' + hacherJeton(email);
+        const count = parseInt(cache.get(rateKey) || '0', 10);
+        if (count >= getConfig().reset_max_requests_per_hour) {
+            return createJsonResponse({ success: false, error: "Trop de demandes pour cet e-mail. Réessayez dans une heure.", code: 'TROP_DE_DEMANDES' }, origin);
+        }
+        cache.put(rateKey, String(count + 1), 3600);
+
+        const user = trouverUtilisateurParEmail(email);
+        if (user && user.Statut === STATUTS_COMPTE.EN_ATTENTE_VERIFICATION) {
+            envoyerEmailVerification(user);
+            logAction('renvoyerVerification', { email: email, id: user.IDClient });
+        }
+        return createJsonResponse(genericResponse, origin);
+    } catch (error) {
+        logError(JSON.stringify({ action: 'renvoyerVerification', email: email }), error);
+        return createJsonResponse({ success: false, error: "Impossible de traiter la demande pour le moment." }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Génère un jeton de vérification et envoie le lien d'activation à l'utilisateur.
+ * @param {{IDClient: string, Nom: string, Email: string}} user - Le compte à vérifier.
+ */
+function envoyerEmailVerification(user) {
+    const config = getConfig();
+    const jeton = creerJeton(user.IDClient, TYPES_JETON.VERIFICATION, config.verification_token_ttl_hours * 60);
+    const lien = `${config.frontend_url}/authentification.html?verification=${encodeURIComponent(jeton)}`;
+
+    getMailer().envoyer(
+        user.Email,
+        "Confirmez votre adresse e-mail",
+        `<p>Bonjour ${user.Nom},</p>` +
+        `<p>Merci pour votre inscription ! Cliquez sur le lien ci-dessous pour activer votre compte :</p>` +
+        `<p><a href="${lien}">${lien}</a></p>` +
+        `<p>Ce lien est valable ${config.verification_token_ttl_hours} heures.</p>`
+    );
+}
+
+/**
+ * NOUVEAU: Change le mot de passe de l'utilisateur connecté (le mot de passe actuel est exigé).
+ * @param {object} data - Contient `motDePasseActuel` et `nouveauMotDePasse`.
+ * @param {string} token - Jeton de session.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON.
+ */
+function changerMotDePasse(data, token, origin) {
+    try {
+        const session = verifierToken(token);
+        if (!data || !data.motDePasseActuel || !data.nouveauMotDePasse) {
+            throw new Error("Le mot de passe actuel et le nouveau mot de passe sont requis.");
+        }
+        if (String(data.nouveauMotDePasse).length < MOT_DE_PASSE_LONGUEUR_MIN) {
+            throw new Error(`Le mot de passe doit contenir au moins ${MOT_DE_PASSE_LONGUEUR_MIN} caractères.`);
+        }
+
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.USERS);
+        const allUsers = sheet.getDataRange().getValues();
+        const headers = allUsers.shift();
+        const rowIndex = allUsers.findIndex(row => row[headers.indexOf("IDClient")] === session.id);
+        if (rowIndex === -1) throw new Error("Utilisateur non trouvé.");
+
+        const userRow = allUsers[rowIndex];
+        const hashIndex = headers.indexOf("PasswordHash");
+        const saltIndex = headers.indexOf("Salt");
+        if (!verifierMotDePasse(data.motDePasseActuel, userRow[hashIndex], userRow[saltIndex]).valide) {
+            logAction('changerMotDePasse', { id: session.id, success: false });
+            throw creerErreur("Le mot de passe actuel est incorrect.", 'MOT_DE_PASSE_INCORRECT');
+        }
+
+        const { passwordHash, salt } = hashPassword(data.nouveauMotDePasse);
+        sheet.getRange(rowIndex + 2, hashIndex + 1).setValue(passwordHash);
+        sheet.getRange(rowIndex + 2, saltIndex + 1).setValue(salt);
+
+        try {
+            getMailer().envoyer(
+                userRow[headers.indexOf("Email")],
+                "Votre mot de passe a été modifié",
+                `<p>Bonjour ${userRow[headers.indexOf("Nom")]},</p>` +
+                `<p>Le mot de passe de votre compte vient d'être modifié.</p>` +
+                `<p>Si vous n'êtes pas à l'origine de ce changement, utilisez immédiatement le lien « Mot de passe oublié ? » puis contactez le support.</p>`
+            );
+        } catch (mailError) {
+            logError('notificationChangementMotDePasse', mailError);
+        }
+
+        logAction('changerMotDePasse', { id: session.id, success: true });
+        return createJsonResponse({ success: true, message: "Votre mot de passe a été modifié." }, origin);
+    } catch (error) {
+        logError('changerMotDePasse', error);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Demande le changement d'adresse e-mail de l'utilisateur connecté.
+ * La nouvelle adresse n'est enregistrée qu'après confirmation via le lien envoyé à cette adresse
+ * (voir confirmerChangementEmail). L'ancienne adresse est prévenue de la demande.
+ * @param {object} data - Contient `nouvelEmail` et `motDePasse` (confirmation d'identité).
+ * @param {string} token - Jeton de session.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON.
+ */
+function changerEmail(data, token, origin) {
+    try {
+        const session = verifierToken(token);
+        if (!data || !data.nouvelEmail || !data.motDePasse) {
+            throw new Error("La nouvelle adresse e-mail et votre mot de passe sont requis.");
+        }
+        const nouvelEmail = String(data.nouvelEmail).trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(nouvelEmail)) {
+            throw new Error("L'adresse e-mail n'est pas valide.");
+        }
+
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.USERS);
+        const allUsers = sheet.getDataRange().getValues();
+        const headers = allUsers.shift();
+        const userRow = allUsers.find(row => row[headers.indexOf("IDClient")] === session.id);
+        if (!userRow) throw new Error("Utilisateur non trouvé.");
+
+        if (!verifierMotDePasse(data.motDePasse, userRow[headers.indexOf("PasswordHash")], userRow[headers.indexOf("Salt")]).valide) {
+            logAction('changerEmail', { id: session.id, success: false, reason: 'Mot de passe incorrect' });
+            throw creerErreur("Le mot de passe est incorrect.", 'MOT_DE_PASSE_INCORRECT');
+        }
+
+        const ancienEmail = userRow[headers.indexOf("Email")];
+        if (String(ancienEmail).toLowerCase() === nouvelEmail) {
+            throw new Error("Cette adresse est déjà celle de votre compte.");
+        }
+        if (trouverUtilisateurParEmail(nouvelEmail)) {
+            throw creerErreur("Un compte avec cet email existe déjà.", 'EMAIL_EXISTANT');
+        }
+
+        const config = getConfig();
+        const nom = userRow[headers.indexOf("Nom")];
+        const jeton = creerJeton(session.id, TYPES_JETON.CHANGEMENT_EMAIL, config.verification_token_ttl_hours * 60, nouvelEmail);
+        const lien = `${config.frontend_url}/authentification.html?changementEmail=${encodeURIComponent(jeton)}`;
+
+        getMailer().envoyer(
+            nouvelEmail,
+            "Confirmez votre nouvelle adresse e-mail",
+            `<p>Bonjour ${nom},</p>` +
+            `<p>Cliquez sur le lien ci-dessous pour utiliser cette adresse pour votre compte :</p>` +
+            `<p><a href="${lien}">${lien}</a></p>` +
+            `<p>Ce lien est valable ${config.verification_token_ttl_hours} heures.</p>`
+        );
+        try {
+            getMailer().envoyer(
+                ancienEmail,
+                "Demande de changement d'adresse e-mail",
+                `<p>Bonjour ${nom},</p>` +
+                `<p>Une demande de changement de l'adresse e-mail de votre compte vers ${nouvelEmail} vient d'être faite.</p>` +
+                `<p>Si vous n'êtes pas à l'origine de cette demande, changez votre mot de passe et contactez le support.</p>`
+            );
+        } catch (mailError) {
+            logError('notificationChangementEmail', mailError);
+        }
+
+        logAction('changerEmail', { id: session.id, success: true, ancienEmail: ancienEmail, nouvelEmail: nouvelEmail });
+        return createJsonResponse({ success: true, message: `Un lien de confirmation a été envoyé à ${nouvelEmail}. Votre adresse sera modifiée après confirmation.` }, origin);
+    } catch (error) {
+        logError('changerEmail', error);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Confirme un changement d'adresse e-mail à partir du lien reçu sur la nouvelle adresse.
+ * @param {object} data - Contient `jeton`.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON.
+ */
+function confirmerChangementEmail(data, origin) {
+    if (!data || !data.jeton) {
+        return createJsonResponse({ success: false, error: "Le jeton de confirmation est requis." }, origin);
+    }
+    try {
+        const { idClient, donnees: nouvelEmail } = consommerJeton(data.jeton, TYPES_JETON.CHANGEMENT_EMAIL);
+
+        // L'adresse a pu être prise entre la demande et la confirmation
+        if (trouverUtilisateurParEmail(nouvelEmail)) {
+            throw creerErreur("Un compte avec cet email existe déjà.", 'EMAIL_EXISTANT');
+        }
+
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.USERS);
+        const allUsers = sheet.getDataRange().getValues();
+        const headers = allUsers.shift();
+        const rowIndex = allUsers.findIndex(row => row[headers.indexOf("IDClient")] === idClient);
+        if (rowIndex === -1) throw creerErreur("Utilisateur non trouvé.", 'JETON_INVALIDE');
+
+        const emailIndex = headers.indexOf("Email");
+        const ancienEmail = allUsers[rowIndex][emailIndex];
+        sheet.getRange(rowIndex + 2, emailIndex + 1).setValue(nouvelEmail);
+
+        try {
+            getMailer().envoyer(
+                ancienEmail,
+                "Votre adresse e-mail a été modifiée",
+                `<p>Bonjour ${allUsers[rowIndex][headers.indexOf("Nom")]},</p>` +
+                `<p>L'adresse e-mail de votre compte est désormais ${nouvelEmail}. Cette adresse (${ancienEmail}) ne recevra plus nos messages.</p>` +
+                `<p>Si vous n'êtes pas à l'origine de ce changement, contactez immédiatement le support.</p>`
+            );
+        } catch (mailError) {
+            logError('notificationChangementEmail', mailError);
+        }
+
+        logAction('confirmerChangementEmail', { id: idClient, ancienEmail: ancienEmail, nouvelEmail: nouvelEmail });
+        return createJsonResponse({ success: true, message: "Votre nouvelle adresse e-mail est confirmée.", email: nouvelEmail }, origin);
+    } catch (error) {
+        logError('confirmerChangementEmail', error);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Rassemble toutes les données personnelles de l'utilisateur connecté (droit d'accès et portabilité).
+ * Les données détenues par les autres modules (Cours, Commandes, Notifications) sont récupérées
+ * par des appels serveur à serveur authentifiés par un jeton de service.
+ * @param {object} data - Non utilisé.
+ * @param {string} token - Jeton de session.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON avec un objet { nomDeFeuille: lignes[] }.
+ */
+function exporterMesDonnees(data, token, origin) {
+    try {
+        const session = verifierToken(token);
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+        const usersData = ss.getSheetByName(SHEET_NAMES.USERS).getDataRange().getValues();
+        const headers = usersData.shift();
+        const userRow = usersData.find(row => row[headers.indexOf("IDClient")] === session.id);
+        if (!userRow) throw new Error("Utilisateur non trouvé.");
+
+        // Les secrets d'authentification ne font pas partie de l'export
+        const profil = headers.reduce((obj, header, index) => {
+            if (header !== "PasswordHash" && header !== "Salt") obj[header] = userRow[index];
+            return obj;
+        }, {});
+
+        // MODIFIÉ: Entrées rattachées exactement à l'utilisateur (voir champsJournalDeUtilisateur)
+        const logs = ss.getSheetByName(SHEET_NAMES.LOGS).getDataRange().getValues().slice(1)
+            .filter(row => {
+                const details = lireDetailsJournal(row[3]);
+                return details !== null && champsJournalDeUtilisateur(details, session.id, profil.Email).length > 0;
+            })
+            .map(row => ({ Timestamp: row[0], Source: row[1], Action: row[2], Détails: row[3] }));
+
+        const candidatures = ss.getSheetByName(SHEET_NAMES.CANDIDATURES).getDataRange().getValues();
+        const candidatureHeaders = candidatures.shift();
+        const mesCandidatures = candidatures
+            .filter(row => row[candidatureHeaders.indexOf("ID_Client")] === session.id)
+            .map(row => candidatureHeaders.reduce((obj, header, index) => {
+                obj[header] = row[index];
+                return obj;
+            }, {}));
+
+        const config = getConfig();
+        const export_ = Object.assign(
+            {
+                [SHEET_NAMES.USERS]: [profil],
+                [SHEET_NAMES.LOGS]: logs,
+                [SHEET_NAMES.CANDIDATURES]: mesCandidatures
+            },
+            appelerService(config.cours_api_url, 'exporterDonneesUtilisateur', { userId: session.id }),
+            appelerService(config.commandes_api_url, 'exporterDonneesUtilisateur', { userId: session.id }),
+            appelerService(config.notification_api_url, 'exporterDonneesUtilisateur', { userId: session.id })
+        );
+
+        logAction('exporterMesDonnees', { id: session.id });
+        return createJsonResponse({ success: true, data: export_, dateExport: new Date().toISOString() }, origin);
+    } catch (error) {
+        logError('exporterMesDonnees', error);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Supprime le compte de l'utilisateur connecté (droit à l'effacement).
+ * Les données des autres modules sont effacées en premier : si l'un d'eux échoue, le compte est conservé
+ * et l'utilisateur peut réessayer. Les achats et commandes (pièces comptables) sont pseudonymisés, pas supprimés.
+ * @param {object} data - Contient `motDePasse` (confirmation d'identité).
+ * @param {string} token - Jeton de session.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON.
+ */
+function supprimerMonCompte(data, token, origin) {
+    try {
+        const session = verifierToken(token);
+        if (!data || !data.motDePasse) throw new Error("Le mot de passe est requis pour supprimer le compte.");
+
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const usersSheet = ss.getSheetByName(SHEET_NAMES.USERS);
+        const allUsers = usersSheet.getDataRange().getValues();
+        const headers = allUsers.shift();
+        const rowIndex = allUsers.findIndex(row => row[headers.indexOf("IDClient")] === session.id);
+        if (rowIndex === -1) throw new Error("Utilisateur non trouvé.");
+
+        const userRow = allUsers[rowIndex];
+        if (!verifierMotDePasse(data.motDePasse, userRow[headers.indexOf("PasswordHash")], userRow[headers.indexOf("Salt")]).valide) {
+            logAction('supprimerMonCompte', { id: session.id, success: false });
+            throw creerErreur("Le mot de passe est incorrect.", 'MOT_DE_PASSE_INCORRECT');
+        }
+
+        const email = String(userRow[headers.indexOf("Email")]);
+        const pseudonyme = "ANON-" + hacherJeton(session.id).slice(0, 12);
+
+        // 1. Effacer les données des autres modules (interrompt la suppression en cas d'échec)
+        const config = getConfig();
+        const donneesModule = { userId: session.id, pseudonyme: pseudonyme };
+        appelerService(config.cours_api_url, 'supprimerDonneesUtilisateur', donneesModule);
+        appelerService(config.commandes_api_url, 'supprimerDonneesUtilisateur', donneesModule);
+        appelerService(config.notification_api_url, 'supprimerDonneesUtilisateur', donneesModule);
+
+        // 2. Effacer les données de ce module
+        const lock = LockService.getScriptLock();
+        lock.waitLock(30000);
+        try {
+            // MODIFIÉ: Seuls les champs qui désignent l'utilisateur sont remplacés, dans ses seules entrées
+            const logSheet = ss.getSheetByName(SHEET_NAMES.LOGS);
+            const logs = logSheet.getDataRange().getValues();
+            for (let i = 1; i < logs.length; i++) {
+                const details = lireDetailsJournal(logs[i][3]);
+                const champs = details ? champsJournalDeUtilisateur(details, session.id, email) : [];
+                if (champs.length > 0) {
+                    champs.forEach(champ => { details[champ] = pseudonyme; });
+                    logSheet.getRange(i + 1, 4).setValue(JSON.stringify(details));
+                }
+            }
+
+            supprimerLignes(ss.getSheetByName(SHEET_NAMES.JETONS), "ID_Client", session.id);
+            supprimerLignes(ss.getSheetByName(SHEET_NAMES.CANDIDATURES), "ID_Client", session.id);
+            supprimerLignes(ss.getSheetByName(SHEET_NAMES.TENTATIVES), "Cle", getClesTentatives(email)[0]);
+            usersSheet.deleteRow(rowIndex + 2);
+        } finally {
+            lock.releaseLock();
+        }
+
+        logAction('SUPPRESSION_COMPTE', { pseudonyme: pseudonyme });
+        return createJsonResponse({ success: true, message: "Votre compte et vos données personnelles ont été supprimés." }, origin);
+    } catch (error) {
+        logError('supprimerMonCompte', error);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Lit les détails (JSON) d'une entrée du journal.
+ * @param {string} detailsBruts - La colonne "Détails".
+ * @returns {object|null} Les détails, ou null s'ils ne sont pas un objet JSON (l'entrée est alors ignorée).
+ */
+function lireDetailsJournal(detailsBruts) {
+    try {
+        const details = JSON.parse(detailsBruts);
+        return details && typeof details === 'object' ? details : null;
+    } catch (e) {
+        return null;
     }
 }
 
+/**
+ * NOUVEAU: Champs des détails d'une entrée du journal qui désignent un utilisateur : `id` ou `client` égal à son ID,
+ * `email` égal à son e-mail sans tenir compte de la casse (même règle que getLogsByUserId). Une recherche de texte
+ * rattacherait à bob@x.com les entrées de jimbob@x.com.
+ * @param {object} details - Voir lireDetailsJournal.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} email - Son e-mail.
+ * @returns {string[]} Les champs concernés (vide si l'entrée ne le concerne pas).
+ */
+function champsJournalDeUtilisateur(details, userId, email) {
+    const emailNormalise = String(email || '').trim().toLowerCase();
+    return ['id', 'client', 'email'].filter(champ => {
+        if (details[champ] === undefined || details[champ] === null) return false;
+        return champ === 'email'
+            ? emailNormalise !== '' && String(details[champ]).trim().toLowerCase() === emailNormalise
+            : String(details[champ]) === userId;
+    });
+}
+
 /**
  * Enregistre un événement envoyé par le client dans la feuille de logs.
  * @param {object} data - L'objet log envoyé par le client.
@@ -309,23 +1182,251 @@ function logClientEvent(data, origin) {
 }
 
 /**
- * Récupère les 100 derniers journaux pour la page log.html.
- * @param {object} params - Paramètres de la requête GET.
+ * NOUVEAU: Récupère l'historique d'activité de l'utilisateur connecté (page suivi-commande.html).
+ * Seules les actions listées dans ACTIVITES_UTILISATEUR et rattachées à l'utilisateur (par son ID,
+ * ou par son e-mail pour les entrées sans ID comme les échecs de connexion) sont retournées.
+ * @param {object} data - Filtres optionnels : `curseur` (ligne de départ renvoyée par l'appel précédent),
+ *   `limite` (1 à 50, 20 par défaut), `categorie`, `dateDebut` et `dateFin` (AAAA-MM-JJ, inclusives).
+ * @param {string} token - Jeton de session.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON { logs, curseurSuivant } (curseurSuivant null en fin de journal).
+ */
+function getLogsByUserId(data, token, origin) {
+    try {
+        const session = verifierToken(token);
+        const filtres = data || {};
+        const periode = lirePeriode(filtres);
+
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const usersData = ss.getSheetByName(SHEET_NAMES.USERS).getDataRange().getValues();
+        const userHeaders = usersData.shift();
+        const userRow = usersData.find(row => row[userHeaders.indexOf("IDClient")] === session.id);
+        const email = userRow ? String(userRow[userHeaders.indexOf("Email")]).trim().toLowerCase() : null;
+
+        const page = parcourirJournal(filtres.curseur, borner(filtres.limite, 20, 50), periode, ([date, , action, detailsBruts]) => {
+            const activite = ACTIVITES_UTILISATEUR[action];
+            if (!activite || (filtres.categorie && activite.categorie !== filtres.categorie)) return null;
+
+            let details;
+            try { details = JSON.parse(detailsBruts); } catch (e) { return null; }
+            const concerneUtilisateur = details.id
+                ? details.id === session.id
+                : email !== null && String(details.email || '').trim().toLowerCase() === email;
+            if (!concerneUtilisateur) return null;
+
+            return {
+                date: new Date(date).toISOString(),
+                action: action,
+                categorie: activite.categorie,
+                description: activite.decrire(details),
+                succes: details.success !== false,
+                details: redigerDetails(details)
+            };
+        });
+
+        return createJsonResponse({ success: true, logs: page.resultats, curseurSuivant: page.curseurSuivant }, origin);
+    } catch (error) {
+        logError('getLogsByUserId', error);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * Récupère les journaux pour la page log.html.
+ * MODIFIÉ: Réservé aux administrateurs. Filtres, recherche et pagination au-delà des 100 dernières lignes.
+ * @param {object} params - Paramètres de la requête GET : `token` (obligatoire), et en option `source`, `type` (action),
+ *   `severite` (info, avertissement, erreur), `utilisateur` (ID ou e-mail), `recherche` (texte libre dans les détails),
+ *   `dateDebut` et `dateFin` (AAAA-MM-JJ), `curseur` et `limite` (1 à 200, 100 par défaut).
  * @param {string} origin - L'origine de la requête.
- * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON { logs, curseurSuivant }.
+ *   Chaque entrée est un tableau [Date, Source, Action, Détails, Sévérité].
  */
 function getAppLogs(params, origin) {
     try {
-        const logSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.LOGS);
-        const lastRow = logSheet.getLastRow();
-        const startRow = Math.max(2, lastRow - 99);
-        const numRows = lastRow > 1 ? lastRow - startRow + 1 : 0;
-        const logs = (numRows > 0) ? logSheet.getRange(startRow, 1, numRows, 4).getValues() : [];
-        return createJsonResponse({ success: true, logs: logs.reverse() }, origin);
+        const filtres = params || {};
+        exigerRole(verifierToken(filtres.token), [ROLES.ADMIN]);
+        const periode = lirePeriode(filtres);
+        const utilisateur = filtres.utilisateur ? String(filtres.utilisateur).trim().toLowerCase() : '';
+        const recherche = filtres.recherche ? String(filtres.recherche).trim().toLowerCase() : '';
+
+        const page = parcourirJournal(filtres.curseur, borner(filtres.limite, 100, 200), periode, ([date, source, action, detailsBruts]) => {
+            if (filtres.source && source !== filtres.source) return null;
+            if (filtres.type && action !== filtres.type) return null;
+            const detailsTexte = String(detailsBruts);
+            if (recherche && !detailsTexte.toLowerCase().includes(recherche)) return null;
+
+            let details = {};
+            try { details = JSON.parse(detailsTexte); } catch (e) { /* Détails non JSON : seule la recherche texte s'applique */ }
+            if (utilisateur && !['id', 'userId', 'email', 'destinataire', 'ancienEmail', 'nouvelEmail']
+                .some(cle => details[cle] && String(details[cle]).trim().toLowerCase() === utilisateur)) return null;
+
+            const severite = getSeveriteLog(action, details);
+            if (filtres.severite && severite !== filtres.severite) return null;
+            return [date, source, action, detailsTexte, severite];
+        });
+
+        return createJsonResponse({ success: true, logs: page.resultats, curseurSuivant: page.curseurSuivant }, origin);
     } catch (error) {
         logError('getAppLogs', error);
-        return createJsonResponse({ success: false, error: error.message }, origin);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Retourne le profil public d'un formateur : présentation, cours publiés, note moyenne et nombre d'apprenants.
+ * Les cours viennent du catalogue central (colonne Formateur_ID), les apprenants de "Gestion Cours".
+ * Seuls les champs publics du profil sont exposés. La réponse est mise en cache 10 minutes.
+ * @param {object} params - Paramètres de la requête GET. Contient `id`, l'IDClient du formateur.
+ * @param {string} origin - L'origine de la requête.
+ * @returns {GoogleAppsScript.Content.TextOutput} Réponse JSON { profil, cours, note, nombreAvis, apprenants }.
+ */
+function getSeniorProfile(params, origin) {
+    try {
+        const id = params && params.id ? String(params.id).trim() : '';
+        if (!id) throw new Error("ID du formateur manquant.");
+
+        const cache = CacheService.getScriptCache();
+        const cacheKey = 'profil_senior_' + id;
+        const cached = cache.get(cacheKey);
+        if (cached) return createJsonResponse(JSON.parse(cached), origin);
+
+        const usersData = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.USERS).getDataRange().getValues();
+        const headers = usersData.shift();
+        const userRow = usersData.find(row => row[headers.indexOf("IDClient")] === id);
+        if (!userRow || ![ROLES.SENIOR, ROLES.ADMIN].includes(userRow[headers.indexOf("Role")])) {
+            throw creerErreur("Ce formateur est introuvable.", 'FORMATEUR_INTROUVABLE');
+        }
+
+        const config = getConfig();
+        let cours = [];
+        if (config.catalogue_api_url) {
+            const catalogue = JSON.parse(UrlFetchApp.fetch(`${config.catalogue_api_url}?action=getPublicCatalog`, { muteHttpExceptions: true }).getContentText());
+            if (!catalogue.success) throw new Error("Impossible de charger le catalogue des cours.");
+            const nom = userRow[headers.indexOf("Nom")];
+            cours = catalogue.data.products
+                // Les cours antérieurs à la colonne Formateur_ID sont rattachés par le nom
+                .filter(course => course.Formateur_ID ? course.Formateur_ID === id : course.Formateur_Nom === nom)
+                .map(course => ({
+                    ID_Cours: course.ID_Cours,
+                    Nom_Cours: course.Nom_Cours,
+                    Résumé: course.Résumé,
+                    Niveau: course.Niveau,
+                    Durée_Totale: course.Durée_Totale,
+                    Prix: course.Prix,
+                    Image_Couverture: course.Image_Couverture,
+                    Catégorie: course.Catégorie,
+                    Note_Moyenne: course.Note_Moyenne,
+                    Avis: course.Avis
+                }));
+        }
+
+        // Note moyenne pondérée par le nombre d'avis de chaque cours (la colonne Avis contient "125 Avis")
+        const nombreAvis = cours.reduce((total, course) => total + (parseInt(course.Avis, 10) || 0), 0);
+        const note = nombreAvis > 0
+            ? Math.round(cours.reduce((total, course) => total + (parseFloat(course.Note_Moyenne) || 0) * (parseInt(course.Avis, 10) || 0), 0) / nombreAvis * 10) / 10
+            : null;
+
+        // Une indisponibilité de "Gestion Cours" ne doit pas empêcher l'affichage du profil
+        let apprenants = null;
+        if (cours.length > 0) {
+            try {
+                apprenants = appelerService(config.cours_api_url, 'compterApprenants', { coursIds: cours.map(course => course.ID_Cours) }).apprenants;
+            } catch (e) {
+                logError('getSeniorProfile', e);
+            }
+        } else {
+            apprenants = 0;
+        }
+
+        const reponse = {
+            success: true,
+            data: {
+                profil: {
+                    id: id,
+                    nom: userRow[headers.indexOf("Nom")],
+                    titre: userRow[headers.indexOf("Titre")],
+                    bio: userRow[headers.indexOf("Bio")],
+                    imageUrl: userRow[headers.indexOf("ImageURL")],
+                    membreDepuis: userRow[headers.indexOf("Date d'inscription")]
+                },
+                cours: cours,
+                note: note,
+                nombreAvis: nombreAvis,
+                apprenants: apprenants
+            }
+        };
+        if (apprenants !== null) cache.put(cacheKey, JSON.stringify(reponse), 600);
+        return createJsonResponse(reponse, origin);
+    } catch (error) {
+        if (!error.code) logError('getSeniorProfile', error);
+        return createJsonResponse({ success: false, error: error.message, code: error.code }, origin);
+    }
+}
+
+/**
+ * NOUVEAU: Parcourt la feuille "Logs" du plus récent au plus ancien, par lots, à partir d'un curseur.
+ * @param {number|string} [curseur] - Numéro de la ligne où reprendre (renvoyé par l'appel précédent).
+ * @param {number} limite - Nombre maximal de résultats.
+ * @param {{debut: number|null, fin: number|null}} periode - Bornes en millisecondes (voir lirePeriode).
+ * @param {function(Array): *} selectionner - Retourne l'élément à ajouter pour une ligne, ou null pour l'ignorer.
+ * @returns {{resultats: Array, curseurSuivant: number|null}} curseurSuivant vaut null en fin de journal.
+ */
+function parcourirJournal(curseur, limite, periode, selectionner) {
+    const logSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.LOGS);
+    const TAILLE_LOT = 500;
+    const derniereLigne = logSheet.getLastRow();
+    let ligne = Math.min(parseInt(curseur, 10) || derniereLigne, derniereLigne);
+    const resultats = [];
+
+    lecture:
+    while (ligne >= 2) {
+        const premiereLigne = Math.max(2, ligne - TAILLE_LOT + 1);
+        const lot = logSheet.getRange(premiereLigne, 1, ligne - premiereLigne + 1, 4).getValues();
+        for (let i = lot.length - 1; i >= 0; i--, ligne--) {
+            if (resultats.length >= limite) break lecture;
+            const horodatage = new Date(lot[i][0]).getTime();
+            if (periode.debut !== null && horodatage < periode.debut) { ligne = 1; break lecture; } // Le journal est chronologique
+            if (periode.fin !== null && horodatage > periode.fin) continue;
+
+            const element = selectionner(lot[i]);
+            if (element !== null) resultats.push(element);
+        }
+    }
+    return { resultats: resultats, curseurSuivant: ligne >= 2 ? ligne : null };
+}
+
+/**
+ * NOUVEAU: Convertit les filtres `dateDebut` / `dateFin` (AAAA-MM-JJ, inclusifs) en bornes en millisecondes.
+ * @throws {Error} Si une date est mal formée.
+ */
+function lirePeriode(filtres) {
+    const debut = filtres.dateDebut ? new Date(filtres.dateDebut + 'T00:00:00').getTime() : null;
+    const fin = filtres.dateFin ? new Date(filtres.dateFin + 'T23:59:59.999').getTime() : null;
+    if ((filtres.dateDebut && isNaN(debut)) || (filtres.dateFin && isNaN(fin))) {
+        throw new Error("Format de date invalide (AAAA-MM-JJ attendu).");
+    }
+    return { debut: debut, fin: fin };
+}
+
+/**
+ * NOUVEAU: Lit un entier entre 1 et `max`, avec une valeur par défaut.
+ */
+function borner(valeur, parDefaut, max) {
+    return Math.min(Math.max(parseInt(valeur, 10) || parDefaut, 1), max);
+}
+
+/**
+ * NOUVEAU: Déduit la sévérité d'une entrée du journal à partir de son action et de ses détails.
+ * @returns {string} 'erreur', 'avertissement' ou 'info'.
+ */
+function getSeveriteLog(action, details) {
+    const type = String(action);
+    if (type.includes('ERROR') || type.includes('REJECTED') || (type === 'PREFLIGHT_CHECK' && details.isAllowed === false)) {
+        return 'erreur';
     }
+    if (type === 'VERROUILLAGE_COMPTE' || details.success === false) {
+        return 'avertissement';
+    }
+    return 'info';
 }
 
 // --- FONCTIONS UTILITAIRES ---
@@ -345,19 +1446,677 @@ function createJsonResponse(data, origin) {
 
 /**
  * Hache un mot de passe avec un sel (salt).
+ * MODIFIÉ: Utilise PBKDF2-HMAC-SHA256. L'algorithme et le nombre d'itérations sont stockés avec le hachage.
  * @param {string} password - Le mot de passe en clair.
  * @param {string} [salt] - Le sel à utiliser. Si non fourni, un nouveau sera généré.
+ * @param {number} [iterations] - Facteur de travail. Par défaut, la valeur `password_hash_iterations` de la configuration.
  * @returns {{passwordHash: string, salt: string}} Le mot de passe haché et le sel utilisé.
  */
-function hashPassword(password, salt) {
+function hashPassword(password, salt, iterations) {
     const saltValue = salt || Utilities.getUuid();
-    // On combine le mot de passe et le sel avant de hacher.
-    const toHash = password + saltValue;
-    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, toHash);
-    const passwordHash = Utilities.base64Encode(digest);
+    const iterationCount = iterations || getConfig().password_hash_iterations;
+    const derivedKey = pbkdf2Sha256(password, saltValue, iterationCount);
+    const passwordHash = `${PASSWORD_HASH_ALGORITHM}$${iterationCount}$${Utilities.base64Encode(derivedKey)}`;
     return { passwordHash, salt: saltValue };
 }
 
+/**
+ * NOUVEAU: Ancien hachage (SHA-256 simple du mot de passe + sel), conservé pour vérifier les comptes existants.
+ * @param {string} password - Le mot de passe en clair.
+ * @param {string} salt - Le sel du compte.
+ * @returns {string} Le hachage encodé en base64.
+ */
+function hashPasswordLegacy(password, salt) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, password + salt);
+    return Utilities.base64Encode(digest);
+}
+
+/**
+ * NOUVEAU: Vérifie un mot de passe contre le hachage stocké, quel que soit son format.
+ * @param {string} password - Le mot de passe fourni.
+ * @param {string} storedHash - La valeur de la colonne PasswordHash.
+ * @param {string} salt - La valeur de la colonne Salt.
+ * @returns {{valide: boolean, aRehacher: boolean}} `aRehacher` indique qu'il faut mettre le hachage à niveau.
+ */
+function verifierMotDePasse(password, storedHash, salt) {
+    const parts = String(storedHash).split('$');
+
+    if (parts.length === 3 && parts[0] === PASSWORD_HASH_ALGORITHM) {
+        const iterations = parseInt(parts[1], 10);
+        const { passwordHash } = hashPassword(password, salt, iterations);
+        const valide = comparerChaines(passwordHash, String(storedHash));
+        return { valide: valide, aRehacher: valide && iterations < getConfig().password_hash_iterations };
+    }
+
+    // Ancien format : SHA-256 simple
+    const valide = comparerChaines(hashPasswordLegacy(password, salt), String(storedHash));
+    return { valide: valide, aRehacher: valide };
+}
+
+/**
+ * NOUVEAU: Dérive une clé de 32 octets avec PBKDF2-HMAC-SHA256 (RFC 8018).
+ * Apps Script ne fournit pas PBKDF2 : on l'implémente à partir de computeHmacSha256Signature.
+ * La longueur demandée étant celle d'un seul bloc HMAC, un seul bloc (index 1) est calculé.
+ * @param {string} password - Le mot de passe (clé HMAC).
+ * @param {string} salt - Le sel.
+ * @param {number} iterations - Le nombre d'itérations.
+ * @returns {number[]} La clé dérivée (octets signés, comme les autres API Utilities).
+ */
+function pbkdf2Sha256(password, salt, iterations) {
+    const passwordBytes = Utilities.newBlob(String(password)).getBytes();
+    const saltBytes = Utilities.newBlob(String(salt)).getBytes().concat([0, 0, 0, 1]); // INT_32_BE(1)
+
+    let u = Utilities.computeHmacSha256Signature(saltBytes, passwordBytes);
+    const result = u.slice();
+    for (let i = 1; i < iterations; i++) {
+        u = Utilities.computeHmacSha256Signature(u, passwordBytes);
+        for (let j = 0; j < result.length; j++) {
+            result[j] ^= u[j];
+        }
+    }
+    return result;
+}
+
+/**
+ * NOUVEAU: Crée une erreur portant un code exploitable par le front-end (ex: 'TOKEN_EXPIRE').
+ * @param {string} message - Le message lisible.
+ * @param {string} code - Le code d'erreur.
+ * @returns {Error} L'erreur enrichie de la propriété `code`.
+ */
+function creerErreur(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * NOUVEAU: Récupère le secret partagé servant à signer les jetons de session.
+ * Il est stocké dans les propriétés du script (clé SESSION_SECRET) et doit avoir la même valeur
+ * dans chaque script qui vérifie les jetons (Gestion Cours, Notifications, Commandes, Catégories).
+ * @returns {string} Le secret.
+ */
+function getSessionSecret() {
+    const secret = PropertiesService.getScriptProperties().getProperty('SESSION_SECRET');
+    if (!secret) throw new Error("Le secret de session (SESSION_SECRET) n'est pas configuré dans les propriétés du script.");
+    return secret;
+}
+
+/**
+ * NOUVEAU: Émet un jeton de session signé (HMAC-SHA256).
+ * Format : base64url(contenu JSON) + "." + base64url(signature).
+ * @param {object} claims - L'identité à inscrire dans le jeton ({ id, role, nom, statut }).
+ * @param {number} [ttlSeconds] - Durée de validité. Par défaut SESSION_TTL_SECONDS.
+ * @returns {string} Le jeton signé.
+ */
+function signerToken(claims, ttlSeconds) {
+    const payload = Object.assign({}, claims, {
+        exp: Math.floor(Date.now() / 1000) + (ttlSeconds || SESSION_TTL_SECONDS)
+    });
+    const encodedPayload = Utilities.base64EncodeWebSafe(JSON.stringify(payload), Utilities.Charset.UTF_8);
+    const signature = Utilities.computeHmacSha256Signature(encodedPayload, getSessionSecret());
+    return `${encodedPayload}.${Utilities.base64EncodeWebSafe(signature)}`;
+}
+
+/**
+ * NOUVEAU: Vérifie un jeton de session et retourne l'identité qu'il contient.
+ * @param {string} token - Le jeton reçu du front-end.
+ * @returns {{id: string, role: string, nom: string, statut: string, exp: number}} L'identité de l'appelant.
+ * @throws {Error} Avec le code TOKEN_MANQUANT, TOKEN_INVALIDE ou TOKEN_EXPIRE.
+ */
+function verifierToken(token) {
+    if (!token) throw creerErreur("Authentification requise. Veuillez vous connecter.", 'TOKEN_MANQUANT');
+
+    const parts = String(token).split('.');
+    if (parts.length !== 2) throw creerErreur("Jeton de session invalide.", 'TOKEN_INVALIDE');
+
+    const expectedSignature = Utilities.base64EncodeWebSafe(Utilities.computeHmacSha256Signature(parts[0], getSessionSecret()));
+    if (!comparerChaines(expectedSignature, parts[1])) {
+        throw creerErreur("Jeton de session invalide.", 'TOKEN_INVALIDE');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[0])).getDataAsString());
+    } catch (e) {
+        throw creerErreur("Jeton de session illisible.", 'TOKEN_INVALIDE');
+    }
+
+    if (!payload.exp || payload.exp * 1000 < Date.now()) {
+        throw creerErreur("Votre session a expiré. Veuillez vous reconnecter.", 'TOKEN_EXPIRE');
+    }
+    return payload;
+}
+
+/**
+ * NOUVEAU: Vérifie que l'appelant possède l'un des rôles autorisés.
+ * @param {{role: string}} session - L'identité retournée par verifierToken.
+ * @param {string[]} roles - Les rôles autorisés (voir ROLES).
+ * @returns {object} La session, pour pouvoir chaîner l'appel.
+ * @throws {Error} Avec le code ACCES_REFUSE.
+ */
+function exigerRole(session, roles) {
+    if (!roles.includes(session.role)) {
+        throw creerErreur("Vous n'avez pas les droits nécessaires pour cette action.", 'ACCES_REFUSE');
+    }
+    return session;
+}
+
+/**
+ * NOUVEAU: Crée une notification dans l'application via l'API "Gestion Notifications".
+ * L'appel est authentifié par un jeton de service de courte durée (rôle "Service").
+ * Un échec est journalisé mais n'interrompt pas l'action en cours.
+ * @param {string} userId - Le destinataire ('ADMIN' pour les administrateurs).
+ * @param {string} type - Le type de notification.
+ * @param {string} message - Le message.
+ */
+function envoyerNotificationInterne(userId, type, message) {
+    const url = getConfig().notification_api_url;
+    if (!url) return;
+    try {
+        UrlFetchApp.fetch(url, {
+            method: 'post',
+            contentType: 'text/plain',
+            payload: JSON.stringify({
+                action: 'createNotification',
+                data: { userId: userId, type: type, message: message },
+                token: signerTokenService()
+            }),
+            muteHttpExceptions: true
+        });
+    } catch (e) {
+        logError('envoyerNotificationInterne', e);
+    }
+}
+
+/**
+ * NOUVEAU: Signe un jeton de courte durée identifiant ce module auprès des autres scripts (rôle "Service").
+ */
+function signerTokenService() {
+    return signerToken({ id: 'SERVICE-COMPTE', role: 'Service', nom: 'Gestion Compte' }, 300);
+}
+
+/**
+ * NOUVEAU: Appelle une action d'un autre module et retourne ses données.
+ * Contrairement à envoyerNotificationInterne, un échec est bloquant.
+ * @param {string} url - URL de déploiement du module (clé de la feuille "Config").
+ * @param {string} action - L'action POST à appeler.
+ * @param {object} data - Les données de l'action.
+ * @returns {object} Le champ `data` de la réponse.
+ * @throws {Error} Si l'URL n'est pas configurée ou si le module répond par une erreur.
+ */
+function appelerService(url, action, data) {
+    if (!url) throw new Error(`Module non configuré pour l'action ${action}. Veuillez contacter le support.`);
+    const response = UrlFetchApp.fetch(url, {
+        method: 'post',
+        contentType: 'text/plain',
+        payload: JSON.stringify({ action: action, data: data, token: signerTokenService() }),
+        muteHttpExceptions: true
+    });
+    const result = JSON.parse(response.getContentText());
+    if (!result.success) throw new Error(`${action} : ${result.error}`);
+    return result.data || {};
+}
+
+/**
+ * NOUVEAU: Supprime les lignes d'une feuille dont la colonne donnée vaut `valeur` (de bas en haut).
+ * @returns {number} Le nombre de lignes supprimées.
+ */
+function supprimerLignes(sheet, colonne, valeur) {
+    if (!sheet) return 0;
+    const rows = sheet.getDataRange().getValues();
+    const index = rows[0].indexOf(colonne);
+    let count = 0;
+    for (let i = rows.length - 1; i >= 1; i--) {
+        if (rows[i][index] === valeur) {
+            sheet.deleteRow(i + 1);
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * NOUVEAU: Retire les informations sensibles d'une entrée du journal avant de l'envoyer au front-end.
+ * Les clés listées dans CLES_JOURNAL_SENSIBLES sont supprimées et les adresses e-mail sont masquées (j***@exemple.com).
+ * @param {object} details - Les détails de l'entrée (JSON déjà analysé).
+ * @returns {object} Une copie expurgée.
+ */
+function redigerDetails(details) {
+    const masquerEmail = valeur => String(valeur).replace(/([^\s@"]{1,2})[^\s@"]*@/g, '$1***@');
+    return Object.keys(details).reduce((copie, cle) => {
+        if (CLES_JOURNAL_SENSIBLES.includes(cle)) return copie;
+        const valeur = details[cle];
+        copie[cle] = typeof valeur === 'string' ? masquerEmail(valeur) : valeur;
+        return copie;
+    }, {});
+}
+
+/**
+ * NOUVEAU: Compare deux chaînes en temps constant (évite les attaques temporelles sur la signature).
+ */
+function comparerChaines(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * NOUVEAU: Recherche un utilisateur par e-mail (insensible à la casse).
+ * @param {string} email - L'e-mail recherché.
+ * @returns {object|null} L'utilisateur (objet en-tête → valeur) ou null.
+ */
+function trouverUtilisateurParEmail(email) {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.USERS);
+    const usersData = sheet.getDataRange().getValues();
+    const headers = usersData.shift();
+    const emailIndex = headers.indexOf("Email");
+    const normalizedEmail = String(email).trim().toLowerCase();
+
+    const userRow = usersData.find(row => String(row[emailIndex]).trim().toLowerCase() === normalizedEmail);
+    if (!userRow) return null;
+    return headers.reduce((obj, header, index) => {
+        obj[header] = userRow[index];
+        return obj;
+    }, {});
+}
+
+/**
+ * NOUVEAU: Hache un jeton (SHA-256) avant de le stocker ou de le rechercher.
+ * Seule l'empreinte est conservée dans la feuille "Jetons".
+ * @param {string} jeton - La valeur en clair.
+ * @returns {string} L'empreinte encodée en base64 web-safe.
+ */
+function hacherJeton(jeton) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(jeton), Utilities.Charset.UTF_8);
+    return Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * NOUVEAU: Crée un jeton à usage unique et enregistre son empreinte dans la feuille "Jetons".
+ * Les jetons encore actifs du même type pour cet utilisateur sont révoqués.
+ * @param {string} idClient - L'utilisateur concerné.
+ * @param {string} type - Le type de jeton (voir TYPES_JETON).
+ * @param {number} ttlMinutes - Durée de validité en minutes.
+ * @param {string} [donnees] - Donnée associée au jeton (ex: la nouvelle adresse e-mail à confirmer).
+ * @returns {string} Le jeton en clair, à transmettre à l'utilisateur (il n'est pas stocké).
+ */
+function creerJeton(idClient, type, ttlMinutes, donnees) {
+    const jeton = (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, '');
+    const maintenant = new Date();
+    const expiration = new Date(maintenant.getTime() + ttlMinutes * 60 * 1000);
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.JETONS);
+        const data = sheet.getDataRange().getValues();
+        const headers = data.shift();
+        const clientIndex = headers.indexOf("ID_Client");
+        const typeIndex = headers.indexOf("Type");
+        const statutIndex = headers.indexOf("Statut");
+
+        data.forEach((row, index) => {
+            if (row[clientIndex] === idClient && row[typeIndex] === type && row[statutIndex] === 'Actif') {
+                sheet.getRange(index + 2, statutIndex + 1).setValue('Révoqué');
+            }
+        });
+
+        sheet.appendRow(["JET-" + maintenant.getTime(), idClient, type, hacherJeton(jeton), expiration, 'Actif', maintenant, donnees || '']);
+    } finally {
+        lock.releaseLock();
+    }
+    return jeton;
+}
+
+/**
+ * NOUVEAU: Valide un jeton à usage unique et le marque comme utilisé.
+ * @param {string} jeton - Le jeton en clair reçu du front-end.
+ * @param {string} type - Le type attendu (voir TYPES_JETON).
+ * @returns {{idClient: string, donnees: string}} Le client associé au jeton et la donnée éventuelle.
+ * @throws {Error} Avec le code JETON_INVALIDE ou JETON_EXPIRE.
+ */
+function consommerJeton(jeton, type) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.JETONS);
+        const data = sheet.getDataRange().getValues();
+        const headers = data.shift();
+        const hashIndex = headers.indexOf("Hash_Jeton");
+        const typeIndex = headers.indexOf("Type");
+        const statutIndex = headers.indexOf("Statut");
+        const expirationIndex = headers.indexOf("Expiration");
+
+        const hash = hacherJeton(jeton);
+        const rowIndex = data.findIndex(row => row[hashIndex] === hash && row[typeIndex] === type);
+        if (rowIndex === -1 || data[rowIndex][statutIndex] !== 'Actif') {
+            throw creerErreur("Ce lien est invalide ou a déjà été utilisé.", 'JETON_INVALIDE');
+        }
+
+        const row = data[rowIndex];
+        if (new Date(row[expirationIndex]).getTime() < Date.now()) {
+            sheet.getRange(rowIndex + 2, statutIndex + 1).setValue('Expiré');
+            throw creerErreur("Ce lien a expiré. Veuillez faire une nouvelle demande.", 'JETON_EXPIRE');
+        }
+
+        sheet.getRange(rowIndex + 2, statutIndex + 1).setValue('Utilisé');
+        const donneesIndex = headers.indexOf("Donnees");
+        return { idClient: row[headers.indexOf("ID_Client")], donnees: donneesIndex !== -1 ? row[donneesIndex] : '' };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * NOUVEAU: Construit les clés des compteurs d'échecs de connexion.
+ * MODIFIÉ: Le `clientId` est choisi par le navigateur : un attaquant peut le changer à chaque essai.
+ * Le compteur `client:...` ne fait donc que compléter le compteur par e-mail (qui, lui, ne se contourne pas)
+ * et le compteur global (voir CLE_TENTATIVES_GLOBALE), qui ralentit toutes les connexions en cas d'attaque.
+ * @param {string} email - L'e-mail saisi.
+ * @param {string} [clientId] - L'identifiant de l'appareil envoyé par le front-end.
+ * @returns {string[]} Les clés (`email:...` et, si fourni, `client:...`).
+ */
+function getClesTentatives(email, clientId) {
+    const cles = ['email:' + String(email).trim().toLowerCase()];
+    if (clientId) cles.push('client:' + String(clientId).slice(0, 64));
+    return cles;
+}
+
+/**
+ * NOUVEAU: Lit l'état d'un compteur d'échecs (cache, puis feuille "Tentatives_Connexion").
+ * @param {string} cle - La clé du compteur.
+ * @returns {{echecs: number, derniereTentative: number, verrouilleJusqua: number}} L'état (horodatages en ms).
+ */
+function getEtatTentatives(cle) {
+    const cache = CacheService.getScriptCache();
+    const cached = cache.get('login_' + hacherJeton(cle));
+    if (cached) return JSON.parse(cached);
+
+    const etat = { echecs: 0, derniereTentative: 0, verrouilleJusqua: 0 };
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.TENTATIVES);
+    if (!sheet) return etat;
+
+    const row = sheet.getDataRange().getValues().find(r => r[0] === cle);
+    if (row) {
+        etat.echecs = Number(row[2]) || 0;
+        etat.derniereTentative = row[3] ? new Date(row[3]).getTime() : 0;
+        etat.verrouilleJusqua = row[4] ? new Date(row[4]).getTime() : 0;
+    }
+    cache.put('login_' + hacherJeton(cle), JSON.stringify(etat), 3600);
+    return etat;
+}
+
+/**
+ * NOUVEAU: Enregistre l'état d'un compteur d'échecs dans le cache et dans la feuille.
+ * @param {string} cle - La clé du compteur.
+ * @param {{echecs: number, derniereTentative: number, verrouilleJusqua: number}} etat - Le nouvel état.
+ */
+function sauvegarderEtatTentatives(cle, etat) {
+    CacheService.getScriptCache().put('login_' + hacherJeton(cle), JSON.stringify(etat), 3600);
+
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.TENTATIVES);
+    if (!sheet) return;
+    const values = [
+        cle,
+        { email: 'Email', client: 'Appareil' }[cle.split(':')[0]] || 'Global',
+        etat.echecs,
+        etat.derniereTentative ? new Date(etat.derniereTentative) : '',
+        etat.verrouilleJusqua ? new Date(etat.verrouilleJusqua) : ''
+    ];
+    const rowIndex = sheet.getDataRange().getValues().findIndex(r => r[0] === cle);
+    if (rowIndex === -1) {
+        if (etat.echecs > 0) sheet.appendRow(values);
+    } else {
+        sheet.getRange(rowIndex + 1, 1, 1, values.length).setValues([values]);
+    }
+}
+
+/**
+ * NOUVEAU: Retourne la date de fin du verrouillage le plus long en cours, ou null.
+ * @param {string[]} cles - Les clés des compteurs.
+ * @returns {Date|null}
+ */
+function getVerrouActif(cles) {
+    const maintenant = Date.now();
+    const fin = Math.max(...cles.map(cle => getEtatTentatives(cle).verrouilleJusqua || 0));
+    return fin > maintenant ? new Date(fin) : null;
+}
+
+/**
+ * NOUVEAU: Ralentit les tentatives successives (délai proportionnel au nombre d'échecs, plafonné).
+ * @param {string[]} cles - Les clés des compteurs.
+ */
+function appliquerDelaiProgressif(cles) {
+    const config = getConfig();
+    const echecs = Math.max(...cles.map(cle => getEtatTentatives(cle).echecs || 0));
+    // NOUVEAU: Au-delà du seuil global, toutes les tentatives subissent le délai maximal, quel que soit le clientId
+    const globales = getEtatTentatives(CLE_TENTATIVES_GLOBALE);
+    const attaqueEnCours = globales.echecs >= config.login_global_max_attempts
+        && Date.now() - globales.derniereTentative <= config.login_attempt_window_minutes * 60 * 1000;
+    const delai = attaqueEnCours ? config.login_delay_max_ms : Math.min(echecs * config.login_delay_step_ms, config.login_delay_max_ms);
+    if (delai > 0) Utilities.sleep(delai);
+}
+
+/**
+ * NOUVEAU: Incrémente les compteurs d'échecs et verrouille temporairement si le seuil est atteint.
+ * MODIFIÉ: Incrémente aussi le compteur global, qui ne verrouille jamais (voir appliquerDelaiProgressif).
+ * @param {string[]} cles - Les clés des compteurs.
+ * @param {string} email - L'e-mail saisi (pour la journalisation).
+ * @param {{Nom: string, Email: string}|null} user - Le compte visé, s'il existe (pour la notification).
+ */
+function enregistrerEchecConnexion(cles, email, user) {
+    const config = getConfig();
+    const maintenant = Date.now();
+    const fenetreMs = config.login_attempt_window_minutes * 60 * 1000;
+    let verrouillage = null;
+
+    cles.concat(CLE_TENTATIVES_GLOBALE).forEach(cle => {
+        const etat = getEtatTentatives(cle);
+        // Les échecs trop anciens ne comptent plus
+        if (etat.derniereTentative && maintenant - etat.derniereTentative > fenetreMs) {
+            etat.echecs = 0;
+        }
+        etat.echecs += 1;
+        etat.derniereTentative = maintenant;
+
+        if (cle !== CLE_TENTATIVES_GLOBALE && etat.echecs >= config.login_max_attempts) {
+            etat.verrouilleJusqua = maintenant + config.login_lockout_minutes * 60 * 1000;
+            etat.echecs = 0; // Nouveau cycle après le verrouillage
+            verrouillage = new Date(etat.verrouilleJusqua);
+            logAction('VERROUILLAGE_COMPTE', { cle: cle, email: email, jusqua: verrouillage.toISOString() });
+        }
+        sauvegarderEtatTentatives(cle, etat);
+    });
+
+    if (verrouillage && user) {
+        try {
+            getMailer().envoyer(
+                user.Email,
+                "Votre compte est temporairement verrouillé",
+                `<p>Bonjour ${user.Nom},</p>` +
+                `<p>Plusieurs tentatives de connexion ont échoué sur votre compte. Par sécurité, la connexion est bloquée jusqu'à ${formaterHeure(verrouillage)}.</p>` +
+                `<p>Vous pourrez vous reconnecter normalement après cette heure ; un e-mail vous préviendra de la fin du verrouillage. Si vous avez oublié votre mot de passe, utilisez le lien « Mot de passe oublié ? ».</p>` +
+                `<p>Si vous n'êtes pas à l'origine de ces tentatives, nous vous conseillons de changer votre mot de passe.</p>`
+            );
+        } catch (mailError) {
+            logError('notificationVerrouillage', mailError);
+        }
+    }
+}
+
+/**
+ * NOUVEAU: Remet à zéro les compteurs d'échecs après une connexion réussie.
+ * @param {string[]} cles - Les clés des compteurs.
+ */
+function reinitialiserTentatives(cles) {
+    cles.forEach(cle => {
+        const etat = getEtatTentatives(cle);
+        if (etat.echecs > 0 || etat.verrouilleJusqua) {
+            sauvegarderEtatTentatives(cle, { echecs: 0, derniereTentative: 0, verrouilleJusqua: 0 });
+        }
+    });
+}
+
+/**
+ * NOUVEAU: Prévient par e-mail les utilisateurs dont le verrouillage vient d'expirer, puis efface la date de fin
+ * du verrouillage (un compte n'est prévenu qu'une fois). Un verrouillage effacé par une connexion réussie
+ * (voir reinitialiserTentatives) ne donne pas lieu à un e-mail : l'utilisateur a déjà retrouvé son accès.
+ * Exécutée toutes les 5 minutes par le déclencheur créé avec installerDeclencheurDeverrouillage.
+ */
+function notifierDeverrouillages() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(SHEET_NAMES.TENTATIVES);
+    if (!sheet) return;
+    const maintenant = Date.now();
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    let expires;
+    try {
+        expires = sheet.getDataRange().getValues().slice(1)
+            .filter(row => row[4] && new Date(row[4]).getTime() <= maintenant)
+            .map(row => row[0]);
+        expires.forEach(cle => sauvegarderEtatTentatives(cle, { ...getEtatTentatives(cle), verrouilleJusqua: 0 }));
+    } finally {
+        lock.releaseLock();
+    }
+
+    const usersData = ss.getSheetByName(SHEET_NAMES.USERS).getDataRange().getValues();
+    const headers = usersData.shift();
+    expires.filter(cle => cle.startsWith('email:')).forEach(cle => {
+        const email = cle.slice('email:'.length);
+        logAction('DEVERROUILLAGE_COMPTE', { cle: cle, email: email });
+        const userRow = usersData.find(row => String(row[headers.indexOf("Email")]).trim().toLowerCase() === email);
+        if (!userRow) return; // Tentatives sur une adresse inconnue
+        try {
+            getMailer().envoyer(
+                userRow[headers.indexOf("Email")],
+                "Votre compte est de nouveau accessible",
+                `<p>Bonjour ${userRow[headers.indexOf("Nom")]},</p>` +
+                `<p>Le verrouillage temporaire de votre compte a pris fin : vous pouvez de nouveau vous connecter.</p>` +
+                `<p>Si vous n'êtes pas à l'origine des tentatives de connexion échouées, nous vous conseillons de changer votre mot de passe.</p>`
+            );
+        } catch (mailError) {
+            logError('notificationDeverrouillage', mailError);
+        }
+    });
+}
+
+/**
+ * NOUVEAU: Installe le déclencheur de notifierDeverrouillages (toutes les 5 minutes), une seule fois.
+ * Lancée depuis le menu du tableur.
+ */
+function installerDeclencheurDeverrouillage() {
+    const existe = ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === 'notifierDeverrouillages');
+    if (!existe) ScriptApp.newTrigger('notifierDeverrouillages').timeBased().everyMinutes(5).create();
+    SpreadsheetApp.getUi().alert(existe ? "Le déclencheur est déjà installé." : "Les utilisateurs seront prévenus de la fin de leur verrouillage.");
+}
+
+/**
+ * NOUVEAU: Formate une date en heure lisible (fuseau du script).
+ * @param {Date} date - La date à formater.
+ * @returns {string} Ex: "14:35 (12/05/2025)".
+ */
+function formaterHeure(date) {
+    return Utilities.formatDate(date, Session.getScriptTimeZone(), "HH:mm (dd/MM/yyyy)");
+}
+
+/**
+ * NOUVEAU: Retourne le service d'envoi d'e-mails.
+ * - Par défaut, les e-mails sont envoyés via MailApp.
+ * - Si la clé de configuration `mail_mode` vaut `log`, ils sont seulement journalisés (développement local).
+ * - Les fonctions de test peuvent injecter leur propre service via `mailerOverride`.
+ * @returns {{envoyer: function(string, string, string): void}} Le service d'envoi.
+ */
+function getMailer() {
+    if (mailerOverride) return mailerOverride;
+
+    if (getConfig().mail_mode === 'log') {
+        return {
+            envoyer: (destinataire, sujet, corpsHtml) => {
+                Logger.log(`[E-MAIL SIMULÉ] À: ${destinataire} | Sujet: ${sujet}\n${corpsHtml}`);
+                logAction('EMAIL_SIMULE', { destinataire: destinataire, sujet: sujet });
+            }
+        };
+    }
+
+    return {
+        envoyer: (destinataire, sujet, corpsHtml) => {
+            MailApp.sendEmail({ to: destinataire, subject: sujet, htmlBody: corpsHtml });
+        }
+    };
+}
+
+/**
+ * NOUVEAU: Récupère la configuration depuis la feuille "Config" et la met en cache.
+ */
+function getConfig() {
+    const cache = CacheService.getScriptCache();
+    const CACHE_KEY = 'script_config_compte';
+    const cachedConfig = cache.get(CACHE_KEY);
+    if (cachedConfig) {
+        return JSON.parse(cachedConfig);
+    }
+
+    const defaultConfig = {
+        frontend_url: "https://junior-senior-gaps-killer.vercel.app",
+        mail_mode: "mail",
+        reset_token_ttl_minutes: 30,
+        reset_max_requests_per_hour: 3,
+        verification_token_ttl_hours: 48,
+        password_hash_iterations: 10000,
+        login_max_attempts: 5,
+        login_attempt_window_minutes: 15,
+        login_lockout_minutes: 15,
+        login_delay_step_ms: 500,
+        login_delay_max_ms: 3000,
+        login_global_max_attempts: 50,
+        notification_api_url: "",
+        cours_api_url: "",
+        commandes_api_url: "",
+        catalogue_api_url: ""
+    };
+
+    try {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const configSheet = ss.getSheetByName(SHEET_NAMES.CONFIG);
+        if (!configSheet) return defaultConfig;
+
+        const data = configSheet.getDataRange().getValues();
+        const config = {};
+        data.forEach(row => {
+            if (row[0] && row[1] !== '') { config[row[0]] = row[1]; }
+        });
+
+        const finalConfig = {
+            frontend_url: config.frontend_url ? String(config.frontend_url).trim().replace(/\/$/, '') : defaultConfig.frontend_url,
+            mail_mode: config.mail_mode || defaultConfig.mail_mode,
+            reset_token_ttl_minutes: Number(config.reset_token_ttl_minutes) || defaultConfig.reset_token_ttl_minutes,
+            reset_max_requests_per_hour: Number(config.reset_max_requests_per_hour) || defaultConfig.reset_max_requests_per_hour,
+            verification_token_ttl_hours: Number(config.verification_token_ttl_hours) || defaultConfig.verification_token_ttl_hours,
+            password_hash_iterations: Number(config.password_hash_iterations) || defaultConfig.password_hash_iterations,
+            login_max_attempts: Number(config.login_max_attempts) || defaultConfig.login_max_attempts,
+            login_attempt_window_minutes: Number(config.login_attempt_window_minutes) || defaultConfig.login_attempt_window_minutes,
+            login_lockout_minutes: Number(config.login_lockout_minutes) || defaultConfig.login_lockout_minutes,
+            login_delay_step_ms: Number(config.login_delay_step_ms) || defaultConfig.login_delay_step_ms,
+            login_delay_max_ms: Number(config.login_delay_max_ms) || defaultConfig.login_delay_max_ms,
+            login_global_max_attempts: Number(config.login_global_max_attempts) || defaultConfig.login_global_max_attempts,
+            notification_api_url: config.notification_api_url || defaultConfig.notification_api_url,
+            cours_api_url: config.cours_api_url || defaultConfig.cours_api_url,
+            commandes_api_url: config.commandes_api_url || defaultConfig.commandes_api_url,
+            catalogue_api_url: config.catalogue_api_url || defaultConfig.catalogue_api_url
+        };
+
+        cache.put(CACHE_KEY, JSON.stringify(finalConfig), 600); // Cache 10 minutes
+        return finalConfig;
+    } catch (e) {
+        return defaultConfig;
+    }
+}
+
 /**
  * Journalise une action réussie dans la feuille "Logs".
  * @param {string} action - Le nom de l'action.
@@ -398,6 +2157,7 @@ function onOpen() {
   SpreadsheetApp.getUi()
       .createMenu('Configuration Module')
       .addItem('🚀 Initialiser le projet', 'setupProject')
+      .addItem('🔓 Activer les e-mails de déverrouillage', 'installerDeclencheurDeverrouillage') // NOUVEAU
       .addToUi();
 }
 
@@ -411,7 +2171,10 @@ function setupProject() {
   // NOUVEAU: Assurer que les colonnes Titre et Bio sont incluses
   const sheetsToCreate = {
     [SHEET_NAMES.USERS]: ["IDClient", "Nom", "Email", "PasswordHash", "Salt", "Telephone", "Adresse", "Date d'inscription", "Statut", "Role", "ImageURL", "Titre", "Bio"],
-    [SHEET_NAMES.LOGS]: ["Timestamp", "Source", "Action", "Détails"]
+    [SHEET_NAMES.LOGS]: ["Timestamp", "Source", "Action", "Détails"],
+    [SHEET_NAMES.JETONS]: ["ID_Jeton", "ID_Client", "Type", "Hash_Jeton", "Expiration", "Statut", "Date_Creation", "Donnees"], // NOUVEAU
+    [SHEET_NAMES.TENTATIVES]: ["Cle", "Type", "Echecs", "Derniere_Tentative", "Verrouille_Jusqu_A"], // NOUVEAU
+    [SHEET_NAMES.CANDIDATURES]: ["ID_Candidature", "ID_Client", "Nom", "Email", "Titre", "Annees_Experience", "Experience", "Diplomes", "Liens", "Statut", "Date_Candidature", "Date_Decision", "Decideur", "Motif"] // NOUVEAU
   };
 
   Object.entries(sheetsToCreate).forEach(([sheetName, headers]) => {
@@ -426,6 +2189,47 @@ function setupProject() {
     sheet.getRange(1, 1, 1, headers.length).setFontWeight("bold");
   });
 
+  // NOUVEAU: Créer la feuille "Config" si besoin, sans écraser les valeurs existantes.
+  let configSheet = ss.getSheetByName(SHEET_NAMES.CONFIG);
+  if (!configSheet) {
+    configSheet = ss.insertSheet(SHEET_NAMES.CONFIG);
+    configSheet.appendRow(["Clé", "Valeur"]);
+    configSheet.setFrozenRows(1);
+    configSheet.getRange("A1:B1").setFontWeight("bold");
+  }
+  const configMap = new Map(configSheet.getDataRange().getValues().map(row => [row[0], row[1]]));
+  const defaultConfigValues = {
+    'frontend_url': 'https://junior-senior-gaps-killer.vercel.app',
+    'mail_mode': 'mail', // 'log' pour seulement journaliser les e-mails en développement
+    'reset_token_ttl_minutes': 30,
+    'reset_max_requests_per_hour': 3,
+    'verification_token_ttl_hours': 48,
+    'password_hash_iterations': 10000, // Augmenter cette valeur met à niveau les hachages à la connexion suivante
+    'login_max_attempts': 5, // Échecs avant verrouillage temporaire
+    'login_attempt_window_minutes': 15,
+    'login_lockout_minutes': 15,
+    'login_delay_step_ms': 500, // Délai ajouté par échec précédent
+    'login_delay_max_ms': 3000,
+    'login_global_max_attempts': 50, // Échecs (tous comptes confondus) par fenêtre au-delà desquels chaque tentative subit le délai maximal
+    'notification_api_url': '', // URL de déploiement de "Gestion Notifications"
+    'cours_api_url': '', // URL de déploiement de "Gestion Cours" (export et suppression des données)
+    'commandes_api_url': '', // URL de déploiement de "Gestion Commandes"
+    'catalogue_api_url': '' // URL de déploiement du catalogue central (profils publics des formateurs)
+  };
+  Object.entries(defaultConfigValues).forEach(([key, value]) => {
+    if (!configMap.has(key)) {
+      configSheet.appendRow([key, value]);
+    }
+  });
+
+  // NOUVEAU: Générer le secret de signature des jetons de session s'il n'existe pas encore.
+  // Cette valeur doit être recopiée (clé SESSION_SECRET) dans les propriétés des autres scripts.
+  const properties = PropertiesService.getScriptProperties();
+  if (!properties.getProperty('SESSION_SECRET')) {
+    properties.setProperty('SESSION_SECRET', Utilities.getUuid() + Utilities.getUuid());
+    Logger.log("Nouveau SESSION_SECRET généré. Copiez-le dans les propriétés des scripts Cours, Notifications, Commandes et Catégories.");
+  }
+
   // NOUVEAU: Ajout de données de test
   const usersSheet = ss.getSheetByName(SHEET_NAMES.USERS);
   const lastRow = usersSheet.getLastRow();
@@ -447,7 +2251,14 @@ function setupProject() {
       "SNR-TEST-002", "Senior Test", "senior@test.com", seniorHash.passwordHash, seniorHash.salt,
       "221774445566", "Dakar, Sénégal", new Date(), "Actif", "Senior", "", "Formateur Expert", "15 ans d'expérience en développement."
     ]);
-    ui.alert("Projet initialisé et 2 utilisateurs de test (client@test.com, senior@test.com) ont été ajoutés avec le mot de passe 'password123'.");
+
+    // NOUVEAU: Utilisateur Administrateur (validation des candidatures Senior)
+    const adminHash = hashPassword(testPassword);
+    usersSheet.appendRow([
+      "ADM-TEST-003", "Admin Test", "admin@test.com", adminHash.passwordHash, adminHash.salt,
+      "", "Dakar, Sénégal", new Date(), "Actif", ROLES.ADMIN, "", "Administrateur", ""
+    ]);
+    ui.alert("Projet initialisé et 3 utilisateurs de test (client@test.com, senior@test.com, admin@test.com) ont été ajoutés avec le mot de passe 'password123'.");
   } else {
     ui.alert("Projet 'Gestion Compte' initialisé avec succès ! Les onglets 'Utilisateurs' et 'Logs' sont prêts.");
   }
@@ -514,6 +2325,11 @@ function testCreerCompteClient() {
   // 2. Simuler l'origine de la requête
   const mockOrigin = 'https://junior-senior-gaps-killer.vercel.app/';
 
+  // NOUVEAU: Ne pas envoyer de vrai e-mail de vérification à l'adresse fictive
+  mailerOverride = {
+    envoyer: (destinataire, sujet) => Logger.log("E-mail de vérification simulé pour " + destinataire + " : " + sujet)
+  };
+
   Logger.log("--- DÉBUT DU TEST de creerCompteClient ---");
   Logger.log("Données de test : " + JSON.stringify(mockData));
 
@@ -538,6 +2354,48 @@ function testCreerCompteClient() {
   } catch (e) {
     Logger.log("❌ ERREUR CRITIQUE : Le test a planté. Message : " + e.message);
     Logger.log("   -> Stacktrace : " + e.stack);
+  } finally {
+    mailerOverride = null;
   }
   Logger.log("--- FIN DU TEST de creerCompteClient ---");
 }
+
+/**
+ * NOUVEAU: Teste le parcours de réinitialisation du mot de passe sans envoyer de vrai e-mail.
+ * Pour l'utiliser : sélectionnez "testReinitialisationMotDePasse" dans l'éditeur, exécutez,
+ * puis consultez les journaux (Ctrl+Entrée). Utilise le compte de test client@test.com.
+ */
+function testReinitialisationMotDePasse() {
+  const mockOrigin = 'https://junior-senior-gaps-killer.vercel.app/';
+  let lienCapture = null;
+
+  // 1. Remplacer le service d'e-mail par un bouchon qui capture le lien
+  mailerOverride = {
+    envoyer: (destinataire, sujet, corpsHtml) => {
+      const match = corpsHtml.match(/\?reset=([^"<]+)/);
+      lienCapture = match ? decodeURIComponent(match[1]) : null;
+      Logger.log("E-mail capturé pour " + destinataire + " : " + sujet);
+    }
+  };
+
+  Logger.log("--- DÉBUT DU TEST de la réinitialisation du mot de passe ---");
+  try {
+    const demande = JSON.parse(demanderReinitialisation({ email: 'client@test.com' }, mockOrigin).getContent());
+    Logger.log("Demande : " + JSON.stringify(demande));
+    if (!lienCapture) {
+      Logger.log("❌ ÉCHEC : Aucun jeton n'a été envoyé. Vérifiez que le compte de test existe et que la limite de demandes n'est pas atteinte.");
+      return;
+    }
+
+    const premier = JSON.parse(reinitialiserMotDePasse({ jeton: lienCapture, nouveauMotDePasse: 'password123' }, mockOrigin).getContent());
+    Logger.log(premier.success ? "✅ SUCCÈS : Mot de passe réinitialisé." : "❌ ÉCHEC : " + premier.error);
+
+    const second = JSON.parse(reinitialiserMotDePasse({ jeton: lienCapture, nouveauMotDePasse: 'password123' }, mockOrigin).getContent());
+    Logger.log(!second.success ? "✅ SUCCÈS : Le jeton ne peut pas être réutilisé." : "❌ ÉCHEC : Le jeton a été accepté deux fois.");
+  } catch (e) {
+    Logger.log("❌ ERREUR CRITIQUE : Le test a planté. Message : " + e.message);
+  } finally {
+    mailerOverride = null;
+  }
+  Logger.log("--- FIN DU TEST de la réinitialisation du mot de passe ---");
+}
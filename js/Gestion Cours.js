@@ -1,7 +1,7 @@
 /**
  * @file Gestion Cours - API Centrale d'Apprentissage
  * @description Gère les achats de cours, la progression des utilisateurs et les données des tableaux de bord.
- * @version 1.0.1 (Correction TypeError addHeader)
+ * @version 1.11.0 (Modération des cours)
  * @author Gemini Code Assist
  */
 
@@ -10,16 +10,83 @@ const SHEET_NAMES = {
     COURS_ACHETES: "Cours_Achetés",
     PROGRESSION: "Progression_Utilisateur",
     REPONSES_QUIZ: "Reponses_Quiz",
+    CERTIFICATS: "Certificats", // NOUVEAU
+    QUESTIONS: "Questions", // NOUVEAU: Questions des apprenants et réponses des formateurs
+    AVIS: "Avis", // NOUVEAU: Notes et commentaires des apprenants
+    REMBOURSEMENTS: "Remboursements", // NOUVEAU: Demandes de remboursement et décisions des admins
+    GRAND_LIVRE: "Grand_Livre", // NOUVEAU: Une écriture par vente (brut, commission, net) et par régularisation
+    PAIEMENTS: "Paiements", // NOUVEAU: Demandes de paiement des formateurs
+    COMMISSIONS: "Commissions", // NOUVEAU: Taux de commission particuliers (par formateur ou par catégorie)
     CONFIG: "Config",
     // NOUVEAU: ID de la feuille centrale pour trouver tous les cours
     CENTRAL_SHEET_ID: "1xcW_lPim1AvD-RWDD0FtpAMYSrWq-FSv9XGa1ys2Xv4"
 };
 
+// NOUVEAU: Rôles autorisés pour les actions réservées aux formateurs
+const ROLES_FORMATEUR = ['Senior', 'Admin'];
+
+// NOUVEAU: Statuts d'un chapitre dans "Progression_Utilisateur"
+const STATUTS_PROGRESSION = {
+    EN_COURS: "En cours", // Chapitre ouvert mais pas encore terminé
+    TERMINE: "Terminé",
+    VALIDE: "Validé" // NOUVEAU: Lignes de type "Module" : module validé, qui le reste (voir memoriserModulesValides)
+};
+
+// NOUVEAU: Statuts d'une question dans la feuille "Questions"
+const STATUTS_QUESTION = {
+    EN_ATTENTE: "En attente",
+    REPONDUE: "Répondue"
+};
+
+// NOUVEAU: Statut d'une ligne de "Cours_Achetés" (vide pour les achats antérieurs, considérés actifs)
+const STATUTS_ACHAT = {
+    ACTIF: "Actif",
+    REMBOURSE: "Remboursé" // L'accès au cours est retiré
+};
+
+// NOUVEAU: Statuts d'une demande dans la feuille "Remboursements"
+const STATUTS_REMBOURSEMENT = {
+    EN_ATTENTE: "En attente",
+    APPROUVE: "Approuvé",
+    REJETE: "Rejeté"
+};
+
+// NOUVEAU: Types et statuts d'une écriture du "Grand_Livre"
+const TYPES_ECRITURE = {
+    VENTE: "Vente",
+    REGULARISATION: "Régularisation" // Remboursement d'une vente déjà incluse dans un paiement (montants négatifs)
+};
+const STATUTS_ECRITURE = {
+    ACTIVE: "Active",
+    ANNULEE: "Annulée" // Vente remboursée avant d'avoir été payée au formateur
+};
+
+// NOUVEAU: Statuts d'une demande dans la feuille "Paiements"
+const STATUTS_PAIEMENT = {
+    DEMANDE: "Demandé",
+    PAYE: "Payé"
+};
+
+// NOUVEAU: Granularités des séries de getSeniorAnalytics et durée maximale de la période analysée
+const GRANULARITES = ['jour', 'semaine', 'mois'];
+const ANALYSE_JOURS_MAX = 366;
+
+// NOUVEAU: Moyens de paiement proposés aux formateurs
+const MOYENS_PAIEMENT = ['Mobile Money', 'Virement bancaire'];
+
+// NOUVEAU: Longueur maximale d'une question, d'une réponse ou d'un avis
+const LONGUEUR_MAX_MESSAGE = 2000;
+
+// NOUVEAU: Pagination de la liste des avis d'un cours
+const AVIS_PAR_PAGE = 5;
+const AVIS_PAR_PAGE_MAX = 20;
+
 // --- GESTIONNAIRE DE MENU ---
 function onOpen() {
   SpreadsheetApp.getUi()
       .createMenu('Module Apprentissage')
       .addItem('🚀 Initialiser le module', 'setupProject')
+      .addItem('📒 Reconstituer le grand livre', 'reconstituerGrandLivre') // NOUVEAU: Ventes antérieures au grand livre
       .addToUi();
 }
 
@@ -28,182 +95,2084 @@ function onOpen() {
 function doGet(e) {
     const origin = (e && e.headers && (e.headers.Origin || e.headers.origin)) || null;
     try {
-        const { action, userId, courseId } = e.parameter;
+        const { action, courseId, token, page, limite } = e.parameter;
+        // L'identité de l'appelant est toujours lue dans le jeton de session, jamais dans les paramètres.
         switch (action) {
             case 'getCoursAchetes':
                 // Retourne directement la réponse TextOutput
-                return createJsonResponse(getCoursAchetes(userId), origin);
+                return createJsonResponse(getCoursAchetes(verifierToken(token).id), origin);
             case 'getProgressionCours':
                 // Retourne directement la réponse TextOutput
-                return createJsonResponse(getProgressionCours(userId, courseId), origin);
+                return createJsonResponse(getProgressionCours(verifierToken(token).id, courseId), origin);
+            case 'getProgressionMesCours': // NOUVEAU: Résumé de la progression de tous les cours achetés
+                return createJsonResponse(getProgressionMesCours(verifierToken(token).id), origin);
+            case 'getProgressionParcours': // NOUVEAU: Progression de chaque parcours acheté, cours par cours
+                return createJsonResponse(getProgressionParcours(verifierToken(token).id), origin);
+            case 'verifierCertificat': // NOUVEAU: Public, pour les employeurs
+                return createJsonResponse(verifierCertificat(e.parameter.code), origin);
+            case 'getAvisCours': // NOUVEAU: Public ; le jeton, facultatif, ajoute l'avis de l'appelant
+                return createJsonResponse(getAvisCours(courseId, page, limite, token), origin);
+            case 'getDemandesRemboursement': // NOUVEAU: File d'attente des remboursements (Admin)
+                return createJsonResponse(getDemandesRemboursement(e.parameter.statut, exigerRole(verifierToken(token), ['Admin'])), origin);
+            case 'getSeniorAnalytics': // NOUVEAU: Séries temporelles et statistiques par cours
+                return createJsonResponse(getSeniorAnalytics(e.parameter, exigerRole(verifierToken(token), ROLES_FORMATEUR)), origin);
+            case 'getCoursEnRevue': // NOUVEAU: File de modération des cours (Admin)
+                return createJsonResponse(getCoursEnRevue(exigerRole(verifierToken(token), ['Admin'])), origin);
+            case 'getPaiements': // NOUVEAU: Paiements du formateur connecté (tous pour un Admin)
+                return createJsonResponse(getPaiements(e.parameter.statut, exigerRole(verifierToken(token), ROLES_FORMATEUR)), origin);
             case 'getSeniorDashboardData': // NOUVEAU
                 // Retourne directement la réponse TextOutput
-                return createJsonResponse(getSeniorDashboardData(e.parameter.formateurNom), origin);
+                return createJsonResponse(getSeniorDashboardData(exigerRole(verifierToken(token), ROLES_FORMATEUR)), origin);
+            case 'getQuestionsForSenior': // NOUVEAU: Boîte de réception Q&A du formateur
+                return createJsonResponse(getQuestionsForSenior(exigerRole(verifierToken(token), ROLES_FORMATEUR)), origin);
+            case 'getQuestionsCours': // NOUVEAU: Fils de questions affichés sur la page du cours
+                return createJsonResponse(getQuestionsCours(courseId, verifierToken(token)), origin);
             case 'getCoursesBySenior': // NOUVEAU
                 // Retourne directement la réponse TextOutput
-                return createJsonResponse(getCoursesBySenior(e.parameter.formateurNom), origin);
+                return createJsonResponse(getCoursesBySenior(exigerRole(verifierToken(token), ROLES_FORMATEUR)), origin);
             default:
                 // Retourne directement la réponse TextOutput
                 return createJsonResponse({ success: true, message: 'API Gestion Cours - Active' }, origin);
         }
     } catch (error) {
         // Assurez-vous de passer l'origine même en cas d'erreur
-        return createJsonResponse({ success: false, error: `Erreur GET: ${error.message}` }, origin);
+        return createJsonResponse({ success: false, error: error.code ? error.message : `Erreur GET: ${error.message}`, code: error.code }, origin);
+    }
+}
+
+function doPost(e) {
+    const origin = (e && e.headers && (e.headers.Origin || e.headers.origin)) || null;
+    try {
+        const request = JSON.parse(e.postData.contents);
+        const { action, data, token } = request;
+
+        switch (action) {
+            case 'acheterCours':
+                // Retourne directement la réponse TextOutput
+                return createJsonResponse(acheterCours(data, verifierToken(token)), origin);
+            case 'enregistrerReponseQuiz':
+                // Retourne directement la réponse TextOutput
+                return createJsonResponse(enregistrerReponseQuiz(data, verifierToken(token)), origin);
+            case 'marquerChapitreTermine': // NOUVEAU
+                return createJsonResponse(enregistrerProgressionChapitre(data, verifierToken(token), STATUTS_PROGRESSION.TERMINE), origin);
+            case 'marquerChapitreConsulte': // NOUVEAU: Mémorise le dernier chapitre ouvert (bouton "Reprendre")
+                return createJsonResponse(enregistrerProgressionChapitre(data, verifierToken(token), STATUTS_PROGRESSION.EN_COURS), origin);
+            case 'soumettreAvis': // NOUVEAU: Création ou modification de l'avis de l'apprenant
+                return createJsonResponse(soumettreAvis(data, verifierToken(token)), origin);
+            case 'demanderRemboursement': // NOUVEAU
+                return createJsonResponse(demanderRemboursement(data, verifierToken(token)), origin);
+            case 'traiterRemboursement': // NOUVEAU: Approbation ou rejet par un admin
+                return createJsonResponse(traiterRemboursement(data, exigerRole(verifierToken(token), ['Admin'])), origin);
+            case 'modererCours': // NOUVEAU: Publication ou refus d'un cours en revue (Admin)
+                return createJsonResponse(modererCours(data, exigerRole(verifierToken(token), ['Admin'])), origin);
+            case 'demanderPaiement': // NOUVEAU: Le formateur demande le versement de son solde disponible
+                return createJsonResponse(demanderPaiement(data, exigerRole(verifierToken(token), ROLES_FORMATEUR)), origin);
+            case 'marquerPaiementEffectue': // NOUVEAU: Un admin confirme le versement
+                return createJsonResponse(marquerPaiementEffectue(data, exigerRole(verifierToken(token), ['Admin'])), origin);
+            case 'poserQuestion': // NOUVEAU
+                return createJsonResponse(poserQuestion(data, verifierToken(token)), origin);
+            case 'replyToQuestion': // NOUVEAU
+                return createJsonResponse(replyToQuestion(data, exigerRole(verifierToken(token), ROLES_FORMATEUR)), origin);
+            case 'obtenirCertificat': // NOUVEAU: Émet le certificat d'un cours terminé (ou renvoie celui déjà émis)
+                return createJsonResponse(obtenirCertificat(data, verifierToken(token)), origin);
+            case 'exporterDonneesUtilisateur': // NOUVEAU: Appel serveur à serveur depuis "Gestion Compte"
+                return createJsonResponse(exporterDonneesUtilisateur(data, exigerRole(verifierToken(token), ['Service'])), origin);
+            case 'supprimerDonneesUtilisateur': // NOUVEAU: Appel serveur à serveur depuis "Gestion Compte"
+                return createJsonResponse(supprimerDonneesUtilisateur(data, exigerRole(verifierToken(token), ['Service'])), origin);
+            case 'compterApprenants': // NOUVEAU: Appel serveur à serveur (profil public d'un formateur)
+                return createJsonResponse(compterApprenants(data, exigerRole(verifierToken(token), ['Service'])), origin);
+            default:
+                return createJsonResponse({ success: false, error: "Action POST non reconnue." }, origin);
+        }
+    } catch (error) {
+        return createJsonResponse({ success: false, error: error.code ? error.message : `Erreur POST: ${error.message}`, code: error.code }, origin);
+    }
+}
+
+function doOptions(e) {
+    const config = getConfig();
+    const origin = (e && e.headers && (e.headers.Origin || e.headers.origin)) || null;
+    const output = ContentService.createTextOutput(null);
+
+    // Si l'origine de la requête est dans notre liste, on renvoie les en-têtes CORS.
+    if (origin && config.allowed_origins.includes(origin)) {
+        output.addHeader('Access-Control-Allow-Origin', origin); // Important: Renvoyer l'origine de la requête
+        output.addHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        output.addHeader('Access-Control-Allow-Headers', 'Content-Type');
+        output.addHeader('Access-Control-Allow-Credentials', 'true');
+    }
+
+    return output;
+}
+
+// --- LOGIQUE MÉTIER ---
+
+/**
+ * Enregistre l'achat d'un ou plusieurs cours pour l'utilisateur connecté.
+ * MODIFIÉ: Seuls les `productId` du panier sont utilisés : le nom, le prix et le formateur
+ * sont relus dans le catalogue publié. Les cours inconnus ou déjà achetés sont refusés.
+ * La clé d'idempotence (`cleIdempotence`) évite qu'un double envoi du paiement crée des achats en double :
+ * un second envoi avec la même clé renvoie le résultat du premier.
+ * MODIFIÉ: Un `productId` peut désigner un parcours : il donne accès à tous ses cours (une ligne par cours,
+ * avec l'ID_Parcours). Le prix du parcours est réparti entre ses cours au prorata de leur prix, et la part
+ * des cours que l'acheteur possède déjà est déduite.
+ * @param {object} data - Contient `items` (le contenu du panier) et `cleIdempotence`.
+ * @param {object} session - L'identité vérifiée de l'acheteur (voir verifierToken).
+ * @returns {object} `data` contient `achats` (ID_Achat, ID_Cours, Nom_Cours, Prix_Achat, ID_Parcours) et `total`, calculé ici.
+ */
+function acheterCours(data, session) {
+    exigerCompteVerifie(session);
+    const userId = session.id;
+    const { items, cleIdempotence } = data || {};
+    if (!items || !Array.isArray(items) || items.length === 0) {
+        return { success: false, error: "Données d'achat invalides." };
+    }
+    if (!cleIdempotence) return { success: false, error: "Clé d'idempotence manquante." };
+    const productIds = [...new Set(items.map(item => item && item.productId).filter(Boolean))];
+    if (productIds.length !== items.length) {
+        return { success: false, error: "Le panier contient un cours invalide ou en double." };
+    }
+
+    const catalogue = getCoursPublies();
+    const parcoursEnVente = getParcoursEnVente(catalogue);
+    const inconnus = productIds.filter(id => !catalogue[id] && !parcoursEnVente[id]);
+    if (inconnus.length > 0) {
+        throw creerErreur(`Ces cours n'existent pas ou ne sont plus en vente : ${inconnus.join(', ')}.`, 'COURS_INCONNU');
+    }
+
+    // NOUVEAU: Chaque parcours est remplacé par ses cours, avec leur part du prix du parcours
+    const lignesPanier = productIds.flatMap(id => parcoursEnVente[id]
+        ? repartirPrixParcours(parcoursEnVente[id], catalogue)
+        : [{ ID_Cours: id, Prix: catalogue[id].Prix, ID_Parcours: '' }]);
+    const courseIds = lignesPanier.map(ligne => ligne.ID_Cours);
+    const doublons = courseIds.filter((id, index) => courseIds.indexOf(id) !== index);
+    if (doublons.length > 0) {
+        return { success: false, error: `Le panier contient plusieurs fois : ${[...new Set(doublons)].map(id => catalogue[id].Nom_Cours).join(', ')} (un parcours inclut déjà ce cours).` };
+    }
+
+    const structures = courseIds.reduce((obj, id) => ({ ...obj, [id]: getStructureCours(id) }), {}); // NOUVEAU: Formateur et catégorie, pour le grand livre
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.COURS_ACHETES);
+        const rows = sheet.getDataRange().getValues();
+        const headers = rows.shift();
+        const col = nom => headers.indexOf(nom);
+        const lignesClient = rows.filter(row => row[col("ID_Client")] === userId);
+        const lignesActives = lignesClient.filter(row => estAchatActif(row, headers));
+
+        // Envoi déjà traité : on renvoie le même résultat sans rien écrire
+        const dejaTraites = lignesClient.filter(row => row[col("Cle_Idempotence")] === cleIdempotence);
+        if (dejaTraites.length > 0) {
+            // NOUVEAU: La clé d'un autre panier ne doit pas faire croire que ce panier-ci a été payé
+            const produitsTraites = new Set(dejaTraites.map(row => row[col("ID_Parcours")] || row[col("ID_Cours")]));
+            if (produitsTraites.size !== productIds.length || productIds.some(id => !produitsTraites.has(id))) {
+                throw creerErreur("Cette clé de paiement a déjà servi pour un autre panier. Veuillez réessayer.", 'CLE_IDEMPOTENCE_REUTILISEE');
+            }
+            return resumerAchats(dejaTraites.map(row => headers.reduce((obj, header, index) => {
+                obj[header] = row[index];
+                return obj;
+            }, {})));
+        }
+
+        const possedes = new Set(lignesActives.map(row => row[col("ID_Cours")])); // Un cours remboursé peut être racheté
+        // MODIFIÉ: Un cours déjà possédé est refusé s'il est acheté seul, et simplement retiré d'un parcours
+        const dejaAchetes = productIds.filter(id => parcoursEnVente[id]
+            ? parcoursEnVente[id].cours.every(courseId => possedes.has(courseId))
+            : possedes.has(id));
+        if (dejaAchetes.length > 0) {
+            const noms = dejaAchetes.map(id => parcoursEnVente[id] ? `le parcours "${parcoursEnVente[id].Nom_Parcours}" (tous ses cours)` : catalogue[id].Nom_Cours);
+            throw creerErreur(`Vous possédez déjà : ${noms.join(', ')}.`, 'DEJA_ACHETE');
+        }
+
+        const dateAchat = new Date();
+        // MODIFIÉ: Le rang de la ligne distingue les achats d'un même panier (les IDs de cours se répètent d'une catégorie à l'autre)
+        const achats = lignesPanier.filter(ligne => !possedes.has(ligne.ID_Cours)).map((ligne, index) => ({
+            ID_Achat: `ACH-${dateAchat.getTime()}-${index + 1}`,
+            ID_Client: userId,
+            ID_Cours: ligne.ID_Cours,
+            Nom_Cours: catalogue[ligne.ID_Cours].Nom_Cours,
+            Prix_Achat: ligne.Prix,
+            Formateur_Nom: catalogue[ligne.ID_Cours].Formateur_Nom,
+            Date_Achat: dateAchat,
+            Cle_Idempotence: cleIdempotence,
+            Statut_Achat: STATUTS_ACHAT.ACTIF,
+            ID_Parcours: ligne.ID_Parcours
+        }));
+        achats.forEach(achat => sheet.appendRow(headers.map(header => achat[header] !== undefined ? achat[header] : '')));
+        achats.forEach(achat => enregistrerEcritureVente(achat, structures[achat.ID_Cours]));
+        return resumerAchats(achats);
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * NOUVEAU: Construit la réponse d'acheterCours à partir des lignes d'achat enregistrées.
+ * @param {Array<Object>} achats - Les achats d'un même envoi.
+ */
+function resumerAchats(achats) {
+    const total = achats.reduce((somme, achat) => somme + Number(achat.Prix_Achat), 0);
+    return {
+        success: true,
+        message: `${achats.length} cours acheté(s) avec succès.`,
+        data: {
+            achats: achats.map(({ ID_Achat, ID_Cours, Nom_Cours, Prix_Achat, ID_Parcours }) => ({ ID_Achat, ID_Cours, Nom_Cours, Prix_Achat: Number(Prix_Achat), ID_Parcours: ID_Parcours || null })),
+            total: total
+        }
+    };
+}
+
+/**
+ * NOUVEAU: Indexe par ID_Cours les cours publiés dans le catalogue, avec leur prix de référence.
+ * Les cours dont le prix n'est pas un nombre positif ou nul ne sont pas vendables.
+ * @returns {Object<string, {Nom_Cours: string, Prix: number, Formateur_Nom: string}>}
+ */
+function getCoursPublies() {
+    return getPublicCatalog().products.reduce((index, course) => {
+        const prix = parseFloat(course.Prix);
+        if (course.ID_Cours && Number.isFinite(prix) && prix >= 0) {
+            index[course.ID_Cours] = { Nom_Cours: course.Nom_Cours, Prix: prix, Formateur_Nom: course.Formateur_Nom };
+        }
+        return index;
+    }, {});
+}
+
+// --- NOUVEAU: PARCOURS D'APPRENTISSAGE ---
+
+/**
+ * NOUVEAU: Indexe par ID_Parcours les parcours vendables : actifs, composés d'au moins deux cours publiés
+ * et moins chers que la somme de leurs cours (mêmes règles que le catalogue central, voir construireParcours).
+ * @param {Object<string, {Prix: number}>} catalogue - Voir getCoursPublies.
+ * @returns {Object<string, {ID_Parcours: string, Nom_Parcours: string, Prix: number, cours: string[]}>}
+ */
+function getParcoursEnVente(catalogue) {
+    return lireParcours().reduce((index, parcours) => {
+        const prixCours = parcours.cours.reduce((somme, id) => somme + (catalogue[id] ? catalogue[id].Prix : NaN), 0);
+        const prix = parseFloat(parcours.Prix);
+        if (parcours.actif && parcours.cours.length >= 2 && Number.isFinite(prixCours) && Number.isFinite(prix) && prix >= 0 && prix < prixCours) {
+            index[parcours.ID_Parcours] = { ID_Parcours: parcours.ID_Parcours, Nom_Parcours: parcours.Nom_Parcours, Prix: prix, cours: parcours.cours };
+        }
+        return index;
+    }, {});
+}
+
+/**
+ * NOUVEAU: Répartit le prix d'un parcours entre ses cours, au prorata de leur prix unitaire.
+ * Les montants sont arrondis au franc ; le dernier cours reçoit l'écart d'arrondi.
+ * @param {{ID_Parcours: string, Prix: number, cours: string[]}} parcours - Voir getParcoursEnVente.
+ * @param {Object<string, {Prix: number}>} catalogue - Voir getCoursPublies.
+ * @returns {Array<{ID_Cours: string, Prix: number, ID_Parcours: string}>}
+ */
+function repartirPrixParcours(parcours, catalogue) {
+    const prixCours = parcours.cours.reduce((somme, id) => somme + catalogue[id].Prix, 0);
+    let reste = parcours.Prix;
+    return parcours.cours.map((id, index) => {
+        const part = index === parcours.cours.length - 1
+            ? reste
+            : Math.round(parcours.Prix * (prixCours > 0 ? catalogue[id].Prix / prixCours : 1 / parcours.cours.length));
+        reste -= part;
+        return { ID_Cours: id, Prix: part, ID_Parcours: parcours.ID_Parcours };
+    });
+}
+
+/**
+ * NOUVEAU: Lit la feuille "Parcours" du classeur central, y compris les parcours retirés de la vente
+ * (leurs acheteurs continuent d'en suivre la progression).
+ * @returns {Array<{ID_Parcours: string, Nom_Parcours: string, Role_Cible: string, Prix: number, cours: string[], actif: boolean}>}
+ */
+function lireParcours() {
+    const sheet = SpreadsheetApp.openById(SHEET_NAMES.CENTRAL_SHEET_ID).getSheetByName("Parcours");
+    if (!sheet || sheet.getLastRow() < 2) return [];
+    const rows = sheet.getDataRange().getValues();
+    const headers = rows.shift();
+    return rows.map(row => headers.reduce((obj, header, index) => ({ ...obj, [header]: row[index] }), {}))
+        .filter(ligne => ligne.ID_Parcours)
+        .map(ligne => ({
+            ID_Parcours: ligne.ID_Parcours,
+            Nom_Parcours: ligne.Nom_Parcours,
+            Role_Cible: ligne.Role_Cible,
+            Prix: ligne.Prix,
+            cours: String(ligne.Cours || '').split(';').map(id => id.trim()).filter(Boolean),
+            actif: ligne.Actif === '' || ligne.Actif === true || ['TRUE', 'OUI'].includes(String(ligne.Actif).toUpperCase())
+        }));
+}
+
+/**
+ * NOUVEAU: Progression de chaque parcours acheté par l'utilisateur, suivi comme un tout : avancement global
+ * (moyenne de ses cours), cours terminés et prochain cours à suivre dans l'ordre du parcours.
+ * Les cours du parcours que l'utilisateur possédait avant l'achat comptent aussi.
+ * @param {string} userId - L'ID de l'utilisateur connecté.
+ */
+function getProgressionParcours(userId) {
+    if (!userId) return { success: false, error: "ID utilisateur manquant." };
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.COURS_ACHETES);
+    const idsParcours = new Set(lignesDuClient(sheet, userId)
+        .filter(achat => achat.ID_Parcours && achat.Statut_Achat !== STATUTS_ACHAT.REMBOURSE)
+        .map(achat => achat.ID_Parcours));
+    if (idsParcours.size === 0) return { success: true, data: [] };
+
+    const possedes = getCoursAchetes(userId).data;
+    const progressionParCours = lireProgressionClient(userId);
+    const reponses = lireReponsesClient(userId);
+    const certificats = lireCertificatsClient(userId);
+
+    const data = lireParcours().filter(parcours => idsParcours.has(parcours.ID_Parcours)).map(parcours => {
+        const cours = parcours.cours.map(courseId => {
+            const structure = getStructureCours(courseId);
+            const pourcentage = structure ? calculerProgression(structure, progressionParCours[courseId] || [], reponses).pourcentage : 0;
+            return {
+                ID_Cours: courseId,
+                Nom_Cours: structure ? structure.nomCours : courseId,
+                acces: possedes.includes(courseId), // Faux si le cours a été remboursé
+                pourcentage: pourcentage,
+                certificat: certificats[courseId] || null
+            };
+        });
+        const termines = cours.filter(c => c.pourcentage === 100).length;
+        const prochain = cours.find(c => c.acces && c.pourcentage < 100);
+        return {
+            ID_Parcours: parcours.ID_Parcours,
+            Nom_Parcours: parcours.Nom_Parcours,
+            Role_Cible: parcours.Role_Cible,
+            pourcentage: Math.round(cours.reduce((somme, c) => somme + c.pourcentage, 0) / cours.length),
+            coursTermines: termines,
+            nombreCours: cours.length,
+            termine: termines === cours.length,
+            prochainCours: prochain ? prochain.ID_Cours : null,
+            cours: cours
+        };
+    });
+    return { success: true, data: data };
+}
+
+/**
+ * Récupère la liste des cours achetés par un utilisateur.
+ * MODIFIÉ: Les achats remboursés ne donnent plus accès au cours.
+ */
+function getCoursAchetes(userId) {
+    if (!userId) return { success: false, error: "ID utilisateur manquant." };
+    
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.COURS_ACHETES);
+    const allData = sheet.getDataRange().getValues();
+    const headers = allData.shift();
+    const userIdIndex = headers.indexOf("ID_Client");
+
+    const coursIds = allData
+        .filter(row => row[userIdIndex] === userId && estAchatActif(row, headers))
+        .map(row => row[headers.indexOf("ID_Cours")]);
+
+    return { success: true, data: [...new Set(coursIds)] }; // Retourne les ID de cours uniques
+}
+
+/**
+ * Enregistre la réponse de l'utilisateur connecté à un quiz.
+ * MODIFIÉ: La réponse est corrigée ici, à partir de la colonne Bonne_Réponse des feuilles de catégorie.
+ * Le navigateur n'envoie plus `estCorrecte` et ne reçoit la bonne réponse qu'après avoir répondu.
+ * @param {object} data - Contient `questionId` (ID_Question du catalogue) et `reponseDonnee`.
+ * @param {object} session - L'identité vérifiée de l'apprenant.
+ * MODIFIÉ: Refusée si le module de la question est verrouillé. La progression recalculée est renvoyée,
+ * car une bonne réponse peut déverrouiller le module suivant.
+ * MODIFIÉ: Chaque question n'accepte que `quiz_tentatives_max` réponses, et plus aucune une fois bien répondue.
+ * La bonne réponse n'est révélée qu'après une réponse correcte ou la dernière tentative : sinon l'apprenant
+ * pourrait la lire puis la renvoyer, et le score requis des modules ne mesurerait plus rien.
+ * @returns {object} `data` contient `estCorrecte`, `bonneReponse` (null tant qu'il reste des tentatives),
+ *   `tentativesRestantes` et `progression` (voir getProgressionCours).
+ */
+function enregistrerReponseQuiz(data, session) {
+    const userId = session.id;
+    const { questionId, reponseDonnee } = data || {};
+    if (!questionId || reponseDonnee === undefined || reponseDonnee === null || reponseDonnee === '') {
+        return { success: false, error: "ID de la question ou réponse manquant." };
+    }
+    const corrige = getCorrigeQuestion(questionId);
+    if (!corrige) return { success: false, error: "Question introuvable." };
+    if (!getCoursAchetes(userId).data.includes(corrige.ID_Cours)) {
+        return { success: false, error: "Vous devez acheter ce cours pour répondre à ses quiz." };
+    }
+    const etatModule = getEtatCours(userId, corrige.ID_Cours).modules.find(module => module.ID_Module === corrige.ID_Module);
+    if (!etatModule || !etatModule.estDeverrouille) {
+        return { success: false, error: "Ce module est verrouillé. Validez d'abord le module précédent.", code: 'MODULE_VERROUILLE' };
+    }
+
+    const normaliser = valeur => String(valeur).trim().toLowerCase();
+    const estCorrecte = normaliser(reponseDonnee) === normaliser(corrige.bonneReponse);
+    const tentativesMax = getConfig().quiz_tentatives_max;
+    const idReponse = `REP-${new Date().getTime()}`;
+    let tentativesRestantes;
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.REPONSES_QUIZ);
+        const precedentes = lignesDuClient(sheet, userId).filter(reponse => reponse.ID_Question === questionId);
+        if (precedentes.some(reponse => reponse.Est_Correcte === true || String(reponse.Est_Correcte).toUpperCase() === 'TRUE')) {
+            return { success: false, error: "Vous avez déjà répondu correctement à cette question.", code: 'QUESTION_DEJA_REUSSIE' };
+        }
+        if (precedentes.length >= tentativesMax) {
+            return { success: false, error: "Vous avez utilisé toutes vos tentatives pour cette question.", code: 'TENTATIVES_EPUISEES' };
+        }
+        sheet.appendRow([idReponse, userId, questionId, reponseDonnee, estCorrecte, new Date()]);
+        tentativesRestantes = estCorrecte ? 0 : tentativesMax - precedentes.length - 1;
+    } finally {
+        lock.releaseLock();
+    }
+    if (estCorrecte) {
+        memoriserModulesValides([{ userId: userId, courseId: corrige.ID_Cours, modules: getEtatCours(userId, corrige.ID_Cours).modules }]);
+        emettreCertificat(session, corrige.ID_Cours); // NOUVEAU: Le dernier quiz requis peut terminer le cours
+    }
+    return { success: true, id: idReponse, data: {
+        estCorrecte: estCorrecte,
+        bonneReponse: estCorrecte || tentativesRestantes === 0 ? corrige.bonneReponse : null,
+        tentativesRestantes: tentativesRestantes,
+        progression: getProgressionCours(userId, corrige.ID_Cours).data
+    }};
+}
+
+/**
+ * NOUVEAU: Enregistre l'avancement de l'utilisateur connecté sur un chapitre.
+ * Une seule ligne par chapitre et par utilisateur : elle est créée à la première consultation
+ * puis mise à jour. Un chapitre terminé le reste, même s'il est consulté de nouveau.
+ * @param {object} data - Contient `courseId` et `chapitreId`.
+ * @param {object} session - L'identité vérifiée de l'apprenant.
+ * @param {string} statut - Le statut à enregistrer (voir STATUTS_PROGRESSION).
+ */
+function enregistrerProgressionChapitre(data, session, statut) {
+    const { courseId, chapitreId } = data || {};
+    if (!courseId || !chapitreId) return { success: false, error: "ID du cours ou du chapitre manquant." };
+    if (!getCoursAchetes(session.id).data.includes(courseId)) {
+        return { success: false, error: "Vous devez acheter ce cours pour suivre votre progression." };
+    }
+    const structure = getStructureCours(courseId);
+    const moduleDuChapitre = structure && structure.modules.find(module => module.chapitres.some(chap => chap.id === chapitreId));
+    if (!moduleDuChapitre) {
+        return { success: false, error: "Ce chapitre n'appartient pas à ce cours." };
+    }
+    // NOUVEAU: Un chapitre d'un module verrouillé ne peut être ni consulté ni terminé
+    if (!getEtatCours(session.id, courseId).modules.find(module => module.ID_Module === moduleDuChapitre.id).estDeverrouille) {
+        return { success: false, error: "Ce module est verrouillé. Validez d'abord le module précédent.", code: 'MODULE_VERROUILLE' };
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.PROGRESSION);
+        const rows = sheet.getDataRange().getValues();
+        const headers = rows.shift();
+        const col = nom => headers.indexOf(nom);
+        const maintenant = new Date();
+
+        const rowIndex = rows.findIndex(row => row[col("ID_Client")] === session.id && row[col("ID_Element")] === chapitreId && row[col("Type_Element")] === 'Chapitre');
+        if (rowIndex === -1) {
+            const ligne = headers.map(() => '');
+            ligne[col("ID_Progression")] = `PRG-${maintenant.getTime()}`;
+            ligne[col("ID_Client")] = session.id;
+            ligne[col("ID_Cours")] = courseId;
+            ligne[col("ID_Element")] = chapitreId;
+            ligne[col("Type_Element")] = 'Chapitre';
+            ligne[col("Statut")] = statut;
+            ligne[col("Date_Completion")] = statut === STATUTS_PROGRESSION.TERMINE ? maintenant : '';
+            ligne[col("Derniere_Consultation")] = maintenant;
+            sheet.appendRow(ligne);
+        } else {
+            const numeroLigne = rowIndex + 2;
+            sheet.getRange(numeroLigne, col("Derniere_Consultation") + 1).setValue(maintenant);
+            if (statut === STATUTS_PROGRESSION.TERMINE && rows[rowIndex][col("Statut")] !== STATUTS_PROGRESSION.TERMINE) {
+                sheet.getRange(numeroLigne, col("Statut") + 1).setValue(statut);
+                sheet.getRange(numeroLigne, col("Date_Completion") + 1).setValue(maintenant);
+            }
+        }
+    } finally {
+        lock.releaseLock();
+    }
+
+    // NOUVEAU: Le dernier chapitre terminé peut terminer le cours
+    if (statut === STATUTS_PROGRESSION.TERMINE) {
+        memoriserModulesValides([{ userId: session.id, courseId: courseId, modules: getEtatCours(session.id, courseId).modules }]);
+        emettreCertificat(session, courseId);
+    }
+    return getProgressionCours(session.id, courseId);
+}
+
+/**
+ * Récupère la progression d'un utilisateur pour un cours donné.
+ * MODIFIÉ: Calculée à partir de "Progression_Utilisateur" et de la structure du cours.
+ * @returns {object} `data` contient `completedChapters`, `completedModules`, `modules` (pourcentage par module),
+ *   `pourcentage` (cours entier), `dernierChapitre` (dernier chapitre ouvert), `chapitreAReprendre` et `achete`.
+ *   MODIFIÉ: Chaque module indique s'il est déverrouillé et validé ; pour un acheteur, `contenu` contient
+ *   les vidéos, ressources et quiz des seuls modules déverrouillés (voir extraireContenuDeverrouille).
+ *   NOUVEAU: `certificat` contient le certificat du cours s'il a été émis (sinon null).
+ */
+function getProgressionCours(userId, courseId) {
+    if (!userId || !courseId) return { success: false, error: "ID utilisateur ou ID du cours manquant." };
+    const progression = getEtatCours(userId, courseId);
+    if (!progression) return { success: false, error: "Cours introuvable." };
+    progression.achete = getCoursAchetes(userId).data.includes(courseId); // Le front-end n'affiche le suivi qu'aux acheteurs
+    progression.contenu = progression.achete ? extraireContenuDeverrouille(getContenuCours(courseId), progression.modules) : [];
+    progression.certificat = lireCertificatsClient(userId)[courseId] || null;
+    return { success: true, data: progression };
+}
+
+/**
+ * NOUVEAU: Calcule la progression et l'état de verrouillage des modules d'un cours pour un utilisateur.
+ * @returns {object|null} Voir calculerProgression, ou null si le cours est introuvable.
+ */
+function getEtatCours(userId, courseId) {
+    const structure = getStructureCours(courseId);
+    if (!structure) return null;
+    return calculerProgression(structure, lireProgressionClient(userId)[courseId] || [], lireReponsesClient(userId));
+}
+
+/**
+ * NOUVEAU: Ne conserve du contenu d'un cours que les modules déverrouillés.
+ * Les modules verrouillés sont renvoyés sans leurs chapitres ni leur quiz.
+ * @param {{modules: Array<Object>}} contenu - Voir getContenuCours.
+ * @param {Array<{ID_Module: string, estDeverrouille: boolean}>} etatModules - Les modules calculés par calculerProgression.
+ * @returns {Array<{ID_Module: string, chapitres: Array<Object>, quiz: Array<Object>}>}
+ */
+function extraireContenuDeverrouille(contenu, etatModules) {
+    if (!contenu) return [];
+    return contenu.modules.map(module => {
+        const etat = etatModules.find(m => m.ID_Module === module.ID_Module);
+        return etat && etat.estDeverrouille ? module : { ID_Module: module.ID_Module, chapitres: [], quiz: [] };
+    });
+}
+
+/**
+ * NOUVEAU: Résume la progression de l'utilisateur sur chacun de ses cours achetés (page "Mon Compte").
+ * @returns {object} `data` est un objet { ID_Cours: { pourcentage, chapitreAReprendre, dernierChapitre, certificat } }.
+ */
+function getProgressionMesCours(userId) {
+    if (!userId) return { success: false, error: "ID utilisateur manquant." };
+    const progressionParCours = lireProgressionClient(userId);
+    const reponses = lireReponsesClient(userId);
+    const certificats = lireCertificatsClient(userId);
+    const remboursements = lireRemboursements().filter(demande => demande.ID_Client === userId && demande.Statut !== STATUTS_REMBOURSEMENT.APPROUVE);
+    const resume = {};
+    getCoursAchetes(userId).data.forEach(courseId => {
+        const structure = getStructureCours(courseId);
+        if (!structure) return;
+        const { pourcentage, chapitreAReprendre, dernierChapitre } = calculerProgression(structure, progressionParCours[courseId] || [], reponses);
+        const demande = remboursements.filter(d => d.ID_Cours === courseId).pop(); // NOUVEAU: Dernière demande en cours ou rejetée
+        resume[courseId] = { pourcentage, chapitreAReprendre, dernierChapitre, certificat: certificats[courseId] || null, remboursement: demande ? versRemboursementPublic(demande) : null };
+    });
+    return { success: true, data: resume };
+}
+
+/**
+ * NOUVEAU: Calcule la progression d'un cours à partir des lignes de progression de l'utilisateur.
+ * MODIFIÉ: Calcule aussi l'état de chaque module. Un module est validé quand ses chapitres requis sont terminés
+ * et que le score de ses quiz atteint le minimum requis ; il est déverrouillé quand le module précédent
+ * est déverrouillé et validé (le premier module l'est toujours).
+ * MODIFIÉ: Un module mémorisé comme validé (voir memoriserModulesValides) le reste, même si ses critères ont changé
+ * depuis (ex: chapitre ou question ajoutés au cours publié) : seuls les apprenants qui ne l'ont pas encore validé
+ * doivent remplir les nouveaux critères.
+ * @param {{modules: Array<Object>}} structure - Voir getStructureCours.
+ * @param {Array<{chapitreId: string, moduleId: string, statut: string, derniereConsultation: number}>} lignes - Voir lireProgressionClient.
+ * @param {Object<string, boolean>} [reponses] - Voir lireReponsesClient.
+ */
+function calculerProgression(structure, lignes, reponses = {}) {
+    const termines = new Set(lignes.filter(l => l.statut === STATUTS_PROGRESSION.TERMINE).map(l => l.chapitreId));
+    const modulesValides = new Set(lignes.filter(l => l.statut === STATUTS_PROGRESSION.VALIDE).map(l => l.moduleId));
+    const chapitresOrdonnes = [];
+    let precedentValide = true;
+    const modules = structure.modules.map(module => {
+        const nbTermines = module.chapitres.filter(chap => termines.has(chap.id)).length;
+        const questions = module.questions || [];
+        const scoreQuiz = questions.length > 0 ? Math.round(questions.filter(id => reponses[id] === true).length / questions.length * 100) : null;
+        const estValide = modulesValides.has(module.id) || ((module.chapitresRequis || []).every(id => termines.has(id))
+            && (scoreQuiz === null || scoreQuiz >= (module.scoreQuizRequis || 0)));
+        const estDeverrouille = precedentValide;
+        precedentValide = estDeverrouille && estValide;
+
+        module.chapitres.forEach(chap => chapitresOrdonnes.push({ ID_Chapitre: chap.id, Nom_Chapitre: chap.nom, ID_Module: module.id, estDeverrouille: estDeverrouille }));
+        return {
+            ID_Module: module.id,
+            Nom_Module: module.nom,
+            total: module.chapitres.length,
+            termines: nbTermines,
+            pourcentage: module.chapitres.length > 0 ? Math.round(nbTermines / module.chapitres.length * 100) : 0,
+            estTermine: module.chapitres.length > 0 && nbTermines === module.chapitres.length,
+            scoreQuiz: scoreQuiz,
+            criteres: { scoreQuizRequis: module.scoreQuizRequis || 0, chapitresRequis: module.chapitresRequis || [] },
+            estValide: estValide,
+            estDeverrouille: estDeverrouille
+        };
+    });
+
+    // Ne compter que les chapitres qui font encore partie du cours
+    const completedChapters = chapitresOrdonnes.filter(chap => termines.has(chap.ID_Chapitre)).map(chap => chap.ID_Chapitre);
+    const derniereLigne = lignes
+        .filter(l => chapitresOrdonnes.some(chap => chap.ID_Chapitre === l.chapitreId))
+        .sort((a, b) => b.derniereConsultation - a.derniereConsultation)[0];
+    const dernierChapitre = derniereLigne ? chapitresOrdonnes.find(chap => chap.ID_Chapitre === derniereLigne.chapitreId) : null;
+
+    // Reprendre au dernier chapitre ouvert s'il n'est pas terminé, sinon au premier chapitre non terminé qui le suit,
+    // sans jamais proposer un chapitre d'un module verrouillé
+    let chapitreAReprendre = null;
+    if (dernierChapitre && dernierChapitre.estDeverrouille && !termines.has(dernierChapitre.ID_Chapitre)) {
+        chapitreAReprendre = dernierChapitre;
+    } else {
+        const depart = dernierChapitre ? chapitresOrdonnes.indexOf(dernierChapitre) + 1 : 0;
+        chapitreAReprendre = chapitresOrdonnes.slice(depart).concat(chapitresOrdonnes.slice(0, depart))
+            .find(chap => chap.estDeverrouille && !termines.has(chap.ID_Chapitre)) || null;
+    }
+
+    return {
+        completedChapters: completedChapters,
+        completedModules: modules.filter(module => module.estTermine).map(module => module.ID_Module),
+        modules: modules,
+        pourcentage: chapitresOrdonnes.length > 0 ? Math.round(completedChapters.length / chapitresOrdonnes.length * 100) : 0,
+        dernierChapitre: dernierChapitre,
+        chapitreAReprendre: chapitreAReprendre
+    };
+}
+
+/**
+ * NOUVEAU: Lit les lignes de progression (chapitres) d'un utilisateur, regroupées par cours.
+ * MODIFIÉ: + les modules validés mémorisés (`moduleId` au lieu de `chapitreId`).
+ * @returns {Object<string, Array<{chapitreId: string, moduleId: string, statut: string, derniereConsultation: number}>>}
+ */
+function lireProgressionClient(userId) {
+    return lireProgressionParClient()[userId] || {};
+}
+
+/**
+ * NOUVEAU: Lit les lignes de progression (chapitres) de tous les utilisateurs, regroupées par client puis par cours.
+ * MODIFIÉ: + les modules validés mémorisés (lignes de type "Module").
+ * @returns {Object<string, Object<string, Array<{chapitreId: string, moduleId: string, statut: string, derniereConsultation: number}>>>}
+ */
+function lireProgressionParClient() {
+    const rows = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.PROGRESSION).getDataRange().getValues();
+    const headers = rows.shift();
+    const col = nom => headers.indexOf(nom);
+    return rows
+        .filter(row => ['Chapitre', 'Module'].includes(row[col("Type_Element")]))
+        .reduce((parClient, row) => {
+            const parCours = parClient[row[col("ID_Client")]] = parClient[row[col("ID_Client")]] || {};
+            const courseId = row[col("ID_Cours")];
+            const estModule = row[col("Type_Element")] === 'Module';
+            (parCours[courseId] = parCours[courseId] || []).push({
+                chapitreId: estModule ? null : row[col("ID_Element")],
+                moduleId: estModule ? row[col("ID_Element")] : null,
+                statut: row[col("Statut")],
+                derniereConsultation: new Date(row[col("Derniere_Consultation")] || row[col("Date_Completion")]).getTime() || 0
+            });
+            return parClient;
+        }, {});
+}
+
+/**
+ * NOUVEAU: Mémorise les modules validés par des apprenants (lignes de type "Module", statut "Validé", une par
+ * apprenant et par module). Ils le restent ensuite, quels que soient les critères du module (voir calculerProgression) :
+ * un contenu ajouté au cours publié ne reverrouille pas les modules suivants. Seuls les modules déverrouillés comptent.
+ * @param {Array<{userId: string, courseId: string, modules: Array<Object>}>} etats - Les modules calculés par
+ *   calculerProgression, pour chaque apprenant et chaque cours.
+ * @returns {number} Le nombre de modules nouvellement mémorisés.
+ */
+function memoriserModulesValides(etats) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.PROGRESSION);
+        const rows = sheet.getDataRange().getValues();
+        const headers = rows.shift();
+        const col = nom => headers.indexOf(nom);
+        const dejaMemorises = new Set(rows
+            .filter(row => row[col("Type_Element")] === 'Module')
+            .map(row => `${row[col("ID_Client")]}|${row[col("ID_Element")]}`));
+
+        const maintenant = new Date();
+        const nouvelles = [];
+        etats.forEach(({ userId, courseId, modules }) => modules
+            .filter(module => module.estDeverrouille && module.estValide && !dejaMemorises.has(`${userId}|${module.ID_Module}`))
+            .forEach(module => {
+                const ligne = headers.map(() => '');
+                ligne[col("ID_Progression")] = `PRG-${maintenant.getTime()}-${nouvelles.length + 1}`;
+                ligne[col("ID_Client")] = userId;
+                ligne[col("ID_Cours")] = courseId;
+                ligne[col("ID_Element")] = module.ID_Module;
+                ligne[col("Type_Element")] = 'Module';
+                ligne[col("Statut")] = STATUTS_PROGRESSION.VALIDE;
+                ligne[col("Date_Completion")] = maintenant;
+                nouvelles.push(ligne);
+            }));
+        if (nouvelles.length > 0) sheet.getRange(sheet.getLastRow() + 1, 1, nouvelles.length, headers.length).setValues(nouvelles);
+        return nouvelles.length;
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * NOUVEAU: Mémorise les modules déjà validés par tous les apprenants d'un cours, avant que des modifications
+ * n'en changent les critères (voir modererRevisionsCours). Couvre aussi les validations antérieures à la mémorisation.
+ * @param {string} courseId - L'ID du cours.
+ * @returns {number} Le nombre de modules nouvellement mémorisés.
+ */
+function figerModulesValidesDuCours(courseId) {
+    const structure = getStructureCours(courseId);
+    if (!structure) return 0;
+    const reponsesParClient = lireReponsesParClient();
+    const etats = Object.entries(lireProgressionParClient())
+        .filter(([, parCours]) => parCours[courseId])
+        .map(([userId, parCours]) => ({
+            userId: userId,
+            courseId: courseId,
+            modules: calculerProgression(structure, parCours[courseId], reponsesParClient[userId] || {}).modules
+        }));
+    return memoriserModulesValides(etats);
+}
+
+/**
+ * NOUVEAU: Lit le dernier résultat de l'utilisateur à chaque question de quiz.
+ * @returns {Object<string, boolean>} Indexé par ID_Question : true si la dernière réponse était correcte.
+ */
+function lireReponsesClient(userId) {
+    return lireReponsesParClient()[userId] || {};
+}
+
+/**
+ * NOUVEAU: Lit le dernier résultat de chaque utilisateur à chaque question de quiz.
+ * @returns {Object<string, Object<string, boolean>>} Indexé par ID_Client, puis par ID_Question.
+ */
+function lireReponsesParClient() {
+    const rows = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.REPONSES_QUIZ).getDataRange().getValues();
+    const headers = rows.shift();
+    const col = nom => headers.indexOf(nom);
+    return rows
+        .sort((a, b) => new Date(a[col("Timestamp")]) - new Date(b[col("Timestamp")]))
+        .reduce((parClient, row) => {
+            const reponses = parClient[row[col("ID_Client")]] = parClient[row[col("ID_Client")]] || {};
+            reponses[row[col("ID_Question")]] = row[col("Est_Correcte")] === true || String(row[col("Est_Correcte")]).toUpperCase() === 'TRUE';
+            return parClient;
+        }, {});
+}
+
+/**
+ * NOUVEAU: Retourne la structure (modules et chapitres ordonnés) d'un cours.
+ * MODIFIÉ: Chaque module porte aussi la liste de ses questions et ses critères de validation.
+ * @param {string} courseId - L'ID du cours.
+ * @returns {{modules: Array<{id: string, nom: string, chapitres: Array<{id: string, nom: string}>, questions: string[], scoreQuizRequis: number, chapitresRequis: string[]}>}|null}
+ */
+function getStructureCours(courseId) {
+    return lireCacheCours('structure_', courseId);
+}
+
+/**
+ * NOUVEAU: Retourne le contenu d'un cours (vidéos, ressources et quiz sans corrigé de chaque chapitre).
+ * Ce contenu n'est plus dans le catalogue public : il n'est servi qu'aux acheteurs, module par module.
+ * @param {string} courseId - L'ID du cours.
+ * @returns {{modules: Array<{ID_Module: string, chapitres: Array<Object>, quiz: Array<Object>}>}|null}
+ */
+function getContenuCours(courseId) {
+    return lireCacheCours('contenu_', courseId);
+}
+
+/**
+ * NOUVEAU: Retourne le corrigé d'une question de quiz.
+ * @param {string} questionId - L'ID_Question du catalogue.
+ * @returns {{bonneReponse: string, ID_Cours: string, ID_Module: string, ID_Element: string, Type_Element: string}|null}
+ */
+function getCorrigeQuestion(questionId) {
+    return lireCacheCours('corrige_', questionId);
+}
+
+/**
+ * NOUVEAU: Lit une entrée du cache des cours (structure_, contenu_ ou corrige_), en rechargeant
+ * toutes les fiches complètes si elle est absente.
+ * @param {string} prefixe - Le préfixe de la clé de cache.
+ * @param {string} id - L'ID du cours ou de la question.
+ * @returns {object|null}
+ */
+function lireCacheCours(prefixe, id) {
+    const cached = CacheService.getScriptCache().get(prefixe + id);
+    if (cached) return JSON.parse(cached);
+    const entrees = chargerCoursComplets();
+    return entrees[prefixe + id] ? JSON.parse(entrees[prefixe + id]) : null;
+}
+
+/**
+ * NOUVEAU: Récupère les fiches complètes (avec contenu et corrigés) auprès de chaque catégorie,
+ * avec un jeton de service, et met en cache 10 minutes la structure et le contenu de chaque cours
+ * ainsi que le corrigé de chaque question.
+ * @returns {Object<string, string>} Les entrées mises en cache (valeurs JSON).
+ */
+function chargerCoursComplets() {
+    const entrees = {};
+    lireFichesCompletes().forEach(({ course, categorie }) => {
+        const modules = course.modules || [];
+        const sansCorrige = ({ Bonne_Réponse, ...question }) => question;
+
+        entrees['structure_' + course.ID_Cours] = JSON.stringify({
+            nomCours: course.Nom_Cours, // NOUVEAU: Imprimés sur le certificat
+            formateurNom: course.Formateur_Nom,
+            formateurId: course.Formateur_ID || null, // NOUVEAU: Destinataire des notifications de questions
+            categorieUrl: categorie.ScriptURL, // NOUVEAU: Script de catégorie à appeler pour modifier le cours
+            categorieNom: categorie.NomCategorie, // NOUVEAU: Pour les taux de commission par catégorie
+            statut: course.Statut, // NOUVEAU: Brouillon, En revue, Publié ou Archivé
+            modules: modules.map(module => {
+                const chapitres = module.chapitres || [];
+                return {
+                    id: module.ID_Module,
+                    nom: module.Nom_Module,
+                    chapitres: chapitres.map(chap => ({ id: chap.ID_Chapitre, nom: chap.Nom_Chapitre })),
+                    questions: chapitres.flatMap(chap => chap.quiz || []).concat(module.quiz || []).map(q => q.ID_Question),
+                    scoreQuizRequis: Math.min(100, Math.max(0, parseFloat(module.Score_Quiz_Requis) || 0)),
+                    chapitresRequis: lireChapitresRequis(module.Chapitres_Requis, chapitres)
+                };
+            })
+        });
+
+        entrees['contenu_' + course.ID_Cours] = JSON.stringify({
+            modules: modules.map(module => ({
+                ID_Module: module.ID_Module,
+                chapitres: (module.chapitres || []).map(chap => ({
+                    ID_Chapitre: chap.ID_Chapitre,
+                    URL_Vidéo_Chapitre: chap.URL_Vidéo_Chapitre,
+                    Ressource: chap.Ressource,
+                    quiz: (chap.quiz || []).map(sansCorrige)
+                })),
+                quiz: (module.quiz || []).map(sansCorrige)
+            }))
+        });
+
+        modules.forEach(module => {
+            const ajouter = (question, idElement, typeElement) => {
+                entrees['corrige_' + question.ID_Question] = JSON.stringify({
+                    bonneReponse: String(question.Bonne_Réponse),
+                    ID_Cours: course.ID_Cours,
+                    ID_Module: module.ID_Module,
+                    ID_Element: idElement,
+                    Type_Element: typeElement
+                });
+            };
+            (module.chapitres || []).forEach(chap => (chap.quiz || []).forEach(q => ajouter(q, chap.ID_Chapitre, 'Chapitre')));
+            (module.quiz || []).forEach(q => ajouter(q, module.ID_Module, 'Module'));
+        });
+    });
+    CacheService.getScriptCache().putAll(entrees, 600);
+    return entrees;
+}
+
+/**
+ * NOUVEAU: Récupère auprès de chaque catégorie, avec un jeton de service, les fiches complètes de tous ses cours,
+ * quel que soit leur statut.
+ * @returns {Array<{course: Object, categorie: Object}>} Chaque fiche, avec la ligne de sa catégorie (feuille "Catégories").
+ */
+function lireFichesCompletes() {
+    const token = signerTokenService();
+    const categories = getCategoriesActives();
+    const requests = categories.map(category => ({
+        url: `${category.ScriptURL}?action=getFichesCompletes&token=${encodeURIComponent(token)}`,
+        method: 'get',
+        muteHttpExceptions: true
+    }));
+
+    const fiches = [];
+    UrlFetchApp.fetchAll(requests).forEach((response, index) => {
+        if (response.getResponseCode() !== 200) return;
+        const result = JSON.parse(response.getContentText());
+        if (!result.success || !Array.isArray(result.data)) return;
+        result.data.forEach(course => fiches.push({ course: course, categorie: categories[index] }));
+    });
+    return fiches;
+}
+
+/**
+ * NOUVEAU: Réduit une fiche complète aux informations de gestion du cours (sans le contenu des modules).
+ * @param {{course: Object, categorie: Object}} fiche - Voir lireFichesCompletes.
+ */
+function versResumeGestion({ course, categorie }) {
+    const { modules, ...cours } = course;
+    return {
+        ...cours,
+        Catégorie: categorie.NomCategorie,
+        IDCategorie: categorie.IDCategorie,
+        categorieUrl: categorie.ScriptURL,
+        nombreModules: (modules || []).length,
+        nombreChapitres: (modules || []).reduce((total, module) => total + (module.chapitres || []).length, 0)
+    };
+}
+
+/**
+ * NOUVEAU: Interprète la colonne Chapitres_Requis d'un module.
+ * Vide ou "Tous" : tous les chapitres du module. "Aucun" : aucun. Sinon : IDs de chapitres séparés par des ";".
+ * @param {string} valeur - La valeur de la colonne.
+ * @param {Array<{ID_Chapitre: string}>} chapitres - Les chapitres du module.
+ * @returns {string[]} Les IDs des chapitres à terminer.
+ */
+function lireChapitresRequis(valeur, chapitres) {
+    const texte = String(valeur || '').trim();
+    const ids = chapitres.map(chap => chap.ID_Chapitre);
+    if (!texte || texte.toLowerCase() === 'tous') return ids;
+    if (texte.toLowerCase() === 'aucun') return [];
+    return texte.split(';').map(id => id.trim()).filter(id => ids.includes(id));
+}
+
+// --- NOUVEAU: QUESTIONS & RÉPONSES ---
+
+/**
+ * NOUVEAU: Enregistre la question d'un apprenant inscrit sur un chapitre du cours et prévient le formateur.
+ * @param {object} data - Contient `courseId`, `chapitreId` et `texte`.
+ * @param {object} session - L'identité vérifiée de l'apprenant.
+ */
+function poserQuestion(data, session) {
+    const { courseId, chapitreId } = data || {};
+    const texte = String((data && data.texte) || '').trim();
+    if (!courseId || !chapitreId) return { success: false, error: "ID du cours ou du chapitre manquant." };
+    if (texte.length < 5 || texte.length > LONGUEUR_MAX_MESSAGE) {
+        return { success: false, error: `Votre question doit contenir entre 5 et ${LONGUEUR_MAX_MESSAGE} caractères.` };
+    }
+    if (!getCoursAchetes(session.id).data.includes(courseId)) {
+        return { success: false, error: "Vous devez être inscrit à ce cours pour poser une question." };
+    }
+    const structure = getStructureCours(courseId);
+    const chapitre = structure && structure.modules.flatMap(module => module.chapitres).find(chap => chap.id === chapitreId);
+    if (!chapitre) return { success: false, error: "Ce chapitre n'appartient pas à ce cours." };
+
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.QUESTIONS);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const question = {
+        ID_Question: `QST-${new Date().getTime()}`,
+        ID_Cours: courseId,
+        Nom_Cours: structure.nomCours || courseId,
+        ID_Chapitre: chapitreId,
+        Nom_Chapitre: chapitre.nom,
+        ID_Client: session.id,
+        Nom_Apprenant: session.nom,
+        Question_Texte: texte,
+        Date_Question: new Date(),
+        Statut: STATUTS_QUESTION.EN_ATTENTE
+    };
+    sheet.appendRow(headers.map(header => question[header] !== undefined ? question[header] : ''));
+
+    if (structure.formateurId) {
+        envoyerNotificationInterne(structure.formateurId, 'Question', `${session.nom} a posé une question sur « ${question.Nom_Cours} ».`);
+    }
+    return { success: true, id: question.ID_Question };
+}
+
+/**
+ * NOUVEAU: Liste les questions posées sur les cours du formateur connecté (toutes pour un administrateur),
+ * les questions en attente en premier.
+ * @param {object} session - L'identité vérifiée du formateur.
+ */
+function getQuestionsForSenior(session) {
+    const questions = lireQuestions();
+    const coursIds = session.role === 'Admin' ? null : getCoursDuFormateur(session).map(course => course.ID_Cours);
+    const ordreStatut = statut => statut === STATUTS_QUESTION.EN_ATTENTE ? 0 : 1;
+    return { success: true, data: questions
+        .filter(q => !coursIds || coursIds.includes(q.ID_Cours))
+        .sort((a, b) => ordreStatut(a.Statut) - ordreStatut(b.Statut) || new Date(b.Date_Question) - new Date(a.Date_Question))
+        .map(versQuestionPublique)
+    };
+}
+
+/**
+ * NOUVEAU: Enregistre la réponse du formateur à une question et prévient l'apprenant.
+ * Seul le formateur du cours (ou un administrateur) peut répondre, et une seule fois.
+ * @param {object} data - Contient `questionId` et `reponseTexte`.
+ * @param {object} session - L'identité vérifiée du formateur.
+ */
+function replyToQuestion(data, session) {
+    const { questionId } = data || {};
+    const reponseTexte = String((data && data.reponseTexte) || '').trim();
+    if (!questionId || !reponseTexte) return { success: false, error: "ID de la question ou réponse manquant." };
+    if (reponseTexte.length > LONGUEUR_MAX_MESSAGE) {
+        return { success: false, error: `Votre réponse ne doit pas dépasser ${LONGUEUR_MAX_MESSAGE} caractères.` };
+    }
+
+    let question;
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.QUESTIONS);
+        const rows = sheet.getDataRange().getValues();
+        const headers = rows.shift();
+        const col = nom => headers.indexOf(nom);
+        const rowIndex = rows.findIndex(row => row[col("ID_Question")] === questionId);
+        if (rowIndex === -1) return { success: false, error: "Question introuvable." };
+        question = headers.reduce((obj, header, index) => {
+            obj[header] = rows[rowIndex][index];
+            return obj;
+        }, {});
+
+        if (session.role !== 'Admin' && getCoursDuFormateur(session).every(course => course.ID_Cours !== question.ID_Cours)) {
+            throw creerErreur("Vous ne pouvez répondre qu'aux questions posées sur vos cours.", 'ACCES_REFUSE');
+        }
+        if (question.Statut === STATUTS_QUESTION.REPONDUE) return { success: false, error: "Cette question a déjà reçu une réponse." };
+
+        const numeroLigne = rowIndex + 2;
+        const maintenant = new Date();
+        sheet.getRange(numeroLigne, col("Statut") + 1).setValue(STATUTS_QUESTION.REPONDUE);
+        sheet.getRange(numeroLigne, col("Reponse_Texte") + 1).setValue(reponseTexte);
+        sheet.getRange(numeroLigne, col("ID_Formateur") + 1).setValue(session.id);
+        sheet.getRange(numeroLigne, col("Nom_Formateur") + 1).setValue(session.nom);
+        sheet.getRange(numeroLigne, col("Date_Reponse") + 1).setValue(maintenant);
+    } finally {
+        lock.releaseLock();
+    }
+
+    envoyerNotificationInterne(question.ID_Client, 'Question', `${session.nom} a répondu à votre question sur « ${question.Nom_Cours} ».`);
+    return { success: true, message: "Réponse enregistrée." };
+}
+
+/**
+ * NOUVEAU: Liste les fils de questions d'un cours, pour ses apprenants inscrits, son formateur et les administrateurs.
+ * @param {string} courseId - L'ID du cours.
+ * @param {object} session - L'identité vérifiée de l'appelant.
+ */
+function getQuestionsCours(courseId, session) {
+    if (!courseId) return { success: false, error: "ID du cours manquant." };
+    const autorise = session.role === 'Admin'
+        || getCoursAchetes(session.id).data.includes(courseId)
+        || (ROLES_FORMATEUR.includes(session.role) && getCoursDuFormateur(session).some(course => course.ID_Cours === courseId));
+    if (!autorise) return { success: false, error: "Vous devez être inscrit à ce cours pour voir ses questions.", code: 'ACCES_REFUSE' };
+
+    return { success: true, data: lireQuestions()
+        .filter(q => q.ID_Cours === courseId)
+        .sort((a, b) => new Date(b.Date_Question) - new Date(a.Date_Question))
+        .map(q => Object.assign(versQuestionPublique(q), { estAuteur: q.ID_Client === session.id }))
+    };
+}
+
+/**
+ * NOUVEAU: Lit toutes les lignes de la feuille "Questions", sous forme d'objets.
+ */
+function lireQuestions() {
+    const rows = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.QUESTIONS).getDataRange().getValues();
+    const headers = rows.shift();
+    return rows.map(row => headers.reduce((obj, header, index) => {
+        obj[header] = row[index];
+        return obj;
+    }, {}));
+}
+
+/**
+ * NOUVEAU: Retire d'une question les identifiants internes (ID_Client, ID_Formateur) avant de l'envoyer au front-end.
+ */
+function versQuestionPublique(question) {
+    const { ID_Client, ID_Formateur, ...publique } = question;
+    return publique;
+}
+
+// --- NOUVEAU: AVIS DES APPRENANTS ---
+
+/**
+ * NOUVEAU: Enregistre l'avis (note de 1 à 5 et commentaire) d'un acheteur sur un cours.
+ * Un seul avis par apprenant et par cours : un nouvel envoi modifie l'avis existant.
+ * La note moyenne et le nombre d'avis du cours sont ensuite recalculés dans le catalogue.
+ * @param {object} data - Contient `courseId`, `note` et `commentaire`.
+ * @param {object} session - L'identité vérifiée de l'apprenant.
+ * @returns {object} `data` contient `noteMoyenne` et `nombreAvis` recalculés.
+ */
+function soumettreAvis(data, session) {
+    const { courseId } = data || {};
+    const note = Number(data && data.note);
+    const commentaire = String((data && data.commentaire) || '').trim();
+    if (!courseId) return { success: false, error: "ID du cours manquant." };
+    if (!Number.isInteger(note) || note < 1 || note > 5) return { success: false, error: "La note doit être un nombre entier entre 1 et 5." };
+    if (commentaire.length < 5 || commentaire.length > LONGUEUR_MAX_MESSAGE) {
+        return { success: false, error: `Votre commentaire doit contenir entre 5 et ${LONGUEUR_MAX_MESSAGE} caractères.` };
+    }
+    if (!getCoursAchetes(session.id).data.includes(courseId)) {
+        return { success: false, error: "Seuls les apprenants ayant acheté ce cours peuvent laisser un avis." };
+    }
+
+    let modification = false;
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.AVIS);
+        const rows = sheet.getDataRange().getValues();
+        const headers = rows.shift();
+        const col = nom => headers.indexOf(nom);
+        const maintenant = new Date();
+        const rowIndex = rows.findIndex(row => row[col("ID_Client")] === session.id && row[col("ID_Cours")] === courseId);
+
+        if (rowIndex === -1) {
+            const avis = {
+                ID_Avis: `AVIS-${maintenant.getTime()}`,
+                ID_Cours: courseId,
+                ID_Client: session.id,
+                Nom_Apprenant: session.nom,
+                Note: note,
+                Commentaire: commentaire,
+                Date_Avis: maintenant,
+                Date_Modification: ''
+            };
+            sheet.appendRow(headers.map(header => avis[header] !== undefined ? avis[header] : ''));
+        } else {
+            modification = true;
+            const numeroLigne = rowIndex + 2;
+            sheet.getRange(numeroLigne, col("Note") + 1).setValue(note);
+            sheet.getRange(numeroLigne, col("Commentaire") + 1).setValue(commentaire);
+            sheet.getRange(numeroLigne, col("Date_Modification") + 1).setValue(maintenant);
+        }
+    } finally {
+        lock.releaseLock();
+    }
+
+    const resume = recalculerNoteCours(courseId);
+    return { success: true, message: modification ? "Votre avis a été modifié." : "Merci pour votre avis !", data: resume };
+}
+
+/**
+ * NOUVEAU: Liste les avis d'un cours, du plus récent au plus ancien, par pages.
+ * @param {string} courseId - L'ID du cours.
+ * @param {string|number} [page] - Le numéro de page (à partir de 1).
+ * @param {string|number} [limite] - Le nombre d'avis par page (AVIS_PAR_PAGE par défaut, AVIS_PAR_PAGE_MAX au plus).
+ * @param {string} [token] - Le jeton de l'appelant, pour renvoyer son propre avis (`monAvis`).
+ * @returns {object} `data` contient `avis`, `page`, `pages`, `noteMoyenne`, `nombreAvis` et `monAvis`.
+ */
+function getAvisCours(courseId, page, limite, token) {
+    if (!courseId) return { success: false, error: "ID du cours manquant." };
+    const tousLesAvis = lireAvis()
+        .filter(avis => avis.ID_Cours === courseId)
+        .sort((a, b) => new Date(b.Date_Avis) - new Date(a.Date_Avis));
+    const resume = resumerAvis(tousLesAvis);
+
+    const parPage = Math.min(Math.max(parseInt(limite, 10) || AVIS_PAR_PAGE, 1), AVIS_PAR_PAGE_MAX);
+    const pages = Math.max(1, Math.ceil(tousLesAvis.length / parPage));
+    const pageCourante = Math.min(Math.max(parseInt(page, 10) || 1, 1), pages);
+
+    let monAvis = null;
+    if (token) {
+        try {
+            const session = verifierToken(token);
+            const avis = tousLesAvis.find(a => a.ID_Client === session.id);
+            monAvis = avis ? versAvisPublic(avis) : null;
+        } catch (e) {
+            // Jeton expiré ou invalide : la liste publique reste disponible
+        }
+    }
+
+    return { success: true, data: {
+        avis: tousLesAvis.slice((pageCourante - 1) * parPage, pageCourante * parPage).map(versAvisPublic),
+        page: pageCourante,
+        pages: pages,
+        noteMoyenne: resume.noteMoyenne,
+        nombreAvis: resume.nombreAvis,
+        monAvis: monAvis
+    }};
+}
+
+/**
+ * NOUVEAU: Recalcule la note moyenne et le nombre d'avis d'un cours, puis les reporte dans
+ * les colonnes Note_Moyenne et Avis de sa feuille de catégorie (et donc dans le catalogue).
+ * Un échec de la mise à jour du catalogue est journalisé sans annuler l'avis.
+ * @param {string} courseId - L'ID du cours.
+ * @returns {{noteMoyenne: number, nombreAvis: number}}
+ */
+function recalculerNoteCours(courseId) {
+    const resume = resumerAvis(lireAvis().filter(avis => avis.ID_Cours === courseId));
+    try {
+        const structure = getStructureCours(courseId);
+        appelerService(structure && structure.categorieUrl, 'mettreAJourNoteCours', {
+            courseId: courseId,
+            noteMoyenne: resume.noteMoyenne,
+            nombreAvis: resume.nombreAvis
+        });
+    } catch (e) {
+        Logger.log(`Note du cours ${courseId} non mise à jour dans le catalogue : ${e.message}`);
+    }
+    return resume;
+}
+
+/**
+ * NOUVEAU: Calcule la note moyenne (arrondie au dixième) et le nombre d'une liste d'avis.
+ */
+function resumerAvis(avis) {
+    const total = avis.reduce((somme, a) => somme + (Number(a.Note) || 0), 0);
+    return {
+        noteMoyenne: avis.length > 0 ? Math.round(total / avis.length * 10) / 10 : 0,
+        nombreAvis: avis.length
+    };
+}
+
+/**
+ * NOUVEAU: Lit toutes les lignes de la feuille "Avis", sous forme d'objets.
+ */
+function lireAvis() {
+    const rows = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.AVIS).getDataRange().getValues();
+    const headers = rows.shift();
+    return rows.map(row => headers.reduce((obj, header, index) => {
+        obj[header] = row[index];
+        return obj;
+    }, {}));
+}
+
+/**
+ * NOUVEAU: Retire d'un avis l'identifiant de son auteur avant de l'envoyer au front-end.
+ */
+function versAvisPublic(avis) {
+    const { ID_Client, ...publique } = avis;
+    return publique;
+}
+
+// --- NOUVEAU: REMBOURSEMENTS ---
+
+/**
+ * NOUVEAU: Enregistre la demande de remboursement d'un cours acheté.
+ * La demande n'est acceptée que si elle respecte les règles de la Config :
+ * `remboursement_delai_jours` depuis l'achat et `remboursement_consommation_max` (% de chapitres terminés).
+ * Un certificat déjà émis rend le cours non remboursable.
+ * @param {object} data - Contient `courseId` et `motif`.
+ * @param {object} session - L'identité vérifiée de l'apprenant.
+ */
+function demanderRemboursement(data, session) {
+    const { courseId } = data || {};
+    const motif = String((data && data.motif) || '').trim();
+    if (!courseId) return { success: false, error: "ID du cours manquant." };
+    if (motif.length < 5 || motif.length > LONGUEUR_MAX_MESSAGE) {
+        return { success: false, error: `Le motif doit contenir entre 5 et ${LONGUEUR_MAX_MESSAGE} caractères.` };
+    }
+
+    const achat = lignesDuClient(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.COURS_ACHETES), session.id)
+        .filter(ligne => ligne.ID_Cours === courseId && ligne.Statut_Achat !== STATUTS_ACHAT.REMBOURSE)
+        .pop();
+    if (!achat) return { success: false, error: "Vous n'avez pas acheté ce cours." };
+
+    const config = getConfig();
+    const joursEcoules = Math.floor((new Date() - new Date(achat.Date_Achat)) / (24 * 3600 * 1000));
+    if (joursEcoules > config.remboursement_delai_jours) {
+        throw creerErreur(`Le délai de remboursement de ${config.remboursement_delai_jours} jours après l'achat est dépassé.`, 'REMBOURSEMENT_NON_ELIGIBLE');
+    }
+    const etat = getEtatCours(session.id, courseId);
+    const pourcentage = etat ? etat.pourcentage : 0;
+    if (pourcentage > config.remboursement_consommation_max) {
+        throw creerErreur(`Vous avez suivi ${pourcentage}% du cours : au-delà de ${config.remboursement_consommation_max}%, il n'est plus remboursable.`, 'REMBOURSEMENT_NON_ELIGIBLE');
+    }
+    if (lireCertificatsClient(session.id)[courseId]) {
+        throw creerErreur("Un certificat a déjà été émis pour ce cours : il n'est plus remboursable.", 'REMBOURSEMENT_NON_ELIGIBLE');
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.REMBOURSEMENTS);
+        const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+        if (lireRemboursements().some(d => d.ID_Achat === achat.ID_Achat && d.Statut === STATUTS_REMBOURSEMENT.EN_ATTENTE)) {
+            return { success: false, error: "Une demande de remboursement est déjà en cours d'examen pour ce cours." };
+        }
+        const demande = {
+            ID_Remboursement: `REMB-${new Date().getTime()}`,
+            ID_Achat: achat.ID_Achat,
+            ID_Client: session.id,
+            Nom_Apprenant: session.nom,
+            ID_Cours: courseId,
+            Nom_Cours: achat.Nom_Cours,
+            Montant: Number(achat.Prix_Achat) || 0,
+            Motif: motif,
+            Pourcentage_Suivi: pourcentage,
+            Statut: STATUTS_REMBOURSEMENT.EN_ATTENTE,
+            Date_Demande: new Date(),
+            ID_Admin: '',
+            Commentaire_Admin: '',
+            Date_Traitement: ''
+        };
+        sheet.appendRow(headers.map(header => demande[header] !== undefined ? demande[header] : ''));
+        return { success: true, message: "Votre demande de remboursement a été transmise. Vous serez notifié de la décision.", data: versRemboursementPublic(demande) };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * NOUVEAU: Liste les demandes de remboursement pour la file d'attente des admins, des plus anciennes aux plus récentes.
+ * @param {string} [statut] - Filtre de statut (toutes les demandes si vide).
+ */
+function getDemandesRemboursement(statut) {
+    const demandes = lireRemboursements()
+        .filter(demande => !statut || demande.Statut === statut)
+        .sort((a, b) => new Date(a.Date_Demande) - new Date(b.Date_Demande));
+    return { success: true, data: demandes };
+}
+
+/**
+ * NOUVEAU: Approuve ou rejette une demande de remboursement.
+ * L'approbation marque l'achat comme remboursé dans "Cours_Achetés" : l'apprenant perd l'accès au cours
+ * et le montant sort du chiffre d'affaires du formateur (voir getSeniorDashboardData) et de ses gains
+ * (voir annulerEcritureVente). L'apprenant est notifié.
+ * @param {object} data - Contient `demandeId`, `approuver` (booléen) et `commentaire`.
+ * @param {object} session - L'admin qui traite la demande.
+ */
+function traiterRemboursement(data, session) {
+    const { demandeId } = data || {};
+    const approuver = data && data.approuver === true;
+    const commentaire = String((data && data.commentaire) || '').trim().slice(0, LONGUEUR_MAX_MESSAGE);
+    if (!demandeId) return { success: false, error: "ID de la demande manquant." };
+
+    let demande;
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const sheet = ss.getSheetByName(SHEET_NAMES.REMBOURSEMENTS);
+        const rows = sheet.getDataRange().getValues();
+        const headers = rows.shift();
+        const col = nom => headers.indexOf(nom);
+        const rowIndex = rows.findIndex(row => row[col("ID_Remboursement")] === demandeId);
+        if (rowIndex === -1) return { success: false, error: "Demande introuvable." };
+        if (rows[rowIndex][col("Statut")] !== STATUTS_REMBOURSEMENT.EN_ATTENTE) {
+            return { success: false, error: "Cette demande a déjà été traitée." };
+        }
+        demande = headers.reduce((obj, header, index) => {
+            obj[header] = rows[rowIndex][index];
+            return obj;
+        }, {});
+
+        if (approuver) {
+            const achatsSheet = ss.getSheetByName(SHEET_NAMES.COURS_ACHETES);
+            const achats = achatsSheet.getDataRange().getValues();
+            const achatIndex = achats.findIndex((row, index) => index > 0 && row[achats[0].indexOf("ID_Achat")] === demande.ID_Achat);
+            if (achatIndex === -1) return { success: false, error: "Achat introuvable." };
+            achatsSheet.getRange(achatIndex + 1, achats[0].indexOf("Statut_Achat") + 1).setValue(STATUTS_ACHAT.REMBOURSE);
+            annulerEcritureVente(demande.ID_Achat); // NOUVEAU: Le montant sort des gains du formateur
+        }
+
+        demande.Statut = approuver ? STATUTS_REMBOURSEMENT.APPROUVE : STATUTS_REMBOURSEMENT.REJETE;
+        const numeroLigne = rowIndex + 2;
+        sheet.getRange(numeroLigne, col("Statut") + 1).setValue(demande.Statut);
+        sheet.getRange(numeroLigne, col("ID_Admin") + 1).setValue(session.id);
+        sheet.getRange(numeroLigne, col("Commentaire_Admin") + 1).setValue(commentaire);
+        sheet.getRange(numeroLigne, col("Date_Traitement") + 1).setValue(new Date());
+    } finally {
+        lock.releaseLock();
+    }
+
+    envoyerNotificationInterne(demande.ID_Client, 'Remboursement', approuver
+        ? `Votre demande de remboursement pour « ${demande.Nom_Cours} » a été approuvée. L'accès au cours a été retiré.`
+        : `Votre demande de remboursement pour « ${demande.Nom_Cours} » a été rejetée.${commentaire ? ` Motif : ${commentaire}` : ''}`);
+    return { success: true, message: approuver ? "Remboursement approuvé." : "Demande rejetée." };
+}
+
+/**
+ * NOUVEAU: Lit toutes les demandes de la feuille "Remboursements" sous forme d'objets.
+ * @returns {Array<Object>}
+ */
+function lireRemboursements() {
+    const rows = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.REMBOURSEMENTS).getDataRange().getValues();
+    const headers = rows.shift();
+    return rows.map(row => headers.reduce((obj, header, index) => {
+        obj[header] = row[index];
+        return obj;
+    }, {}));
+}
+
+/**
+ * NOUVEAU: Réduit une demande aux informations affichées à l'apprenant.
+ * @param {object} demande - Une ligne de la feuille "Remboursements".
+ */
+function versRemboursementPublic(demande) {
+    return {
+        id: demande.ID_Remboursement,
+        statut: demande.Statut,
+        dateDemande: demande.Date_Demande,
+        commentaire: demande.Commentaire_Admin || ''
+    };
+}
+
+/**
+ * NOUVEAU: Indique si une ligne de "Cours_Achetés" donne toujours accès au cours (achat non remboursé).
+ * @param {Array} row - La ligne.
+ * @param {string[]} headers - Les en-têtes de la feuille.
+ */
+function estAchatActif(row, headers) {
+    const statutIndex = headers.indexOf("Statut_Achat");
+    return statutIndex === -1 || row[statutIndex] !== STATUTS_ACHAT.REMBOURSE;
+}
+
+// --- NOUVEAU: GRAND LIVRE ET PAIEMENTS DES FORMATEURS ---
+
+/**
+ * NOUVEAU: Enregistre l'écriture d'une vente dans le grand livre : montant brut, commission de la plateforme
+ * et gain net du formateur, disponible au paiement après `delai_retenue_jours` (délai de remboursement).
+ * Doit être appelée sous le verrou. Les cours gratuits ne génèrent pas d'écriture.
+ * MODIFIÉ: La vente d'un cours sans Formateur_ID (cours antérieur à la colonne) est inscrite sans ID_Formateur,
+ * au nom du formateur : elle lui est rattachée dès qu'il consulte ses gains (voir rattacherEcrituresFormateur).
+ * @param {object} achat - La ligne de "Cours_Achetés" (ID_Achat, ID_Cours, Nom_Cours, Prix_Achat, Formateur_Nom, Date_Achat).
+ * @param {object|null} structure - La structure du cours (voir getStructureCours), pour le formateur et la catégorie.
+ * @returns {boolean} true si une écriture a été ajoutée.
+ */
+function enregistrerEcritureVente(achat, structure) {
+    const montantBrut = Number(achat.Prix_Achat) || 0;
+    if (montantBrut <= 0) return false;
+    const formateurId = (structure && structure.formateurId) || '';
+    if (!formateurId) Logger.log(`Vente ${achat.ID_Achat} sans Formateur_ID : écriture à rattacher à ${achat.Formateur_Nom}.`);
+
+    const taux = getTauxCommission(formateurId, structure && structure.categorieNom);
+    const commission = Math.round(montantBrut * taux) / 100;
+    const dateVente = new Date(achat.Date_Achat);
+    const ecriture = {
+        ID_Ecriture: `ECR-${new Date().getTime()}-${achat.ID_Achat}`,
+        Type: TYPES_ECRITURE.VENTE,
+        ID_Achat: achat.ID_Achat,
+        ID_Formateur: formateurId,
+        Formateur_Nom: achat.Formateur_Nom,
+        ID_Cours: achat.ID_Cours,
+        Nom_Cours: achat.Nom_Cours,
+        Montant_Brut: montantBrut,
+        Taux_Commission: taux,
+        Commission: commission,
+        Montant_Net: Math.round((montantBrut - commission) * 100) / 100,
+        Date_Vente: dateVente,
+        Date_Disponibilite: new Date(dateVente.getTime() + getConfig().delai_retenue_jours * 24 * 3600 * 1000),
+        Statut: STATUTS_ECRITURE.ACTIVE,
+        ID_Paiement: ''
+    };
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.GRAND_LIVRE);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    sheet.appendRow(headers.map(header => ecriture[header] !== undefined ? ecriture[header] : ''));
+    return true;
+}
+
+/**
+ * NOUVEAU: Rattache au formateur les écritures sans ID_Formateur de ses cours (voir enregistrerEcritureVente).
+ * Les cours sont ceux de filtrerCoursDuFormateur : un cours sans Formateur_ID appartient au formateur qui porte son nom.
+ * @param {{id: string, nom: string}} session - Le formateur.
+ * @param {Array<Object>} coursDuFormateur - Ses cours (voir getCoursDuFormateur).
+ */
+function rattacherEcrituresFormateur(session, coursDuFormateur) {
+    const coursSansId = coursDuFormateur.filter(course => !course.Formateur_ID).map(course => course.ID_Cours);
+    if (coursSansId.length === 0) return;
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.GRAND_LIVRE);
+        const rows = sheet.getDataRange().getValues();
+        const headers = rows.shift();
+        const col = nom => headers.indexOf(nom);
+        rows.forEach((row, index) => {
+            if (!row[col("ID_Formateur")] && coursSansId.includes(row[col("ID_Cours")])) {
+                sheet.getRange(index + 2, col("ID_Formateur") + 1).setValue(session.id);
+            }
+        });
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * NOUVEAU: Retire une vente remboursée des gains du formateur. Doit être appelée sous le verrou.
+ * Si la vente n'a pas encore été payée, son écriture est annulée ; sinon une régularisation négative
+ * est déduite de son prochain paiement.
+ * @param {string} achatId - L'ID_Achat remboursé.
+ */
+function annulerEcritureVente(achatId) {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.GRAND_LIVRE);
+    const rows = sheet.getDataRange().getValues();
+    const headers = rows.shift();
+    const col = nom => headers.indexOf(nom);
+    const rowIndex = rows.findIndex(row => row[col("ID_Achat")] === achatId && row[col("Type")] === TYPES_ECRITURE.VENTE
+        && row[col("Statut")] === STATUTS_ECRITURE.ACTIVE);
+    if (rowIndex === -1) return;
+
+    const vente = rows[rowIndex];
+    if (!vente[col("ID_Paiement")]) {
+        sheet.getRange(rowIndex + 2, col("Statut") + 1).setValue(STATUTS_ECRITURE.ANNULEE);
+        return;
+    }
+    const maintenant = new Date();
+    const regularisation = headers.reduce((obj, header, index) => ({ ...obj, [header]: vente[index] }), {});
+    Object.assign(regularisation, {
+        ID_Ecriture: `ECR-${maintenant.getTime()}-${achatId}`,
+        Type: TYPES_ECRITURE.REGULARISATION,
+        Montant_Brut: -Number(regularisation.Montant_Brut),
+        Commission: -Number(regularisation.Commission),
+        Montant_Net: -Number(regularisation.Montant_Net),
+        Date_Vente: maintenant,
+        Date_Disponibilite: maintenant,
+        ID_Paiement: ''
+    });
+    sheet.appendRow(headers.map(header => regularisation[header]));
+}
+
+/**
+ * NOUVEAU: Retourne le taux de commission (en %) de la plateforme sur une vente.
+ * Priorité : taux du formateur, puis taux de la catégorie (feuille "Commissions"), puis `commission_defaut`.
+ * @param {string} formateurId - L'IDClient du formateur.
+ * @param {string} [categorieNom] - Le nom de la catégorie du cours.
+ * @returns {number}
+ */
+function getTauxCommission(formateurId, categorieNom) {
+    const lignes = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.COMMISSIONS).getDataRange().getValues().slice(1);
+    const trouver = (portee, identifiant) => lignes.find(row => row[0] === portee && identifiant && row[1] === identifiant);
+    const ligne = trouver('Formateur', formateurId) || trouver('Catégorie', categorieNom);
+    const taux = ligne ? parseFloat(ligne[2]) : getConfig().commission_defaut;
+    return Math.min(100, Math.max(0, Number.isFinite(taux) ? taux : getConfig().commission_defaut));
+}
+
+/**
+ * NOUVEAU: Calcule les soldes nets d'un formateur à partir du grand livre.
+ * - enAttente : ventes encore dans le délai de retenue ;
+ * - disponible : ventes (et régularisations) pouvant faire l'objet d'une demande de paiement ;
+ * - demande : inclus dans une demande de paiement pas encore versée ;
+ * - verse : déjà payé.
+ * @param {string} formateurId - L'IDClient du formateur.
+ * @returns {{enAttente: number, disponible: number, demande: number, verse: number}}
+ */
+function calculerSoldes(formateurId) {
+    const statutsPaiement = lirePaiements().reduce((obj, paiement) => ({ ...obj, [paiement.ID_Paiement]: paiement.Statut }), {});
+    const maintenant = new Date();
+    const soldes = { enAttente: 0, disponible: 0, demande: 0, verse: 0 };
+    lireEcritures()
+        .filter(ecriture => ecriture.ID_Formateur === formateurId && ecriture.Statut === STATUTS_ECRITURE.ACTIVE)
+        .forEach(ecriture => {
+            const net = Number(ecriture.Montant_Net) || 0;
+            if (ecriture.ID_Paiement) {
+                soldes[statutsPaiement[ecriture.ID_Paiement] === STATUTS_PAIEMENT.PAYE ? 'verse' : 'demande'] += net;
+            } else {
+                soldes[new Date(ecriture.Date_Disponibilite) > maintenant ? 'enAttente' : 'disponible'] += net;
+            }
+        });
+    Object.keys(soldes).forEach(cle => soldes[cle] = Math.round(soldes[cle] * 100) / 100);
+    return soldes;
+}
+
+/**
+ * NOUVEAU: Demande le versement du solde disponible du formateur connecté.
+ * Toutes les écritures disponibles sont rattachées à la demande, qui attend ensuite la confirmation d'un admin.
+ * @param {object} data - Contient `moyen` (voir MOYENS_PAIEMENT) et `details` (numéro Mobile Money ou coordonnées bancaires).
+ * @param {object} session - Le formateur.
+ */
+function demanderPaiement(data, session) {
+    const { moyen } = data || {};
+    const details = String((data && data.details) || '').trim();
+    if (!MOYENS_PAIEMENT.includes(moyen)) return { success: false, error: "Moyen de paiement invalide." };
+    if (details.length < 5 || details.length > 500) {
+        return { success: false, error: "Veuillez indiquer votre numéro Mobile Money ou vos coordonnées bancaires." };
     }
-}
 
-function doPost(e) {
+    rattacherEcrituresFormateur(session, getCoursDuFormateur(session)); // NOUVEAU: Ventes de ses cours sans Formateur_ID
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
     try {
-        const request = JSON.parse(e.postData.contents);
-        const { action, data } = request;
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const sheet = ss.getSheetByName(SHEET_NAMES.GRAND_LIVRE);
+        const rows = sheet.getDataRange().getValues();
+        const headers = rows.shift();
+        const col = nom => headers.indexOf(nom);
+        const maintenant = new Date();
+        const disponibles = rows
+            .map((row, index) => ({ row, numeroLigne: index + 2 }))
+            .filter(({ row }) => row[col("ID_Formateur")] === session.id && row[col("Statut")] === STATUTS_ECRITURE.ACTIVE
+                && !row[col("ID_Paiement")] && new Date(row[col("Date_Disponibilite")]) <= maintenant);
+        const montant = Math.round(disponibles.reduce((somme, { row }) => somme + (Number(row[col("Montant_Net")]) || 0), 0) * 100) / 100;
+        if (montant <= 0) return { success: false, error: "Vous n'avez aucun solde disponible à retirer." };
 
-        switch (action) {
-            case 'acheterCours':
-                // Retourne directement la réponse TextOutput
-                return createJsonResponse(acheterCours(data), origin);
-            case 'enregistrerReponseQuiz':
-                // Retourne directement la réponse TextOutput
-                return createJsonResponse(enregistrerReponseQuiz(data), origin);
-            default:
-                return createJsonResponse({ success: false, error: "Action POST non reconnue." }, origin);
-        }
-    } catch (error) {
-        return createJsonResponse({ success: false, error: `Erreur POST: ${error.message}` }, origin);
+        const paiement = {
+            ID_Paiement: `PAI-${maintenant.getTime()}`,
+            ID_Formateur: session.id,
+            Formateur_Nom: session.nom,
+            Montant: montant,
+            Moyen: moyen,
+            Details_Paiement: details,
+            Statut: STATUTS_PAIEMENT.DEMANDE,
+            Date_Demande: maintenant,
+            ID_Admin: '',
+            Reference_Versement: '',
+            Date_Paiement: ''
+        };
+        disponibles.forEach(({ numeroLigne }) => sheet.getRange(numeroLigne, col("ID_Paiement") + 1).setValue(paiement.ID_Paiement));
+        const paiementsSheet = ss.getSheetByName(SHEET_NAMES.PAIEMENTS);
+        const paiementsHeaders = paiementsSheet.getRange(1, 1, 1, paiementsSheet.getLastColumn()).getValues()[0];
+        paiementsSheet.appendRow(paiementsHeaders.map(header => paiement[header] !== undefined ? paiement[header] : ''));
+        return { success: true, message: `Demande de paiement de ${montant} F CFA envoyée.`, data: paiement };
+    } finally {
+        lock.releaseLock();
     }
 }
 
-function doOptions(e) {
-    const config = getConfig();
-    const origin = (e && e.headers && (e.headers.Origin || e.headers.origin)) || null;
-    const output = ContentService.createTextOutput(null);
+/**
+ * NOUVEAU: Marque une demande de paiement comme versée et prévient le formateur.
+ * @param {object} data - Contient `paiementId` et `reference` (référence de la transaction).
+ * @param {object} session - L'admin.
+ */
+function marquerPaiementEffectue(data, session) {
+    const { paiementId } = data || {};
+    const reference = String((data && data.reference) || '').trim();
+    if (!paiementId) return { success: false, error: "ID du paiement manquant." };
+    if (!reference) return { success: false, error: "Veuillez indiquer la référence du versement." };
 
-    // Si l'origine de la requête est dans notre liste, on renvoie les en-têtes CORS.
-    if (origin && config.allowed_origins.includes(origin)) {
-        output.addHeader('Access-Control-Allow-Origin', origin); // Important: Renvoyer l'origine de la requête
-        output.addHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-        output.addHeader('Access-Control-Allow-Headers', 'Content-Type');
-        output.addHeader('Access-Control-Allow-Credentials', 'true');
+    let paiement;
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.PAIEMENTS);
+        const rows = sheet.getDataRange().getValues();
+        const headers = rows.shift();
+        const col = nom => headers.indexOf(nom);
+        const rowIndex = rows.findIndex(row => row[col("ID_Paiement")] === paiementId);
+        if (rowIndex === -1) return { success: false, error: "Paiement introuvable." };
+        if (rows[rowIndex][col("Statut")] !== STATUTS_PAIEMENT.DEMANDE) return { success: false, error: "Ce paiement a déjà été versé." };
+        paiement = headers.reduce((obj, header, index) => ({ ...obj, [header]: rows[rowIndex][index] }), {});
+
+        const numeroLigne = rowIndex + 2;
+        sheet.getRange(numeroLigne, col("Statut") + 1).setValue(STATUTS_PAIEMENT.PAYE);
+        sheet.getRange(numeroLigne, col("ID_Admin") + 1).setValue(session.id);
+        sheet.getRange(numeroLigne, col("Reference_Versement") + 1).setValue(reference);
+        sheet.getRange(numeroLigne, col("Date_Paiement") + 1).setValue(new Date());
+    } finally {
+        lock.releaseLock();
     }
 
-    return output;
+    envoyerNotificationInterne(paiement.ID_Formateur, 'Paiement', `Votre paiement de ${paiement.Montant} F CFA (${paiement.Moyen}) a été effectué. Référence : ${reference}.`);
+    return { success: true, message: "Paiement marqué comme versé." };
 }
 
-// --- LOGIQUE MÉTIER ---
+/**
+ * NOUVEAU: Liste les demandes de paiement, des plus récentes aux plus anciennes.
+ * Un formateur ne voit que les siennes ; un Admin les voit toutes.
+ * @param {string} [statut] - Filtre de statut (toutes si vide).
+ * @param {object} session - L'appelant.
+ */
+function getPaiements(statut, session) {
+    const paiements = lirePaiements()
+        .filter(paiement => session.role === 'Admin' || paiement.ID_Formateur === session.id)
+        .filter(paiement => !statut || paiement.Statut === statut)
+        .sort((a, b) => new Date(b.Date_Demande) - new Date(a.Date_Demande));
+    return { success: true, data: paiements };
+}
 
 /**
- * Enregistre l'achat d'un ou plusieurs cours pour un utilisateur.
+ * NOUVEAU: Ajoute au grand livre les ventes actives qui n'y figurent pas encore (achats antérieurs au grand livre).
+ * Lancée depuis le menu du tableur.
  */
-function acheterCours(data) {
-    const { userId, items } = data;
-    if (!userId || !items || !Array.isArray(items) || items.length === 0) {
-        return { success: false, error: "Données d'achat invalides." };
+function reconstituerGrandLivre() {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    let ajoutees = 0;
+    try {
+        const dejaInscrits = new Set(lireEcritures().map(ecriture => ecriture.ID_Achat));
+        const rows = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.COURS_ACHETES).getDataRange().getValues();
+        const headers = rows.shift();
+        rows.filter(row => estAchatActif(row, headers)).forEach(row => {
+            const achat = headers.reduce((obj, header, index) => ({ ...obj, [header]: row[index] }), {});
+            if (dejaInscrits.has(achat.ID_Achat)) return;
+            if (enregistrerEcritureVente(achat, getStructureCours(achat.ID_Cours))) ajoutees++; // MODIFIÉ: Écritures réellement ajoutées
+        });
+    } finally {
+        lock.releaseLock();
     }
+    SpreadsheetApp.getUi().alert(`${ajoutees} vente(s) ajoutée(s) au grand livre.`);
+}
 
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.COURS_ACHETES);
-    const dateAchat = new Date();
-    // Les en-têtes sont pour référence, la fonction appendRow utilise l'ordre.
+/**
+ * NOUVEAU: Lit toutes les écritures du grand livre sous forme d'objets.
+ * @returns {Array<Object>}
+ */
+function lireEcritures() {
+    const rows = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.GRAND_LIVRE).getDataRange().getValues();
+    const headers = rows.shift();
+    return rows.map(row => headers.reduce((obj, header, index) => ({ ...obj, [header]: row[index] }), {}));
+}
+
+/**
+ * NOUVEAU: Lit toutes les demandes de paiement sous forme d'objets.
+ * @returns {Array<Object>}
+ */
+function lirePaiements() {
+    const rows = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.PAIEMENTS).getDataRange().getValues();
+    const headers = rows.shift();
+    return rows.map(row => headers.reduce((obj, header, index) => ({ ...obj, [header]: row[index] }), {}));
+}
 
-    items.forEach(item => {
-        const idAchat = `ACH-${new Date().getTime()}-${item.productId.slice(-4)}`;
-        sheet.appendRow([idAchat, userId, item.productId, item.name, item.price, item.instructor, dateAchat]);
+// --- NOUVEAU: MODÉRATION DES COURS ---
+
+/**
+ * NOUVEAU: Liste les cours soumis à la revue, du plus ancien au plus récent (ordre des feuilles).
+ * MODIFIÉ: + les cours publiés dont le formateur a proposé des modifications (champ revisionsEnAttente de chaque fiche).
+ */
+function getCoursEnRevue() {
+    const fiches = lireFichesCompletes().filter(({ course }) =>
+        course.Statut === 'En revue' || (course.Statut === 'Publié' && (course.revisionsEnAttente || []).length > 0));
+    return { success: true, data: fiches.map(versResumeGestion) };
+}
+
+/**
+ * NOUVEAU: Publie un cours en revue ou le renvoie en brouillon avec un retour, puis prévient le formateur.
+ * MODIFIÉ: Avec `revisions: true`, décide des modifications en attente d'un cours publié (voir modererRevisionsCours).
+ * @param {object} data - Contient `courseId`, `approuver` (booléen) et `commentaire` (obligatoire en cas de refus).
+ * @param {object} session - L'admin.
+ */
+function modererCours(data, session) {
+    const { courseId } = data || {};
+    const approuver = data && data.approuver === true;
+    const commentaire = String((data && data.commentaire) || '').trim().slice(0, LONGUEUR_MAX_MESSAGE);
+    if (!courseId) return { success: false, error: "ID du cours manquant." };
+    if (!approuver && !commentaire) return { success: false, error: "Expliquez au formateur ce qu'il doit corriger." };
+    const structure = getStructureCours(courseId);
+    if (!structure) return { success: false, error: "Cours introuvable." };
+    if (data.revisions === true) return modererRevisionsCours(structure, courseId, approuver, commentaire);
+
+    appelerService(structure.categorieUrl, 'changerStatutCours', {
+        courseId: courseId,
+        statut: approuver ? 'Publié' : 'Brouillon',
+        statutAttendu: 'En revue', // Refusé par la catégorie si le cours a changé d'état entre-temps
+        commentaire: commentaire
     });
 
-    return { success: true, message: `${items.length} cours acheté(s) avec succès.` };
+    CacheService.getScriptCache().remove('structure_' + courseId); // Le statut mis en cache est périmé
+    envoyerNotificationInterne(structure.formateurId, 'Cours', approuver
+        ? `Votre cours « ${structure.nomCours} » a été publié.`
+        : `Votre cours « ${structure.nomCours} » n'a pas été publié. Retour de la modération : ${commentaire}`);
+    return { success: true, message: approuver ? "Cours publié." : "Cours renvoyé au formateur." };
 }
 
 /**
- * Récupère la liste des cours achetés par un utilisateur.
+ * NOUVEAU: Applique ou rejette les modifications proposées par le formateur d'un cours publié, puis le prévient.
+ * Le cache des cours est rechargé aussitôt : les apprenants ne doivent pas garder un contenu ou un corrigé périmé.
+ * Avant d'appliquer, les modules déjà validés par les apprenants sont mémorisés : un chapitre ou une question
+ * ajoutés ne doivent pas reverrouiller la suite du cours (voir figerModulesValidesDuCours).
+ * @param {object} structure - Voir getStructureCours.
+ * @param {string} courseId - L'ID du cours.
+ * @param {boolean} approuver - Appliquer (true) ou rejeter (false).
+ * @param {string} commentaire - Le retour au formateur.
  */
-function getCoursAchetes(userId) {
-    if (!userId) return { success: false, error: "ID utilisateur manquant." };
-    
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.COURS_ACHETES);
-    const allData = sheet.getDataRange().getValues();
-    const headers = allData.shift();
-    const userIdIndex = headers.indexOf("ID_Client");
+function modererRevisionsCours(structure, courseId, approuver, commentaire) {
+    if (approuver) figerModulesValidesDuCours(courseId);
+    const resultat = appelerService(structure.categorieUrl, 'appliquerRevisionsCours', {
+        courseId: courseId,
+        approuver: approuver,
+        commentaire: commentaire
+    });
 
-    const coursIds = allData
-        .filter(row => row[userIdIndex] === userId)
-        .map(row => row[headers.indexOf("ID_Cours")]);
+    if (approuver) chargerCoursComplets();
+    const echecs = resultat.echecs.length > 0
+        ? ` ${resultat.echecs.length} modification(s) n'ont pas pu être appliquées : ${resultat.echecs.map(echec => echec.erreur).join(' ; ')}`
+        : '';
+    envoyerNotificationInterne(structure.formateurId, 'Cours', approuver
+        ? `Vos modifications du cours « ${structure.nomCours} » ont été publiées.${echecs}`
+        : `Vos modifications du cours « ${structure.nomCours} » n'ont pas été acceptées. Retour de la modération : ${commentaire}`);
+    return {
+        success: true,
+        data: resultat,
+        message: approuver ? `${resultat.appliquees} modification(s) publiée(s).${echecs}` : "Modifications renvoyées au formateur."
+    };
+}
 
-    return { success: true, data: [...new Set(coursIds)] }; // Retourne les ID de cours uniques
+// --- NOUVEAU: CERTIFICATS DE RÉUSSITE ---
+
+/**
+ * NOUVEAU: Retourne le certificat d'un cours terminé, en l'émettant s'il ne l'a pas encore été
+ * (cas des cours terminés avant la mise en place des certificats).
+ * @param {object} data - Contient `courseId`.
+ * @param {object} session - L'identité vérifiée de l'apprenant.
+ */
+function obtenirCertificat(data, session) {
+    const { courseId } = data || {};
+    if (!courseId) return { success: false, error: "ID du cours manquant." };
+    const certificat = emettreCertificat(session, courseId);
+    if (!certificat) {
+        return { success: false, error: "Terminez tous les chapitres et validez les quiz requis pour obtenir votre certificat.", code: 'COURS_NON_TERMINE' };
+    }
+    return { success: true, data: certificat };
 }
 
 /**
- * Enregistre la réponse d'un utilisateur à un quiz.
+ * NOUVEAU: Émet le certificat d'un cours si l'apprenant l'a acheté et terminé : tous les chapitres
+ * terminés et tous les modules validés (quiz requis réussis). Un seul certificat par apprenant et par cours.
+ * @param {{id: string, nom: string}} session - L'identité vérifiée de l'apprenant.
+ * @param {string} courseId - L'ID du cours.
+ * @returns {object|null} Le certificat (voir versCertificatPublic), ou null si le cours n'est pas terminé.
  */
-function enregistrerReponseQuiz(data) {
-    const { userId, questionId, reponseDonnee, estCorrecte } = data;
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.REPONSES_QUIZ);
-    const idReponse = `REP-${new Date().getTime()}`;
-    sheet.appendRow([idReponse, userId, questionId, reponseDonnee, estCorrecte, new Date()]);
-    return { success: true, id: idReponse };
+function emettreCertificat(session, courseId) {
+    const existant = lireCertificatsClient(session.id)[courseId];
+    if (existant) return existant;
+    if (!getCoursAchetes(session.id).data.includes(courseId)) return null;
+    const progression = getEtatCours(session.id, courseId);
+    if (!progression || progression.pourcentage < 100 || !progression.modules.every(module => module.estValide)) return null;
+
+    const structure = getStructureCours(courseId);
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+        // Une autre requête a pu émettre le certificat pendant l'attente du verrou
+        const emisEntreTemps = lireCertificatsClient(session.id)[courseId];
+        if (emisEntreTemps) return emisEntreTemps;
+
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.CERTIFICATS);
+        const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+        const codesExistants = sheet.getDataRange().getValues().map(row => row[headers.indexOf("Code_Verification")]);
+        let code;
+        do {
+            const aleatoire = Utilities.getUuid().replace(/-/g, '').toUpperCase();
+            code = `JSGK-${aleatoire.slice(0, 4)}-${aleatoire.slice(4, 8)}-${aleatoire.slice(8, 12)}`;
+        } while (codesExistants.includes(code));
+
+        const certificat = {
+            Code_Verification: code,
+            ID_Client: session.id,
+            Nom_Apprenant: session.nom,
+            ID_Cours: courseId,
+            Nom_Cours: structure.nomCours || courseId,
+            Formateur_Nom: structure.formateurNom || '',
+            Date_Emission: new Date()
+        };
+        sheet.appendRow(headers.map(header => certificat[header] !== undefined ? certificat[header] : ''));
+        return versCertificatPublic(certificat);
+    } finally {
+        lock.releaseLock();
+    }
 }
 
 /**
- * Récupère la progression d'un utilisateur pour un cours donné.
- * (Placeholder - à développer)
+ * NOUVEAU: Vérifie qu'un code correspond à un certificat émis (page publique de vérification).
+ * @param {string} code - Le code de vérification imprimé sur le certificat.
+ * @returns {object} `data` contient `valide` et, si le certificat existe, `certificat`.
  */
-function getProgressionCours(userId, courseId) {
-    // Cette fonction lirait la feuille "Progression_Utilisateur"
-    // pour retourner les chapitres/modules complétés.
-    // Ajout d'une gestion basique de la progression fictive
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.PROGRESSION);
-    
-    // Logic: find existing progression data or return a default/placeholder
-    return { success: true, data: { completedChapters: ["CH-001-1-1"] } };
+function verifierCertificat(code) {
+    const codeNormalise = String(code || '').trim().toUpperCase();
+    if (!codeNormalise) return { success: false, error: "Code de vérification manquant." };
+    const ligne = lireCertificats().find(certificat => certificat.Code_Verification === codeNormalise);
+    return { success: true, data: ligne ? { valide: true, certificat: versCertificatPublic(ligne) } : { valide: false } };
+}
+
+/**
+ * NOUVEAU: Lit les certificats d'un apprenant, indexés par ID de cours.
+ * @returns {Object<string, object>} Voir versCertificatPublic.
+ */
+function lireCertificatsClient(userId) {
+    return lireCertificats()
+        .filter(certificat => certificat.ID_Client === userId)
+        .reduce((parCours, certificat) => {
+            parCours[certificat.ID_Cours] = versCertificatPublic(certificat);
+            return parCours;
+        }, {});
+}
+
+/**
+ * NOUVEAU: Lit toutes les lignes de la feuille "Certificats", sous forme d'objets.
+ */
+function lireCertificats() {
+    const rows = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.CERTIFICATS).getDataRange().getValues();
+    const headers = rows.shift();
+    return rows.map(row => headers.reduce((obj, header, index) => {
+        obj[header] = row[index];
+        return obj;
+    }, {}));
+}
+
+/**
+ * NOUVEAU: Ne garde d'une ligne de certificat que ce qui est imprimé sur le document (sans l'ID du client).
+ * @returns {{code: string, nomApprenant: string, idCours: string, nomCours: string, formateur: string, dateEmission: string}}
+ */
+function versCertificatPublic(ligne) {
+    return {
+        code: ligne.Code_Verification,
+        nomApprenant: ligne.Nom_Apprenant,
+        idCours: ligne.ID_Cours,
+        nomCours: ligne.Nom_Cours,
+        formateur: ligne.Formateur_Nom,
+        dateEmission: new Date(ligne.Date_Emission).toISOString()
+    };
 }
 
 /**
  * NOUVEAU: Calcule les statistiques pour le tableau de bord d'un Senior.
+ * MODIFIÉ: Les ventes sont rattachées au formateur par l'ID des cours, et non plus par son nom.
+ * @param {object} session - L'identité vérifiée du formateur.
  */
-function getSeniorDashboardData(formateurNom) {
-    if (!formateurNom) return { success: false, error: "Nom du formateur manquant." };
+function getSeniorDashboardData(session) {
+    if (!session || !session.id) return { success: false, error: "Identifiant du formateur manquant." };
     
     try {
+        // --- Cours créés par le formateur ---
+        const coursesBySenior = getCoursDuFormateur(session); // Réutiliser la logique existante
+        const coursIds = coursesBySenior.map(course => course.ID_Cours);
+        rattacherEcrituresFormateur(session, coursesBySenior); // NOUVEAU: Avant le calcul des soldes
+
         // --- Calcul des statistiques de ventes ---
         const salesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.COURS_ACHETES);
         const salesData = salesSheet.getDataRange().getValues();
         const salesHeaders = salesData.shift();
-        const formateurIndex = salesHeaders.indexOf("Formateur_Nom");
+        const coursIndex = salesHeaders.indexOf("ID_Cours");
         const prixIndex = salesHeaders.indexOf("Prix_Achat");
         const clientIndex = salesHeaders.indexOf("ID_Client");
 
-        const salesByFormateur = salesData.filter(row => row[formateurIndex] === formateurNom);
+        const salesByFormateur = salesData.filter(row => coursIds.includes(row[coursIndex]) && estAchatActif(row, salesHeaders));
         const totalRevenue = salesByFormateur.reduce((sum, row) => sum + (parseFloat(row[prixIndex]) || 0), 0);
         const uniqueStudents = new Set(salesByFormateur.map(row => row[clientIndex]));
 
-        // --- NOUVEAU: Calcul du nombre de cours créés ---
-        const centralSheet = SpreadsheetApp.openById(SHEET_NAMES.CENTRAL_SHEET_ID).getSheetByName("Catégories");
-        const allCourses = getPublicCatalog().products; // Réutiliser la logique existante
-        const coursesBySenior = allCourses.filter(course => course.Formateur_Nom === formateurNom);
-
         return { success: true, data: {
-            revenue: totalRevenue,
+            revenue: totalRevenue, // MODIFIÉ: Hors achats remboursés
             students: uniqueStudents.size,
-            deployedCourses: coursesBySenior.length
+            deployedCourses: coursesBySenior.filter(course => course.Statut === 'Publié').length, // MODIFIÉ: Hors brouillons et cours archivés
+            soldes: calculerSoldes(session.id) // NOUVEAU: Gains nets en attente, disponibles, demandés et payés
         }};
     } catch (error) {
         return { success: false, error: `Erreur lors du calcul des statistiques: ${error.message}` };
     }
 }
 
+/**
+ * NOUVEAU: Statistiques détaillées d'un formateur sur une période :
+ * - `series` : chiffre d'affaires et inscriptions par jour, semaine ou mois (périodes vides incluses) ;
+ * - `cours` : ventes et chiffre d'affaires de la période, taux d'achèvement et score moyen aux quiz de chaque cours ;
+ * - `topCours` : les 3 cours au plus fort chiffre d'affaires sur la période ;
+ * - `totaux` et `periodePrecedente` : totaux de la période et de la période de même durée qui la précède, avec l'évolution en %.
+ * Les achats remboursés sont exclus.
+ * @param {object} params - `debut` et `fin` (AAAA-MM-JJ, 30 derniers jours par défaut) et `granularite` (voir GRANULARITES).
+ * @param {object} session - Le formateur.
+ */
+function getSeniorAnalytics(params, session) {
+    const granularite = GRANULARITES.includes(params.granularite) ? params.granularite : 'jour';
+    const fin = params.fin ? new Date(`${params.fin}T23:59:59`) : new Date();
+    const debut = params.debut ? new Date(`${params.debut}T00:00:00`) : new Date(fin.getTime() - 29 * 24 * 3600 * 1000);
+    if (isNaN(debut) || isNaN(fin) || debut > fin) return { success: false, error: "Période invalide." };
+    if ((fin - debut) / (24 * 3600 * 1000) > ANALYSE_JOURS_MAX) {
+        return { success: false, error: `La période analysée ne peut pas dépasser ${ANALYSE_JOURS_MAX} jours.` };
+    }
+    debut.setHours(0, 0, 0, 0);
+    const duree = fin.getTime() - debut.getTime();
+    const debutPrecedent = new Date(debut.getTime() - duree - 1);
+
+    const coursDuFormateur = getCoursDuFormateur(session);
+    const coursIds = coursDuFormateur.map(course => course.ID_Cours);
+    const rows = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.COURS_ACHETES).getDataRange().getValues();
+    const headers = rows.shift();
+    const ventes = rows
+        .filter(row => coursIds.includes(row[headers.indexOf("ID_Cours")]) && estAchatActif(row, headers))
+        .map(row => ({
+            courseId: row[headers.indexOf("ID_Cours")],
+            clientId: row[headers.indexOf("ID_Client")],
+            prix: parseFloat(row[headers.indexOf("Prix_Achat")]) || 0,
+            date: new Date(row[headers.indexOf("Date_Achat")])
+        }));
+    const ventesPeriode = ventes.filter(vente => vente.date >= debut && vente.date <= fin);
+    const ventesPrecedentes = ventes.filter(vente => vente.date >= debutPrecedent && vente.date < debut);
+
+    // Séries : une entrée par période, y compris celles sans vente
+    const series = [];
+    for (let curseur = debutDePeriode(debut, granularite); curseur <= fin; curseur = periodeSuivante(curseur, granularite)) {
+        series.push({ periode: cleDePeriode(curseur, granularite), revenus: 0, inscriptions: 0 });
+    }
+    const indexSeries = series.reduce((obj, point, index) => ({ ...obj, [point.periode]: index }), {});
+    ventesPeriode.forEach(vente => {
+        const point = series[indexSeries[cleDePeriode(debutDePeriode(vente.date, granularite), granularite)]];
+        if (!point) return;
+        point.revenus += vente.prix;
+        point.inscriptions++;
+    });
+
+    // Par cours : achèvement et quiz calculés sur tous les apprenants du cours
+    const progressionParClient = lireProgressionParClient();
+    const reponsesParClient = lireReponsesParClient();
+    const cours = coursDuFormateur.map(course => {
+        const duCours = ventesPeriode.filter(vente => vente.courseId === course.ID_Cours);
+        const apprenants = [...new Set(ventes.filter(vente => vente.courseId === course.ID_Cours).map(vente => vente.clientId))];
+        const structure = getStructureCours(course.ID_Cours);
+        const questions = structure ? structure.modules.flatMap(module => module.questions || []) : [];
+        let termines = 0;
+        const scores = [];
+        if (structure) {
+            apprenants.forEach(clientId => {
+                const reponses = reponsesParClient[clientId] || {};
+                const progression = calculerProgression(structure, (progressionParClient[clientId] || {})[course.ID_Cours] || [], reponses);
+                if (progression.pourcentage === 100) termines++;
+                const repondues = questions.filter(id => id in reponses);
+                if (repondues.length > 0) scores.push(repondues.filter(id => reponses[id]).length / repondues.length * 100);
+            });
+        }
+        return {
+            ID_Cours: course.ID_Cours,
+            Nom_Cours: course.Nom_Cours,
+            ventes: duCours.length,
+            revenus: duCours.reduce((somme, vente) => somme + vente.prix, 0),
+            apprenants: apprenants.length,
+            tauxAchevement: apprenants.length > 0 ? Math.round(termines / apprenants.length * 100) : null,
+            scoreQuizMoyen: scores.length > 0 ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : null
+        };
+    });
+
+    const totaliser = liste => ({ revenus: liste.reduce((somme, vente) => somme + vente.prix, 0), inscriptions: liste.length });
+    const totaux = totaliser(ventesPeriode);
+    const precedents = totaliser(ventesPrecedentes);
+    const evolution = (actuel, precedent) => precedent > 0 ? Math.round((actuel - precedent) / precedent * 100) : null;
+
+    return { success: true, data: {
+        debut: debut,
+        fin: fin,
+        granularite: granularite,
+        series: series,
+        cours: cours,
+        topCours: cours.filter(c => c.ventes > 0).sort((a, b) => b.revenus - a.revenus).slice(0, 3),
+        totaux: totaux,
+        periodePrecedente: {
+            debut: debutPrecedent,
+            ...precedents,
+            evolutionRevenus: evolution(totaux.revenus, precedents.revenus),
+            evolutionInscriptions: evolution(totaux.inscriptions, precedents.inscriptions)
+        }
+    }};
+}
+
+/**
+ * NOUVEAU: Ramène une date au début de sa période (jour, semaine commençant le lundi, ou mois).
+ * @param {Date} date - La date.
+ * @param {string} granularite - Voir GRANULARITES.
+ * @returns {Date}
+ */
+function debutDePeriode(date, granularite) {
+    const debut = new Date(date);
+    debut.setHours(0, 0, 0, 0);
+    if (granularite === 'semaine') debut.setDate(debut.getDate() - (debut.getDay() + 6) % 7);
+    if (granularite === 'mois') debut.setDate(1);
+    return debut;
+}
+
+/**
+ * NOUVEAU: Retourne le début de la période suivante.
+ */
+function periodeSuivante(debut, granularite) {
+    const suivante = new Date(debut);
+    if (granularite === 'mois') suivante.setMonth(suivante.getMonth() + 1);
+    else suivante.setDate(suivante.getDate() + (granularite === 'semaine' ? 7 : 1));
+    return suivante;
+}
+
+/**
+ * NOUVEAU: Libellé d'une période : AAAA-MM-JJ (jour ou lundi de la semaine) ou AAAA-MM (mois).
+ */
+function cleDePeriode(debut, granularite) {
+    return Utilities.formatDate(debut, Session.getScriptTimeZone(), granularite === 'mois' ? 'yyyy-MM' : 'yyyy-MM-dd');
+}
+
 /**
  * NOUVEAU: Récupère la liste des cours créés par un formateur.
+ * @param {object} session - L'identité vérifiée du formateur.
  */
-function getCoursesBySenior(formateurNom) {
-    if (!formateurNom) return { success: false, error: "Nom du formateur manquant." };
+function getCoursesBySenior(session) {
+    if (!session || !session.id) return { success: false, error: "Identifiant du formateur manquant." };
 
     try {
-        const allCourses = getPublicCatalog().products; // Réutiliser la logique existante
-        const coursesBySenior = allCourses.filter(course => course.Formateur_Nom === formateurNom);
-
-        return { success: true, data: coursesBySenior };
+        // MODIFIÉ: Tous les cours du formateur, y compris ses brouillons, avec leur statut et le retour de la modération
+        const fiches = lireFichesCompletes().filter(({ course }) => filtrerCoursDuFormateur([course], session).length > 0);
+        return { success: true, data: fiches.map(versResumeGestion) };
     } catch (error) { 
         return { success: false, error: `Erreur lors de la récupération des cours: ${error.message}` };
     }
 }
 
+/**
+ * NOUVEAU: Compte les apprenants distincts ayant acheté au moins un des cours donnés.
+ * Appelé par "Gestion Compte" pour le profil public d'un formateur.
+ * @param {object} data - Contient `coursIds`.
+ */
+function compterApprenants(data) {
+    if (!data || !Array.isArray(data.coursIds)) return { success: false, error: "Liste de cours manquante." };
+    const achats = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.COURS_ACHETES).getDataRange().getValues();
+    const headers = achats.shift();
+    const coursIndex = headers.indexOf("ID_Cours");
+    const clientIndex = headers.indexOf("ID_Client");
+    const apprenants = new Set(achats.filter(row => data.coursIds.includes(row[coursIndex]) && estAchatActif(row, headers)).map(row => row[clientIndex]));
+    return { success: true, data: { apprenants: apprenants.size } };
+}
+
 /**
  * NOUVEAU: Récupère la liste de tous les cours avec leurs modules pour le calcul de la progression.
  * Cette fonction est appelée en interne par getCoursesBySenior et getSeniorDashboardData.
@@ -211,8 +2180,191 @@ function getCoursesBySenior(formateurNom) {
 
 
 
+/**
+ * NOUVEAU: Exporte toutes les données d'apprentissage d'un utilisateur (droit d'accès).
+ * Appelé uniquement par "Gestion Compte" avec un jeton de service.
+ * @param {object} data - Contient `userId`.
+ */
+function exporterDonneesUtilisateur(data) {
+    if (!data || !data.userId) return { success: false, error: "ID utilisateur manquant." };
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    return { success: true, data: {
+        [SHEET_NAMES.COURS_ACHETES]: lignesDuClient(ss.getSheetByName(SHEET_NAMES.COURS_ACHETES), data.userId),
+        [SHEET_NAMES.PROGRESSION]: lignesDuClient(ss.getSheetByName(SHEET_NAMES.PROGRESSION), data.userId),
+        [SHEET_NAMES.REPONSES_QUIZ]: lignesDuClient(ss.getSheetByName(SHEET_NAMES.REPONSES_QUIZ), data.userId),
+        [SHEET_NAMES.CERTIFICATS]: lignesDuClient(ss.getSheetByName(SHEET_NAMES.CERTIFICATS), data.userId),
+        [SHEET_NAMES.QUESTIONS]: lignesDuClient(ss.getSheetByName(SHEET_NAMES.QUESTIONS), data.userId),
+        [SHEET_NAMES.AVIS]: lignesDuClient(ss.getSheetByName(SHEET_NAMES.AVIS), data.userId),
+        [SHEET_NAMES.REMBOURSEMENTS]: lignesDuClient(ss.getSheetByName(SHEET_NAMES.REMBOURSEMENTS), data.userId),
+        // NOUVEAU: Gains et paiements, si l'utilisateur est formateur
+        [SHEET_NAMES.GRAND_LIVRE]: lignesDuClient(ss.getSheetByName(SHEET_NAMES.GRAND_LIVRE), data.userId, "ID_Formateur"),
+        [SHEET_NAMES.PAIEMENTS]: lignesDuClient(ss.getSheetByName(SHEET_NAMES.PAIEMENTS), data.userId, "ID_Formateur")
+    }};
+}
+
+/**
+ * NOUVEAU: Supprime les données d'apprentissage d'un utilisateur (droit à l'effacement).
+ * Les achats sont des pièces comptables : ils sont conservés mais pseudonymisés.
+ * @param {object} data - Contient `userId` et `pseudonyme`.
+ */
+function supprimerDonneesUtilisateur(data) {
+    if (!data || !data.userId || !data.pseudonyme) return { success: false, error: "ID utilisateur ou pseudonyme manquant." };
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    const achatsSheet = ss.getSheetByName(SHEET_NAMES.COURS_ACHETES);
+    const achats = achatsSheet.getDataRange().getValues();
+    const clientIndex = achats[0].indexOf("ID_Client");
+    let achatsPseudonymises = 0;
+    achats.forEach((row, index) => {
+        if (index > 0 && row[clientIndex] === data.userId) {
+            achatsSheet.getRange(index + 1, clientIndex + 1).setValue(data.pseudonyme);
+            achatsPseudonymises++;
+        }
+    });
+
+    // NOUVEAU: Les demandes de remboursement sont aussi des pièces comptables
+    const remboursementsSheet = ss.getSheetByName(SHEET_NAMES.REMBOURSEMENTS);
+    const remboursements = remboursementsSheet.getDataRange().getValues();
+    const demandeClientIndex = remboursements[0].indexOf("ID_Client");
+    remboursements.forEach((row, index) => {
+        if (index > 0 && row[demandeClientIndex] === data.userId) {
+            remboursementsSheet.getRange(index + 1, demandeClientIndex + 1).setValue(data.pseudonyme);
+            remboursementsSheet.getRange(index + 1, remboursements[0].indexOf("Nom_Apprenant") + 1).setValue(data.pseudonyme);
+        }
+    });
+
+    // NOUVEAU: Le grand livre et les paiements d'un formateur sont des pièces comptables : ils sont pseudonymisés,
+    // et ses coordonnées de paiement (numéro Mobile Money, coordonnées bancaires) effacées
+    const ecrituresPseudonymisees = pseudonymiserLignesFormateur(ss.getSheetByName(SHEET_NAMES.GRAND_LIVRE), data.userId, data.pseudonyme, []);
+    const paiementsPseudonymises = pseudonymiserLignesFormateur(ss.getSheetByName(SHEET_NAMES.PAIEMENTS), data.userId, data.pseudonyme, ["Details_Paiement"]);
+
+    // Les avis sont supprimés, puis la note des cours concernés est recalculée
+    const coursAvecAvis = lignesDuClient(ss.getSheetByName(SHEET_NAMES.AVIS), data.userId).map(avis => avis.ID_Cours);
+    const avisSupprimes = supprimerLignesDuClient(ss.getSheetByName(SHEET_NAMES.AVIS), data.userId);
+    coursAvecAvis.forEach(recalculerNoteCours);
+
+    return { success: true, data: {
+        achatsPseudonymises: achatsPseudonymises,
+        ecrituresPseudonymisees: ecrituresPseudonymisees,
+        paiementsPseudonymises: paiementsPseudonymises,
+        avisSupprimes: avisSupprimes,
+        progressionSupprimee: supprimerLignesDuClient(ss.getSheetByName(SHEET_NAMES.PROGRESSION), data.userId),
+        reponsesSupprimees: supprimerLignesDuClient(ss.getSheetByName(SHEET_NAMES.REPONSES_QUIZ), data.userId),
+        certificatsSupprimes: supprimerLignesDuClient(ss.getSheetByName(SHEET_NAMES.CERTIFICATS), data.userId),
+        questionsSupprimees: supprimerLignesDuClient(ss.getSheetByName(SHEET_NAMES.QUESTIONS), data.userId),
+        reponsesPseudonymisees: pseudonymiserReponsesFormateur(ss.getSheetByName(SHEET_NAMES.QUESTIONS), data.userId, data.pseudonyme)
+    }};
+}
+
 // --- FONCTIONS UTILITAIRES ---
 
+/**
+ * NOUVEAU: Retourne tous les cours d'un formateur, quel que soit leur statut (un cours archivé garde ses apprenants,
+ * ses questions et ses ventes).
+ * @param {{id: string, nom: string}} session - Le formateur.
+ * @returns {Array<Object>} Les fiches complètes de ses cours.
+ */
+function getCoursDuFormateur(session) {
+    return filtrerCoursDuFormateur(lireFichesCompletes().map(({ course }) => course), session);
+}
+
+/**
+ * NOUVEAU: Sélectionne les cours d'un formateur par son ID (colonne Formateur_ID).
+ * Les cours créés avant l'ajout de cette colonne sont rattachés par le nom du formateur.
+ * @param {Array<Object>} courses - Les cours du catalogue.
+ * @param {{id: string, nom: string}} session - Le formateur.
+ * @returns {Array<Object>}
+ */
+function filtrerCoursDuFormateur(courses, session) {
+    return courses.filter(course => course.Formateur_ID
+        ? course.Formateur_ID === session.id
+        : course.Formateur_Nom === session.nom);
+}
+
+/**
+ * NOUVEAU: Retourne les lignes d'une feuille appartenant à un client (colonne "ID_Client"), sous forme d'objets.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - La feuille.
+ * @param {string} userId - L'ID du client.
+ * @param {string} [colonne] - MODIFIÉ: La colonne de l'ID (ex: "ID_Formateur" pour le grand livre).
+ * @returns {Array<Object>}
+ */
+function lignesDuClient(sheet, userId, colonne = "ID_Client") {
+    if (!sheet) return [];
+    const rows = sheet.getDataRange().getValues();
+    const headers = rows.shift();
+    const clientIndex = headers.indexOf(colonne);
+    return rows
+        .filter(row => row[clientIndex] === userId)
+        .map(row => headers.reduce((obj, header, index) => {
+            obj[header] = row[index];
+            return obj;
+        }, {}));
+}
+
+/**
+ * NOUVEAU: Pseudonymise l'auteur des réponses d'un formateur supprimé. Les réponses restent visibles
+ * dans les fils de questions des apprenants.
+ * @returns {number} Le nombre de réponses pseudonymisées.
+ */
+function pseudonymiserReponsesFormateur(sheet, userId, pseudonyme) {
+    const rows = sheet.getDataRange().getValues();
+    const idIndex = rows[0].indexOf("ID_Formateur");
+    const nomIndex = rows[0].indexOf("Nom_Formateur");
+    let count = 0;
+    rows.forEach((row, index) => {
+        if (index > 0 && row[idIndex] === userId) {
+            sheet.getRange(index + 1, idIndex + 1).setValue(pseudonyme);
+            sheet.getRange(index + 1, nomIndex + 1).setValue("Ancien formateur");
+            count++;
+        }
+    });
+    return count;
+}
+
+/**
+ * NOUVEAU: Pseudonymise les lignes d'un formateur supprimé dans une feuille comptable (colonnes ID_Formateur
+ * et Formateur_Nom) et vide les colonnes personnelles indiquées.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - La feuille ("Grand_Livre" ou "Paiements").
+ * @param {string} userId - L'ID du formateur.
+ * @param {string} pseudonyme - Le pseudonyme qui remplace son ID.
+ * @param {string[]} colonnesAEffacer - Les colonnes à vider (ex: ["Details_Paiement"]).
+ * @returns {number} Le nombre de lignes pseudonymisées.
+ */
+function pseudonymiserLignesFormateur(sheet, userId, pseudonyme, colonnesAEffacer) {
+    if (!sheet) return 0;
+    const rows = sheet.getDataRange().getValues();
+    const headers = rows[0];
+    let count = 0;
+    rows.forEach((row, index) => {
+        if (index === 0 || row[headers.indexOf("ID_Formateur")] !== userId) return;
+        sheet.getRange(index + 1, headers.indexOf("ID_Formateur") + 1).setValue(pseudonyme);
+        sheet.getRange(index + 1, headers.indexOf("Formateur_Nom") + 1).setValue("Ancien formateur");
+        colonnesAEffacer.forEach(colonne => sheet.getRange(index + 1, headers.indexOf(colonne) + 1).setValue(''));
+        count++;
+    });
+    return count;
+}
+
+/**
+ * NOUVEAU: Supprime les lignes d'une feuille appartenant à un client (de bas en haut pour garder les index valides).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - La feuille.
+ * @param {string} userId - L'ID du client.
+ * @returns {number} Le nombre de lignes supprimées.
+ */
+function supprimerLignesDuClient(sheet, userId) {
+    if (!sheet) return 0;
+    const rows = sheet.getDataRange().getValues();
+    const clientIndex = rows[0].indexOf("ID_Client");
+    let count = 0;
+    for (let i = rows.length - 1; i >= 1; i--) {
+        if (rows[i][clientIndex] === userId) {
+            sheet.deleteRow(i + 1);
+            count++;
+        }
+    }
+    return count;
+}
+
 /**
  * Crée une réponse JSON standardisée avec le MimeType.
  * NOTE CRUCIALE: Cette fonction ne doit pas ajouter de headers CORS.
@@ -227,6 +2379,144 @@ function createJsonResponse(data, origin) {
     return output;
 }
 
+/**
+ * NOUVEAU: Crée une erreur portant un code exploitable par le front-end (ex: 'TOKEN_EXPIRE').
+ */
+function creerErreur(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * NOUVEAU: Vérifie un jeton de session émis par "Gestion Compte" et retourne l'identité qu'il contient.
+ * Copie de la fonction du script "Gestion Compte" : le secret partagé doit être défini
+ * dans les propriétés de ce script (clé SESSION_SECRET), avec la même valeur.
+ * @param {string} token - Le jeton reçu du front-end.
+ * @returns {{id: string, role: string, nom: string, statut: string, exp: number}} L'identité de l'appelant.
+ */
+function verifierToken(token) {
+    if (!token) throw creerErreur("Authentification requise. Veuillez vous connecter.", 'TOKEN_MANQUANT');
+
+    const secret = PropertiesService.getScriptProperties().getProperty('SESSION_SECRET');
+    if (!secret) throw new Error("Le secret de session (SESSION_SECRET) n'est pas configuré dans les propriétés du script.");
+
+    const parts = String(token).split('.');
+    if (parts.length !== 2) throw creerErreur("Jeton de session invalide.", 'TOKEN_INVALIDE');
+
+    const expectedSignature = Utilities.base64EncodeWebSafe(Utilities.computeHmacSha256Signature(parts[0], secret));
+    let diff = expectedSignature.length ^ parts[1].length;
+    for (let i = 0; i < Math.min(expectedSignature.length, parts[1].length); i++) {
+        diff |= expectedSignature.charCodeAt(i) ^ parts[1].charCodeAt(i);
+    }
+    if (diff !== 0) throw creerErreur("Jeton de session invalide.", 'TOKEN_INVALIDE');
+
+    let payload;
+    try {
+        payload = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[0])).getDataAsString());
+    } catch (e) {
+        throw creerErreur("Jeton de session illisible.", 'TOKEN_INVALIDE');
+    }
+    if (!payload.exp || payload.exp * 1000 < Date.now()) {
+        throw creerErreur("Votre session a expiré. Veuillez vous reconnecter.", 'TOKEN_EXPIRE');
+    }
+    return payload;
+}
+
+/**
+ * NOUVEAU: Appelle une action POST d'un autre module avec un jeton de service et retourne ses données
+ * (copie de la fonction du script "Gestion Compte").
+ * @param {string} url - URL de déploiement du module.
+ * @param {string} action - L'action POST à appeler.
+ * @param {object} data - Les données de l'action.
+ * @returns {object} Le champ `data` de la réponse.
+ * @throws {Error} Si l'URL n'est pas configurée ou si le module répond par une erreur.
+ */
+function appelerService(url, action, data) {
+    if (!url) throw new Error(`Module non configuré pour l'action ${action}.`);
+    const response = UrlFetchApp.fetch(url, {
+        method: 'post',
+        contentType: 'text/plain',
+        payload: JSON.stringify({ action: action, data: data, token: signerTokenService() }),
+        muteHttpExceptions: true
+    });
+    const result = JSON.parse(response.getContentText());
+    if (!result.success) throw new Error(`${action} : ${result.error}`);
+    return result.data;
+}
+
+/**
+ * NOUVEAU: Émet un jeton signé avec le secret partagé (copie de la fonction du script "Gestion Compte").
+ * @param {object} claims - L'identité à inscrire dans le jeton.
+ * @param {number} ttlSeconds - Durée de validité.
+ * @returns {string} Le jeton signé.
+ */
+function signerToken(claims, ttlSeconds) {
+    const secret = PropertiesService.getScriptProperties().getProperty('SESSION_SECRET');
+    if (!secret) throw new Error("Le secret de session (SESSION_SECRET) n'est pas configuré dans les propriétés du script.");
+    const payload = Object.assign({}, claims, { exp: Math.floor(Date.now() / 1000) + ttlSeconds });
+    const encodedPayload = Utilities.base64EncodeWebSafe(JSON.stringify(payload), Utilities.Charset.UTF_8);
+    return `${encodedPayload}.${Utilities.base64EncodeWebSafe(Utilities.computeHmacSha256Signature(encodedPayload, secret))}`;
+}
+
+/**
+ * NOUVEAU: Crée une notification dans l'application via l'API "Gestion Notifications" (copie de la fonction
+ * du script "Gestion Compte"). Un échec est journalisé mais n'interrompt pas l'action en cours.
+ * @param {string} userId - Le destinataire.
+ * @param {string} type - Le type de notification.
+ * @param {string} message - Le message.
+ */
+function envoyerNotificationInterne(userId, type, message) {
+    const url = getConfig().notification_api_url;
+    if (!url) return;
+    try {
+        UrlFetchApp.fetch(url, {
+            method: 'post',
+            contentType: 'text/plain',
+            payload: JSON.stringify({
+                action: 'createNotification',
+                data: { userId: userId, type: type, message: message },
+                token: signerTokenService()
+            }),
+            muteHttpExceptions: true
+        });
+    } catch (e) {
+        Logger.log(`Notification non envoyée à ${userId} : ${e.message}`);
+    }
+}
+
+/**
+ * NOUVEAU: Signe un jeton de courte durée identifiant ce module auprès des autres scripts (rôle "Service").
+ */
+function signerTokenService() {
+    return signerToken({ id: 'SERVICE-COURS', role: 'Service', nom: 'Gestion Cours' }, 300);
+}
+
+/**
+ * NOUVEAU: Vérifie que l'appelant possède l'un des rôles autorisés (rôle inscrit dans le jeton par "Gestion Compte").
+ * @param {{role: string}} session - L'identité retournée par verifierToken.
+ * @param {string[]} roles - Les rôles autorisés (ex: ['Senior', 'Admin']).
+ * @returns {object} La session, pour pouvoir chaîner l'appel.
+ * @throws {Error} Avec le code ACCES_REFUSE.
+ */
+function exigerRole(session, roles) {
+    if (!roles.includes(session.role)) {
+        throw creerErreur("Vous n'avez pas les droits nécessaires pour cette action.", 'ACCES_REFUSE');
+    }
+    return session;
+}
+
+/**
+ * NOUVEAU: Refuse l'action si le compte de l'appelant n'a pas encore vérifié son e-mail.
+ * @param {{statut: string}} session - L'identité retournée par verifierToken.
+ * @throws {Error} Avec le code EMAIL_NON_VERIFIE.
+ */
+function exigerCompteVerifie(session) {
+    if (session.statut === "En attente de vérification") {
+        throw creerErreur("Veuillez vérifier votre adresse e-mail avant d'effectuer un achat.", 'EMAIL_NON_VERIFIE');
+    }
+}
+
 /**
  * NOUVEAU: Récupère la configuration depuis la feuille "Config" et la met en cache.
  */
@@ -240,6 +2530,12 @@ function getConfig() {
 
     const defaultConfig = {
         allowed_origins: ["https://junior-senior-gaps-killer.vercel.app", "http://127.0.0.1:5500"],
+        notification_api_url: "", // NOUVEAU: URL de déploiement de "Gestion Notifications"
+        remboursement_delai_jours: 14, // NOUVEAU: Délai maximal entre l'achat et la demande de remboursement
+        remboursement_consommation_max: 30, // NOUVEAU: % maximal de chapitres terminés pour être remboursé
+        commission_defaut: 20, // NOUVEAU: % prélevé par la plateforme sur chaque vente (voir la feuille "Commissions")
+        delai_retenue_jours: 14, // NOUVEAU: Délai avant qu'une vente soit payable au formateur
+        quiz_tentatives_max: 3, // NOUVEAU: Réponses acceptées par question de quiz (voir enregistrerReponseQuiz)
     };
 
     try {
@@ -256,6 +2552,12 @@ function getConfig() {
         const finalConfig = {
             // AMÉLIORATION: On normalise les origines en retirant les slashs finaux
             allowed_origins: config.allowed_origins ? config.allowed_origins.split(',').map(s => s.trim().replace(/\/$/, '')) : defaultConfig.allowed_origins,
+            notification_api_url: config.notification_api_url || defaultConfig.notification_api_url,
+            remboursement_delai_jours: config.remboursement_delai_jours !== undefined ? Number(config.remboursement_delai_jours) : defaultConfig.remboursement_delai_jours,
+            remboursement_consommation_max: config.remboursement_consommation_max !== undefined ? Number(config.remboursement_consommation_max) : defaultConfig.remboursement_consommation_max,
+            commission_defaut: config.commission_defaut !== undefined ? Number(config.commission_defaut) : defaultConfig.commission_defaut,
+            delai_retenue_jours: config.delai_retenue_jours !== undefined ? Number(config.delai_retenue_jours) : defaultConfig.delai_retenue_jours,
+            quiz_tentatives_max: Number(config.quiz_tentatives_max) >= 1 ? Number(config.quiz_tentatives_max) : defaultConfig.quiz_tentatives_max,
         };
 
         cache.put(CACHE_KEY, JSON.stringify(finalConfig), 600); // Cache 10 minutes
@@ -271,17 +2573,7 @@ function getConfig() {
  * pour rendre ce script autonome pour le calcul des statistiques.
  */
 function getPublicCatalog() {
-    const centralSheet = SpreadsheetApp.openById(SHEET_NAMES.CENTRAL_SHEET_ID);
-    const categoriesSheet = centralSheet.getSheetByName("Catégories");
-    const categoriesData = categoriesSheet.getDataRange().getValues();
-    const categoriesHeaders = categoriesData.shift();
-    const activeCategories = categoriesData.map(row => {
-        const obj = {};
-        categoriesHeaders.forEach((header, index) => obj[header] = row[index]);
-        return obj;
-    }).filter(c => c.ScriptURL && !c.ScriptURL.startsWith('REMPLIR_'));
-
-    const requests = activeCategories.map(category => ({
+    const requests = getCategoriesActives().map(category => ({
         url: `${category.ScriptURL}?action=getProducts`,
         method: 'get',
         muteHttpExceptions: true
@@ -300,6 +2592,21 @@ function getPublicCatalog() {
     return { products: allCourses };
 }
 
+/**
+ * NOUVEAU: Lit les catégories déployées (avec une ScriptURL renseignée) dans la feuille centrale.
+ * @returns {Array<Object>} Les lignes de la feuille "Catégories", sous forme d'objets.
+ */
+function getCategoriesActives() {
+    const centralSheet = SpreadsheetApp.openById(SHEET_NAMES.CENTRAL_SHEET_ID);
+    const categoriesData = centralSheet.getSheetByName("Catégories").getDataRange().getValues();
+    const categoriesHeaders = categoriesData.shift();
+    return categoriesData.map(row => {
+        const obj = {};
+        categoriesHeaders.forEach((header, index) => obj[header] = row[index]);
+        return obj;
+    }).filter(c => c.ScriptURL && !c.ScriptURL.startsWith('REMPLIR_'));
+}
+
 /**
  * Initialise les feuilles de calcul nécessaires pour ce module.
  */
@@ -308,9 +2615,16 @@ function setupProject() {
   const ui = SpreadsheetApp.getUi();
 
   const sheetsToCreate = {
-    [SHEET_NAMES.COURS_ACHETES]: ["ID_Achat", "ID_Client", "ID_Cours", "Nom_Cours", "Prix_Achat", "Formateur_Nom", "Date_Achat"],
-    [SHEET_NAMES.PROGRESSION]: ["ID_Progression", "ID_Client", "ID_Element", "Type_Element", "Statut", "Date_Completion"], // ID_Element peut être un ID de chapitre ou de module
+    [SHEET_NAMES.COURS_ACHETES]: ["ID_Achat", "ID_Client", "ID_Cours", "Nom_Cours", "Prix_Achat", "Formateur_Nom", "Date_Achat", "Cle_Idempotence", "Statut_Achat", "ID_Parcours"], // MODIFIÉ: Cle_Idempotence = clé envoyée par le paiement, Statut_Achat = Actif ou Remboursé, ID_Parcours = parcours acheté (vide pour un cours seul)
+    [SHEET_NAMES.PROGRESSION]: ["ID_Progression", "ID_Client", "ID_Cours", "ID_Element", "Type_Element", "Statut", "Date_Completion", "Derniere_Consultation"], // ID_Element peut être un ID de chapitre ou de module
     [SHEET_NAMES.REPONSES_QUIZ]: ["ID_Reponse", "ID_Client", "ID_Question", "Reponse_Donnee", "Est_Correcte", "Timestamp"],
+    [SHEET_NAMES.CERTIFICATS]: ["Code_Verification", "ID_Client", "Nom_Apprenant", "ID_Cours", "Nom_Cours", "Formateur_Nom", "Date_Emission"], // NOUVEAU
+    [SHEET_NAMES.AVIS]: ["ID_Avis", "ID_Cours", "ID_Client", "Nom_Apprenant", "Note", "Commentaire", "Date_Avis", "Date_Modification"], // NOUVEAU
+    [SHEET_NAMES.REMBOURSEMENTS]: ["ID_Remboursement", "ID_Achat", "ID_Client", "Nom_Apprenant", "ID_Cours", "Nom_Cours", "Montant", "Motif", "Pourcentage_Suivi", "Statut", "Date_Demande", "ID_Admin", "Commentaire_Admin", "Date_Traitement"], // NOUVEAU
+    [SHEET_NAMES.GRAND_LIVRE]: ["ID_Ecriture", "Type", "ID_Achat", "ID_Formateur", "Formateur_Nom", "ID_Cours", "Nom_Cours", "Montant_Brut", "Taux_Commission", "Commission", "Montant_Net", "Date_Vente", "Date_Disponibilite", "Statut", "ID_Paiement"], // NOUVEAU
+    [SHEET_NAMES.PAIEMENTS]: ["ID_Paiement", "ID_Formateur", "Formateur_Nom", "Montant", "Moyen", "Details_Paiement", "Statut", "Date_Demande", "ID_Admin", "Reference_Versement", "Date_Paiement"], // NOUVEAU
+    [SHEET_NAMES.COMMISSIONS]: ["Portee", "Identifiant", "Taux"], // NOUVEAU: Portee = "Formateur" (IDClient) ou "Catégorie" (NomCategorie)
+    [SHEET_NAMES.QUESTIONS]: ["ID_Question", "ID_Cours", "Nom_Cours", "ID_Chapitre", "Nom_Chapitre", "ID_Client", "Nom_Apprenant", "Question_Texte", "Date_Question", "Statut", "Reponse_Texte", "ID_Formateur", "Nom_Formateur", "Date_Reponse"], // NOUVEAU
     [SHEET_NAMES.CONFIG]: ["Clé", "Valeur"]
   };
 
@@ -334,6 +2648,12 @@ function setupProject() {
     'allowed_origins': 'https://junior-senior-gaps-killer.vercel.app,http://127.0.0.1:5500',
     'allowed_methods': 'POST,GET,OPTIONS',
     'allowed_headers': 'Content-Type',
+    'notification_api_url': '', // NOUVEAU: À remplir avec l'URL de "Gestion Notifications"
+    'remboursement_delai_jours': 14, // NOUVEAU: Règles d'éligibilité au remboursement
+    'remboursement_consommation_max': 30,
+    'commission_defaut': 20, // NOUVEAU: Commission de la plateforme (%) et retenue avant paiement
+    'delai_retenue_jours': 14,
+    'quiz_tentatives_max': 3, // NOUVEAU: Réponses acceptées par question de quiz
   };
 
   Object.entries(defaultConfigValues).forEach(([key, value]) => {
@@ -344,3 +2664,51 @@ function setupProject() {
 
   ui.alert("Module 'Gestion Cours' initialisé avec succès !");
 }
+
+// --- NOUVEAU: TESTS MANUELS ---
+
+/**
+ * NOUVEAU: Vérifie qu'un contenu ajouté à un module publié ne reverrouille pas la suite du cours pour un apprenant
+ * qui avait déjà validé ce module, mais s'applique à ceux qui ne l'ont pas encore validé (voir calculerProgression).
+ * Pour l'utiliser : sélectionnez "testModuleValideApresAjoutDeContenu" dans l'éditeur, exécutez,
+ * puis consultez les journaux (Ctrl+Entrée). Le test ne lit ni n'écrit aucune feuille.
+ */
+function testModuleValideApresAjoutDeContenu() {
+    const module2 = { id: 'M2', nom: 'Module 2', chapitres: [{ id: 'C2', nom: 'Chapitre 2' }], questions: [], scoreQuizRequis: 0, chapitresRequis: ['C2'] };
+    const avant = { modules: [
+        { id: 'M1', nom: 'Module 1', chapitres: [{ id: 'C1', nom: 'Chapitre 1' }], questions: ['M1-Q1'], scoreQuizRequis: 100, chapitresRequis: ['C1'] },
+        module2
+    ]};
+    // Le formateur ajoute un chapitre et une question au module 1 ; Chapitres_Requis vaut "Tous"
+    const apres = { modules: [
+        { id: 'M1', nom: 'Module 1', chapitres: [{ id: 'C1', nom: 'Chapitre 1' }, { id: 'C1b', nom: 'Chapitre ajouté' }], questions: ['M1-Q1', 'M1-Q2'], scoreQuizRequis: 100, chapitresRequis: ['C1', 'C1b'] },
+        module2
+    ]};
+    const lignes = [{ chapitreId: 'C1', moduleId: null, statut: STATUTS_PROGRESSION.TERMINE, derniereConsultation: 1 }];
+    const reponses = { 'M1-Q1': true };
+    const verifier = (condition, message) => Logger.log((condition ? "✅ SUCCÈS : " : "❌ ÉCHEC : ") + message);
+
+    Logger.log("--- DÉBUT DU TEST de la validation des modules après ajout de contenu ---");
+    try {
+        const etatAvant = calculerProgression(avant, lignes, reponses);
+        verifier(etatAvant.modules[0].estValide && etatAvant.modules[1].estDeverrouille, "Avant l'ajout, le module 1 est validé et le module 2 déverrouillé.");
+
+        const sansMemoire = calculerProgression(apres, lignes, reponses);
+        verifier(!sansMemoire.modules[0].estValide && !sansMemoire.modules[1].estDeverrouille,
+            "Un apprenant qui n'avait pas encore validé le module 1 doit remplir les nouveaux critères.");
+
+        // Ce que memoriserModulesValides aurait inscrit avant l'application des modifications
+        const lignesMemorisees = lignes.concat(etatAvant.modules
+            .filter(module => module.estDeverrouille && module.estValide)
+            .map(module => ({ chapitreId: null, moduleId: module.ID_Module, statut: STATUTS_PROGRESSION.VALIDE, derniereConsultation: 0 })));
+        const avecMemoire = calculerProgression(apres, lignesMemorisees, reponses);
+        verifier(avecMemoire.modules[0].estValide && avecMemoire.modules[1].estDeverrouille,
+            "L'apprenant qui avait validé le module 1 garde l'accès au module 2.");
+        verifier(avecMemoire.chapitreAReprendre && avecMemoire.chapitreAReprendre.ID_Chapitre === 'C1b',
+            "Le chapitre ajouté lui est proposé pour reprendre.");
+        verifier(avecMemoire.pourcentage < 100, "Le chapitre ajouté compte dans le pourcentage d'avancement.");
+    } catch (e) {
+        Logger.log("❌ ERREUR CRITIQUE : Le test a planté. Message : " + e.message);
+    }
+    Logger.log("--- FIN DU TEST de la validation des modules après ajout de contenu ---");
+}
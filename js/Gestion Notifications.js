@@ -16,35 +16,40 @@ const SHEET_NAMES = {
 
 function doGet(e) {
     try {
-        const { action, userId } = e.parameter;
-        if (action === 'getNotifications' && userId) {
+        const { action, token } = e.parameter;
+        if (action === 'getNotifications') {
             // getNotificationsForUser retourne déjà un ContentService.TextOutput via createJsonResponse
-            return getNotificationsForUser(userId);
+            // L'utilisateur est identifié par son jeton de session, pas par un paramètre.
+            return getNotificationsForUser(verifierToken(token).id);
         }
         return createJsonResponse({ success: true, message: 'API Gestion Notifications - Active' });
     } catch (error) {
         // Retourne directement la réponse JSON (TextOutput)
-        return createJsonResponse({ success: false, error: `Erreur serveur: ${error.message}` });
+        return createJsonResponse({ success: false, error: error.code ? error.message : `Erreur serveur: ${error.message}`, code: error.code });
     }
 }
 
 function doPost(e) {
     try {
         const request = JSON.parse(e.postData.contents);
-        const { action, data } = request;
+        const { action, data, token } = request;
 
         switch (action) {
             case 'createNotification':
                 // Les fonctions métier retournent directement un ContentService.TextOutput
-                return createNotification(data);
+                return createNotification(data, verifierToken(token));
             case 'markAsRead':
-                return markNotificationsAsRead(data);
+                return markNotificationsAsRead(data, verifierToken(token));
+            case 'exporterDonneesUtilisateur': // NOUVEAU: Appel serveur à serveur depuis "Gestion Compte"
+                return exporterDonneesUtilisateur(data, exigerRole(verifierToken(token), ['Service']));
+            case 'supprimerDonneesUtilisateur': // NOUVEAU: Appel serveur à serveur depuis "Gestion Compte"
+                return supprimerDonneesUtilisateur(data, exigerRole(verifierToken(token), ['Service']));
             default:
                 return createJsonResponse({ success: false, error: "Action de notification non reconnue." });
         }
 
     } catch (error) {
-        return createJsonResponse({ success: false, error: `Erreur serveur: ${error.message}` });
+        return createJsonResponse({ success: false, error: error.code ? error.message : `Erreur serveur: ${error.message}`, code: error.code });
     }
 }
 
@@ -74,12 +79,20 @@ function createJsonResponse(data) {
 
 /**
  * Crée une nouvelle notification pour un utilisateur.
+ * Un utilisateur ne peut notifier que lui-même ou l'administration ('ADMIN') ;
+ * les scripts serveurs (rôle 'Service') et les administrateurs peuvent notifier n'importe qui.
+ * @param {object} data - { userId, type, message }
+ * @param {object} session - L'identité vérifiée de l'appelant (voir verifierToken).
  */
-function createNotification(data) {
-    const { userId, type, message } = data;
+function createNotification(data, session) {
+    const { userId, type, message } = data || {};
     if (!userId || !type || !message) {
         return createJsonResponse({ success: false, error: "Données de notification manquantes." });
     }
+    const isPrivileged = session.role === 'Service' || session.role === 'Admin';
+    if (!isPrivileged && userId !== session.id && userId !== 'ADMIN') {
+        return createJsonResponse({ success: false, error: "Vous ne pouvez pas notifier cet utilisateur." });
+    }
     const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.NOTIFICATIONS);
     const notifId = `NOTIF-${new Date().getTime()}`;
     // Headers: ["ID Notification", "ID_Client", "Type", "Message", "Statut", "Date"]
@@ -110,11 +123,12 @@ function getNotificationsForUser(userId) {
 }
 
 /**
- * Marque les notifications d'un utilisateur comme lues.
+ * Marque les notifications de l'utilisateur connecté comme lues.
  */
-function markNotificationsAsRead(data) {
-    const { userId, notificationIds } = data;
-    if (!userId || !notificationIds || !Array.isArray(notificationIds)) {
+function markNotificationsAsRead(data, session) {
+    const userId = session.id;
+    const { notificationIds } = data || {};
+    if (!notificationIds || !Array.isArray(notificationIds)) {
         return createJsonResponse({ success: false, error: "Données manquantes pour marquer les notifications comme lues." });
     }
 
@@ -123,12 +137,13 @@ function markNotificationsAsRead(data) {
         const allNotifs = sheet.getDataRange().getValues();
         const headers = allNotifs[0];
         const idIndex = headers.indexOf("ID Notification");
+        const userIdIndex = headers.indexOf("ID_Client");
         const statusIndex = headers.indexOf("Statut");
 
-        // Parcourir toutes les lignes pour trouver et mettre à jour les notifications
+        // Parcourir toutes les lignes pour trouver et mettre à jour les notifications (uniquement celles de l'utilisateur)
         for (let i = 1; i < allNotifs.length; i++) {
             const rowId = allNotifs[i][idIndex];
-            if (notificationIds.includes(rowId)) {
+            if (notificationIds.includes(rowId) && allNotifs[i][userIdIndex] === userId) {
                 // i + 1 est le numéro de ligne dans Sheets (car on commence à l'index 1 après l'en-tête)
                 // statusIndex + 1 est le numéro de colonne dans Sheets
                 sheet.getRange(i + 1, statusIndex + 1).setValue("Lue");
@@ -141,6 +156,108 @@ function markNotificationsAsRead(data) {
     }
 }
 
+/**
+ * NOUVEAU: Exporte les notifications d'un utilisateur (droit d'accès).
+ * Appelé uniquement par "Gestion Compte" avec un jeton de service.
+ * @param {object} data - Contient `userId`.
+ */
+function exporterDonneesUtilisateur(data) {
+    if (!data || !data.userId) {
+        return createJsonResponse({ success: false, error: "ID utilisateur manquant." });
+    }
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.NOTIFICATIONS);
+    const rows = sheet.getDataRange().getValues();
+    const headers = rows.shift();
+    const userIdIndex = headers.indexOf("ID_Client");
+    const notifications = rows
+        .filter(row => row[userIdIndex] === data.userId)
+        .map(row => headers.reduce((obj, header, index) => {
+            obj[header] = row[index];
+            return obj;
+        }, {}));
+    return createJsonResponse({ success: true, data: { [SHEET_NAMES.NOTIFICATIONS]: notifications } });
+}
+
+/**
+ * NOUVEAU: Supprime toutes les notifications d'un utilisateur (droit à l'effacement).
+ * @param {object} data - Contient `userId`.
+ */
+function supprimerDonneesUtilisateur(data) {
+    if (!data || !data.userId) {
+        return createJsonResponse({ success: false, error: "ID utilisateur manquant." });
+    }
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.NOTIFICATIONS);
+    const rows = sheet.getDataRange().getValues();
+    const userIdIndex = rows[0].indexOf("ID_Client");
+    let count = 0;
+    // De bas en haut pour que les numéros de ligne restent valides
+    for (let i = rows.length - 1; i >= 1; i--) {
+        if (rows[i][userIdIndex] === data.userId) {
+            sheet.deleteRow(i + 1);
+            count++;
+        }
+    }
+    return createJsonResponse({ success: true, data: { notificationsSupprimees: count } });
+}
+
+/**
+ * NOUVEAU: Crée une erreur portant un code exploitable par le front-end (ex: 'TOKEN_EXPIRE').
+ */
+function creerErreur(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * NOUVEAU: Vérifie un jeton de session émis par "Gestion Compte" et retourne l'identité qu'il contient.
+ * Copie de la fonction du script "Gestion Compte" : le secret partagé doit être défini
+ * dans les propriétés de ce script (clé SESSION_SECRET), avec la même valeur.
+ * @param {string} token - Le jeton reçu du front-end.
+ * @returns {{id: string, role: string, nom: string, statut: string, exp: number}} L'identité de l'appelant.
+ */
+function verifierToken(token) {
+    if (!token) throw creerErreur("Authentification requise. Veuillez vous connecter.", 'TOKEN_MANQUANT');
+
+    const secret = PropertiesService.getScriptProperties().getProperty('SESSION_SECRET');
+    if (!secret) throw new Error("Le secret de session (SESSION_SECRET) n'est pas configuré dans les propriétés du script.");
+
+    const parts = String(token).split('.');
+    if (parts.length !== 2) throw creerErreur("Jeton de session invalide.", 'TOKEN_INVALIDE');
+
+    const expectedSignature = Utilities.base64EncodeWebSafe(Utilities.computeHmacSha256Signature(parts[0], secret));
+    let diff = expectedSignature.length ^ parts[1].length;
+    for (let i = 0; i < Math.min(expectedSignature.length, parts[1].length); i++) {
+        diff |= expectedSignature.charCodeAt(i) ^ parts[1].charCodeAt(i);
+    }
+    if (diff !== 0) throw creerErreur("Jeton de session invalide.", 'TOKEN_INVALIDE');
+
+    let payload;
+    try {
+        payload = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[0])).getDataAsString());
+    } catch (e) {
+        throw creerErreur("Jeton de session illisible.", 'TOKEN_INVALIDE');
+    }
+    if (!payload.exp || payload.exp * 1000 < Date.now()) {
+        throw creerErreur("Votre session a expiré. Veuillez vous reconnecter.", 'TOKEN_EXPIRE');
+    }
+    return payload;
+}
+
+/**
+ * NOUVEAU: Vérifie que l'appelant possède l'un des rôles autorisés (rôle inscrit dans le jeton par "Gestion Compte").
+ * @param {{role: string}} session - L'identité retournée par verifierToken.
+ * @param {string[]} roles - Les rôles autorisés (ex: ['Service']).
+ * @returns {object} La session, pour pouvoir chaîner l'appel.
+ * @throws {Error} Avec le code ACCES_REFUSE.
+ */
+function exigerRole(session, roles) {
+    if (!roles.includes(session.role)) {
+        throw creerErreur("Vous n'avez pas les droits nécessaires pour cette action.", 'ACCES_REFUSE');
+    }
+    return session;
+}
+
 /**
  * Récupère la configuration depuis la feuille "Config" et la met en cache.
  * @returns {object} Un objet contenant la configuration.
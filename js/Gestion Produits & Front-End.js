@@ -2,7 +2,7 @@
  * @file SCRIPT CENTRAL - Gestionnaire de Catalogue
  * @description Gère la liste des catégories de cours et agrège les données de chaque catégorie pour le front-end.
  * A déployer en tant qu'application web avec accès "Tous les utilisateurs".
- * @version 2.0.2 (Suppression setXFrameOptionsMode)
+ * @version 2.1.0 (Parcours d'apprentissage : séquences de cours vendues ensemble)
  * @author Gemini Code Assist
  */
 
@@ -29,7 +29,8 @@ function onEdit(e) {
   const sheetName = sheet.getName();
 
   // On ne s'intéresse qu'aux modifications sur la feuille des catégories
-  if (sheetName === "Catégories") {
+  // MODIFIÉ: ...et sur celle des parcours, également incluse dans le catalogue
+  if (sheetName === "Catégories" || sheetName === "Parcours") {
     Logger.log(`Modification détectée sur la feuille '${sheetName}'. Invalidation du cache.`);
     // Utiliser CacheService pour le cache rapide et PropertiesService pour la version
     const properties = PropertiesService.getScriptProperties();
@@ -130,7 +131,7 @@ function getPublicCatalog() {
   const activeCategories = categories.filter(c => c.ScriptURL && !c.ScriptURL.startsWith('REMPLIR_') && c.ScriptURL.trim() !== '');
 
   if (activeCategories.length === 0) {
-    return { categories: categories, products: [] };
+    return { categories: categories, products: [], parcours: [] };
   }
 
   // Utilise UrlFetchApp.fetchAll pour appeler tous les scripts de catégorie en parallèle
@@ -167,7 +168,7 @@ function getPublicCatalog() {
     }
   });
 
-  const catalog = { categories: categories, products: allCourses };
+  const catalog = { categories: categories, products: allCourses, parcours: construireParcours(allCourses) }; // MODIFIÉ: + parcours
   
   // Stocke le catalogue en cache pour 15 minutes (900 secondes)
   cache.put('publicCatalogData', JSON.stringify(catalog), 900);
@@ -176,6 +177,92 @@ function getPublicCatalog() {
   return catalog;
 }
 
+// --- NOUVEAU: PARCOURS D'APPRENTISSAGE ---
+
+/**
+ * NOUVEAU: Assemble les parcours de la feuille "Parcours" à partir des cours publiés.
+ * Un parcours n'est proposé que s'il est actif, que tous ses cours sont publiés et que son prix
+ * est inférieur à la somme des prix de ses cours ; sinon il est ignoré (et signalé dans les journaux).
+ * @param {Array<Object>} courses - Les cours publiés du catalogue.
+ * @returns {Array<Object>} Les parcours, avec leurs cours dans l'ordre, leur durée totale et l'économie réalisée.
+ */
+function construireParcours(courses) {
+  const sheet = SpreadsheetApp.openById(CENTRAL_SHEET_ID).getSheetByName("Parcours");
+  const coursParId = courses.reduce((index, course) => ({ ...index, [course.ID_Cours]: course }), {});
+
+  return sheetToJSON(sheet).reduce((parcours, ligne) => {
+    if (!ligne.ID_Parcours || !estActif(ligne.Actif)) return parcours;
+    const ids = String(ligne.Cours || '').split(';').map(id => id.trim()).filter(Boolean);
+    const manquants = ids.filter(id => !coursParId[id]);
+    if (ids.length < 2 || manquants.length > 0) {
+      Logger.log(`Parcours ${ligne.ID_Parcours} ignoré : il faut au moins 2 cours publiés (manquants : ${manquants.join(', ') || 'aucun'}).`);
+      return parcours;
+    }
+
+    const cours = ids.map(id => coursParId[id]);
+    const prixCours = cours.reduce((somme, course) => somme + (parseFloat(course.Prix) || 0), 0);
+    const prix = parseFloat(ligne.Prix);
+    if (!Number.isFinite(prix) || prix < 0 || prix >= prixCours) {
+      Logger.log(`Parcours ${ligne.ID_Parcours} ignoré : son prix (${ligne.Prix}) doit être inférieur à la somme de ses cours (${prixCours}).`);
+      return parcours;
+    }
+
+    const minutes = cours.reduce((somme, course) => somme + dureeEnMinutes(course.Durée_Totale), 0);
+    parcours.push({
+      ID_Parcours: ligne.ID_Parcours,
+      Nom_Parcours: ligne.Nom_Parcours,
+      Description: ligne.Description,
+      Role_Cible: ligne.Role_Cible,
+      Image: ligne.Image || cours[0].Image_Couverture || DEFAULT_IMAGE_URL,
+      Prix: prix,
+      Prix_Cours: prixCours,
+      Economie: prixCours - prix,
+      Durée_Totale: formaterDuree(minutes),
+      cours: cours.map(course => ({
+        ID_Cours: course.ID_Cours,
+        Nom_Cours: course.Nom_Cours,
+        Catégorie: course.Catégorie,
+        Niveau: course.Niveau,
+        Prix: parseFloat(course.Prix) || 0,
+        Durée_Totale: course.Durée_Totale,
+        Formateur_Nom: course.Formateur_Nom
+      }))
+    });
+    return parcours;
+  }, []);
+}
+
+/**
+ * NOUVEAU: Convertit une durée saisie dans les feuilles de cours (ex: "8h 30min", "45min") en minutes.
+ * @param {string} duree - La durée.
+ * @returns {number}
+ */
+function dureeEnMinutes(duree) {
+  const texte = String(duree || '');
+  const heures = texte.match(/(\d+)\s*h/i);
+  const minutes = texte.match(/(\d+)\s*min/i);
+  return (heures ? parseInt(heures[1], 10) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0);
+}
+
+/**
+ * NOUVEAU: Met en forme un nombre de minutes comme dans les feuilles de cours (ex: "12h 30min").
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formaterDuree(minutes) {
+  const heures = Math.floor(minutes / 60);
+  const reste = minutes % 60;
+  if (heures === 0) return `${reste}min`;
+  return reste ? `${heures}h ${reste}min` : `${heures}h`;
+}
+
+/**
+ * NOUVEAU: Interprète la colonne Actif (case à cocher, "Oui" ou vide = actif).
+ */
+function estActif(valeur) {
+  return valeur === '' || valeur === true || ['TRUE', 'OUI'].includes(String(valeur).toUpperCase());
+}
+
 // --- UTILITAIRES ---
 
 /**
@@ -241,5 +328,15 @@ function setupCentralSheet() {
     sheet.getRange(2, 1, exampleCategories.length, headers.length).setValues(exampleCategories);
   }
 
+  // NOUVEAU: Feuille des parcours d'apprentissage (créée une seule fois, jamais vidée par cette initialisation).
+  // Cours = IDs des cours séparés par des ";", dans l'ordre où les suivre. Prix = prix du parcours complet.
+  if (!ss.getSheetByName("Parcours")) {
+    const parcoursSheet = ss.insertSheet("Parcours");
+    const parcoursHeaders = ["ID_Parcours", "Nom_Parcours", "Description", "Role_Cible", "Cours", "Prix", "Image", "Actif"];
+    parcoursSheet.appendRow(parcoursHeaders);
+    parcoursSheet.setFrozenRows(1);
+    parcoursSheet.getRange(1, 1, 1, parcoursHeaders.length).setFontWeight("bold");
+  }
+
   SpreadsheetApp.getUi().alert(`Initialisation terminée. ${exampleCategories.length} catégories de cours ont été ajoutées à la feuille "Catégories".`);
 }
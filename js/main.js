@@ -21,6 +21,9 @@ const CATEGORIES_PER_LOAD = 3;
 
 let DELIVERY_OPTIONS = {}; // NOUVEAU: Sera chargé depuis l'API
 
+// NOUVEAU: Rôles ayant accès au tableau de bord Senior (le serveur applique les mêmes règles)
+const FORMATEUR_ROLES = ['Senior', 'Admin'];
+
 // Attendre que le contenu de la page soit entièrement chargé
 document.addEventListener('DOMContentLoaded', () => {
     // Initialiser toutes les fonctionnalités du site
@@ -40,7 +43,36 @@ async function initializeApp() {
     initializeSearch(); // Les formulaires de recherche peuvent être initialisés immédiatement.
     if (document.getElementById('auth-forms')) {
         document.getElementById('login-form').addEventListener('submit', (e) => handleAuthForm(e, 'login'));
-        document.getElementById('register-form').addEventListener('submit', (e) => handleAuthForm(e, 'register'));
+        // NOUVEAU: Sur senior-auth.html, le formulaire d'inscription est une candidature de formateur
+        const registerForm = document.getElementById('register-form');
+        registerForm.addEventListener('submit', (e) => registerForm.dataset.authType === 'senior-application' ? handleSeniorApplication(e) : handleAuthForm(e, 'register'));
+        if (registerForm.dataset.authType === 'senior-application') prefillSeniorApplication();
+        // NOUVEAU: Réinitialisation du mot de passe
+        document.getElementById('forgot-form')?.addEventListener('submit', handleForgotPasswordForm);
+        document.getElementById('reset-form')?.addEventListener('submit', handleResetPasswordForm);
+        if (new URLSearchParams(window.location.search).get('reset')) {
+            switchTab('reset');
+        }
+        // NOUVEAU: Activation du compte depuis le lien reçu par e-mail
+        if (new URLSearchParams(window.location.search).get('verification')) {
+            verifyEmailFromLink();
+        }
+        // NOUVEAU: Confirmation d'un changement d'adresse e-mail
+        if (new URLSearchParams(window.location.search).get('changementEmail')) {
+            confirmEmailChangeFromLink();
+        }
+    }
+    // NOUVEAU: Espace d'administration
+    if (document.getElementById('admin-page')) {
+        initializeAdminPage();
+    }
+    // NOUVEAU: Profil public d'un formateur
+    if (document.getElementById('senior-profile-page')) {
+        loadSeniorProfilePage();
+    }
+    // NOUVEAU: Vérification et impression des certificats
+    if (document.getElementById('certificate-page')) {
+        initializeCertificatePage();
     }
     if (document.querySelector('main h1.text-3xl')?.textContent.includes("Mon Compte")) {
         initializeAccountPage(); // La page compte gère sa propre logique d'authentification.
@@ -84,7 +116,12 @@ async function initializeApp() {
         if (window.location.pathname.endsWith('categorie.html')) fillCategoryProducts(catalog);
         if (window.location.pathname.endsWith('categorie.html')) updateWhatsAppLinkForCategory(catalog); // NOUVEAU
         if (window.location.pathname.endsWith('promotions.html')) displayPromotionProducts(catalog); // Gardé pour la page promo
-        if (window.location.pathname.endsWith('produit.html')) loadCoursePage(catalog); // MODIFIÉ
+        if (window.location.pathname.endsWith('parcours.html')) renderLearningPaths(catalog); // NOUVEAU
+        if (window.location.pathname.endsWith('produit.html')) {
+            // MODIFIÉ: ?apercu=<IDCategorie> permet au formateur de prévisualiser un cours non publié
+            if (new URLSearchParams(window.location.search).has('apercu')) loadCoursePreview(catalog);
+            else loadCoursePage(catalog);
+        }
         if (window.location.pathname.endsWith('notification.html')) initializeNotificationPage(catalog);
         
         // Remplir les sections de la page d'accueil
@@ -136,6 +173,7 @@ function populateCategoryMenu(catalog) {
         }
         // Ajout du lien vers les promotions (toujours visible)
         menuHTML += '<a href="promotions.html" class="block px-4 py-2 text-sm text-red-600 font-semibold hover:bg-gray-100">Promotions</a>';
+        menuHTML += '<a href="parcours.html" class="block px-4 py-2 text-sm text-gold font-semibold hover:bg-gray-100">Parcours</a>'; // NOUVEAU
         
         menu.innerHTML = menuHTML;
         if (boutiquesMenu) boutiquesMenu.innerHTML = menuHTML;
@@ -178,6 +216,7 @@ function populateNavLinks(catalog) {
 
         // Générer le HTML pour la navigation principale
         let mainNavHTML = '<a href="promotions.html" class="py-3 text-red-600 hover:text-red-800">SuperDeals</a>'; // Lien fixe
+        mainNavHTML += '<a href="parcours.html" class="py-3 text-gold hover:underline">Parcours</a>'; // NOUVEAU: Lien fixe
         mainNavHTML += mainNavCategories.map(cat => 
             `<a href="categorie.html?id=${cat.IDCategorie}&name=${encodeURIComponent(cat.NomCategorie)}" class="py-3 hover:text-gold">${cat.NomCategorie}</a>`
         ).join('');
@@ -277,6 +316,15 @@ function addToCart(event, productId, name, price, imageUrl) {
     showToast(`${name} a été ajouté au panier !`);
 }
 
+/**
+ * NOUVEAU: Échappe un texte saisi par un utilisateur avant de l'insérer dans du HTML.
+ * @param {string} text Le texte à échapper.
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
 /**
  * NOUVEAU: Affiche une notification "toast" en bas de l'écran.
  * @param {string} message Le message à afficher.
@@ -349,7 +397,7 @@ function renderCartPage() {
                 <img src="${item.imageUrl || CONFIG.DEFAULT_PRODUCT_IMAGE}" alt="${item.name}" class="w-full h-full object-cover" loading="lazy">
             </div>
             <div class="flex-grow">
-                <a href="produit.html?id=${item.productId}" class="font-semibold hover:underline">${item.name}</a>
+                <a href="${item.type === 'parcours' ? `parcours.html#${item.productId}` : `produit.html?id=${item.productId}`}" class="font-semibold hover:underline">${item.name}</a>
                 <!-- NOUVEAU: Ajout du nom du formateur si disponible -->
                 ${item.instructor ? `<p class="text-xs text-gray-500">Par ${item.instructor}</p>` : ''}
                 <p class="text-sm text-gold">${item.price.toLocaleString('fr-FR')} F CFA</p>
@@ -759,7 +807,6 @@ async function handleProfileUpdate(event) {
 
         // 2. Préparer les données du profil
         const profileData = {
-            userId: user.IDClient,
             titre: document.getElementById('profile-title-input').value,
             bio: document.getElementById('profile-bio-input').value,
             imageUrl: imageUrl
@@ -769,11 +816,12 @@ async function handleProfileUpdate(event) {
         const response = await fetch(CONFIG.ACCOUNT_API_URL, {
             method: 'POST',
             headers: { 'Content-Type': 'text/plain' }, // Utiliser un Content-Type simple pour éviter le pré-vol CORS
-            body: JSON.stringify({ action: 'updateProfile', data: profileData })
+            body: JSON.stringify({ action: 'updateProfile', data: profileData, token: getSessionToken() })
         });
         const result = await response.json();
 
         if (!result.success) {
+            if (handleSessionError(result)) return;
             throw new Error(result.error || "Erreur lors de la mise à jour du profil.");
         }
 
@@ -857,6 +905,36 @@ async function uploadImageToImgBB(file) {
 
 // --- LOGIQUE DE LA PAGE PRODUIT ---
 
+/**
+ * NOUVEAU: Affiche un cours non publié à son formateur (ou à un admin), tel que les apprenants le verront.
+ * La fiche est demandée directement à la catégorie avec le jeton de session : elle n'est pas dans le catalogue public.
+ * @param {object} catalog Le catalogue public (pour l'URL de la catégorie).
+ */
+async function loadCoursePreview(catalog) {
+    const params = new URLSearchParams(window.location.search);
+    const category = (catalog.data.categories || []).find(cat => String(cat.IDCategorie) === params.get('apercu'));
+    try {
+        if (!category || !getSessionToken()) throw new Error("Aperçu indisponible.");
+        const response = await fetch(`${category.ScriptURL}?action=getProducts&token=${encodeURIComponent(getSessionToken())}`);
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        const course = result.data.find(c => c.ID_Cours == params.get('id'));
+        if (!course) throw new Error("Cours non trouvé.");
+
+        loadCoursePage({ ...catalog, data: { ...catalog.data, products: [{ ...course, Catégorie: category.NomCategorie }] } });
+        const banner = document.getElementById('course-preview-banner');
+        banner.textContent = `Aperçu – statut : ${course.Statut}. ${course.Statut === 'Publié' ? '' : "Ce cours n'est pas visible dans le catalogue."}`;
+        banner.classList.remove('hidden');
+        document.getElementById('buy-course-button').disabled = true;
+        document.getElementById('buy-course-button').classList.add('opacity-50', 'cursor-not-allowed');
+    } catch (error) {
+        document.querySelector('main').innerHTML = `<p class="text-center text-red-500">Erreur: ${error.message}</p>`;
+    }
+}
+
 /**
  * MODIFIÉ: Charge les données d'un cours spécifique sur la page de détail.
  */
@@ -932,59 +1010,57 @@ function loadCoursePage(catalog) {
         // Structure du cours (Modules et Chapitres)
         const structureContainer = document.getElementById('course-structure-container');
         if (course.modules && course.modules.length > 0) {
+            // MODIFIÉ: Le catalogue ne contient plus que le plan du cours. Le contenu des chapitres (vidéos, quiz)
+            // et le verrouillage des modules sont fournis par l'API des cours aux acheteurs (voir renderCourseProgress).
             structureContainer.innerHTML = course.modules.map((module, moduleIndex) => {
-                const isLocked = moduleIndex > 0; // Le premier module est déverrouillé, les autres sont verrouillés
-
-                const chaptersHTML = (module.chapitres || []).map((chap, chapIndex) => {
-                    const chapterId = `m${moduleIndex}-ch${chapIndex}`;
-                    const quizHTML = (chap.quiz || []).map((q, quizIndex) => {
-                        const questionId = `${chapterId}-q${quizIndex}`;
-                        const options = [q.Réponse_1, q.Réponse_2, q.Réponse_3, q.Réponse_4].filter(Boolean);
-                        const correctIndex = options.indexOf(q.Bonne_Réponse);
-                        // NOUVEAU: Passer l'ID du module suivant à déverrouiller
-                        const nextModuleId = `module-${moduleIndex + 1}`;
-                        const optionsHTML = options.map((opt, optIndex) => `
-                            <div>
-                                <div class="quiz-option border rounded-lg p-3 cursor-pointer transition" onclick="checkQuizAnswer(this, ${optIndex === correctIndex}, '${questionId}', '${q.Bonne_Réponse}', '${nextModuleId}')">
-                                    ${opt}
-                                </div>
-                                <div class="quiz-feedback border-l-4 p-3 mt-2 text-sm">
-                                    <!-- Le feedback sera injecté ici par JS -->
-                                </div>
-                            </div>
-                        `).join('');
-                        return `<div class="mt-4 p-4 border-t"><p class="font-semibold mb-3">${q.Question}</p><div id="${questionId}" class="space-y-2" data-quiz-count="${chap.quiz.length}">${optionsHTML}</div></div>`;
-                    }).join('');
-
+                const chaptersHTML = (module.chapitres || []).map(chap => {
+                    // MODIFIÉ: Identifiant du chapitre dans le DOM et bouton de fin de chapitre pour le suivi de progression
                     return `
-                        <li class="p-4">
+                        <li id="chapter-${chap.ID_Chapitre}" class="p-4" data-chapter-id="${chap.ID_Chapitre}">
                             <div class="flex justify-between items-center">
                                 <span class="flex items-center font-semibold">
-                                    <svg class="w-5 h-5 mr-3 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z"></path><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
+                                    <span class="chapter-status-icon"><svg class="w-5 h-5 mr-3 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z"></path><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg></span>
                                     ${chap.Nom_Chapitre}
                                 </span>
                                 <span class="text-gray-500 text-sm">${chap.Durée}</span>
                             </div>
-                            ${chap.URL_Vidéo_Chapitre ? `<button onclick="document.getElementById('course-video-player').src='${chap.URL_Vidéo_Chapitre}'; document.getElementById('course-video-player').scrollIntoView({behavior: 'smooth'});" class="text-sm text-blue-600 font-semibold mt-2">Lancer la vidéo</button>` : ''}
-                            ${quizHTML ? `<div class="bg-blue-50/50 mt-2 rounded-md">${quizHTML}</div>` : ''}
+                            <div class="chapter-content"></div>
+                            <button onclick="markChapterCompleted('${course.ID_Cours}', '${chap.ID_Chapitre}')" class="chapter-complete-button hidden text-sm text-green-700 font-semibold mt-2">Marquer comme terminé</button>
                         </li>
                     `;
                 }).join('');
 
-                return `<div id="module-${moduleIndex}" class="module-container border rounded-lg overflow-hidden">
-                    <div class="module-header p-4 bg-gray-50 border-b flex justify-between items-center cursor-pointer ${isLocked ? 'locked' : ''}" onclick="toggleModule(this, ${isLocked})">
-                        <h3 class="font-bold text-lg">${module.Ordre_Module}. ${module.Nom_Module}</h3>
-                        ${isLocked ? '<svg class="w-6 h-6 text-gray-400" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clip-rule="evenodd"></path></svg>' : '<svg class="w-6 h-6 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>'}
+                return `<div id="module-${moduleIndex}" class="module-container border rounded-lg overflow-hidden" data-module-id="${module.ID_Module}">
+                    <div class="module-header p-4 bg-gray-50 border-b flex justify-between items-center cursor-pointer" onclick="toggleModule(this)">
+                        <h3 class="font-bold text-lg">${module.Ordre_Module}. ${module.Nom_Module} <span class="module-progress text-sm font-semibold text-blue-600 ml-2"></span></h3>
+                        <svg class="w-6 h-6 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>
                     </div>
-                    <div class="module-content p-4" style="${isLocked ? 'display: none;' : 'display: block;'}">
+                    <div class="module-content p-4" style="${moduleIndex > 0 ? 'display: none;' : 'display: block;'}">
                         <ul class="divide-y -mx-4">
                             ${chaptersHTML}
                         </ul>
+                        <div class="module-quiz"></div>
                     </div>
                 </div>`;
             }).join('');
         }
 
+        // NOUVEAU: Avis des participants (publics)
+        loadCourseReviews(course.ID_Cours);
+        document.getElementById('review-form').onsubmit = event => handleReviewSubmit(event, course.ID_Cours);
+
+        // NOUVEAU: Progression et questions de l'apprenant connecté
+        if (getSessionToken()) {
+            loadCourseProgress(course.ID_Cours);
+            document.getElementById('question-chapter-select').innerHTML = (course.modules || []).map(module => `
+                <optgroup label="${module.Nom_Module}">
+                    ${(module.chapitres || []).map(chap => `<option value="${chap.ID_Chapitre}">${chap.Nom_Chapitre}</option>`).join('')}
+                </optgroup>
+            `).join('');
+            document.getElementById('ask-question-form').onsubmit = event => handleAskQuestion(event, course.ID_Cours);
+            loadCourseQuestions(course.ID_Cours);
+        }
+
         // --- Remplissage de la colonne latérale (droite) ---
 
         // Profil du formateur
@@ -997,6 +1073,13 @@ function loadCoursePage(catalog) {
             </div>
         `;
         document.getElementById('instructor-bio').textContent = course.Formateur_Bio;
+        // NOUVEAU: Le cours référence son formateur par ID : lien vers son profil et informations à jour
+        if (course.Formateur_ID) {
+            const profileLink = document.getElementById('instructor-profile-link');
+            profileLink.href = `formateur.html?id=${encodeURIComponent(course.Formateur_ID)}`;
+            profileLink.classList.remove('hidden');
+            hydrateInstructorCard(course.Formateur_ID);
+        }
 
         // Avantage Senior
         document.getElementById('senior-advantage-text').textContent = course.Avantage_Senior;
@@ -1018,21 +1101,52 @@ function loadCoursePage(catalog) {
 
 /**
  * NOUVEAU: Gère l'interaction avec les quiz.
+ * MODIFIÉ: La réponse est envoyée au serveur, qui la corrige, renvoie la bonne réponse
+ * et la progression mise à jour (le déverrouillage des modules est décidé par le serveur).
+ * MODIFIÉ: Le nombre de tentatives est limité ; tant qu'il en reste, la bonne réponse n'est pas révélée
+ * et les autres options restent cliquables.
  * @param {HTMLElement} selectedOptionEl - L'élément de l'option cliquée.
- * @param {boolean} isCorrect - Si la réponse est correcte.
+ * @param {string} quizQuestionId - L'ID_Question du catalogue.
  * @param {string} questionId - L'ID du conteneur de la question.
- * @param {string} correctAnswerText - Le texte de la bonne réponse.
- * @param {string} nextModuleId - L'ID du prochain module à déverrouiller.
  */
-function checkQuizAnswer(selectedOptionEl, isCorrect, questionId, correctAnswerText, nextModuleId) {
+async function checkQuizAnswer(selectedOptionEl, quizQuestionId, questionId) {
     const questionContainer = document.getElementById(questionId);
+    if (questionContainer.dataset.answered || selectedOptionEl.classList.contains('disabled')) return;
+    if (!getSessionToken()) {
+        showToast("Connectez-vous pour répondre aux quiz.", true);
+        return;
+    }
     const allOptions = questionContainer.querySelectorAll('.quiz-option');
     
     // Désactiver toutes les options pour cette question pour éviter de recliquer
+    questionContainer.dataset.answered = 'true';
     allOptions.forEach(opt => {
         opt.classList.add('disabled');
     });
 
+    let correction;
+    try {
+        const response = await fetch(CONFIG.COURSE_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ action: 'enregistrerReponseQuiz', data: { questionId: quizQuestionId, reponseDonnee: selectedOptionEl.textContent.trim() }, token: getSessionToken() })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        correction = result.data;
+    } catch (error) {
+        // Permettre de répondre à nouveau
+        delete questionContainer.dataset.answered;
+        allOptions.forEach(opt => opt.classList.remove('disabled'));
+        showToast(`Erreur : ${error.message}`, true);
+        return;
+    }
+    const isCorrect = correction.estCorrecte;
+    const correctAnswerText = correction.bonneReponse;
+
     // Afficher le feedback pour l'option cliquée
     const feedbackEl = selectedOptionEl.nextElementSibling;
     feedbackEl.style.display = 'block';
@@ -1041,27 +1155,32 @@ function checkQuizAnswer(selectedOptionEl, isCorrect, questionId, correctAnswerT
         selectedOptionEl.classList.add('selected', 'correct');
         feedbackEl.innerHTML = `<p><strong class="font-bold">Bonne réponse !</strong> Voici pourquoi : [Explication de la bonne réponse ici]</p>`;
         feedbackEl.classList.add('correct');
-
-        // NOUVEAU: Logique de déverrouillage
-        // On vérifie si c'était la dernière question du quiz pour ce chapitre/module
-        const allAnsweredCorrectly = Array.from(questionContainer.parentElement.parentElement.querySelectorAll('.quiz-option.correct')).length === parseInt(questionContainer.dataset.quizCount);
-        if (allAnsweredCorrectly) {
-            unlockNextModule(nextModuleId);
-        }
-
+    } else if (correction.tentativesRestantes > 0) {
+        // Nouvelle tentative possible : seule l'option choisie reste désactivée
+        selectedOptionEl.classList.add('selected', 'incorrect');
+        feedbackEl.innerHTML = `<p><strong class="font-bold">Incorrect.</strong> Il vous reste ${correction.tentativesRestantes} tentative(s).</p>`;
+        feedbackEl.classList.add('incorrect');
+        delete questionContainer.dataset.answered;
+        allOptions.forEach(opt => { if (opt !== selectedOptionEl) opt.classList.remove('disabled'); });
     } else {
         selectedOptionEl.classList.add('selected', 'incorrect');
-        feedbackEl.innerHTML = `<p><strong class="font-bold">Incorrect.</strong> La bonne réponse est "${correctAnswerText}". Voici pourquoi : [Explication de la mauvaise réponse ici]</p>`;
+        feedbackEl.innerHTML = `<p><strong class="font-bold">Incorrect.</strong> La bonne réponse est "${escapeHtml(correctAnswerText)}". Voici pourquoi : [Explication de la mauvaise réponse ici]</p>`;
         feedbackEl.classList.add('incorrect');
     }
+
+    // NOUVEAU: Le score obtenu peut déverrouiller le module suivant
+    if (correction.progression) {
+        renderCourseProgress(new URLSearchParams(window.location.search).get('id'), correction.progression);
+    }
 }
 
 /**
  * NOUVEAU: Gère l'affichage/masquage du contenu d'un module.
+ * MODIFIÉ: L'état verrouillé est celui calculé par le serveur (voir setModuleLocked).
  */
-function toggleModule(headerEl, isLocked) {
-    if (isLocked) {
-        showToast("Vous devez réussir le quiz du module précédent pour déverrouiller celui-ci.", true);
+function toggleModule(headerEl) {
+    if (headerEl.classList.contains('locked')) {
+        showToast(headerEl.dataset.lockMessage || "Ce module est verrouillé.", true);
         return;
     }
     const content = headerEl.nextElementSibling;
@@ -1069,19 +1188,415 @@ function toggleModule(headerEl, isLocked) {
 }
 
 /**
- * NOUVEAU: Déverrouille le module suivant.
+ * NOUVEAU: Applique à un module l'état de verrouillage calculé par le serveur.
+ * Remplace unlockNextModule : le navigateur ne décide plus lui-même du déverrouillage.
+ * @param {HTMLElement} moduleEl L'élément du module.
+ * @param {boolean} locked true si le module est verrouillé.
+ * @param {string} [lockMessage] Le message expliquant comment le déverrouiller.
  */
-function unlockNextModule(moduleId) {
-    const moduleToUnlock = document.getElementById(moduleId);
-    if (moduleToUnlock) {
-        const header = moduleToUnlock.querySelector('.module-header');
-        header.classList.remove('locked');
-        header.onclick = () => toggleModule(header, false); // Mettre à jour l'événement onclick
-        header.querySelector('svg').outerHTML = '<svg class="w-6 h-6 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>';
+function setModuleLocked(moduleEl, locked, lockMessage) {
+    const header = moduleEl.querySelector('.module-header');
+    const wasLocked = header.classList.contains('locked');
+    const isFirstRender = !moduleEl.dataset.lockState;
+    moduleEl.dataset.lockState = locked ? 'locked' : 'unlocked';
+    header.dataset.lockMessage = lockMessage || '';
+    if (locked === wasLocked) return;
+
+    header.classList.toggle('locked', locked);
+    header.querySelector(':scope > svg').outerHTML = locked
+        ? '<svg class="w-6 h-6 text-gray-400" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clip-rule="evenodd"></path></svg>'
+        : '<svg class="w-6 h-6 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg>';
+    if (locked) {
+        header.nextElementSibling.style.display = 'none';
+    } else if (!isFirstRender) {
         showToast("Félicitations ! Vous avez déverrouillé le module suivant.", false);
     }
 }
 
+/**
+ * NOUVEAU: Explique à l'apprenant les critères du module précédent à remplir pour déverrouiller un module.
+ * @param {object} previousModule Le module précédent, tel que renvoyé par getProgressionCours.
+ * @returns {string}
+ */
+function describeModuleCriteria(previousModule) {
+    const conditions = [];
+    const { chapitresRequis, scoreQuizRequis } = previousModule.criteres;
+    if (chapitresRequis.length > 0) {
+        conditions.push(`terminez ${chapitresRequis.length} chapitre(s)`);
+    }
+    if (scoreQuizRequis > 0 && previousModule.scoreQuiz !== null) {
+        conditions.push(`obtenez au moins ${scoreQuizRequis}% aux quiz (score actuel : ${previousModule.scoreQuiz}%)`);
+    }
+    if (!previousModule.estDeverrouille || conditions.length === 0) {
+        return `Validez d'abord le module « ${previousModule.Nom_Module} ».`;
+    }
+    return `Pour déverrouiller ce module, ${conditions.join(' et ')} dans le module « ${previousModule.Nom_Module} ».`;
+}
+
+/**
+ * NOUVEAU: Construit le HTML d'une série de questions de quiz (sans les bonnes réponses).
+ * @param {Array<object>} questions Les questions servies par l'API des cours.
+ * @param {string} prefix Préfixe des ID DOM des questions.
+ * @returns {string}
+ */
+function buildQuizHTML(questions, prefix) {
+    return questions.map((q, quizIndex) => {
+        const questionId = `${prefix}-q${quizIndex}`;
+        const options = [q.Réponse_1, q.Réponse_2, q.Réponse_3, q.Réponse_4].filter(Boolean);
+        const optionsHTML = options.map(opt => `
+            <div>
+                <div class="quiz-option border rounded-lg p-3 cursor-pointer transition" onclick="checkQuizAnswer(this, '${q.ID_Question}', '${questionId}')">
+                    ${opt}
+                </div>
+                <div class="quiz-feedback border-l-4 p-3 mt-2 text-sm">
+                    <!-- Le feedback sera injecté ici par JS -->
+                </div>
+            </div>
+        `).join('');
+        return `<div class="mt-4 p-4 border-t"><p class="font-semibold mb-3">${q.Question}</p><div id="${questionId}" class="space-y-2">${optionsHTML}</div></div>`;
+    }).join('');
+}
+
+/**
+ * NOUVEAU: Insère le contenu des modules déverrouillés (vidéos, ressources, quiz) servi par l'API des cours.
+ * Un contenu déjà affiché n'est pas reconstruit, pour conserver les réponses aux quiz.
+ * @param {string} courseId L'ID du cours.
+ * @param {Array<object>} contenu Le champ `contenu` de getProgressionCours.
+ */
+function renderCourseContent(courseId, contenu) {
+    contenu.forEach(moduleContent => {
+        moduleContent.chapitres.forEach(chap => {
+            const chapterEl = document.getElementById(`chapter-${chap.ID_Chapitre}`);
+            if (!chapterEl) return;
+            const contentEl = chapterEl.querySelector('.chapter-content');
+            if (contentEl.dataset.loaded) return;
+            chapterEl.dataset.videoUrl = chap.URL_Vidéo_Chapitre || '';
+            const quizHTML = buildQuizHTML(chap.quiz || [], `quiz-${chap.ID_Chapitre}`);
+            contentEl.innerHTML = `
+                ${chap.URL_Vidéo_Chapitre ? `<button onclick="playChapter('${courseId}', '${chap.ID_Chapitre}')" class="text-sm text-blue-600 font-semibold mt-2 mr-4">Lancer la vidéo</button>` : ''}
+                ${chap.Ressource ? `<p class="text-sm text-gray-500 mt-2">Ressource : ${chap.Ressource}</p>` : ''}
+                ${quizHTML ? `<div class="bg-blue-50/50 mt-2 rounded-md">${quizHTML}</div>` : ''}
+            `;
+            contentEl.dataset.loaded = 'true';
+        });
+
+        const moduleEl = document.querySelector(`[data-module-id="${moduleContent.ID_Module}"]`);
+        const moduleQuizEl = moduleEl && moduleEl.querySelector('.module-quiz');
+        if (moduleQuizEl && !moduleQuizEl.dataset.loaded && moduleContent.quiz.length > 0) {
+            moduleQuizEl.innerHTML = `<div class="bg-blue-50/50 mt-4 rounded-md"><p class="font-bold p-4 pb-0">Quiz du module</p>${buildQuizHTML(moduleContent.quiz, `quiz-${moduleContent.ID_Module}`)}</div>`;
+            moduleQuizEl.dataset.loaded = 'true';
+        }
+    });
+}
+
+/**
+ * NOUVEAU: Charge la progression de l'utilisateur sur le cours affiché et met à jour la page.
+ * @param {string} courseId L'ID du cours.
+ */
+async function loadCourseProgress(courseId) {
+    try {
+        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getProgressionCours&courseId=${encodeURIComponent(courseId)}&token=${encodeURIComponent(getSessionToken())}`);
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        if (!result.data.achete) return; // Le suivi est réservé aux acheteurs du cours
+        renderCourseProgress(courseId, result.data);
+        document.getElementById('ask-question-form').classList.remove('hidden'); // NOUVEAU: Les inscrits peuvent poser des questions
+        document.getElementById('review-form').classList.remove('hidden'); // NOUVEAU: ...et laisser un avis
+
+        // Reprise directe depuis la page "Mon Compte" (lien produit.html?id=...&chapitre=...)
+        const chapterToOpen = new URLSearchParams(window.location.search).get('chapitre');
+        if (chapterToOpen) openChapter(chapterToOpen);
+    } catch (error) {
+        console.warn("Progression non chargée :", error.message);
+    }
+}
+
+/**
+ * NOUVEAU: Affiche la progression : barre globale, pourcentage par module, chapitres terminés et bouton "Reprendre".
+ * @param {string} courseId L'ID du cours.
+ * @param {object} progression La réponse de getProgressionCours.
+ */
+function renderCourseProgress(courseId, progression) {
+    document.getElementById('course-progress-panel').classList.remove('hidden');
+    document.getElementById('course-progress-text').textContent = `${progression.pourcentage}%`;
+    document.getElementById('course-progress-bar').style.width = `${progression.pourcentage}%`;
+    document.getElementById('course-progress-last').textContent = progression.dernierChapitre
+        ? `Dernier chapitre consulté : ${progression.dernierChapitre.Nom_Chapitre}`
+        : '';
+
+    // NOUVEAU: Lien vers le certificat une fois le cours terminé
+    const certificateLink = document.getElementById('course-certificate-link');
+    if (progression.certificat) {
+        certificateLink.href = `certificat.html?code=${encodeURIComponent(progression.certificat.code)}`;
+        certificateLink.classList.remove('hidden');
+    }
+
+    const resumeButton = document.getElementById('resume-course-button');
+    if (progression.chapitreAReprendre) {
+        resumeButton.textContent = progression.dernierChapitre ? 'Reprendre' : 'Commencer';
+        resumeButton.onclick = () => openChapter(progression.chapitreAReprendre.ID_Chapitre);
+        resumeButton.classList.remove('hidden');
+    } else {
+        resumeButton.classList.add('hidden');
+    }
+
+    // MODIFIÉ: Le verrouillage des modules est celui calculé par le serveur
+    progression.modules.forEach((moduleProgress, index) => {
+        const moduleEl = document.querySelector(`[data-module-id="${moduleProgress.ID_Module}"]`);
+        if (!moduleEl) return;
+        moduleEl.querySelector('.module-progress').textContent = `${moduleProgress.pourcentage}%`;
+        setModuleLocked(moduleEl, !moduleProgress.estDeverrouille, index > 0 ? describeModuleCriteria(progression.modules[index - 1]) : '');
+    });
+    renderCourseContent(courseId, progression.contenu || []);
+
+    document.querySelectorAll('[data-chapter-id]').forEach(chapterEl => {
+        const isCompleted = progression.completedChapters.includes(chapterEl.dataset.chapterId);
+        const isLocked = chapterEl.closest('.module-container').dataset.lockState === 'locked';
+        chapterEl.querySelector('.chapter-complete-button').classList.toggle('hidden', isCompleted || isLocked);
+        if (isCompleted) {
+            chapterEl.querySelector('.chapter-status-icon').innerHTML = '<svg class="w-5 h-5 mr-3 text-green-600" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clip-rule="evenodd"></path></svg>';
+        }
+    });
+}
+
+/**
+ * NOUVEAU: Ouvre un chapitre : déplie son module, le fait défiler à l'écran et lance sa vidéo s'il en a une.
+ * @param {string} chapterId L'ID du chapitre.
+ */
+function openChapter(chapterId) {
+    const chapterEl = document.getElementById(`chapter-${chapterId}`);
+    if (!chapterEl) return;
+    const moduleHeader = chapterEl.closest('.module-container').querySelector('.module-header');
+    if (moduleHeader.classList.contains('locked')) {
+        toggleModule(moduleHeader); // Affiche les critères de déverrouillage
+        return;
+    }
+    const moduleContent = chapterEl.closest('.module-content');
+    if (moduleContent) moduleContent.style.display = 'block';
+    chapterEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    if (chapterEl.dataset.videoUrl) {
+        playChapter(new URLSearchParams(window.location.search).get('id'), chapterId);
+    }
+}
+
+/**
+ * NOUVEAU: Lance la vidéo d'un chapitre et mémorise ce chapitre comme le dernier consulté.
+ * @param {string} courseId L'ID du cours.
+ * @param {string} chapterId L'ID du chapitre.
+ */
+function playChapter(courseId, chapterId) {
+    const videoUrl = document.getElementById(`chapter-${chapterId}`).dataset.videoUrl;
+    if (!videoUrl) return;
+    const player = document.getElementById('course-video-player');
+    player.src = videoUrl;
+    player.scrollIntoView({ behavior: 'smooth' });
+    if (getSessionToken() && !document.getElementById('course-progress-panel').classList.contains('hidden')) {
+        saveChapterProgress('marquerChapitreConsulte', courseId, chapterId);
+    }
+}
+
+/**
+ * NOUVEAU: Marque un chapitre comme terminé et rafraîchit l'affichage de la progression.
+ */
+function markChapterCompleted(courseId, chapterId) {
+    saveChapterProgress('marquerChapitreTermine', courseId, chapterId, true);
+}
+
+/**
+ * NOUVEAU: Envoie une mise à jour de progression (consultation ou fin de chapitre) à l'API des cours.
+ * @param {string} action 'marquerChapitreConsulte' ou 'marquerChapitreTermine'.
+ * @param {string} courseId L'ID du cours.
+ * @param {string} chapterId L'ID du chapitre.
+ * @param {boolean} [notify=false] true pour afficher le résultat à l'utilisateur.
+ */
+async function saveChapterProgress(action, courseId, chapterId, notify = false) {
+    try {
+        const response = await fetch(CONFIG.COURSE_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ action: action, data: { courseId: courseId, chapitreId: chapterId }, token: getSessionToken() })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        renderCourseProgress(courseId, result.data);
+        if (notify) {
+            showToast(result.data.certificat
+                ? "Bravo, vous avez terminé ce cours ! Votre certificat est disponible."
+                : (result.data.pourcentage === 100 ? "Bravo, vous avez terminé tous les chapitres !" : "Chapitre terminé !"));
+        }
+    } catch (error) {
+        if (notify) showToast(`Erreur : ${error.message}`, true);
+        else console.warn("Progression non enregistrée :", error.message);
+    }
+}
+
+/**
+ * NOUVEAU: Charge une page d'avis du cours, la note moyenne et, si l'utilisateur est connecté, son propre avis.
+ * @param {string} courseId L'ID du cours.
+ * @param {number} [page=1] La page à afficher.
+ */
+async function loadCourseReviews(courseId, page = 1) {
+    const container = document.getElementById('course-reviews-container');
+    const pagination = document.getElementById('course-reviews-pagination');
+    try {
+        const tokenParam = getSessionToken() ? `&token=${encodeURIComponent(getSessionToken())}` : '';
+        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getAvisCours&courseId=${encodeURIComponent(courseId)}&page=${page}${tokenParam}`);
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        const { avis, pages, noteMoyenne, nombreAvis, monAvis } = result.data;
+
+        document.getElementById('course-reviews-summary').innerHTML = nombreAvis > 0 ? `
+            <span class="text-3xl font-bold text-gray-800">${noteMoyenne.toFixed(1)}</span>
+            <div class="flex items-center">${renderStars(noteMoyenne)}</div>
+            <span class="text-sm text-gray-500">${nombreAvis.toLocaleString('fr-FR')} avis</span>
+        ` : '';
+
+        if (monAvis) {
+            document.getElementById('review-form-title').textContent = 'Modifier mon avis';
+            document.getElementById('review-rating').value = String(monAvis.Note);
+            document.getElementById('review-comment').value = monAvis.Commentaire;
+        }
+
+        container.innerHTML = avis.length > 0 ? avis.map(review => `
+            <div class="bg-white border rounded-lg p-4">
+                <div class="flex justify-between items-center">
+                    <p class="font-semibold text-sm">${escapeHtml(review.Nom_Apprenant)}</p>
+                    <div class="flex items-center">${renderStars(Number(review.Note))}</div>
+                </div>
+                <p class="text-sm text-gray-700 mt-2">${escapeHtml(review.Commentaire)}</p>
+                <p class="text-xs text-gray-400 mt-2">
+                    ${new Date(review.Date_Avis).toLocaleDateString('fr-FR')}${review.Date_Modification ? ' · modifié' : ''}
+                </p>
+            </div>
+        `).join('') : '<p class="text-gray-500 text-sm">Aucun avis pour le moment.</p>';
+
+        pagination.innerHTML = pages > 1 ? `
+            <button class="text-sm font-semibold text-blue-600 disabled:text-gray-300" ${page <= 1 ? 'disabled' : ''} onclick="loadCourseReviews('${courseId}', ${page - 1})">← Précédents</button>
+            <span class="text-xs text-gray-500">Page ${page} / ${pages}</span>
+            <button class="text-sm font-semibold text-blue-600 disabled:text-gray-300" ${page >= pages ? 'disabled' : ''} onclick="loadCourseReviews('${courseId}', ${page + 1})">Suivants →</button>
+        ` : '';
+    } catch (error) {
+        container.innerHTML = '<p class="text-red-500 text-sm">Impossible de charger les avis.</p>';
+    }
+}
+
+/**
+ * NOUVEAU: Publie ou modifie l'avis de l'apprenant sur le cours.
+ * @param {Event} event L'événement de soumission du formulaire.
+ * @param {string} courseId L'ID du cours.
+ */
+async function handleReviewSubmit(event, courseId) {
+    event.preventDefault();
+    const submitButton = event.target.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    try {
+        const response = await fetch(CONFIG.COURSE_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({
+                action: 'soumettreAvis',
+                data: {
+                    courseId: courseId,
+                    note: parseInt(document.getElementById('review-rating').value, 10),
+                    commentaire: document.getElementById('review-comment').value
+                },
+                token: getSessionToken()
+            })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        showToast(result.message);
+        loadCourseReviews(courseId);
+    } catch (error) {
+        showToast(`Erreur : ${error.message}`, true);
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * NOUVEAU: Charge et affiche les fils de questions du cours (réservés aux inscrits et au formateur).
+ * @param {string} courseId L'ID du cours.
+ */
+async function loadCourseQuestions(courseId) {
+    const list = document.getElementById('course-questions-list');
+    try {
+        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getQuestionsCours&courseId=${encodeURIComponent(courseId)}&token=${encodeURIComponent(getSessionToken())}`);
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            return; // Pas inscrit à ce cours : la section reste masquée
+        }
+        document.getElementById('course-questions-section').classList.remove('hidden');
+        if (result.data.length === 0) {
+            list.innerHTML = '<p class="text-gray-500 text-sm">Aucune question pour le moment. Soyez le premier à en poser une !</p>';
+            return;
+        }
+        list.innerHTML = result.data.map(q => `
+            <div class="bg-white border rounded-lg p-4 ${q.estAuteur ? 'border-blue-300' : ''}">
+                <p class="text-xs text-gray-500"><strong>${escapeHtml(q.Nom_Apprenant)}</strong> · ${escapeHtml(q.Nom_Chapitre)} · ${new Date(q.Date_Question).toLocaleDateString('fr-FR')}</p>
+                <p class="text-sm mt-1">${escapeHtml(q.Question_Texte)}</p>
+                ${q.Statut === 'Répondue' ? `
+                    <div class="mt-3 pl-3 border-l-4 border-gold">
+                        <p class="text-xs font-semibold text-gray-700">Réponse de ${escapeHtml(q.Nom_Formateur)} · ${new Date(q.Date_Reponse).toLocaleDateString('fr-FR')}</p>
+                        <p class="text-sm text-gray-700 mt-1">${escapeHtml(q.Reponse_Texte)}</p>
+                    </div>
+                ` : '<p class="text-xs text-gray-400 mt-2 italic">En attente de réponse du formateur</p>'}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.warn("Questions non chargées :", error.message);
+    }
+}
+
+/**
+ * NOUVEAU: Envoie la question d'un apprenant sur un chapitre du cours.
+ * @param {Event} event L'événement de soumission du formulaire.
+ * @param {string} courseId L'ID du cours.
+ */
+async function handleAskQuestion(event, courseId) {
+    event.preventDefault();
+    const form = event.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    try {
+        const response = await fetch(CONFIG.COURSE_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({
+                action: 'poserQuestion',
+                data: {
+                    courseId: courseId,
+                    chapitreId: document.getElementById('question-chapter-select').value,
+                    texte: document.getElementById('question-text-input').value
+                },
+                token: getSessionToken()
+            })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        showToast("Question envoyée ! Vous serez notifié de la réponse du formateur.");
+        document.getElementById('question-text-input').value = '';
+        loadCourseQuestions(courseId);
+    } catch (error) {
+        showToast(`Erreur : ${error.message}`, true);
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
 /**
  * NOUVEAU: Gère la logique du lecteur en mode freemium.
  * @param {HTMLIFrameElement} videoPlayer - L'iframe du lecteur vidéo.
@@ -1387,13 +1902,23 @@ async function processCheckout(event) {
     }
 
     // 2. Préparer les données pour l'API "Gestion Cours"
+    // MODIFIÉ: Le serveur relit les prix dans le catalogue. La clé d'idempotence est conservée
+    // jusqu'au succès de l'achat, pour qu'un nouvel envoi après une erreur réseau ne crée pas de doublon.
+    // MODIFIÉ: ...mais seulement pour le même panier : si son contenu change, c'est un nouvel achat, avec une nouvelle clé.
+    const cartSignature = cart.map(item => item.productId).sort().join(',');
+    let checkoutKey = JSON.parse(sessionStorage.getItem('abmcyCheckoutKey') || 'null');
+    if (!checkoutKey || checkoutKey.cart !== cartSignature) {
+        checkoutKey = { cart: cartSignature, key: `${Date.now()}-${Math.random().toString(36).slice(2)}` };
+        sessionStorage.setItem('abmcyCheckoutKey', JSON.stringify(checkoutKey));
+    }
+    const idempotencyKey = checkoutKey.key;
     const purchasePayload = {
         action: 'acheterCours',
         data: {
-            userId: user.IDClient,
-            items: cart,
-            total: document.getElementById('checkout-total').textContent
-        }
+            items: cart.map(item => ({ productId: item.productId })),
+            cleIdempotence: idempotencyKey
+        },
+        token: getSessionToken()
     };
 
     // 3. Envoyer la demande d'achat à la nouvelle API
@@ -1406,10 +1931,27 @@ async function processCheckout(event) {
         const result = await response.json();
 
         if (result.success) {
-            showToast("Achat réussi ! Vous pouvez retrouver vos cours dans votre espace personnel.", false);
+            showToast(`Achat réussi (${result.data.total.toLocaleString('fr-FR')} F CFA) ! Vous pouvez retrouver vos cours dans votre espace personnel.`, false);
+            sessionStorage.removeItem('abmcyCheckoutKey');
             saveCart([]); // Vider le panier après la commande
             window.location.href = 'compte.html'; // Rediriger vers la page de compte
         } else {
+            if (handleSessionError(result)) return;
+            // NOUVEAU: Compte non vérifié : proposer de renvoyer l'e-mail d'activation
+            if (result.code === 'EMAIL_NON_VERIFIE') {
+                if (confirm(`${result.error}\n\nSouhaitez-vous recevoir un nouvel e-mail de vérification ?`)) {
+                    fetch(CONFIG.ACCOUNT_API_URL, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'text/plain' },
+                        body: JSON.stringify({ action: 'renvoyerVerification', data: { email: user.Email } })
+                    }).then(() => showToast("Un nouvel e-mail de vérification vous a été envoyé."));
+                }
+                submitButton.disabled = false;
+                submitButton.textContent = 'Payer';
+                return;
+            }
+            // NOUVEAU: Clé déjà utilisée pour un autre panier : le prochain envoi en générera une nouvelle
+            if (result.code === 'CLE_IDEMPOTENCE_REUTILISEE') sessionStorage.removeItem('abmcyCheckoutKey');
             // NOUVEAU: Envoyer une notification même si la commande réussit
             fetch(CONFIG.NOTIFICATION_API_URL, {
                 method: 'POST',
@@ -1632,65 +2174,211 @@ async function getCatalogAndRefreshInBackground() {
 }
 
 /**
- * Génère le HTML pour une carte de produit.
- * @param {object} product - L'objet produit.
- * @returns {string} Le HTML de la carte.
+ * NOUVEAU: Récupère le profil public d'un formateur (titre, bio, photo, cours, note, apprenants).
+ * @param {string} seniorId L'IDClient du formateur.
+ * @returns {Promise<object>} Les données du profil.
  */
-function renderProductCard(course) {
-  const price = course.Prix || 0;
-  const courseId = course.ID_Cours || course.IDProduit;
-  const courseName = course.Nom_Cours || course.Nom;
-  const instructorName = course.Formateur_Nom || '';
-  const coverImage = course.Image_Couverture || course.ImageURL || CONFIG.DEFAULT_PRODUCT_IMAGE;
-  const instructorImage = `https://ui-avatars.com/api/?name=${encodeURIComponent(instructorName)}&background=random&color=fff&size=32`;
-  const rating = parseFloat(course.Note_Moyenne) || 0;
-  const reviewsCount = parseInt(String(course.Avis).replace(/\D/g, '')) || 0;
+async function fetchSeniorProfile(seniorId) {
+    const response = await fetch(`${CONFIG.ACCOUNT_API_URL}?action=getSeniorProfile&id=${encodeURIComponent(seniorId)}`);
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error || "Profil du formateur indisponible.");
+    return result.data;
+}
 
-  // Fonction pour générer les étoiles
-  const renderStars = (rating) => {
-    let stars = '';
-    for (let i = 1; i <= 5; i++) {
-      if (i <= rating) {
-        stars += '<svg class="w-4 h-4 text-yellow-400" fill="currentColor" viewBox="0 0 20 20"><path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"></path></svg>';
-      } else {
-        stars += '<svg class="w-4 h-4 text-gray-300" fill="currentColor" viewBox="0 0 20 20"><path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"></path></svg>';
-      }
+/**
+ * NOUVEAU: Remplace les informations du formateur copiées dans la ligne du cours par celles de son profil.
+ * En cas d'échec, la carte garde les informations du cours.
+ * @param {string} seniorId L'IDClient du formateur.
+ */
+async function hydrateInstructorCard(seniorId) {
+    try {
+        const { profil } = await fetchSeniorProfile(seniorId);
+        const avatar = profil.imageUrl || `https://ui-avatars.com/api/?name=${encodeURIComponent(profil.nom)}&background=D4AF37&color=fff`;
+        document.getElementById('instructor-profile-container').innerHTML = `
+            <img src="${avatar}" alt="${profil.nom}" class="w-12 h-12 rounded-full object-cover">
+            <div>
+                <a href="formateur.html?id=${encodeURIComponent(profil.id)}" class="font-bold hover:underline">${profil.nom}</a>
+                <p class="text-sm text-gray-500">${profil.titre || ''}</p>
+            </div>
+        `;
+        if (profil.bio) document.getElementById('instructor-bio').textContent = profil.bio;
+    } catch (error) {
+        console.warn("Profil du formateur non chargé :", error.message);
     }
-    return stars;
-  };
-
-  return `
-  <a href="produit.html?id=${courseId}" class="product-card bg-white rounded-lg shadow-md overflow-hidden block group">
-      <div class="relative">
-          <div class="h-40 bg-gray-200">
-              <img src="${coverImage}" alt="${courseName}" class="h-full w-full object-cover" loading="lazy" onerror="this.onerror=null;this.src='${CONFIG.DEFAULT_PRODUCT_IMAGE}';">
-          </div>
-      </div>
-      <div class="p-4">
-          <h3 class="font-bold text-gray-800 text-md h-12 overflow-hidden">${courseName}</h3>
-          <div class="flex items-center mt-3">
-              <img src="${instructorImage}" alt="${instructorName}" class="w-6 h-6 rounded-full mr-2">
-              <p class="text-xs text-gray-600 truncate">${instructorName}</p>
-          </div>
-          <div class="flex items-center mt-2">
-              <span class="text-sm font-bold text-yellow-500 mr-1">${rating.toFixed(1)}</span>
-              <div class="flex items-center mr-2">${renderStars(rating)}</div>
-              <span class="text-xs text-gray-500">(${reviewsCount.toLocaleString('fr-FR')})</span>
-          </div>
-          <p class="font-extrabold text-lg mt-2 text-gray-900">${price.toLocaleString('fr-FR')} F CFA</p>
-      </div>
-  </a>
-  `;
 }
 
 /**
- * NOUVEAU: Copie le lien du produit dans le presse-papiers et affiche une notification.
- * @param {Event} event 
- * @param {string} productId 
+ * NOUVEAU: Remplit la page formateur.html à partir du paramètre `id` de l'URL.
  */
-async function shareProduct(event, productId) {
-    event.preventDefault();
-    event.stopPropagation();
+async function loadSeniorProfilePage() {
+    const header = document.getElementById('senior-profile-header');
+    const seniorId = new URLSearchParams(window.location.search).get('id');
+    if (!seniorId) {
+        header.innerHTML = '<p class="text-center w-full text-red-500">Aucun formateur sélectionné.</p>';
+        return;
+    }
+
+    try {
+        const { profil, cours, note, nombreAvis, apprenants } = await fetchSeniorProfile(seniorId);
+        document.title = `${profil.nom} - Junior Senior Gaps Killer`;
+        const avatar = profil.imageUrl || `https://ui-avatars.com/api/?name=${encodeURIComponent(profil.nom)}&background=D4AF37&color=fff&size=128`;
+
+        header.innerHTML = `
+            <img src="${avatar}" alt="${profil.nom}" class="w-28 h-28 rounded-full object-cover mx-auto md:mx-0">
+            <div class="text-center md:text-left">
+                <h1 class="text-3xl font-extrabold text-gray-800">${profil.nom}</h1>
+                <p class="text-lg text-gold font-semibold mt-1">${profil.titre || 'Formateur'}</p>
+                <p id="senior-profile-bio" class="text-gray-600 mt-4"></p>
+            </div>
+        `;
+        document.getElementById('senior-profile-bio').textContent = profil.bio || '';
+
+        const stats = [
+            { label: 'Note moyenne', value: note !== null ? `${note.toFixed(1)} / 5` : '—', detail: `${nombreAvis.toLocaleString('fr-FR')} avis` },
+            { label: 'Apprenants', value: apprenants !== null ? apprenants.toLocaleString('fr-FR') : '—', detail: 'inscrits à ses cours' },
+            { label: 'Cours publiés', value: cours.length, detail: profil.membreDepuis ? `Membre depuis ${new Date(profil.membreDepuis).toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' })}` : '' }
+        ];
+        document.getElementById('senior-profile-stats').innerHTML = stats.map(stat => `
+            <div class="bg-white p-6 rounded-lg shadow-md border text-center">
+                <p class="text-sm text-gray-500">${stat.label}</p>
+                <p class="text-3xl font-bold text-gray-800 mt-1">${stat.value}</p>
+                <p class="text-xs text-gray-400 mt-1">${stat.detail}</p>
+            </div>
+        `).join('');
+
+        const coursesContainer = document.getElementById('senior-profile-courses');
+        coursesContainer.innerHTML = cours.length > 0
+            ? cours.map(course => renderProductCard({ ...course, Formateur_Nom: profil.nom })).join('')
+            : '<p class="text-gray-500 col-span-full">Ce formateur n\'a pas encore publié de cours.</p>';
+    } catch (error) {
+        header.innerHTML = `<p class="text-center w-full text-red-500">${error.message}</p>`;
+    }
+}
+
+/**
+ * NOUVEAU: Initialise la page certificat.html : formulaire de vérification et affichage du certificat
+ * correspondant au paramètre `code` de l'URL.
+ */
+function initializeCertificatePage() {
+    document.getElementById('certificate-verify-form').addEventListener('submit', event => {
+        event.preventDefault();
+        const code = document.getElementById('certificate-code-input').value.trim().toUpperCase();
+        history.replaceState(null, '', `?code=${encodeURIComponent(code)}`);
+        loadCertificate(code);
+    });
+    document.getElementById('print-certificate-button').addEventListener('click', () => window.print());
+
+    const code = new URLSearchParams(window.location.search).get('code');
+    if (code) {
+        document.getElementById('certificate-code-input').value = code;
+        loadCertificate(code);
+    }
+}
+
+/**
+ * NOUVEAU: Vérifie un code auprès de l'API des cours et affiche le certificat s'il est authentique.
+ * @param {string} code Le code de vérification.
+ */
+async function loadCertificate(code) {
+    const status = document.getElementById('certificate-status');
+    const result = document.getElementById('certificate-result');
+    status.className = 'mt-4 text-sm text-gray-500';
+    status.textContent = 'Vérification en cours...';
+    result.classList.add('hidden');
+
+    try {
+        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=verifierCertificat&code=${encodeURIComponent(code)}`);
+        const verification = await response.json();
+        if (!verification.success) throw new Error(verification.error);
+        if (!verification.data.valide) {
+            status.className = 'mt-4 text-sm font-semibold text-red-600';
+            status.textContent = "Aucun certificat ne correspond à ce code. Ce document n'est pas authentique.";
+            return;
+        }
+
+        const certificate = verification.data.certificat;
+        status.className = 'mt-4 text-sm font-semibold text-green-700';
+        status.textContent = `Certificat authentique, délivré à ${certificate.nomApprenant}.`;
+        // textContent : ces champs viennent des données saisies par les utilisateurs
+        document.getElementById('certificate-learner').textContent = certificate.nomApprenant;
+        document.getElementById('certificate-course').textContent = certificate.nomCours;
+        document.getElementById('certificate-senior').textContent = certificate.formateur;
+        document.getElementById('certificate-date').textContent = new Date(certificate.dateEmission).toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' });
+        document.getElementById('certificate-code').textContent = certificate.code;
+        document.getElementById('certificate-verify-url').textContent = `${window.location.origin}${window.location.pathname}?code=${certificate.code}`;
+        document.title = `Certificat - ${certificate.nomCours}`;
+        result.classList.remove('hidden');
+    } catch (error) {
+        status.className = 'mt-4 text-sm font-semibold text-red-600';
+        status.textContent = `Erreur lors de la vérification : ${error.message}`;
+    }
+}
+
+/**
+ * Génère les étoiles d'une note sur 5.
+ * MODIFIÉ: Sortie de renderProductCard pour être réutilisée par les avis de la page cours.
+ * @param {number} rating La note.
+ * @returns {string} Le HTML des 5 étoiles.
+ */
+function renderStars(rating) {
+  let stars = '';
+  for (let i = 1; i <= 5; i++) {
+    if (i <= rating) {
+      stars += '<svg class="w-4 h-4 text-yellow-400" fill="currentColor" viewBox="0 0 20 20"><path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"></path></svg>';
+    } else {
+      stars += '<svg class="w-4 h-4 text-gray-300" fill="currentColor" viewBox="0 0 20 20"><path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"></path></svg>';
+    }
+  }
+  return stars;
+}
+
+/**
+ * Génère le HTML pour une carte de produit.
+ * @param {object} product - L'objet produit.
+ * @returns {string} Le HTML de la carte.
+ */
+function renderProductCard(course) {
+  const price = course.Prix || 0;
+  const courseId = course.ID_Cours || course.IDProduit;
+  const courseName = course.Nom_Cours || course.Nom;
+  const instructorName = course.Formateur_Nom || '';
+  const coverImage = course.Image_Couverture || course.ImageURL || CONFIG.DEFAULT_PRODUCT_IMAGE;
+  const instructorImage = `https://ui-avatars.com/api/?name=${encodeURIComponent(instructorName)}&background=random&color=fff&size=32`;
+  const rating = parseFloat(course.Note_Moyenne) || 0;
+  const reviewsCount = parseInt(String(course.Avis).replace(/\D/g, '')) || 0;
+
+  return `
+  <a href="produit.html?id=${courseId}" class="product-card bg-white rounded-lg shadow-md overflow-hidden block group">
+      <div class="relative">
+          <div class="h-40 bg-gray-200">
+              <img src="${coverImage}" alt="${courseName}" class="h-full w-full object-cover" loading="lazy" onerror="this.onerror=null;this.src='${CONFIG.DEFAULT_PRODUCT_IMAGE}';">
+          </div>
+      </div>
+      <div class="p-4">
+          <h3 class="font-bold text-gray-800 text-md h-12 overflow-hidden">${courseName}</h3>
+          <div class="flex items-center mt-3">
+              <img src="${instructorImage}" alt="${instructorName}" class="w-6 h-6 rounded-full mr-2">
+              <p class="text-xs text-gray-600 truncate">${instructorName}</p>
+          </div>
+          <div class="flex items-center mt-2">
+              <span class="text-sm font-bold text-yellow-500 mr-1">${rating.toFixed(1)}</span>
+              <div class="flex items-center mr-2">${renderStars(rating)}</div>
+              <span class="text-xs text-gray-500">(${reviewsCount.toLocaleString('fr-FR')})</span>
+          </div>
+          <p class="font-extrabold text-lg mt-2 text-gray-900">${price.toLocaleString('fr-FR')} F CFA</p>
+      </div>
+  </a>
+  `;
+}
+
+/**
+ * NOUVEAU: Copie le lien du produit dans le presse-papiers et affiche une notification.
+ * @param {Event} event 
+ * @param {string} productId 
+ */
+async function shareProduct(event, productId) {
+    event.preventDefault();
+    event.stopPropagation();
     const productUrl = `${window.location.origin}/produit.html?id=${productId}`;
     const course = (await getCatalogAndRefreshInBackground()).data.products.find(p => (p.ID_Cours || p.IDProduit) === productId);
     const shareData = {
@@ -1960,7 +2648,7 @@ function renderAllCategoriesSection(catalog) {
  */
 async function loadSeniorDashboard() {
     const user = JSON.parse(localStorage.getItem('abmcyUser'));
-    if (!user || user.Role !== 'Senior') return;
+    if (!user || !FORMATEUR_ROLES.includes(user.Role)) return;
 
     const stats = {
         revenue: document.getElementById('stats-revenue'),
@@ -1972,10 +2660,11 @@ async function loadSeniorDashboard() {
     Object.values(stats).forEach(el => { if(el) el.textContent = '...'; });
 
     try {
-        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getSeniorDashboardData&formateurNom=${encodeURIComponent(user.Nom)}`);
+        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getSeniorDashboardData&token=${encodeURIComponent(getSessionToken())}`);
         const result = await response.json();
 
         if (!result.success) {
+            if (handleSessionError(result)) return;
             throw new Error(result.error || "Impossible de charger les données.");
         }
 
@@ -1991,6 +2680,12 @@ async function loadSeniorDashboard() {
         if (stats.courses) {
             stats.courses.textContent = data.deployedCourses.toLocaleString('fr-FR');
         }
+        // NOUVEAU: Soldes de l'onglet "Revenus"
+        const balances = { 'balance-pending': 'enAttente', 'balance-available': 'disponible', 'balance-requested': 'demande', 'balance-paid': 'verse' };
+        Object.entries(balances).forEach(([elementId, key]) => {
+            const el = document.getElementById(elementId);
+            if (el) el.textContent = `${data.soldes[key].toLocaleString('fr-FR')} F`;
+        });
 
     } catch (error) {
         console.error("Erreur de chargement du dashboard senior:", error);
@@ -1998,31 +2693,245 @@ async function loadSeniorDashboard() {
     }
 }
 
+// NOUVEAU: Graphiques Chart.js du tableau de bord senior (détruits avant d'être redessinés)
+const analyticsCharts = {};
+
+/**
+ * NOUVEAU: Charge l'évolution des ventes sur la période choisie et les statistiques par cours, puis les affiche.
+ */
+async function loadSeniorAnalytics() {
+    const days = parseInt(document.getElementById('analytics-range').value, 10);
+    const granularity = document.getElementById('analytics-granularity').value;
+    const toIsoDate = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const end = new Date();
+    const start = new Date(end.getTime() - (days - 1) * 24 * 3600 * 1000);
+    const comparison = document.getElementById('analytics-comparison');
+
+    try {
+        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getSeniorAnalytics&debut=${toIsoDate(start)}&fin=${toIsoDate(end)}&granularite=${granularity}&token=${encodeURIComponent(getSessionToken())}`);
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error || "Impossible de charger les statistiques.");
+        }
+        const data = result.data;
+
+        // Comparaison avec la période précédente
+        const renderEvolution = (current, previous, evolution, unit) => `
+            <p class="text-2xl font-bold">${current.toLocaleString('fr-FR')}${unit}</p>
+            <p class="text-xs ${evolution === null ? 'text-gray-500' : (evolution >= 0 ? 'text-green-600' : 'text-red-600')}">
+                ${evolution === null ? 'Pas de données sur la période précédente' : `${evolution >= 0 ? '+' : ''}${evolution}% par rapport à la période précédente (${previous.toLocaleString('fr-FR')}${unit})`}
+            </p>`;
+        comparison.innerHTML = `
+            <div class="bg-gray-50 p-4 rounded-lg">
+                <p class="text-sm text-gray-600">Revenus sur la période</p>
+                ${renderEvolution(data.totaux.revenus, data.periodePrecedente.revenus, data.periodePrecedente.evolutionRevenus, ' F')}
+            </div>
+            <div class="bg-gray-50 p-4 rounded-lg">
+                <p class="text-sm text-gray-600">Inscriptions sur la période</p>
+                ${renderEvolution(data.totaux.inscriptions, data.periodePrecedente.inscriptions, data.periodePrecedente.evolutionInscriptions, '')}
+            </div>`;
+
+        // Revenus (barres) et inscriptions (courbe) par période
+        if (analyticsCharts.timeseries) analyticsCharts.timeseries.destroy();
+        analyticsCharts.timeseries = new Chart(document.getElementById('analytics-timeseries-chart'), {
+            data: {
+                labels: data.series.map(point => point.periode),
+                datasets: [
+                    { type: 'bar', label: 'Revenus (F CFA)', data: data.series.map(point => point.revenus), backgroundColor: '#FF7F00', yAxisID: 'revenus' },
+                    { type: 'line', label: 'Inscriptions', data: data.series.map(point => point.inscriptions), borderColor: '#1A233A', backgroundColor: '#1A233A', yAxisID: 'inscriptions' }
+                ]
+            },
+            options: {
+                scales: {
+                    revenus: { position: 'left', beginAtZero: true },
+                    inscriptions: { position: 'right', beginAtZero: true, ticks: { precision: 0 }, grid: { drawOnChartArea: false } }
+                }
+            }
+        });
+
+        // Cours les plus performants
+        document.getElementById('analytics-top-courses').innerHTML = data.topCours.length > 0
+            ? data.topCours.map((course, index) => `
+                <div class="flex justify-between items-center p-3 bg-gray-50 rounded-md">
+                    <span class="text-sm"><strong>${index + 1}.</strong> ${escapeHtml(course.Nom_Cours)}</span>
+                    <span class="text-sm font-semibold">${course.revenus.toLocaleString('fr-FR')} F · ${course.ventes} vente(s)</span>
+                </div>`).join('')
+            : '<p class="text-gray-500 text-sm">Aucune vente sur la période.</p>';
+
+        if (analyticsCharts.courses) analyticsCharts.courses.destroy();
+        analyticsCharts.courses = new Chart(document.getElementById('analytics-courses-chart'), {
+            type: 'bar',
+            data: {
+                labels: data.cours.map(course => course.Nom_Cours),
+                datasets: [
+                    { label: 'Achèvement (%)', data: data.cours.map(course => course.tauxAchevement), backgroundColor: '#16A34A' },
+                    { label: 'Score quiz moyen (%)', data: data.cours.map(course => course.scoreQuizMoyen), backgroundColor: '#2563EB' }
+                ]
+            },
+            options: { scales: { y: { beginAtZero: true, max: 100 } } }
+        });
+
+        const formatPercent = value => value === null ? '–' : `${value}%`;
+        document.getElementById('analytics-courses-table').innerHTML = data.cours.map(course => `
+            <tr class="border-b">
+                <td class="py-2">${escapeHtml(course.Nom_Cours)}</td>
+                <td class="py-2 text-right">${course.ventes}</td>
+                <td class="py-2 text-right">${course.revenus.toLocaleString('fr-FR')} F</td>
+                <td class="py-2 text-right">${formatPercent(course.tauxAchevement)}</td>
+                <td class="py-2 text-right">${formatPercent(course.scoreQuizMoyen)}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error("Erreur de chargement des statistiques senior:", error);
+        comparison.innerHTML = `<p class="text-red-500 text-sm">${error.message}</p>`;
+    }
+}
+
+/**
+ * NOUVEAU: Affiche l'historique des demandes de paiement.
+ * Utilisée par le tableau de bord senior (ses paiements) et par la page d'administration (tous, avec le bouton de versement).
+ * @param {string} [statut=''] Filtre de statut ('' pour tous).
+ */
+async function loadSeniorPayouts(statut = '') {
+    const container = document.getElementById('payouts-list');
+    if (!container) return;
+    const isAdminPage = !!document.getElementById('admin-page');
+    container.innerHTML = '<p class="text-gray-500 text-sm">Chargement des paiements...</p>';
+
+    try {
+        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getPaiements&statut=${encodeURIComponent(statut)}&token=${encodeURIComponent(getSessionToken())}`);
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error || "Impossible de charger les paiements.");
+        }
+
+        if (result.data.length === 0) {
+            container.innerHTML = '<p class="text-gray-500 text-sm">Aucun paiement.</p>';
+            return;
+        }
+
+        container.innerHTML = result.data.map(p => `
+            <div class="border rounded-lg p-4">
+                <div class="flex justify-between items-start gap-4">
+                    <div>
+                        <h4 class="font-bold">${Number(p.Montant).toLocaleString('fr-FR')} F CFA ${isAdminPage ? `<span class="text-sm font-normal text-gray-500">– ${escapeHtml(p.Formateur_Nom)}</span>` : ''}</h4>
+                        <p class="text-sm text-gray-700">${escapeHtml(p.Moyen)} : ${escapeHtml(p.Details_Paiement)}</p>
+                        <p class="text-xs text-gray-400">Demandé le ${new Date(p.Date_Demande).toLocaleDateString('fr-FR')}${p.Date_Paiement ? ` · versé le ${new Date(p.Date_Paiement).toLocaleDateString('fr-FR')} (réf. ${escapeHtml(p.Reference_Versement)})` : ''}</p>
+                    </div>
+                    <span class="text-xs font-semibold px-2 py-1 rounded-full ${p.Statut === 'Payé' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}">${p.Statut}</span>
+                </div>
+                ${isAdminPage && p.Statut === 'Demandé' ? `
+                    <button onclick="markPayoutPaid('${p.ID_Paiement}')" class="mt-4 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-semibold hover:bg-green-700">Marquer comme versé</button>` : ''}
+            </div>
+        `).join('');
+    } catch (error) {
+        container.innerHTML = `<p class="text-red-500 text-sm">${error.message}</p>`;
+    }
+}
+
+/**
+ * NOUVEAU: Demande le versement du solde disponible du senior.
+ * @param {Event} event L'événement de soumission du formulaire.
+ */
+async function handlePayoutRequest(event) {
+    event.preventDefault();
+    const submitButton = event.target.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        const response = await fetch(CONFIG.COURSE_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({
+                action: 'demanderPaiement',
+                data: {
+                    moyen: document.getElementById('payout-method').value,
+                    details: document.getElementById('payout-details').value
+                },
+                token: getSessionToken()
+            })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        showToast(result.message);
+        loadSeniorDashboard();
+        loadSeniorPayouts();
+    } catch (error) {
+        showToast(`Erreur : ${error.message}`, true);
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * NOUVEAU: Confirme le versement d'une demande de paiement (page d'administration).
+ * @param {string} paiementId L'ID du paiement.
+ */
+async function markPayoutPaid(paiementId) {
+    const reference = prompt("Référence de la transaction (Mobile Money ou virement) :");
+    if (!reference) return; // Annulé
+
+    try {
+        const response = await fetch(CONFIG.COURSE_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ action: 'marquerPaiementEffectue', data: { paiementId: paiementId, reference: reference }, token: getSessionToken() })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        showToast(result.message);
+        loadSeniorPayouts(document.getElementById('payouts-status-filter').value);
+    } catch (error) {
+        showToast(`Erreur : ${error.message}`, true);
+    }
+}
+
+// NOUVEAU: Cours du formateur affichés dans le tableau de bord, indexés par ID (voir openEditCourseModal)
+let seniorCourses = {};
+
 /**
  * NOUVEAU: Charge et affiche les cours créés par le senior.
  */
 async function loadSeniorCourses() {
     const user = JSON.parse(localStorage.getItem('abmcyUser'));
-    if (!user || user.Role !== 'Senior') return;
+    if (!user || !FORMATEUR_ROLES.includes(user.Role)) return;
 
     const container = document.getElementById('courses-list');
     container.innerHTML = '<p class="text-gray-500">Chargement de vos cours...</p>';
 
     try {
-        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getCoursesBySenior&formateurNom=${encodeURIComponent(user.Nom)}`);
+        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getCoursesBySenior&token=${encodeURIComponent(getSessionToken())}`);
         const result = await response.json();
 
         if (!result.success) {
+            if (handleSessionError(result)) return;
             throw new Error(result.error || "Impossible de charger la liste des cours.");
         }
 
         const courses = result.data;
+        seniorCourses = Object.fromEntries(courses.map(course => [course.ID_Cours, course]));
 
         if (courses.length === 0) {
             container.innerHTML = '<p class="text-gray-500">Vous n\'avez pas encore créé de cours.</p>';
             return;
         }
 
+        // NOUVEAU: Couleur du badge de statut
+        const statusClasses = {
+            'Brouillon': 'bg-gray-100 text-gray-800',
+            'En revue': 'bg-yellow-100 text-yellow-800',
+            'Publié': 'bg-green-100 text-green-800',
+            'Archivé': 'bg-red-100 text-red-800'
+        };
+
         container.innerHTML = `
             <div class="space-y-4">
                 ${courses.map(course => `
@@ -2030,13 +2939,21 @@ async function loadSeniorCourses() {
                         <div class="flex items-center gap-4">
                             <img src="${course.Image_Couverture || CONFIG.DEFAULT_PRODUCT_IMAGE}" alt="${course.Nom_Cours}" class="w-24 h-16 object-cover rounded-md flex-shrink-0">
                             <div>
-                                <h4 class="font-bold">${course.Nom_Cours}</h4>
+                                <h4 class="font-bold">${course.Nom_Cours} <span class="text-xs font-semibold px-2 py-1 rounded-full ${statusClasses[course.Statut] || ''}">${course.Statut}</span></h4>
                                 <p class="text-sm text-gray-500">${course.Niveau} - ${Number(course.Prix).toLocaleString('fr-FR')} F</p>
+                                ${course.Statut === 'Brouillon' && course.Commentaire_Revue ? `<p class="text-xs text-red-600 mt-1"><strong>Retour de la modération :</strong> ${escapeHtml(course.Commentaire_Revue)}</p>` : ''}
+                                ${(course.revisionsEnAttente || []).length > 0 ? `<p class="text-xs text-yellow-700 mt-1">${course.revisionsEnAttente.length} modification(s) en attente de modération</p>` : ''}
                             </div>
                         </div>
-                        <button onclick='openEditCourseModal(${JSON.stringify(course)})' class="text-sm font-semibold text-blue-600 hover:underline">
-                            Modifier
-                        </button>
+                        <div class="flex flex-col items-end gap-1">
+                            ${course.Statut !== 'Archivé' ? `
+                                <button onclick="openEditCourseModal('${course.ID_Cours}')" class="text-sm font-semibold text-blue-600 hover:underline">Modifier</button>
+                                <button onclick="openCourseStructureEditor('${course.ID_Cours}')" class="text-sm font-semibold text-blue-600 hover:underline">Contenu</button>
+                                <button onclick="archiveCourse('${course.ID_Cours}')" class="text-sm text-red-600 hover:underline">Archiver</button>
+                            ` : ''}
+                            <a href="produit.html?id=${encodeURIComponent(course.ID_Cours)}&apercu=${encodeURIComponent(course.IDCategorie)}" target="_blank" class="text-sm text-gray-600 hover:underline">Aperçu</a>
+                            ${course.Statut === 'Brouillon' ? `<button onclick="submitCourseForReview('${course.ID_Cours}', '${course.categorieUrl}')" class="text-sm font-semibold text-gold hover:underline">Soumettre à la revue</button>` : ''}
+                        </div>
                     </div>
                 `).join('')}
             </div>
@@ -2048,47 +2965,78 @@ async function loadSeniorCourses() {
     }
 }
 
+/**
+ * NOUVEAU: Soumet un brouillon à la modération avant sa publication.
+ * @param {string} courseId L'ID du cours.
+ * @param {string} categoryUrl L'URL du script de la catégorie du cours.
+ */
+async function submitCourseForReview(courseId, categoryUrl) {
+    if (!confirm("Soumettre ce cours à la revue ? Il sera publié après validation par l'équipe.")) return;
+    try {
+        const response = await fetch(categoryUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ action: 'soumettreCoursEnRevue', data: { courseId: courseId }, token: getSessionToken() })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        showToast(result.message);
+        loadSeniorCourses();
+    } catch (error) {
+        showToast(`Erreur : ${error.message}`, true);
+    }
+}
+
+// NOUVEAU: Questions chargées dans la boîte de réception du formateur, indexées par ID
+let seniorQuestions = {};
+
 /**
  * NOUVEAU: Charge les questions pour le formateur et les affiche.
  */
 async function loadSeniorQA() {
     const user = JSON.parse(localStorage.getItem('abmcyUser'));
-    if (!user || user.Role !== 'Senior') return;
+    if (!user || !FORMATEUR_ROLES.includes(user.Role)) return;
 
     const container = document.getElementById('qa-list');
     container.innerHTML = '<p class="text-gray-500">Chargement des questions...</p>';
 
     try {
-        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getQuestionsForSenior&formateurNom=${encodeURIComponent(user.Nom)}`);
+        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getQuestionsForSenior&token=${encodeURIComponent(getSessionToken())}`);
         const result = await response.json();
 
         if (!result.success) {
+            if (handleSessionError(result)) return;
             throw new Error(result.error || "Impossible de charger les questions.");
         }
 
         const questions = result.data;
+        seniorQuestions = Object.fromEntries(questions.map(q => [q.ID_Question, q]));
 
         if (questions.length === 0) {
             container.innerHTML = '<p class="text-gray-500">Vous n\'avez aucune question pour le moment. Excellent travail !</p>';
             return;
         }
 
+        // MODIFIÉ: Les textes saisis par les apprenants sont échappés
         container.innerHTML = questions.map(q => {
             const isAnswered = q.Statut === 'Répondue';
             return `
                 <div class="p-4 rounded-md ${isAnswered ? 'bg-green-50' : 'bg-blue-50'}">
-                    <p class="text-sm">"${q.Question_Texte}"</p>
+                    <p class="text-sm">"${escapeHtml(q.Question_Texte)}"</p>
                     <p class="text-xs text-gray-500 mt-1">
-                        Par <strong>${q.Nom_Apprenant}</strong> sur le cours <em>${q.Nom_Cours}</em>
-                        le ${new Date(q.Date_Question).toLocaleDateString('fr-FR')}
+                        Par <strong>${escapeHtml(q.Nom_Apprenant)}</strong> sur le cours <em>${escapeHtml(q.Nom_Cours)}</em>
+                        (${escapeHtml(q.Nom_Chapitre)}) le ${new Date(q.Date_Question).toLocaleDateString('fr-FR')}
                     </p>
                     ${isAnswered ? `
                         <div class="mt-3 pt-3 border-t border-green-200">
                             <p class="text-sm font-semibold text-green-800">Votre réponse :</p>
-                            <p class="text-sm text-gray-700 italic">"${q.Reponse_Texte}"</p>
+                            <p class="text-sm text-gray-700 italic">"${escapeHtml(q.Reponse_Texte)}"</p>
                         </div>
                     ` : `
-                        <button onclick="openReplyModal('${q.ID_Question}', \`${q.Question_Texte}\`, '${q.Nom_Apprenant} sur ${q.Nom_Cours}')" class="text-sm text-blue-600 font-semibold mt-2 hover:underline">
+                        <button onclick="openReplyModal('${q.ID_Question}')" class="text-sm text-blue-600 font-semibold mt-2 hover:underline">
                             Répondre
                         </button>
                     `}
@@ -2104,11 +3052,14 @@ async function loadSeniorQA() {
 
 /**
  * NOUVEAU: Ouvre la modale de réponse avec les bonnes informations.
+ * MODIFIÉ: La question est retrouvée par son ID parmi celles chargées par loadSeniorQA.
  */
-function openReplyModal(questionId, questionText, questionDetails) {
+function openReplyModal(questionId) {
+    const question = seniorQuestions[questionId];
+    if (!question) return;
     document.getElementById('modal-question-id').value = questionId;
-    document.getElementById('modal-question-text').textContent = questionText;
-    document.getElementById('modal-question-details').textContent = `De : ${questionDetails}`;
+    document.getElementById('modal-question-text').textContent = question.Question_Texte;
+    document.getElementById('modal-question-details').textContent = `De : ${question.Nom_Apprenant} sur ${question.Nom_Cours}`;
     document.getElementById('reply-modal').classList.remove('hidden');
 }
 
@@ -2125,20 +3076,22 @@ function closeReplyModal() {
  */
 async function handleReplySubmit(event) {
     event.preventDefault();
-    const user = JSON.parse(localStorage.getItem('abmcyUser'));
     const payload = {
         action: 'replyToQuestion',
         data: {
             questionId: document.getElementById('modal-question-id').value,
-            reponseTexte: document.getElementById('modal-reply-textarea').value,
-            formateurNom: user.Nom
-        }
+            reponseTexte: document.getElementById('modal-reply-textarea').value
+        },
+        token: getSessionToken()
     };
 
     try {
         const response = await fetch(CONFIG.COURSE_API_URL, { method: 'POST', body: JSON.stringify(payload) });
         const result = await response.json();
-        if (!result.success) throw new Error(result.error);
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
         showToast("Réponse envoyée avec succès !");
         closeReplyModal();
         loadSeniorQA(); // Recharger la liste pour voir la mise à jour
@@ -2149,72 +3102,445 @@ async function handleReplySubmit(event) {
 
 /**
  * NOUVEAU: Ouvre la modale de modification de cours et la pré-remplit.
+ * MODIFIÉ: Reçoit l'ID du cours (lu dans seniorCourses) plutôt que le cours sérialisé dans l'attribut onclick,
+ * qui cassait dès qu'un champ contenait une apostrophe.
+ * @param {string} courseId L'ID du cours.
  */
-function openEditCourseModal(course) {
+function openEditCourseModal(courseId) {
     const modal = document.getElementById('edit-course-modal');
-    if (!modal) return;
+    const course = seniorCourses[courseId];
+    if (!modal || !course) return;
 
     // Remplir le formulaire
     document.getElementById('edit-course-id').value = course.ID_Cours;
     document.getElementById('edit-course-name').value = course.Nom_Cours;
     document.getElementById('edit-course-summary').value = course.Résumé;
     document.getElementById('edit-course-price').value = course.Prix;
+    document.getElementById('edit-course-level').value = course.Niveau || 'Débutant';
+    document.getElementById('edit-course-duration').value = course.Durée_Totale || '';
+    document.getElementById('edit-course-video-intro').value = course.URL_Vidéo_Intro || '';
+    document.getElementById('edit-course-objectives').value = course.Objectifs || '';
+    document.getElementById('edit-course-prerequisites').value = course.Prérequis || '';
+    document.getElementById('edit-course-target-audience').value = course.Public_Cible || '';
 
     modal.classList.remove('hidden');
 }
 
 /**
- * NOUVEAU: Ferme la modale de modification de cours.
+ * NOUVEAU: Enregistre les modifications de la modale auprès du script de la catégorie du cours.
+ * MODIFIÉ: Un prix qui retirerait des parcours de la vente (code PARCOURS_IMPACTES) est renvoyé après confirmation.
+ * @param {Event} event
  */
-function closeEditCourseModal() {
-    const modal = document.getElementById('edit-course-modal');
-    if (modal) modal.classList.add('hidden');
+async function handleEditCourseSubmit(event) {
+    event.preventDefault();
+    const course = seniorCourses[document.getElementById('edit-course-id').value];
+    if (!course) return;
+    const submitButton = event.target.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    const data = {
+        courseId: course.ID_Cours,
+        nom: document.getElementById('edit-course-name').value,
+        resume: document.getElementById('edit-course-summary').value,
+        prix: parseFloat(document.getElementById('edit-course-price').value),
+        niveau: document.getElementById('edit-course-level').value,
+        duree: document.getElementById('edit-course-duration').value,
+        videoIntro: document.getElementById('edit-course-video-intro').value,
+        objectifs: document.getElementById('edit-course-objectives').value,
+        prerequis: document.getElementById('edit-course-prerequisites').value,
+        publicCible: document.getElementById('edit-course-target-audience').value
+    };
+    const sendUpdate = async payload => {
+        const response = await fetch(course.categorieUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ action: 'updateCourse', data: payload, token: getSessionToken() })
+        });
+        return response.json();
+    };
+
+    try {
+        let result = await sendUpdate(data);
+        if (!result.success && result.code === 'PARCOURS_IMPACTES') {
+            if (!confirm(result.error)) return;
+            result = await sendUpdate({ ...data, confirmerRetraitParcours: true });
+        }
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        showToast(result.message);
+        closeEditCourseModal();
+        loadSeniorCourses();
+    } catch (error) {
+        showToast(`Erreur: ${error.message}`, true);
+    } finally {
+        submitButton.disabled = false;
+    }
 }
 
 /**
- * Remplit le sélecteur de catégories dans la modale de création de cours.
+ * NOUVEAU: Archive un cours : il quitte le catalogue, mais ses apprenants y gardent accès.
+ * @param {string} courseId L'ID du cours.
  */
-async function populateCourseCategorySelect() {
-    const selectEl = document.getElementById('course-category-select');
-    if (!selectEl) return;
+async function archiveCourse(courseId) {
+    const course = seniorCourses[courseId];
+    if (!course) return;
+    if (!confirm(`Archiver "${course.Nom_Cours}" ? Il ne sera plus proposé à la vente, mais ses apprenants garderont leur accès.`)) return;
 
     try {
-        const catalog = await getCatalogAndRefreshInBackground();
-        const categories = (catalog.data.categories || []).filter(cat => cat.ScriptURL && !cat.ScriptURL.startsWith('REMPLIR_'));
-
-        if (categories.length > 0) {
-            selectEl.innerHTML = '<option value="">-- Choisissez une catégorie --</option>' + categories.map(cat => 
-                `<option value="${cat.IDCategorie}">${cat.NomCategorie}</option>`
-            ).join('');
-        } else {
-            selectEl.innerHTML = '<option value="">Aucune catégorie disponible</option>';
+        const response = await fetch(course.categorieUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ action: 'archiveCourse', data: { courseId: courseId }, token: getSessionToken() })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
         }
+        showToast(result.message);
+        loadSeniorCourses();
     } catch (error) {
-        console.error("Erreur de chargement des catégories:", error);
-        selectEl.innerHTML = '<option value="">Erreur de chargement</option>';
+        showToast(`Erreur: ${error.message}`, true);
     }
 }
 
 /**
- * Gère la soumission du formulaire de création de cours.
- * @param {Event} event 
+ * NOUVEAU: Ferme la modale de modification de cours.
  */
-async function handleAddCourseSubmit(event) {
-    event.preventDefault();
-    const form = event.target;
-    const submitButton = form.querySelector('button[type="submit"]');
-    submitButton.disabled = true;
-    submitButton.textContent = 'Création...';
+function closeEditCourseModal() {
+    const modal = document.getElementById('edit-course-modal');
+    if (modal) modal.classList.add('hidden');
+}
 
-    const categoryId = document.getElementById('course-category-select').value;
-    const user = JSON.parse(localStorage.getItem('abmcyUser'));
+// --- NOUVEAU: ÉDITEUR DU CONTENU D'UN COURS (MODULES, CHAPITRES, QUIZ) ---
+
+// Champs des formulaires de l'éditeur : `key` est le champ attendu par le script de catégorie, `column` la colonne lue dans la fiche
+const STRUCTURE_FIELDS = {
+    module: [
+        { key: 'nom', column: 'Nom_Module', label: 'Nom du module', required: true },
+        { key: 'description', column: 'Description_Module', label: 'Description', multiline: true },
+        { key: 'duree', column: 'Durée_Module', label: 'Durée (ex: 1h 30min)' },
+        { key: 'scoreQuizRequis', column: 'Score_Quiz_Requis', label: 'Score minimum aux quiz pour valider le module (%)', type: 'number' },
+        { key: 'chapitresRequis', column: 'Chapitres_Requis', label: 'Chapitres à terminer : "Tous" (par défaut), "Aucun" ou IDs séparés par ";"' }
+    ],
+    chapitre: [
+        { key: 'nom', column: 'Nom_Chapitre', label: 'Titre du chapitre', required: true },
+        { key: 'video', column: 'URL_Vidéo_Chapitre', label: 'URL de la vidéo (YouTube Embed)', type: 'url' },
+        { key: 'duree', column: 'Durée', label: 'Durée (ex: 25min)' },
+        { key: 'ressource', column: 'Ressource', label: 'Ressource (lien ou description)' }
+    ],
+    question: [
+        { key: 'question', column: 'Question', label: 'Question', required: true, multiline: true },
+        { key: 'reponse1', column: 'Réponse_1', label: 'Réponse 1', required: true },
+        { key: 'reponse2', column: 'Réponse_2', label: 'Réponse 2', required: true },
+        { key: 'reponse3', column: 'Réponse_3', label: 'Réponse 3' },
+        { key: 'reponse4', column: 'Réponse_4', label: 'Réponse 4' },
+        { key: 'bonneReponse', column: 'Bonne_Réponse', label: 'Bonne réponse (recopiez exactement l\'une des réponses)', required: true }
+    ]
+};
 
-    if (!categoryId) {
-        alert("Veuillez sélectionner une catégorie.");
-        submitButton.disabled = false;
-        submitButton.textContent = 'Créer le cours';
-        return;
-    }
+const STRUCTURE_LABELS = { module: 'Module', chapitre: 'Chapitre', quizChapitre: 'Question du chapitre', quizModule: 'Question du module' };
+
+// Cours ouvert dans l'éditeur et sa fiche complète (voir l'action getContenuEdition du script de catégorie)
+let courseStructure = { course: null, fiche: null };
+
+/**
+ * NOUVEAU: Ouvre l'éditeur de contenu d'un cours du formateur.
+ * @param {string} courseId L'ID du cours.
+ */
+async function openCourseStructureEditor(courseId) {
+    const course = seniorCourses[courseId];
+    if (!course) return;
+    courseStructure = { course: course, fiche: null };
+    document.getElementById('course-structure-title').textContent = `Contenu : ${course.Nom_Cours}`;
+    document.getElementById('course-structure-modal').classList.remove('hidden');
+    await loadCourseStructure();
+}
+
+/**
+ * NOUVEAU: Ferme l'éditeur de contenu et rafraîchit la liste des cours (nombre de modules et chapitres).
+ */
+function closeCourseStructureEditor() {
+    document.getElementById('course-structure-modal').classList.add('hidden');
+    loadSeniorCourses();
+}
+
+/**
+ * NOUVEAU: Recharge la fiche complète du cours ouvert dans l'éditeur.
+ */
+async function loadCourseStructure() {
+    const container = document.getElementById('course-structure-editor');
+    container.innerHTML = '<p class="text-gray-500">Chargement du contenu...</p>';
+    const { course } = courseStructure;
+
+    try {
+        const response = await fetch(`${course.categorieUrl}?action=getContenuEdition&courseId=${encodeURIComponent(course.ID_Cours)}&token=${encodeURIComponent(getSessionToken())}`);
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        courseStructure.fiche = result.data;
+        renderCourseStructure();
+    } catch (error) {
+        console.error("Erreur de chargement du contenu du cours:", error);
+        container.innerHTML = `<p class="text-red-500">Erreur : ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * NOUVEAU: Affiche les modules, chapitres et questions du cours ouvert, avec leurs actions.
+ */
+function renderCourseStructure() {
+    const container = document.getElementById('course-structure-editor');
+    const fiche = courseStructure.fiche;
+    const modules = fiche.modules || [];
+    const courseId = fiche.ID_Cours;
+
+    const moveButtons = (type, parentId, id, index, count) => `
+        <button onclick="moveStructureItem('${type}', '${parentId}', '${id}', -1)" class="text-gray-500 hover:text-black disabled:opacity-30" ${index === 0 ? 'disabled' : ''} title="Monter">▲</button>
+        <button onclick="moveStructureItem('${type}', '${parentId}', '${id}', 1)" class="text-gray-500 hover:text-black disabled:opacity-30" ${index === count - 1 ? 'disabled' : ''} title="Descendre">▼</button>`;
+    const itemButtons = (type, parentId, id) => `
+        <button onclick="openStructureItemForm('${type}', '${parentId}', '${id}')" class="text-blue-600 hover:underline">Modifier</button>
+        <button onclick="deleteStructureItem('${type}', '${id}')" class="text-red-600 hover:underline">Supprimer</button>`;
+    const questionsList = (type, parentId, questions) => `
+        <ul class="space-y-1 mt-2">
+            ${(questions || []).map(q => `
+                <li class="flex justify-between items-start gap-2 text-sm bg-gray-50 rounded p-2">
+                    <span>❓ ${escapeHtml(q.Question)} <span class="text-green-700">(${escapeHtml(q.Bonne_Réponse)})</span></span>
+                    <span class="flex gap-2 flex-shrink-0">${itemButtons(type, parentId, q.ID_Question)}</span>
+                </li>
+            `).join('')}
+        </ul>
+        <button onclick="openStructureItemForm('${type}', '${parentId}')" class="text-xs font-semibold text-gold hover:underline mt-1">+ Ajouter une question</button>`;
+
+    container.innerHTML = `
+        ${fiche.Statut === 'Publié' ? '<p class="text-sm bg-yellow-50 border border-yellow-200 rounded-md p-3 mb-4">Ce cours est publié : vos modifications seront appliquées après validation par l\'équipe de modération, et le contenu ne peut plus être supprimé.</p>' : ''}
+        ${renderCourseRevisions(fiche.revisionsEnAttente || [])}
+        ${modules.length === 0 ? '<p class="text-gray-500 mb-4">Ce cours n\'a pas encore de module.</p>' : ''}
+        <div class="space-y-4">
+            ${modules.map((module, moduleIndex) => `
+                <div class="border rounded-lg p-4">
+                    <div class="flex justify-between items-start gap-4">
+                        <div>
+                            <h4 class="font-bold">Module ${moduleIndex + 1} : ${escapeHtml(module.Nom_Module)}</h4>
+                            <p class="text-sm text-gray-500">${escapeHtml(module.Description_Module || '')} ${module.Durée_Module ? `· ${escapeHtml(module.Durée_Module)}` : ''}</p>
+                        </div>
+                        <div class="flex gap-2 text-sm flex-shrink-0">
+                            ${moveButtons('module', courseId, module.ID_Module, moduleIndex, modules.length)}
+                            ${itemButtons('module', courseId, module.ID_Module)}
+                        </div>
+                    </div>
+                    <ul class="mt-3 space-y-2 pl-4 border-l">
+                        ${(module.chapitres || []).map((chap, chapIndex) => `
+                            <li>
+                                <div class="flex justify-between items-start gap-4 text-sm">
+                                    <span><strong>${chapIndex + 1}.</strong> ${escapeHtml(chap.Nom_Chapitre)} <span class="text-gray-500">${escapeHtml(chap.Durée || '')} · ${chap.ID_Chapitre}</span></span>
+                                    <span class="flex gap-2 flex-shrink-0">
+                                        ${moveButtons('chapitre', module.ID_Module, chap.ID_Chapitre, chapIndex, module.chapitres.length)}
+                                        ${itemButtons('chapitre', module.ID_Module, chap.ID_Chapitre)}
+                                    </span>
+                                </div>
+                                <div class="pl-4">${questionsList('quizChapitre', chap.ID_Chapitre, chap.quiz)}</div>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <button onclick="openStructureItemForm('chapitre', '${module.ID_Module}')" class="text-sm font-semibold text-gold hover:underline mt-3">+ Ajouter un chapitre</button>
+                    <div class="mt-3 pt-3 border-t">
+                        <p class="text-sm font-semibold">Quiz de fin de module</p>
+                        ${questionsList('quizModule', module.ID_Module, module.quiz)}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+        <button onclick="openStructureItemForm('module', '${courseId}')" class="mt-4 bg-gold text-white font-semibold py-2 px-4 rounded-lg hover:bg-orange-600 transition">+ Ajouter un module</button>
+    `;
+}
+
+/**
+ * NOUVEAU: Retrouve un élément dans la fiche du cours ouvert.
+ * @param {string} type 'module', 'chapitre', 'quizChapitre' ou 'quizModule'.
+ * @param {string} id L'ID de l'élément.
+ * @returns {object|undefined}
+ */
+function findStructureItem(type, id) {
+    const modules = courseStructure.fiche.modules || [];
+    const chapitres = modules.flatMap(module => module.chapitres || []);
+    switch (type) {
+        case 'module': return modules.find(module => module.ID_Module === id);
+        case 'chapitre': return chapitres.find(chap => chap.ID_Chapitre === id);
+        case 'quizChapitre': return chapitres.flatMap(chap => chap.quiz || []).find(q => q.ID_Question === id);
+        case 'quizModule': return modules.flatMap(module => module.quiz || []).find(q => q.ID_Question === id);
+    }
+}
+
+/**
+ * NOUVEAU: Ouvre le formulaire d'ajout (sans `id`) ou de modification d'un élément.
+ * @param {string} type Le type d'élément.
+ * @param {string} parentId Le cours, le module ou le chapitre de rattachement.
+ * @param {string} [id] L'ID de l'élément à modifier.
+ */
+function openStructureItemForm(type, parentId, id) {
+    const item = id ? findStructureItem(type, id) || {} : {};
+    const form = document.getElementById('structure-item-form');
+    form.dataset.type = type;
+    form.dataset.parentId = parentId;
+    form.dataset.itemId = id || '';
+
+    document.getElementById('structure-item-title').textContent = `${id ? 'Modifier' : 'Ajouter'} : ${STRUCTURE_LABELS[type]}`;
+    document.getElementById('structure-item-fields').innerHTML = (STRUCTURE_FIELDS[type] || STRUCTURE_FIELDS.question).map(field => {
+        const value = escapeHtml(item[field.column] !== undefined && item[field.column] !== null ? String(item[field.column]) : '');
+        const input = field.multiline
+            ? `<textarea id="structure-field-${field.key}" rows="2" class="mt-1 block w-full p-2 border rounded-md" ${field.required ? 'required' : ''}>${value}</textarea>`
+            : `<input type="${field.type || 'text'}" id="structure-field-${field.key}" value="${value}" class="mt-1 block w-full p-2 border rounded-md" ${field.type === 'number' ? 'min="0" max="100"' : ''} ${field.required ? 'required' : ''}>`;
+        return `<div><label for="structure-field-${field.key}" class="block text-sm font-medium text-gray-700">${field.label}</label>${input}</div>`;
+    }).join('');
+
+    document.getElementById('structure-item-modal').classList.remove('hidden');
+}
+
+/**
+ * NOUVEAU: Ferme le formulaire d'élément de l'éditeur.
+ */
+function closeStructureItemForm() {
+    document.getElementById('structure-item-modal').classList.add('hidden');
+}
+
+/**
+ * NOUVEAU: Enregistre l'élément du formulaire (ajout ou modification).
+ * @param {Event} event
+ */
+async function handleStructureItemSubmit(event) {
+    event.preventDefault();
+    const { type, parentId, itemId } = event.target.dataset;
+    const submitButton = event.target.querySelector('button[type="submit"]');
+    const champs = {};
+    (STRUCTURE_FIELDS[type] || STRUCTURE_FIELDS.question).forEach(field => {
+        champs[field.key] = document.getElementById(`structure-field-${field.key}`).value;
+    });
+
+    submitButton.disabled = true;
+    const result = itemId
+        ? await postCourseStructureAction('modifierElementCours', { type: type, id: itemId, champs: champs })
+        : await postCourseStructureAction('ajouterElementCours', { type: type, parentId: parentId, champs: champs });
+    submitButton.disabled = false;
+    if (!result) return;
+
+    closeStructureItemForm();
+    // MODIFIÉ: Sur un cours publié, la modification attend la modération (message du serveur)
+    showToast(result.data.enAttente ? result.message : itemId ? 'Modifications enregistrées.' : `${STRUCTURE_LABELS[type]} ajouté(e).`);
+    loadCourseStructure();
+}
+
+/**
+ * NOUVEAU: Supprime un élément (et son contenu) après confirmation.
+ * @param {string} type Le type d'élément.
+ * @param {string} id L'ID de l'élément.
+ */
+async function deleteStructureItem(type, id) {
+    const warning = type === 'module' ? ' Ses chapitres et ses quiz seront aussi supprimés.' : type === 'chapitre' ? ' Ses questions seront aussi supprimées.' : '';
+    if (!confirm(`Supprimer cet élément ?${warning}`)) return;
+    if (await postCourseStructureAction('supprimerElementCours', { type: type, id: id })) {
+        showToast('Élément supprimé.');
+        loadCourseStructure();
+    }
+}
+
+/**
+ * NOUVEAU: Monte ou descend un module (dans le cours) ou un chapitre (dans son module).
+ * @param {string} type 'module' ou 'chapitre'.
+ * @param {string} parentId L'ID du cours ou du module.
+ * @param {string} id L'ID de l'élément à déplacer.
+ * @param {number} direction -1 pour monter, 1 pour descendre.
+ */
+async function moveStructureItem(type, parentId, id, direction) {
+    const siblings = type === 'module'
+        ? courseStructure.fiche.modules
+        : (courseStructure.fiche.modules.find(module => module.ID_Module === parentId) || {}).chapitres || [];
+    const ids = siblings.map(item => type === 'module' ? item.ID_Module : item.ID_Chapitre);
+    const index = ids.indexOf(id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= ids.length) return;
+
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    const result = await postCourseStructureAction('reordonnerElementsCours', { type: type, parentId: parentId, ordre: ids });
+    if (result) {
+        if (result.data.enAttente) showToast(result.message);
+        loadCourseStructure();
+    }
+}
+
+/**
+ * NOUVEAU: Envoie une action de l'éditeur au script de la catégorie du cours ouvert.
+ * @param {string} action L'action POST (ex: 'ajouterElementCours').
+ * @param {object} data Les données de l'action.
+ * @returns {Promise<object|null>} La réponse, ou null en cas d'erreur (déjà signalée à l'utilisateur).
+ */
+async function postCourseStructureAction(action, data) {
+    try {
+        const response = await fetch(courseStructure.course.categorieUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ action: action, data: data, token: getSessionToken() })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return null;
+            throw new Error(result.error);
+        }
+        return result;
+    } catch (error) {
+        showToast(`Erreur: ${error.message}`, true);
+        return null;
+    }
+}
+
+/**
+ * Remplit le sélecteur de catégories dans la modale de création de cours.
+ */
+async function populateCourseCategorySelect() {
+    const selectEl = document.getElementById('course-category-select');
+    if (!selectEl) return;
+
+    try {
+        const catalog = await getCatalogAndRefreshInBackground();
+        const categories = (catalog.data.categories || []).filter(cat => cat.ScriptURL && !cat.ScriptURL.startsWith('REMPLIR_'));
+
+        if (categories.length > 0) {
+            selectEl.innerHTML = '<option value="">-- Choisissez une catégorie --</option>' + categories.map(cat => 
+                `<option value="${cat.IDCategorie}">${cat.NomCategorie}</option>`
+            ).join('');
+        } else {
+            selectEl.innerHTML = '<option value="">Aucune catégorie disponible</option>';
+        }
+    } catch (error) {
+        console.error("Erreur de chargement des catégories:", error);
+        selectEl.innerHTML = '<option value="">Erreur de chargement</option>';
+    }
+}
+
+/**
+ * Gère la soumission du formulaire de création de cours.
+ * @param {Event} event 
+ */
+async function handleAddCourseSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    submitButton.textContent = 'Création...';
+
+    const categoryId = document.getElementById('course-category-select').value;
+    const user = JSON.parse(localStorage.getItem('abmcyUser'));
+
+    if (!categoryId) {
+        alert("Veuillez sélectionner une catégorie.");
+        submitButton.disabled = false;
+        submitButton.textContent = 'Créer le cours';
+        return;
+    }
 
     // NOUVEAU: Uploader l'image de couverture avant de créer le cours
     const coverImageFile = document.getElementById('course-cover-input').files[0];
@@ -2252,11 +3578,11 @@ async function handleAddCourseSubmit(event) {
                 objectifs: document.getElementById('course-objectives-input').value,
                 prerequis: document.getElementById('course-prerequisites-input').value,
                 publicCible: document.getElementById('course-target-audience-input').value,
-                formateurNom: user.Nom,
                 formateurTitre: user.Titre || 'Formateur Expert',
                 formateurBio: user.Bio || 'Biographie à compléter.',
                 imageCouverture: coverImageUrl // Utiliser l'URL de l'image téléversée
-            }
+            },
+            token: getSessionToken()
         };
 
         // 3. Envoyer la requête de création de cours
@@ -2280,7 +3606,8 @@ async function handleAddCourseSubmit(event) {
                         userId: 'ADMIN', // ID spécial pour les notifications système
                         type: 'Nouveau Cours',
                         message: `Le formateur ${user.Nom} a soumis un nouveau cours : "${payload.data.nom}".`
-                    }
+                    },
+                    token: getSessionToken()
                 })
             });
 
@@ -2288,6 +3615,7 @@ async function handleAddCourseSubmit(event) {
             form.reset();
             // Ici, on pourrait rafraîchir la liste des cours du dashboard
         } else {
+            if (handleSessionError(result)) return;
             throw new Error(result.error || "Une erreur est survenue.");
         }
     } catch (error) {
@@ -2299,6 +3627,53 @@ async function handleAddCourseSubmit(event) {
 }
 // --- LOGIQUE D'AUTHENTIFICATION ---
 
+/**
+ * NOUVEAU: Retourne le jeton de session signé de l'utilisateur connecté.
+ * Ce jeton est émis par connecterClient et doit accompagner chaque appel authentifié.
+ * @returns {string|null} Le jeton, ou null si l'utilisateur n'est pas connecté.
+ */
+function getSessionToken() {
+    return localStorage.getItem('abmcyToken');
+}
+
+/**
+ * NOUVEAU: Retourne l'identifiant anonyme de cet appareil (créé à la première visite).
+ * Il permet au serveur de limiter les tentatives de connexion par appareil.
+ * @returns {string}
+ */
+function getClientId() {
+    let clientId = localStorage.getItem('abmcyClientId');
+    if (!clientId) {
+        clientId = (window.crypto && crypto.randomUUID) ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        localStorage.setItem('abmcyClientId', clientId);
+    }
+    return clientId;
+}
+
+/**
+ * NOUVEAU: Efface la session locale (utilisateur et jeton).
+ */
+function clearSession() {
+    localStorage.removeItem('abmcyUser');
+    localStorage.removeItem('abmcyToken');
+}
+
+/**
+ * NOUVEAU: Si une réponse d'API signale une session absente, invalide ou expirée,
+ * efface la session locale et redirige vers la page de connexion.
+ * @param {object} result La réponse JSON de l'API.
+ * @returns {boolean} true si la session a été invalidée.
+ */
+function handleSessionError(result) {
+    const SESSION_ERROR_CODES = ['TOKEN_MANQUANT', 'TOKEN_INVALIDE', 'TOKEN_EXPIRE'];
+    if (!result || !SESSION_ERROR_CODES.includes(result.code)) return false;
+
+    clearSession();
+    showToast(result.error || "Votre session a expiré. Veuillez vous reconnecter.", true);
+    setTimeout(() => { window.location.href = 'authentification.html'; }, 1500);
+    return true;
+}
+
 /**
  * NOUVEAU: Enregistre un événement dans le localStorage pour le débogage sur la page log.html.
  * @param {string} type Le type d'événement (ex: 'FETCH_SUCCESS', 'FETCH_ERROR').
@@ -2359,15 +3734,9 @@ async function handleAuthForm(event, type, roleOverride = null) {
         // Récupérer l'indicatif et le numéro pour les combiner
         const indicatif = form.querySelector('#register-indicatif').value;
         const numero = form.querySelector('#register-telephone').value;
-        
-        // Déterminer le rôle : soit depuis le sélecteur, soit si on est sur la page senior
-        let role = 'Client';
-        if (form.querySelector('#register-role')) {
-            role = form.querySelector('#register-role').value;
-        } else if (window.location.pathname.includes('senior-auth.html')) {
-            role = 'Senior';
-        }
 
+        // MODIFIÉ: Le rôle n'est plus envoyé : le serveur crée toujours un compte "Client".
+        // Pour devenir formateur, il faut postuler depuis senior-auth.html.
         payload = {
             action: 'creerCompteClient',
             data: {
@@ -2375,8 +3744,7 @@ async function handleAuthForm(event, type, roleOverride = null) {
                 email: form.querySelector('#register-email').value,
                 motDePasse: password,
                 telephone: `${indicatif}${numero}`, // NOUVEAU: Numéro complet
-                adresse: '',
-                role: role
+                adresse: ''
             }
         };
     } else { // type === 'login'
@@ -2384,7 +3752,8 @@ async function handleAuthForm(event, type, roleOverride = null) {
             action: 'connecterClient',
             data: {
                 email: form.querySelector('#login-email').value,
-                motDePasse: form.querySelector('#login-password').value
+                motDePasse: form.querySelector('#login-password').value,
+                clientId: getClientId() // NOUVEAU: Limitation des tentatives par appareil
             }
         };
     }
@@ -2417,15 +3786,23 @@ async function handleAuthForm(event, type, roleOverride = null) {
             });
 
             if (type === 'register') {
-                statusDiv.textContent = 'Inscription réussie ! Vous pouvez maintenant vous connecter.';
+                // NOUVEAU: Le compte doit être activé via le lien envoyé par e-mail
+                statusDiv.textContent = result.message || 'Inscription réussie ! Vérifiez votre e-mail pour activer votre compte.';
                 statusDiv.classList.add('text-green-600');
-                setTimeout(() => switchTab('login'), 1500); // Basculer vers l'onglet de connexion
+                setTimeout(() => {
+                    switchTab('login');
+                    statusDiv.textContent = result.message || '';
+                    statusDiv.classList.add('text-green-600');
+                }, 1500); // Basculer vers l'onglet de connexion en gardant le message visible
             } else { // type === 'login'
                 statusDiv.textContent = 'Connexion réussie ! Redirection...';
                 statusDiv.classList.add('text-green-600');
                 localStorage.setItem('abmcyUser', JSON.stringify(result.user));
+                localStorage.setItem('abmcyToken', result.token); // NOUVEAU: Jeton de session signé
                 // NOUVEAU: Rediriger en fonction du rôle
-                if (result.user.Role === 'Senior') {
+                if (result.user.Role === 'Admin') {
+                    window.location.href = 'admin.html';
+                } else if (result.user.Role === 'Senior') {
                     window.location.href = 'senior-dashboard.html';
                 } else {
                     window.location.href = 'compte.html';
@@ -2438,7 +3815,9 @@ async function handleAuthForm(event, type, roleOverride = null) {
                 error: result.error,
                 payload: payload
             });
-            throw new Error(result.error || 'Une erreur est survenue.');
+            const apiError = new Error(result.error || 'Une erreur est survenue.');
+            apiError.code = result.code; // NOUVEAU: Conserver le code (ex: EMAIL_NON_VERIFIE)
+            throw apiError;
         }
     } catch (error) {
         logAppEvent('FETCH_ERROR', {
@@ -2448,8 +3827,13 @@ async function handleAuthForm(event, type, roleOverride = null) {
             payload: payload
         });
         let errorMessage = `Erreur: ${error.message}`;
-        // NOUVEAU: Si l'erreur vient de la connexion, on suggère de s'inscrire.
-        if (type === 'login') {
+        // NOUVEAU: Compte non vérifié : proposer de renvoyer l'e-mail de vérification.
+        if (error.code === 'EMAIL_NON_VERIFIE') {
+            errorMessage += ` <br><a href="#" onclick="resendVerificationEmail(document.getElementById('login-email').value); return false;" class="text-blue-600 hover:underline">Renvoyer l'e-mail de vérification</a>`;
+        } else if (error.code === 'COMPTE_VERROUILLE') {
+            // NOUVEAU: Verrouillage temporaire après trop d'échecs : pas de suggestion d'inscription.
+            errorMessage += ` <br><a href="#" onclick="switchTab('forgot'); return false;" class="text-blue-600 hover:underline">Mot de passe oublié ?</a>`;
+        } else if (type === 'login') { // Si l'erreur vient de la connexion, on suggère de s'inscrire.
             errorMessage += ` <br><a href="#" onclick="switchTab('register'); return false;" class="text-blue-600 hover:underline">Pas de compte ? Créez-en un.</a>`;
         }
         statusDiv.innerHTML = errorMessage; // Utiliser innerHTML pour que le lien soit cliquable
@@ -2461,7 +3845,7 @@ async function handleAuthForm(event, type, roleOverride = null) {
 
 /**
  * Gère le changement d'onglet entre Connexion et Inscription.
- * @param {string} tabName 'login' ou 'register'.
+ * @param {string} tabName 'login', 'register', 'forgot' (mot de passe oublié) ou 'reset' (nouveau mot de passe).
  */
 function switchTab(tabName) {
     const loginTab = document.getElementById('login-tab');
@@ -2476,94 +3860,929 @@ function switchTab(tabName) {
 
     loginForm.classList.toggle('hidden', tabName !== 'login');
     registerForm.classList.toggle('hidden', tabName !== 'register');
+    // NOUVEAU: Formulaires de réinitialisation du mot de passe
+    document.getElementById('forgot-form')?.classList.toggle('hidden', tabName !== 'forgot');
+    document.getElementById('reset-form')?.classList.toggle('hidden', tabName !== 'reset');
 
     document.getElementById('auth-status').textContent = ''; // Clear status messages
 }
 
-// --- LOGIQUE DE LA PAGE COMPTE ---
-
 /**
- * Initialise la page "Mon Compte".
- * Vérifie si l'utilisateur est connecté, sinon le redirige.
- * Affiche les informations de l'utilisateur.
+ * NOUVEAU: Demande un nouvel e-mail de vérification pour un compte non activé.
+ * @param {string} email L'e-mail du compte.
  */
-function initializeAccountPage() {
-    const user = JSON.parse(localStorage.getItem('abmcyUser'));
-
-    // Si l'utilisateur n'est pas connecté, on le renvoie à la page d'authentification
-    if (!user) {
-        window.location.href = 'authentification.html';
-        return;
+async function resendVerificationEmail(email) {
+    const statusDiv = document.getElementById('auth-status');
+    statusDiv.className = 'mt-4 text-center font-semibold';
+    statusDiv.textContent = 'Veuillez patienter...';
+    try {
+        const response = await fetch(CONFIG.ACCOUNT_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ action: 'renvoyerVerification', data: { email: email } })
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error || 'Une erreur est survenue.');
+        statusDiv.textContent = result.message;
+        statusDiv.classList.add('text-green-600');
+    } catch (error) {
+        statusDiv.textContent = `Erreur: ${error.message}`;
+        statusDiv.classList.add('text-red-600');
     }
+}
 
-    // Afficher les informations de l'utilisateur
-    document.getElementById('user-name-display').textContent = user.Nom;
-    document.getElementById('user-email-display').textContent = user.Email;
-    document.getElementById('dashboard-user-name').textContent = user.Nom;
-    document.getElementById('dashboard-user-name-link').textContent = user.Nom;
+/**
+ * NOUVEAU: Active le compte à partir du jeton présent dans l'URL (?verification=...).
+ */
+async function verifyEmailFromLink() {
+    const statusDiv = document.getElementById('auth-status');
+    statusDiv.className = 'mt-4 text-center font-semibold';
+    statusDiv.textContent = 'Vérification de votre adresse e-mail...';
+    try {
+        const response = await fetch(CONFIG.ACCOUNT_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({
+                action: 'verifierEmail',
+                data: { jeton: new URLSearchParams(window.location.search).get('verification') }
+            })
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error || 'Une erreur est survenue.');
+        statusDiv.textContent = result.message;
+        statusDiv.classList.add('text-green-600');
+    } catch (error) {
+        statusDiv.textContent = `Erreur: ${error.message}`;
+        statusDiv.classList.add('text-red-600');
+    } finally {
+        // Retirer le jeton de l'URL pour éviter une seconde tentative au rechargement
+        window.history.replaceState({}, '', window.location.pathname);
+    }
+}
 
-    // Initiales pour l'avatar
-    const initials = user.Nom.split(' ').map(n => n[0]).join('').substring(0, 2).toUpperCase();
-    document.getElementById('user-initials').textContent = initials;
+/**
+ * NOUVEAU: Confirme la nouvelle adresse e-mail à partir du jeton présent dans l'URL (?changementEmail=...).
+ */
+async function confirmEmailChangeFromLink() {
+    const statusDiv = document.getElementById('auth-status');
+    statusDiv.className = 'mt-4 text-center font-semibold';
+    statusDiv.textContent = 'Confirmation de votre nouvelle adresse e-mail...';
+    try {
+        const response = await fetch(CONFIG.ACCOUNT_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({
+                action: 'confirmerChangementEmail',
+                data: { jeton: new URLSearchParams(window.location.search).get('changementEmail') }
+            })
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error || 'Une erreur est survenue.');
 
-    // Logique de déconnexion
-    const logoutNav = document.getElementById('logout-nav-link');
-    
-    const logoutAction = (e) => {
-        e.preventDefault();
-        if (confirm("Êtes-vous sûr de vouloir vous déconnecter ?")) {
-            localStorage.removeItem('abmcyUser');
-            window.location.href = 'authentification.html';
+        // Mettre à jour la copie locale si l'utilisateur est connecté sur cet appareil
+        const user = JSON.parse(localStorage.getItem('abmcyUser'));
+        if (user) {
+            user.Email = result.email;
+            localStorage.setItem('abmcyUser', JSON.stringify(user));
         }
-    };
-
-    logoutNav.addEventListener('click', logoutAction);
-
-    // NOUVEAU: Ajouter le lien "Catalogue" au menu du dashboard
-    const dashboardNav = document.querySelector('.account-nav ul');
-    if (dashboardNav) {
-        const catalogLink = document.createElement('li');
-        catalogLink.innerHTML = `<a href="promotions.html" class="account-tab flex items-center p-3 text-gray-600 hover:bg-gray-100 rounded-lg"><svg class="w-6 h-6 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h8m-8 6h16"></path></svg>Catalogue</a>`;
-        dashboardNav.appendChild(catalogLink);
+        statusDiv.textContent = result.message;
+        statusDiv.classList.add('text-green-600');
+    } catch (error) {
+        statusDiv.textContent = `Erreur: ${error.message}`;
+        statusDiv.classList.add('text-red-600');
+    } finally {
+        window.history.replaceState({}, '', window.location.pathname);
     }
-
-    // NOUVEAU: Gérer les onglets et charger les cours
-    switchAccountTab('dashboard'); // Afficher l'onglet "Tableau de bord" par défaut
-    loadMyCourses(user.IDClient);
-    loadUserActivityLog(user.IDClient);
-    // La fonction pour charger les notifications sera appelée par initializeNotificationPage si besoin
-    initializeNotificationPage();
 }
 
 /**
- * NOUVEAU: Gère l'affichage des onglets dans l'espace compte.
- * @param {string} tabId L'ID de l'onglet à afficher ('courses', 'notifications', 'profile').
+ * NOUVEAU: Envoie une demande de lien de réinitialisation du mot de passe.
+ * @param {Event} event L'événement de soumission du formulaire.
  */
-function switchAccountTab(tabId) {
-    // Cacher tous les contenus
-    document.querySelectorAll('.account-content').forEach(el => el.classList.add('hidden'));
-    // Retirer le style actif de tous les onglets
-    document.querySelectorAll('.account-tab').forEach(el => el.classList.remove('active'));
+async function handleForgotPasswordForm(event) {
+    event.preventDefault();
+    const form = event.target;
+    const statusDiv = document.getElementById('auth-status');
+    statusDiv.className = 'mt-4 text-center font-semibold';
+    statusDiv.textContent = 'Veuillez patienter...';
 
-    // Afficher le contenu et activer l'onglet sélectionné
-    document.getElementById(`content-${tabId}`).classList.remove('hidden');
-    document.getElementById(`tab-${tabId}`).classList.add('active');
+    try {
+        form.querySelector('button[type="submit"]').disabled = true;
+        const response = await fetch(CONFIG.ACCOUNT_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({
+                action: 'demanderReinitialisation',
+                data: { email: form.querySelector('#forgot-email').value }
+            })
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error || 'Une erreur est survenue.');
+
+        statusDiv.textContent = result.message;
+        statusDiv.classList.add('text-green-600');
+        form.reset();
+    } catch (error) {
+        statusDiv.textContent = `Erreur: ${error.message}`;
+        statusDiv.classList.add('text-red-600');
+    } finally {
+        form.querySelector('button[type="submit"]').disabled = false;
+    }
 }
 
 /**
- * NOUVEAU: Charge et affiche les cours achetés par l'utilisateur.
- * @param {string} userId L'ID de l'utilisateur.
+ * NOUVEAU: Enregistre le nouveau mot de passe à l'aide du jeton reçu par e-mail (?reset=...).
+ * @param {Event} event L'événement de soumission du formulaire.
  */
-async function loadMyCourses(userId) {
-    const container = document.getElementById('my-courses-list'); // Pour la page compte
-    const historyContainer = document.getElementById('recent-courses-history'); // Pour la page historique
-    if (!container && !historyContainer) return;
-    
-    try {
-        // 1. Récupérer les IDs des cours achetés
-        const purchasedResponse = await fetch(`${CONFIG.COURSE_API_URL}?action=getCoursAchetes&userId=${userId}`);
-        const purchasedResult = await purchasedResponse.json();
-        if (!purchasedResult.success) throw new Error(purchasedResult.error);
+async function handleResetPasswordForm(event) {
+    event.preventDefault();
+    const form = event.target;
+    const statusDiv = document.getElementById('auth-status');
+    statusDiv.className = 'mt-4 text-center font-semibold';
+
+    const jeton = new URLSearchParams(window.location.search).get('reset');
+    const nouveauMotDePasse = form.querySelector('#reset-password').value;
+    if (nouveauMotDePasse !== form.querySelector('#reset-password-confirm').value) {
+        statusDiv.textContent = 'Les deux mots de passe ne correspondent pas.';
+        statusDiv.classList.add('text-red-600');
+        return;
+    }
+    statusDiv.textContent = 'Veuillez patienter...';
+
+    try {
+        form.querySelector('button[type="submit"]').disabled = true;
+        const response = await fetch(CONFIG.ACCOUNT_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({
+                action: 'reinitialiserMotDePasse',
+                data: { jeton: jeton, nouveauMotDePasse: nouveauMotDePasse }
+            })
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error || 'Une erreur est survenue.');
+
+        statusDiv.textContent = result.message;
+        statusDiv.classList.add('text-green-600');
+        form.reset();
+        // Retirer le jeton de l'URL puis revenir à la connexion
+        window.history.replaceState({}, '', window.location.pathname);
+        setTimeout(() => switchTab('login'), 2000);
+    } catch (error) {
+        statusDiv.textContent = `Erreur: ${error.message}`;
+        statusDiv.classList.add('text-red-600');
+    } finally {
+        form.querySelector('button[type="submit"]').disabled = false;
+    }
+}
+
+// --- NOUVEAU: CANDIDATURE SENIOR ---
+
+/**
+ * NOUVEAU: Adapte le formulaire de candidature si l'utilisateur est déjà connecté :
+ * les champs de création de compte sont masqués et le jeton de session est utilisé.
+ */
+function prefillSeniorApplication() {
+    const user = JSON.parse(localStorage.getItem('abmcyUser'));
+    if (!user || !getSessionToken()) return;
+
+    const accountFields = document.getElementById('senior-account-fields');
+    if (accountFields) {
+        accountFields.classList.add('hidden');
+        accountFields.querySelectorAll('input').forEach(input => input.required = false);
+    }
+    const connectedAs = document.getElementById('senior-connected-as');
+    if (connectedAs) {
+        connectedAs.textContent = `Vous postulez avec votre compte ${user.Email}.`;
+        connectedAs.classList.remove('hidden');
+    }
+}
+
+/**
+ * NOUVEAU: Envoie une candidature pour devenir formateur (action `postulerSenior`).
+ * @param {Event} event L'événement de soumission du formulaire.
+ */
+async function handleSeniorApplication(event) {
+    event.preventDefault();
+    const form = event.target;
+    const statusDiv = document.getElementById('auth-status');
+    statusDiv.className = 'mt-4 text-center font-semibold';
+    statusDiv.textContent = 'Veuillez patienter...';
+
+    const token = getSessionToken();
+    const data = {
+        titre: form.querySelector('#application-title').value,
+        anneesExperience: form.querySelector('#application-years').value,
+        experience: form.querySelector('#application-experience').value,
+        diplomes: form.querySelector('#application-credentials').value,
+        liens: form.querySelector('#application-links').value.split(/[\s,]+/).filter(Boolean)
+    };
+    if (!token) {
+        data.nom = form.querySelector('#register-nom').value;
+        data.email = form.querySelector('#register-email').value;
+        data.motDePasse = form.querySelector('#register-password').value;
+        data.telephone = `${form.querySelector('#register-indicatif').value}${form.querySelector('#register-telephone').value}`;
+    }
+
+    try {
+        form.querySelector('button[type="submit"]').disabled = true;
+        const response = await fetch(CONFIG.ACCOUNT_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ action: 'postulerSenior', data: data, token: token || undefined })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error || 'Une erreur est survenue.');
+        }
+
+        statusDiv.textContent = result.message;
+        statusDiv.classList.add('text-green-600');
+        form.reset();
+        // Le rôle a changé côté serveur : on met à jour la copie locale
+        const user = JSON.parse(localStorage.getItem('abmcyUser'));
+        if (user) {
+            user.Role = 'Senior en attente';
+            localStorage.setItem('abmcyUser', JSON.stringify(user));
+        }
+    } catch (error) {
+        statusDiv.textContent = `Erreur: ${error.message}`;
+        statusDiv.classList.add('text-red-600');
+    } finally {
+        form.querySelector('button[type="submit"]').disabled = false;
+    }
+}
+
+// --- NOUVEAU: LOGIQUE DE LA PAGE ADMINISTRATION ---
+
+/**
+ * NOUVEAU: Initialise la page d'administration (réservée au rôle Admin).
+ */
+function initializeAdminPage() {
+    const user = JSON.parse(localStorage.getItem('abmcyUser'));
+    if (!user || user.Role !== 'Admin') {
+        window.location.href = 'authentification.html';
+        return;
+    }
+    document.getElementById('user-name-display').textContent = user.Nom;
+    document.getElementById('logout-button').addEventListener('click', () => {
+        clearSession();
+        window.location.href = 'index.html';
+    });
+    const statusFilter = document.getElementById('applications-status-filter');
+    statusFilter.addEventListener('change', () => loadSeniorApplications(statusFilter.value));
+    loadSeniorApplications(statusFilter.value);
+
+    loadCoursesForReview(); // NOUVEAU: File de modération des cours
+
+    // NOUVEAU: File d'attente des remboursements
+    const refundsFilter = document.getElementById('refunds-status-filter');
+    refundsFilter.addEventListener('change', () => loadRefundRequests(refundsFilter.value));
+    loadRefundRequests(refundsFilter.value);
+
+    // NOUVEAU: Paiements des formateurs à verser
+    const payoutsFilter = document.getElementById('payouts-status-filter');
+    payoutsFilter.addEventListener('change', () => loadSeniorPayouts(payoutsFilter.value));
+    loadSeniorPayouts(payoutsFilter.value);
+}
+
+/**
+ * NOUVEAU: Charge et affiche les candidatures Senior.
+ * @param {string} statut Filtre de statut ('' pour toutes).
+ */
+async function loadSeniorApplications(statut) {
+    const container = document.getElementById('applications-list');
+    container.innerHTML = '<p class="text-gray-500">Chargement des candidatures...</p>';
+
+    try {
+        const response = await fetch(CONFIG.ACCOUNT_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ action: 'getCandidaturesSenior', data: { statut: statut }, token: getSessionToken() })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error || "Impossible de charger les candidatures.");
+        }
+
+        if (result.data.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">Aucune candidature.</p>';
+            return;
+        }
+
+        container.innerHTML = result.data.map(c => `
+            <div class="border rounded-lg p-4">
+                <div class="flex justify-between items-start gap-4">
+                    <div>
+                        <h4 class="font-bold">${escapeHtml(c.Nom)} <span class="text-sm font-normal text-gray-500">(${escapeHtml(c.Email)})</span></h4>
+                        <p class="text-sm text-gray-700">${escapeHtml(c.Titre)}${c.Annees_Experience ? ` - ${escapeHtml(c.Annees_Experience)} ans d'expérience` : ''}</p>
+                        <p class="text-xs text-gray-400">Déposée le ${new Date(c.Date_Candidature).toLocaleDateString('fr-FR')}</p>
+                    </div>
+                    <span class="text-xs font-semibold px-2 py-1 rounded-full ${c.Statut === 'Approuvée' ? 'bg-green-100 text-green-800' : (c.Statut === 'Rejetée' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800')}">${escapeHtml(c.Statut)}</span>
+                </div>
+                <p class="text-sm mt-3 whitespace-pre-line">${escapeHtml(c.Experience)}</p>
+                ${c.Diplomes ? `<p class="text-sm mt-2"><strong>Diplômes / certifications :</strong> ${escapeHtml(c.Diplomes)}</p>` : ''}
+                ${c.Liens ? `<p class="text-sm mt-2"><strong>Liens :</strong> ${String(c.Liens).split(', ').map(l => /^https?:\/\//i.test(l)
+                    ? `<a href="${escapeHtml(l)}" target="_blank" rel="noopener noreferrer" class="text-blue-600 hover:underline">${escapeHtml(l)}</a>`
+                    : escapeHtml(l)).join(' · ')}</p>` : ''}
+                ${c.Motif ? `<p class="text-sm mt-2 text-gray-500"><strong>Motif :</strong> ${escapeHtml(c.Motif)}</p>` : ''}
+                ${c.Statut === 'En attente' ? `
+                    <div class="mt-4 flex gap-2">
+                        <button onclick="decideSeniorApplication('${c.ID_Candidature}', true)" class="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-semibold hover:bg-green-700">Approuver</button>
+                        <button onclick="decideSeniorApplication('${c.ID_Candidature}', false)" class="px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-semibold hover:bg-red-700">Rejeter</button>
+                    </div>` : ''}
+            </div>
+        `).join('');
+    } catch (error) {
+        container.innerHTML = `<p class="text-red-500">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * NOUVEAU: Approuve ou rejette une candidature Senior.
+ * @param {string} idCandidature L'ID de la candidature.
+ * @param {boolean} approve true pour approuver, false pour rejeter.
+ */
+async function decideSeniorApplication(idCandidature, approve) {
+    let motif = '';
+    if (!approve) {
+        motif = prompt("Motif du rejet (optionnel, sera communiqué au candidat) :");
+        if (motif === null) return; // Annulé
+    } else if (!confirm("Confirmer l'approbation de cette candidature ?")) {
+        return;
+    }
+
+    try {
+        const response = await fetch(CONFIG.ACCOUNT_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({
+                action: approve ? 'approuverCandidature' : 'rejeterCandidature',
+                data: { idCandidature: idCandidature, motif: motif },
+                token: getSessionToken()
+            })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        showToast(result.message);
+        loadSeniorApplications(document.getElementById('applications-status-filter').value);
+    } catch (error) {
+        showToast(`Erreur : ${error.message}`, true);
+    }
+}
+
+// NOUVEAU: Cours de la file de modération, indexés par ID (voir openCourseReviewContent)
+let reviewCourses = {};
+
+/**
+ * NOUVEAU: Charge et affiche les cours soumis à la revue.
+ */
+async function loadCoursesForReview() {
+    const container = document.getElementById('courses-review-list');
+    container.innerHTML = '<p class="text-gray-500">Chargement des cours...</p>';
+
+    try {
+        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getCoursEnRevue&token=${encodeURIComponent(getSessionToken())}`);
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error || "Impossible de charger les cours en revue.");
+        }
+
+        reviewCourses = Object.fromEntries(result.data.map(c => [c.ID_Cours, c]));
+        if (result.data.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">Aucun cours en attente de revue.</p>';
+            return;
+        }
+
+        // MODIFIÉ: Un cours déjà publié n'est là que pour les modifications proposées par son formateur
+        container.innerHTML = result.data.map(c => {
+            const isRevision = c.Statut === 'Publié';
+            return `
+            <div class="border rounded-lg p-4">
+                <div class="flex justify-between items-start gap-4">
+                    <div>
+                        <h4 class="font-bold">${escapeHtml(c.Nom_Cours)} <span class="text-sm font-normal text-gray-500">– ${escapeHtml(c.Formateur_Nom)}</span></h4>
+                        ${isRevision ? `<p class="text-sm font-semibold text-yellow-700">Cours publié : ${c.revisionsEnAttente.length} modification(s) proposée(s)</p>` : ''}
+                        <p class="text-sm text-gray-700">${escapeHtml(c.Catégorie)} · ${escapeHtml(c.Niveau)} · ${Number(c.Prix).toLocaleString('fr-FR')} F CFA · ${c.nombreModules} module(s), ${c.nombreChapitres} chapitre(s)</p>
+                    </div>
+                    <div class="flex flex-col items-end gap-1 flex-shrink-0">
+                        <button onclick="openCourseReviewContent('${c.ID_Cours}')" class="text-sm font-semibold text-blue-600 hover:underline">Contenu complet</button>
+                        <a href="produit.html?id=${encodeURIComponent(c.ID_Cours)}&apercu=${encodeURIComponent(c.IDCategorie)}" target="_blank" class="text-sm text-gray-600 hover:underline">Aperçu</a>
+                    </div>
+                </div>
+                <p class="text-sm mt-3">${escapeHtml(c.Résumé)}</p>
+                <div class="mt-4 flex gap-2">
+                    <button onclick="moderateCourse('${c.ID_Cours}', true)" class="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-semibold hover:bg-green-700">${isRevision ? 'Appliquer les modifications' : 'Publier'}</button>
+                    <button onclick="moderateCourse('${c.ID_Cours}', false)" class="px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-semibold hover:bg-red-700">Refuser</button>
+                </div>
+            </div>
+        `;
+        }).join('');
+    } catch (error) {
+        container.innerHTML = `<p class="text-red-500">${error.message}</p>`;
+    }
+}
+
+/**
+ * NOUVEAU: Affiche à l'admin tout le contenu d'un cours à modérer : vidéos, ressources et quiz avec leurs bonnes réponses,
+ * que l'aperçu du catalogue ne montre pas. La fiche est demandée au script de la catégorie (action getContenuEdition).
+ * Les modifications proposées sur un cours publié sont listées avant le contenu actuel.
+ * @param {string} courseId L'ID du cours.
+ */
+async function openCourseReviewContent(courseId) {
+    const course = reviewCourses[courseId];
+    if (!course) return;
+    const container = document.getElementById('course-review-content');
+    document.getElementById('course-review-title').textContent = `Contenu : ${course.Nom_Cours}`;
+    container.innerHTML = '<p class="text-gray-500">Chargement du contenu...</p>';
+    document.getElementById('course-review-modal').classList.remove('hidden');
+
+    try {
+        const response = await fetch(`${course.categorieUrl}?action=getContenuEdition&courseId=${encodeURIComponent(courseId)}&token=${encodeURIComponent(getSessionToken())}`);
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        container.innerHTML = renderCourseRevisions(result.data.revisionsEnAttente || []) + renderCourseReviewModules(result.data.modules || []);
+    } catch (error) {
+        container.innerHTML = `<p class="text-red-500">Erreur : ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// NOUVEAU: Libellés des modifications proposées sur un cours publié (voir ACTIONS_REVISABLES, script de catégorie)
+const REVISION_LABELS = {
+    updateCourse: 'Informations du cours',
+    ajouterElementCours: 'Ajout de contenu',
+    modifierElementCours: 'Modification de contenu',
+    reordonnerElementsCours: 'Nouvel ordre'
+};
+
+/**
+ * NOUVEAU: Liste les modifications en attente d'un cours publié, dans l'ordre où elles seront appliquées.
+ * @param {Array<object>} revisions Les révisions (Action, Modifications, Auteur_Nom, Date_Demande).
+ * @returns {string} Le HTML (vide s'il n'y en a pas).
+ */
+function renderCourseRevisions(revisions) {
+    if (revisions.length === 0) return '';
+    const value = v => escapeHtml(typeof v === 'object' && v !== null ? JSON.stringify(v) : v);
+    const details = modifications => Object.entries(modifications).map(([field, change]) =>
+        change && typeof change === 'object' && 'apres' in change
+            ? `<li><strong>${escapeHtml(field)}</strong> : <span class="line-through text-gray-500">${value(change.avant)}</span> → ${value(change.apres)}</li>`
+            : `<li><strong>${escapeHtml(field)}</strong> : ${value(change)}</li>`).join('');
+
+    return `
+        <div class="border border-yellow-300 bg-yellow-50 rounded-lg p-4 mb-4">
+            <h4 class="font-bold mb-2">Modifications proposées (${revisions.length})</h4>
+            <ol class="space-y-2 list-decimal pl-5">
+                ${revisions.map(r => `
+                    <li class="text-sm">
+                        <span class="font-semibold">${escapeHtml(REVISION_LABELS[r.Action] || r.Action)}</span>
+                        <span class="text-gray-500">– ${escapeHtml(r.Auteur_Nom)}, ${new Date(r.Date_Demande).toLocaleString('fr-FR')}</span>
+                        <ul class="mt-1">${details(r.Modifications || {})}</ul>
+                    </li>
+                `).join('')}
+            </ol>
+        </div>
+        <h4 class="font-bold mb-2">Contenu actuel</h4>`;
+}
+
+/**
+ * NOUVEAU: Met en forme, en lecture seule, les modules d'une fiche complète.
+ * @param {Array<object>} modules Les modules de la fiche (avec chapitres et quiz).
+ * @returns {string} Le HTML.
+ */
+function renderCourseReviewModules(modules) {
+    if (modules.length === 0) return '<p class="text-gray-500">Ce cours n\'a aucun module.</p>';
+    const link = url => url ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener" class="text-blue-600 hover:underline break-all">${escapeHtml(url)}</a>` : '<span class="text-red-600">manquant</span>';
+    const quiz = questions => (questions || []).map(q => `
+        <li class="text-sm bg-gray-50 rounded p-2">
+            ❓ ${escapeHtml(q.Question)}
+            <span class="block text-gray-500">${['Réponse_1', 'Réponse_2', 'Réponse_3', 'Réponse_4'].map(col => q[col]).filter(Boolean).map(escapeHtml).join(' · ')}</span>
+            <span class="block text-green-700">Bonne réponse : ${escapeHtml(q.Bonne_Réponse)}</span>
+        </li>`).join('');
+
+    return modules.map((module, index) => `
+        <div class="border rounded-lg p-4 mb-4">
+            <h4 class="font-bold">Module ${index + 1} : ${escapeHtml(module.Nom_Module)}</h4>
+            <p class="text-sm text-gray-500">${escapeHtml(module.Description_Module || '')}</p>
+            <ol class="mt-3 space-y-3 pl-4 border-l">
+                ${(module.chapitres || []).map(chap => `
+                    <li class="text-sm">
+                        <strong>${escapeHtml(chap.Nom_Chapitre)}</strong> <span class="text-gray-500">${escapeHtml(chap.Durée || '')}</span>
+                        <span class="block">Vidéo : ${link(chap.URL_Vidéo_Chapitre)}</span>
+                        ${chap.Ressource ? `<span class="block">Ressource : ${escapeHtml(chap.Ressource)}</span>` : ''}
+                        <ul class="space-y-1 mt-1">${quiz(chap.quiz)}</ul>
+                    </li>
+                `).join('')}
+            </ol>
+            ${(module.quiz || []).length > 0 ? `<p class="text-sm font-semibold mt-3">Quiz de fin de module</p><ul class="space-y-1 mt-1">${quiz(module.quiz)}</ul>` : ''}
+        </div>
+    `).join('');
+}
+
+/**
+ * NOUVEAU: Ferme le contenu complet d'un cours à modérer.
+ */
+function closeCourseReviewContent() {
+    document.getElementById('course-review-modal').classList.add('hidden');
+}
+
+/**
+ * NOUVEAU: Publie un cours en revue ou le renvoie au formateur avec un retour.
+ * MODIFIÉ: Pour un cours publié, applique ou refuse les modifications proposées par son formateur.
+ * @param {string} courseId L'ID du cours.
+ * @param {boolean} approve true pour publier, false pour refuser.
+ */
+async function moderateCourse(courseId, approve) {
+    const isRevision = (reviewCourses[courseId] || {}).Statut === 'Publié'; // MODIFIÉ: Modifications d'un cours publié
+    let commentaire = '';
+    if (!approve) {
+        commentaire = prompt("Que doit corriger le formateur ? (obligatoire, lui sera communiqué)");
+        if (!commentaire) return; // Annulé
+    } else if (!confirm(isRevision ? "Appliquer ces modifications au cours publié ?" : "Publier ce cours dans le catalogue ?")) {
+        return;
+    }
+
+    try {
+        const response = await fetch(CONFIG.COURSE_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ action: 'modererCours', data: { courseId: courseId, approuver: approve, commentaire: commentaire, revisions: isRevision }, token: getSessionToken() })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        showToast(result.message);
+        loadCoursesForReview();
+    } catch (error) {
+        showToast(`Erreur : ${error.message}`, true);
+    }
+}
+
+/**
+ * NOUVEAU: Charge et affiche les demandes de remboursement.
+ * @param {string} statut Filtre de statut ('' pour toutes).
+ */
+async function loadRefundRequests(statut) {
+    const container = document.getElementById('refunds-list');
+    container.innerHTML = '<p class="text-gray-500">Chargement des demandes...</p>';
+
+    try {
+        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getDemandesRemboursement&statut=${encodeURIComponent(statut)}&token=${encodeURIComponent(getSessionToken())}`);
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error || "Impossible de charger les demandes.");
+        }
+
+        if (result.data.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">Aucune demande.</p>';
+            return;
+        }
+
+        container.innerHTML = result.data.map(d => `
+            <div class="border rounded-lg p-4">
+                <div class="flex justify-between items-start gap-4">
+                    <div>
+                        <h4 class="font-bold">${escapeHtml(d.Nom_Apprenant)} <span class="text-sm font-normal text-gray-500">– ${escapeHtml(d.Nom_Cours)}</span></h4>
+                        <p class="text-sm text-gray-700">${Number(d.Montant).toLocaleString('fr-FR')} F CFA · ${d.Pourcentage_Suivi}% du cours suivi</p>
+                        <p class="text-xs text-gray-400">Demandée le ${new Date(d.Date_Demande).toLocaleDateString('fr-FR')}</p>
+                    </div>
+                    <span class="text-xs font-semibold px-2 py-1 rounded-full ${d.Statut === 'Approuvé' ? 'bg-green-100 text-green-800' : (d.Statut === 'Rejeté' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800')}">${d.Statut}</span>
+                </div>
+                <p class="text-sm mt-3 whitespace-pre-line">${escapeHtml(d.Motif)}</p>
+                ${d.Commentaire_Admin ? `<p class="text-sm mt-2 text-gray-500"><strong>Commentaire :</strong> ${escapeHtml(d.Commentaire_Admin)}</p>` : ''}
+                ${d.Statut === 'En attente' ? `
+                    <div class="mt-4 flex gap-2">
+                        <button onclick="decideRefundRequest('${d.ID_Remboursement}', true)" class="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-semibold hover:bg-green-700">Approuver</button>
+                        <button onclick="decideRefundRequest('${d.ID_Remboursement}', false)" class="px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-semibold hover:bg-red-700">Rejeter</button>
+                    </div>` : ''}
+            </div>
+        `).join('');
+    } catch (error) {
+        container.innerHTML = `<p class="text-red-500">${error.message}</p>`;
+    }
+}
+
+/**
+ * NOUVEAU: Approuve ou rejette une demande de remboursement.
+ * @param {string} demandeId L'ID de la demande.
+ * @param {boolean} approve true pour approuver (l'accès au cours est retiré), false pour rejeter.
+ */
+async function decideRefundRequest(demandeId, approve) {
+    let commentaire = '';
+    if (!approve) {
+        commentaire = prompt("Motif du rejet (optionnel, sera communiqué à l'apprenant) :");
+        if (commentaire === null) return; // Annulé
+    } else if (!confirm("Approuver ce remboursement ? L'apprenant perdra l'accès au cours.")) {
+        return;
+    }
+
+    try {
+        const response = await fetch(CONFIG.COURSE_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({
+                action: 'traiterRemboursement',
+                data: { demandeId: demandeId, approuver: approve, commentaire: commentaire },
+                token: getSessionToken()
+            })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        showToast(result.message);
+        loadRefundRequests(document.getElementById('refunds-status-filter').value);
+    } catch (error) {
+        showToast(`Erreur : ${error.message}`, true);
+    }
+}
+
+// --- LOGIQUE DE LA PAGE COMPTE ---
+
+/**
+ * Initialise la page "Mon Compte".
+ * Vérifie si l'utilisateur est connecté, sinon le redirige.
+ * Affiche les informations de l'utilisateur.
+ */
+function initializeAccountPage() {
+    const user = JSON.parse(localStorage.getItem('abmcyUser'));
+
+    // Si l'utilisateur n'est pas connecté, on le renvoie à la page d'authentification
+    if (!user) {
+        window.location.href = 'authentification.html';
+        return;
+    }
+
+    // Afficher les informations de l'utilisateur
+    document.getElementById('user-name-display').textContent = user.Nom;
+    document.getElementById('user-email-display').textContent = user.Email;
+    document.getElementById('dashboard-user-name').textContent = user.Nom;
+    document.getElementById('dashboard-user-name-link').textContent = user.Nom;
+
+    // Initiales pour l'avatar
+    const initials = user.Nom.split(' ').map(n => n[0]).join('').substring(0, 2).toUpperCase();
+    document.getElementById('user-initials').textContent = initials;
+
+    // Logique de déconnexion
+    const logoutNav = document.getElementById('logout-nav-link');
+    
+    const logoutAction = (e) => {
+        e.preventDefault();
+        if (confirm("Êtes-vous sûr de vouloir vous déconnecter ?")) {
+            clearSession();
+            window.location.href = 'authentification.html';
+        }
+    };
+
+    logoutNav.addEventListener('click', logoutAction);
+
+    // NOUVEAU: Ajouter le lien "Catalogue" au menu du dashboard
+    const dashboardNav = document.querySelector('.account-nav ul');
+    if (dashboardNav) {
+        const catalogLink = document.createElement('li');
+        catalogLink.innerHTML = `<a href="promotions.html" class="account-tab flex items-center p-3 text-gray-600 hover:bg-gray-100 rounded-lg"><svg class="w-6 h-6 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h8m-8 6h16"></path></svg>Catalogue</a>`;
+        dashboardNav.appendChild(catalogLink);
+    }
+
+    // NOUVEAU: Gérer les onglets et charger les cours
+    switchAccountTab('dashboard'); // Afficher l'onglet "Tableau de bord" par défaut
+    loadMyCourses();
+    loadMyLearningPaths(); // NOUVEAU
+    loadUserActivityLog();
+
+    // NOUVEAU: Formulaires de l'onglet "Détails du compte"
+    document.getElementById('change-password-form')?.addEventListener('submit', handleChangePassword);
+    document.getElementById('change-email-form')?.addEventListener('submit', handleChangeEmail);
+    document.getElementById('export-json-button')?.addEventListener('click', () => handleExportData('json'));
+    document.getElementById('export-csv-button')?.addEventListener('click', () => handleExportData('csv'));
+    document.getElementById('delete-account-form')?.addEventListener('submit', handleDeleteAccount);
+    // La fonction pour charger les notifications sera appelée par initializeNotificationPage si besoin
+    initializeNotificationPage();
+}
+
+/**
+ * NOUVEAU: Gère l'affichage des onglets dans l'espace compte.
+ * @param {string} tabId L'ID de l'onglet à afficher ('courses', 'notifications', 'profile').
+ */
+function switchAccountTab(tabId) {
+    // Cacher tous les contenus
+    document.querySelectorAll('.account-content').forEach(el => el.classList.add('hidden'));
+    // Retirer le style actif de tous les onglets
+    document.querySelectorAll('.account-tab').forEach(el => el.classList.remove('active'));
+
+    // Afficher le contenu et activer l'onglet sélectionné
+    document.getElementById(`content-${tabId}`).classList.remove('hidden');
+    document.getElementById(`tab-${tabId}`).classList.add('active');
+}
+
+/**
+ * NOUVEAU: Change le mot de passe depuis l'onglet "Détails du compte".
+ * @param {Event} event L'événement de soumission du formulaire.
+ */
+async function handleChangePassword(event) {
+    event.preventDefault();
+    const form = event.target;
+    const nouveauMotDePasse = form.querySelector('#new-password-input').value;
+    if (nouveauMotDePasse !== form.querySelector('#new-password-confirm-input').value) {
+        showToast("Les deux mots de passe ne correspondent pas.", true);
+        return;
+    }
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    try {
+        const response = await fetch(CONFIG.ACCOUNT_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({
+                action: 'changerMotDePasse',
+                data: {
+                    motDePasseActuel: form.querySelector('#current-password-input').value,
+                    nouveauMotDePasse: nouveauMotDePasse
+                },
+                token: getSessionToken()
+            })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        showToast(result.message);
+        form.reset();
+    } catch (error) {
+        showToast(`Erreur : ${error.message}`, true);
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * NOUVEAU: Demande le changement d'adresse e-mail depuis l'onglet "Détails du compte".
+ * @param {Event} event L'événement de soumission du formulaire.
+ */
+async function handleChangeEmail(event) {
+    event.preventDefault();
+    const form = event.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    try {
+        const response = await fetch(CONFIG.ACCOUNT_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({
+                action: 'changerEmail',
+                data: {
+                    nouvelEmail: form.querySelector('#new-email-input').value,
+                    motDePasse: form.querySelector('#email-password-input').value
+                },
+                token: getSessionToken()
+            })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        showToast(result.message);
+        form.reset();
+    } catch (error) {
+        showToast(`Erreur : ${error.message}`, true);
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * NOUVEAU: Télécharge toutes les données personnelles de l'utilisateur connecté.
+ * @param {'json'|'csv'} format Le format du fichier. En CSV, chaque feuille devient une section du fichier.
+ */
+async function handleExportData(format) {
+    const button = document.getElementById(`export-${format}-button`);
+    button.disabled = true;
+    try {
+        const response = await fetch(CONFIG.ACCOUNT_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ action: 'exporterMesDonnees', data: {}, token: getSessionToken() })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+
+        const dateExport = new Date().toISOString().slice(0, 10);
+        if (format === 'json') {
+            downloadFile(`mes-donnees-${dateExport}.json`, JSON.stringify(result.data, null, 2), 'application/json');
+        } else {
+            downloadFile(`mes-donnees-${dateExport}.csv`, exportToCsv(result.data), 'text/csv;charset=utf-8');
+        }
+    } catch (error) {
+        showToast(`Erreur : ${error.message}`, true);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * NOUVEAU: Convertit un export { nomDeFeuille: lignes[] } en CSV (une section par feuille).
+ * @param {Object<string, Array<Object>>} tables Les données exportées.
+ * @returns {string} Le contenu CSV.
+ */
+function exportToCsv(tables) {
+    const escapeCsv = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return Object.entries(tables).map(([name, rows]) => {
+        const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const lines = [`# ${name}`];
+        if (headers.length > 0) {
+            lines.push(headers.map(escapeCsv).join(','));
+            rows.forEach(row => lines.push(headers.map(header => escapeCsv(row[header])).join(',')));
+        }
+        return lines.join('\n');
+    }).join('\n\n');
+}
+
+/**
+ * NOUVEAU: Déclenche le téléchargement d'un fichier généré côté client.
+ */
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * NOUVEAU: Supprime définitivement le compte de l'utilisateur connecté après confirmation.
+ * @param {Event} event L'événement de soumission du formulaire.
+ */
+async function handleDeleteAccount(event) {
+    event.preventDefault();
+    if (!confirm("Voulez-vous vraiment supprimer votre compte ? Cette action est irréversible.")) return;
+
+    const form = event.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    try {
+        const response = await fetch(CONFIG.ACCOUNT_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({
+                action: 'supprimerMonCompte',
+                data: { motDePasse: form.querySelector('#delete-password-input').value },
+                token: getSessionToken()
+            })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        clearSession();
+        alert(result.message);
+        window.location.href = 'index.html';
+    } catch (error) {
+        showToast(`Erreur : ${error.message}`, true);
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * NOUVEAU: Charge et affiche les cours achetés par l'utilisateur connecté.
+ */
+async function loadMyCourses() {
+    const container = document.getElementById('my-courses-list'); // Pour la page compte
+    const historyContainer = document.getElementById('recent-courses-history'); // Pour la page historique
+    if (!container && !historyContainer) return;
+    
+    try {
+        // 1. Récupérer les IDs des cours achetés
+        const purchasedResponse = await fetch(`${CONFIG.COURSE_API_URL}?action=getCoursAchetes&token=${encodeURIComponent(getSessionToken())}`);
+        const purchasedResult = await purchasedResponse.json();
+        if (!purchasedResult.success) {
+            if (handleSessionError(purchasedResult)) return;
+            throw new Error(purchasedResult.error);
+        }
         const purchasedCourseIds = purchasedResult.data;
 
         if (purchasedCourseIds.length === 0) {
@@ -2573,17 +4792,24 @@ async function loadMyCourses(userId) {
         }
 
         // 2. Récupérer le catalogue complet pour avoir les détails des cours
-        const catalog = await getCatalogAndRefreshInBackground();
+        // MODIFIÉ: ...et la progression réelle de l'utilisateur sur chacun d'eux
+        const [catalog, progressResult] = await Promise.all([
+            getCatalogAndRefreshInBackground(),
+            fetch(`${CONFIG.COURSE_API_URL}?action=getProgressionMesCours&token=${encodeURIComponent(getSessionToken())}`).then(res => res.json())
+        ]);
         const allCoursesDetails = catalog.data.products;
         const myCourses = allCoursesDetails.filter(course => purchasedCourseIds.includes(course.ID_Cours));
+        const progressByCourse = progressResult.success ? progressResult.data : {};
 
         // 3. Afficher les cartes des cours
         const coursesHTML = myCourses.map(course => {
-            // NOUVEAU: Calcul de la progression basé sur le nombre de chapitres
-            const totalChapters = course.modules.reduce((sum, mod) => sum + (mod.chapitres ? mod.chapitres.length : 0), 0);
-            // Simulation: on suppose que l'utilisateur a complété 1/3 des chapitres
-            const completedChapters = Math.floor(totalChapters / 3); 
-            const progress = totalChapters > 0 ? Math.round((completedChapters / totalChapters) * 100) : 0;
+            const courseProgress = progressByCourse[course.ID_Cours] || { pourcentage: 0, chapitreAReprendre: null, dernierChapitre: null };
+            const progress = courseProgress.pourcentage;
+            // Le lien reprend au premier chapitre non terminé
+            const resumeUrl = courseProgress.chapitreAReprendre
+                ? `produit.html?id=${course.ID_Cours}&chapitre=${encodeURIComponent(courseProgress.chapitreAReprendre.ID_Chapitre)}`
+                : `produit.html?id=${course.ID_Cours}`;
+            const resumeLabel = progress === 100 ? 'Revoir' : (courseProgress.dernierChapitre ? 'Reprendre' : 'Commencer');
 
             return `
                 <div class="border rounded-lg p-4 flex flex-col md:flex-row items-center gap-4">
@@ -2595,9 +4821,12 @@ async function loadMyCourses(userId) {
                             <div class="bg-blue-600 h-2.5 rounded-full" style="width: ${progress}%"></div>
                         </div>
                         <p class="text-xs text-right mt-1">${progress}% complété</p>
+                        ${courseProgress.chapitreAReprendre ? `<p class="text-xs text-gray-500">Prochain chapitre : ${courseProgress.chapitreAReprendre.Nom_Chapitre}</p>` : ''}
+                        ${courseProgress.certificat ? `<a href="certificat.html?code=${encodeURIComponent(courseProgress.certificat.code)}" class="text-xs font-semibold text-gold hover:underline">Voir mon certificat</a>` : ''}
+                        ${renderRefundStatus(course.ID_Cours, courseProgress)}
                     </div>
-                    <a href="produit.html?id=${course.ID_Cours}" class="bg-black text-white font-semibold py-2 px-4 rounded-lg hover:bg-gray-800 transition w-full md:w-auto text-center">
-                        Continuer
+                    <a href="${resumeUrl}" class="bg-black text-white font-semibold py-2 px-4 rounded-lg hover:bg-gray-800 transition w-full md:w-auto text-center">
+                        ${resumeLabel}
                     </a>
                 </div>
             `;
@@ -2613,67 +4842,279 @@ async function loadMyCourses(userId) {
 }
 
 /**
- * NOUVEAU: Charge et affiche le journal d'activité de l'utilisateur.
- * @param {string} userId L'ID de l'utilisateur.
+ * NOUVEAU: Affiche l'état de la demande de remboursement d'un cours, ou le lien pour en faire une.
+ * @param {string} courseId L'ID du cours.
+ * @param {object} courseProgress Le résumé renvoyé par getProgressionMesCours.
+ * @returns {string} Le HTML à insérer dans la carte du cours.
+ */
+function renderRefundStatus(courseId, courseProgress) {
+    const demande = courseProgress.remboursement;
+    if (demande && demande.statut === 'En attente') {
+        return '<p class="text-xs text-yellow-700">Demande de remboursement en cours d\'examen</p>';
+    }
+    const rejet = demande ? `<p class="text-xs text-red-600">Remboursement refusé${demande.commentaire ? ` : ${escapeHtml(demande.commentaire)}` : ''}</p>` : '';
+    if (courseProgress.certificat) return rejet;
+    return `${rejet}<button onclick="requestRefund('${courseId}')" class="text-xs text-gray-500 hover:underline">Demander un remboursement</button>`;
+}
+
+/**
+ * NOUVEAU: Envoie une demande de remboursement pour un cours acheté.
+ * L'éligibilité (délai et part du cours suivie) est vérifiée par le serveur.
+ * @param {string} courseId L'ID du cours.
+ */
+async function requestRefund(courseId) {
+    const motif = prompt("Pourquoi souhaitez-vous être remboursé ? (voir notre politique de retour)");
+    if (motif === null) return; // Annulé
+
+    try {
+        const response = await fetch(CONFIG.COURSE_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ action: 'demanderRemboursement', data: { courseId: courseId, motif: motif }, token: getSessionToken() })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        showToast(result.message);
+        loadMyCourses();
+    } catch (error) {
+        showToast(`Erreur : ${error.message}`, true);
+    }
+}
+
+// --- NOUVEAU: PARCOURS D'APPRENTISSAGE ---
+
+// Parcours affichés sur la page parcours.html, indexés par ID (voir addLearningPathToCart)
+let learningPaths = {};
+
+/**
+ * NOUVEAU: Affiche les parcours du catalogue : étapes dans l'ordre, durée totale et économie par rapport aux cours seuls.
+ * @param {object} catalog L'objet catalogue complet.
+ */
+function renderLearningPaths(catalog) {
+    const container = document.getElementById('learning-paths-container');
+    if (!container) return;
+    const paths = catalog.data.parcours || [];
+    learningPaths = Object.fromEntries(paths.map(path => [path.ID_Parcours, path]));
+
+    if (paths.length === 0) {
+        container.innerHTML = '<p class="text-center text-gray-500">Aucun parcours n\'est disponible pour le moment.</p>';
+        return;
+    }
+
+    container.innerHTML = paths.map(path => `
+        <article id="${path.ID_Parcours}" class="bg-white rounded-lg shadow overflow-hidden md:flex">
+            <img src="${path.Image || CONFIG.DEFAULT_PRODUCT_IMAGE}" alt="${escapeHtml(path.Nom_Parcours)}" class="w-full md:w-64 h-48 md:h-auto object-cover" loading="lazy">
+            <div class="p-6 flex-grow">
+                <p class="text-xs font-semibold uppercase tracking-wide text-gold">Objectif : ${escapeHtml(path.Role_Cible)}</p>
+                <h2 class="text-2xl font-bold text-gray-800 mt-1">${escapeHtml(path.Nom_Parcours)}</h2>
+                <p class="text-gray-600 mt-2">${escapeHtml(path.Description)}</p>
+                <p class="text-sm text-gray-500 mt-2">${path.cours.length} cours · ${escapeHtml(path.Durée_Totale)}</p>
+                <ol class="mt-4 space-y-2">
+                    ${path.cours.map((course, index) => `
+                        <li class="flex items-center gap-3 text-sm">
+                            <span class="w-6 h-6 rounded-full bg-gold text-white flex items-center justify-center font-bold flex-shrink-0">${index + 1}</span>
+                            <a href="produit.html?id=${encodeURIComponent(course.ID_Cours)}" class="hover:underline"><strong>${escapeHtml(course.Nom_Cours)}</strong></a>
+                            <span class="text-gray-500">${escapeHtml(course.Niveau || '')} · ${escapeHtml(course.Durée_Totale || '')}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+                <div class="flex flex-wrap items-center justify-between gap-4 mt-6 pt-4 border-t">
+                    <div>
+                        <span class="text-2xl font-bold text-gold">${path.Prix.toLocaleString('fr-FR')} F CFA</span>
+                        <span class="text-gray-400 line-through ml-2">${path.Prix_Cours.toLocaleString('fr-FR')} F</span>
+                        <p class="text-xs text-green-700">Vous économisez ${path.Economie.toLocaleString('fr-FR')} F. Les cours que vous possédez déjà sont déduits au paiement.</p>
+                    </div>
+                    <button onclick="addLearningPathToCart(event, '${path.ID_Parcours}')" class="bg-black text-white font-semibold py-2 px-6 rounded-lg hover:bg-gray-800 transition">Ajouter au panier</button>
+                </div>
+            </div>
+        </article>
+    `).join('');
+
+    // Le lien du panier pointe vers l'ancre du parcours
+    if (window.location.hash) document.getElementById(window.location.hash.slice(1))?.scrollIntoView();
+}
+
+/**
+ * NOUVEAU: Ajoute un parcours au panier, comme un seul article. Le serveur le remplace par ses cours au paiement.
+ * @param {Event} event L'événement du clic.
+ * @param {string} pathId L'ID du parcours.
  */
-async function loadUserActivityLog(userId) {
+function addLearningPathToCart(event, pathId) {
+    if (event) event.preventDefault();
+    const path = learningPaths[pathId];
+    if (!path) return;
+
+    const cart = getCart();
+    if (cart.some(item => item.productId === pathId)) {
+        showToast(`${path.Nom_Parcours} est déjà dans votre panier.`);
+        return;
+    }
+    // Un cours du parcours déjà dans le panier serait payé deux fois
+    const courseIds = path.cours.map(course => course.ID_Cours);
+    const duplicates = cart.filter(item => courseIds.includes(item.productId));
+    if (duplicates.length > 0) {
+        showToast(`Retirez d'abord du panier : ${duplicates.map(item => item.name).join(', ')} (inclus dans le parcours).`, true);
+        return;
+    }
+
+    cart.push({
+        productId: pathId,
+        type: 'parcours',
+        name: path.Nom_Parcours,
+        price: path.Prix,
+        imageUrl: path.Image,
+        quantity: 1,
+        variants: {},
+        delivery: { location: 'Spéciale', method: 'Gratuite', cost: 0 },
+        instructor: `${path.cours.length} cours`
+    });
+    saveCart(cart);
+    showToast(`${path.Nom_Parcours} a été ajouté au panier !`);
+}
+
+/**
+ * NOUVEAU: Affiche la progression des parcours achetés par l'utilisateur, cours par cours (page compte).
+ */
+async function loadMyLearningPaths() {
+    const container = document.getElementById('my-learning-paths');
+    if (!container) return;
+
+    try {
+        const response = await fetch(`${CONFIG.COURSE_API_URL}?action=getProgressionParcours&token=${encodeURIComponent(getSessionToken())}`);
+        const result = await response.json();
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
+        if (result.data.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <h3 class="text-xl font-bold mb-4">Mes Parcours</h3>
+            <div class="space-y-4 mb-8">
+                ${result.data.map(path => `
+                    <div class="border rounded-lg p-4">
+                        <div class="flex justify-between items-start gap-4">
+                            <div>
+                                <h4 class="font-bold">${escapeHtml(path.Nom_Parcours)}</h4>
+                                <p class="text-sm text-gray-500">Objectif : ${escapeHtml(path.Role_Cible)} · ${path.coursTermines}/${path.nombreCours} cours terminés</p>
+                            </div>
+                            ${path.termine ? '<span class="text-xs font-semibold px-2 py-1 rounded-full bg-green-100 text-green-800">Parcours terminé</span>' : ''}
+                        </div>
+                        <div class="w-full bg-gray-200 rounded-full h-2.5 mt-3">
+                            <div class="bg-gold h-2.5 rounded-full" style="width: ${path.pourcentage}%"></div>
+                        </div>
+                        <p class="text-xs text-right mt-1">${path.pourcentage}% du parcours</p>
+                        <ol class="mt-2 space-y-1 text-sm">
+                            ${path.cours.map((course, index) => `
+                                <li class="flex justify-between gap-4 ${course.acces ? '' : 'text-gray-400'}">
+                                    <span>${index + 1}. ${course.acces ? `<a href="produit.html?id=${encodeURIComponent(course.ID_Cours)}" class="hover:underline">${escapeHtml(course.Nom_Cours)}</a>` : `${escapeHtml(course.Nom_Cours)} (accès retiré)`}
+                                        ${course.ID_Cours === path.prochainCours ? '<span class="text-xs font-semibold text-gold ml-1">← À suivre</span>' : ''}</span>
+                                    <span>${course.certificat ? `<a href="certificat.html?code=${encodeURIComponent(course.certificat.code)}" class="text-gold hover:underline">Certificat</a> · ` : ''}${course.pourcentage}%</span>
+                                </li>
+                            `).join('')}
+                        </ol>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    } catch (error) {
+        console.error("Erreur lors du chargement des parcours de l'utilisateur:", error);
+        container.innerHTML = '<p class="text-red-500">Une erreur est survenue lors du chargement de vos parcours.</p>';
+    }
+}
+
+// NOUVEAU: Position de lecture du journal d'activité (renvoyée par le serveur, null en fin de journal)
+let activityLogCursor = null;
+
+// NOUVEAU: Icônes de l'historique par catégorie d'activité
+const ACTIVITY_ICONS = {
+    connexion: '<svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 16l-4-4m0 0l4-4m-4 4h14m-5 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h7a3 3 0 013 3v1"></path></svg>',
+    securite: '<svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z"></path></svg>',
+    compte: '<svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"></path></svg>'
+};
+
+/**
+ * NOUVEAU: Charge et affiche le journal d'activité de l'utilisateur connecté.
+ * MODIFIÉ: Applique les filtres de la page et charge les entrées par pages (bouton "Afficher plus").
+ * @param {boolean} [append=false] true pour ajouter la page suivante à la liste au lieu de la remplacer.
+ */
+async function loadUserActivityLog(append = false) {
     const container = document.getElementById('history-log-container'); // Page Historique
     if (!container) return;
-    container.innerHTML = '<div class="loader mx-auto"></div><p class="text-center text-gray-500 mt-2">Chargement de votre historique...</p>';
-    
+    const loadMoreButton = document.getElementById('history-load-more');
+    if (!append) {
+        activityLogCursor = null;
+        container.innerHTML = '<div class="loader mx-auto"></div><p class="text-center text-gray-500 mt-2">Chargement de votre historique...</p>';
+    }
+    if (loadMoreButton) loadMoreButton.disabled = true;
+
     try {
         const response = await fetch(CONFIG.ACCOUNT_API_URL, {
             method: 'POST',
             headers: { 'Content-Type': 'text/plain' }, // Utiliser un Content-Type simple
             body: JSON.stringify({
                 action: 'getLogsByUserId',
-                data: { userId: userId }
+                data: {
+                    curseur: activityLogCursor,
+                    limite: 20,
+                    categorie: document.getElementById('history-category-filter')?.value || '',
+                    dateDebut: document.getElementById('history-start-date')?.value || '',
+                    dateFin: document.getElementById('history-end-date')?.value || ''
+                },
+                token: getSessionToken()
             })
         });
         const result = await response.json();
 
         if (!result.success) {
+            if (handleSessionError(result)) return;
             throw new Error(result.error || "Impossible de récupérer le journal d'activité.");
         }
 
-        if (result.logs.length === 0) {
-            container.innerHTML = '<p class="text-gray-500 text-center">Aucune activité récente à afficher.</p>';
+        activityLogCursor = result.curseurSuivant;
+        if (loadMoreButton) loadMoreButton.classList.toggle('hidden', !activityLogCursor);
+
+        if (!append && result.logs.length === 0) {
+            container.innerHTML = '<p class="text-gray-500 text-center">Aucune activité à afficher pour ces critères.</p>';
             return;
         }
 
-        const logsHTML = `
-            <div class="space-y-3">
-                ${result.logs.map(log => {
-                    // log est un tableau: [Date, Source, Action, Détails]
-                    const timestamp = new Date(log[0]).toLocaleString('fr-FR');
-                    const action = log[2];
-                    let description = '';
-                    let icon = '<svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>';
-
-                    // Simplifier l'affichage pour l'utilisateur
-                    if (action === 'connecterClient') {
-                        description = 'Connexion à votre compte.';
-                        icon = '<svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 16l-4-4m0 0l4-4m-4 4h14m-5 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h7a3 3 0 013 3v1"></path></svg>';
-                    }
-                    if (action === 'creerCompteClient') description = 'Création de votre compte.';
-                    
-                    return `
-                        <div class="flex items-start p-3 bg-gray-50 rounded-md">
-                            <div class="text-gray-400 mr-3 pt-1">${icon}</div>
-                            <div>
-                                <p class="font-semibold text-sm">${description || action}</p>
-                                <p class="text-xs text-gray-500">${timestamp}</p>
-                            </div>
-                        </div>
-                    `;
-                }).join('')}
-            </div>
-        `;
-        container.innerHTML = logsHTML;
+        const logsHTML = result.logs.map(log => {
+            // log: { date, action, categorie, description, succes, details }
+            const timestamp = new Date(log.date).toLocaleString('fr-FR');
+            const icon = ACTIVITY_ICONS[log.categorie] || ACTIVITY_ICONS.compte;
+            return `
+                <div class="flex items-start p-3 rounded-md ${log.succes ? 'bg-gray-50' : 'bg-red-50'}">
+                    <div class="${log.succes ? 'text-gray-400' : 'text-red-400'} mr-3 pt-1">${icon}</div>
+                    <div>
+                        <p class="font-semibold text-sm">${log.description}</p>
+                        <p class="text-xs text-gray-500">${timestamp}</p>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        if (append) {
+            container.querySelector('.space-y-3').insertAdjacentHTML('beforeend', logsHTML);
+        } else {
+            container.innerHTML = `<div class="space-y-3">${logsHTML}</div>`;
+        }
 
     } catch (error) {
         console.error("Erreur lors du chargement du journal d'activité:", error);
-        container.innerHTML = '<p class="text-red-500 text-center">Une erreur est survenue lors du chargement de votre activité.</p>';
+        if (append) {
+            showToast(`Erreur : ${error.message}`, true);
+        } else {
+            container.innerHTML = '<p class="text-red-500 text-center">Une erreur est survenue lors du chargement de votre activité.</p>';
+        }
+    } finally {
+        if (loadMoreButton) loadMoreButton.disabled = false;
     }
 }
 
@@ -2686,7 +5127,13 @@ function initializeHistoryPage() {
         window.location.href = 'authentification.html';
         return;
     }
-    loadUserActivityLog(user.IDClient);
+    // NOUVEAU: Filtres et pagination
+    document.getElementById('history-filters-form')?.addEventListener('submit', event => {
+        event.preventDefault();
+        loadUserActivityLog();
+    });
+    document.getElementById('history-load-more')?.addEventListener('click', () => loadUserActivityLog(true));
+    loadUserActivityLog();
 }
 
 /**
@@ -2707,10 +5154,13 @@ async function initializeNotificationPage() {
     container.innerHTML = '<p class="text-center text-gray-500">Chargement des notifications...</p>';
 
     try {
-        const response = await fetch(`${CONFIG.NOTIFICATION_API_URL}?action=getNotifications&userId=${user.IDClient}`);
+        const response = await fetch(`${CONFIG.NOTIFICATION_API_URL}?action=getNotifications&token=${encodeURIComponent(getSessionToken())}`);
         const result = await response.json();
 
-        if (!result.success) throw new Error(result.error);
+        if (!result.success) {
+            if (handleSessionError(result)) return;
+            throw new Error(result.error);
+        }
 
         const notifications = result.data;
         if (notifications.length === 0) {
@@ -2737,7 +5187,8 @@ async function initializeNotificationPage() {
                     headers: { 'Content-Type': 'text/plain' },
                     body: JSON.stringify({
                         action: 'markAsRead',
-                        data: { userId: user.IDClient, notificationIds: unreadIds }
+                        data: { notificationIds: unreadIds },
+                        token: getSessionToken()
                     })
                 });
             }, 3000);